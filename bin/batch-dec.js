@@ -4,107 +4,24 @@
 require('dotenv').config();
 
 const { program } = require('commander');
-const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const { intro, outro, text, select, confirm, spinner } = require('@clack/prompts');
+const { ALGORITHMS, batchDecrypt: batchDecryptFiles } = require('..');
+const { resolveLegacyKdf } = require('../lib/kdf');
+const { resolvePrivateKey } = require('../lib/recipients');
+const { resolveKeyFile } = require('../lib/keys');
+const { resolveStreamThreshold } = require('../lib/stream');
+const { resolveConcurrency, getBatchExitCode, formatBatchReport } = require('../lib/batch');
+const { InvalidOptionError } = require('../lib/errors');
+const { enterPipeMode, writeOutput } = require('../lib/pipe');
+const { undoBatch } = require('../lib/transaction');
+const { resolveOutDir } = require('../lib/outdir');
+const { getFormatNames, resolveSourceFormats } = require('../lib/handlers');
+const { loadProjectConfig, applyProjectConfig, getFileOverrides } = require('../lib/config');
 
-function decryptData(encryptedData, algorithm, secretKey) {
-  const keyLength = algorithm.includes('256') ? 32 : 
-                   algorithm.includes('192') ? 24 : 16;
-  const key = crypto.scryptSync(secretKey, 'salt', keyLength);
-  
-  const iv = Buffer.from(encryptedData.iv, 'hex');
-  
-  let decrypted;
-  
-  if (algorithm.includes('gcm')) {
-    // GCM mode decryption
-    const decipher = crypto.createDecipheriv(algorithm, key, iv);
-    if (encryptedData.authTag) {
-      decipher.setAuthTag(Buffer.from(encryptedData.authTag, 'hex'));
-    }
-    decipher.setAAD(Buffer.from('json-encrypt', 'utf8'));
-    
-    decrypted = decipher.update(encryptedData.encrypted, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-  } else {
-    // CBC mode decryption
-    const decipher = crypto.createDecipheriv(algorithm, key, iv);
-    decrypted = decipher.update(encryptedData.encrypted, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-  }
-  
-  return decrypted;
-}
-
-function findEncFiles(directory, recursive = false) {
-  const encFiles = [];
-  
-  function scanDirectory(dir) {
-    const items = fs.readdirSync(dir);
-    
-    for (const item of items) {
-      const fullPath = path.join(dir, item);
-      const stat = fs.statSync(fullPath);
-      
-      if (stat.isDirectory() && recursive) {
-        scanDirectory(fullPath);
-      } else if (stat.isFile() && path.extname(item).toLowerCase() === '.enc') {
-        encFiles.push(fullPath);
-      }
-    }
-  }
-  
-  scanDirectory(directory);
-  return encFiles;
-}
-
-async function decryptFile(filePath, algorithm, secretKey, overwrite = false) {
-  try {
-    // Read and validate encrypted file
-    const encryptedContent = fs.readFileSync(filePath, 'utf8');
-    const encryptedData = JSON.parse(encryptedContent);
-    
-    // Validate encrypted data structure
-    if (!encryptedData.iv || !encryptedData.encrypted) {
-      throw new Error('Invalid encrypted file format: missing iv or encrypted data');
-    }
-    
-    if (algorithm.includes('gcm') && !encryptedData.authTag) {
-      throw new Error('Invalid encrypted file format: missing authTag for GCM mode');
-    }
-    
-    // Decrypt the data
-    const decryptedData = decryptData(encryptedData, algorithm, secretKey);
-    
-    // Validate JSON format
-    JSON.parse(decryptedData);
-    
-    // Generate output path
-    const outputPath = filePath.replace(/\.enc$/i, '.json');
-    
-    // Check if output file exists
-    if (fs.existsSync(outputPath) && !overwrite) {
-      throw new Error(`Output file already exists: ${outputPath}. Use --overwrite to replace it.`);
-    }
-    
-    // Write decrypted file
-    fs.writeFileSync(outputPath, decryptedData);
-    
-    return {
-      success: true,
-      inputFile: filePath,
-      outputFile: outputPath
-    };
-  } catch (error) {
-    return {
-      success: false,
-      inputFile: filePath,
-      error: error.message
-    };
-  }
-}
+// Supported decryption algorithms
+const SUPPORTED_ALGORITHMS = Object.keys(ALGORITHMS);
 
 async function interactiveMode(directory) {
   intro('🔓 Batch JSON Decryption Tool');
@@ -120,18 +37,16 @@ async function interactiveMode(directory) {
     if (defaultSecret) console.log(`   Secret: ${'*'.repeat(defaultSecret.length)}`);
   }
   
-  const algorithms = [
-    'aes-256-cbc', 'aes-192-cbc', 'aes-128-cbc',
-    'aes-256-gcm', 'aes-192-gcm', 'aes-128-gcm'
-  ];
-  
   const algorithm = await select({
     message: 'Choose decryption algorithm:',
-    options: algorithms.map(alg => ({
-      value: alg,
-      label: alg.toUpperCase() + (alg === defaultAlgorithm ? ' (default)' : '')
-    })),
-    initialValue: defaultAlgorithm
+    options: [
+      { value: 'auto', label: 'Auto-detect from envelope header' },
+      ...SUPPORTED_ALGORITHMS.map(alg => ({
+        value: alg,
+        label: alg.toUpperCase() + (alg === defaultAlgorithm ? ' (default)' : '')
+      }))
+    ],
+    initialValue: defaultAlgorithm || 'auto'
   });
   
   const secretKey = await text({
@@ -146,53 +61,49 @@ async function interactiveMode(directory) {
   });
   
   const overwrite = await confirm({
-    message: 'Overwrite existing JSON files?',
+    message: 'Overwrite existing decrypted files?',
     initialValue: false
   });
   
-  return { algorithm, secretKey, recursive, overwrite };
+  return { algorithm: algorithm === 'auto' ? undefined : algorithm, secretKey, recursive, overwrite };
 }
 
-async function batchDecrypt(directory, algorithm, secretKey, recursive = false, overwrite = false) {
+// `options` are batchDecrypt's from the library; progress goes to the spinner
+async function batchDecrypt(directory, options) {
+  const { concurrency, dryRun } = options;
   const s = spinner();
   
   try {
     s.start('🔍 Scanning for .enc files...');
     
-    // Find all .enc files
-    const encFiles = findEncFiles(directory, recursive);
+    const results = await batchDecryptFiles(directory, {
+      ...options,
+      onProgress: (file, index, total) => {
+        // With workers, files finish out of order: show the running count
+        s.message(concurrency > 1
+          ? `🔓 Decrypting files: ${index + 1}/${total} decrypted (${concurrency} workers)...`
+          : `🔓 Decrypting ${path.basename(file)} (${index + 1}/${total})...`);
+      }
+    });
+    const total = results.success.length + results.failed.length;
     
-    if (encFiles.length === 0) {
+    if (total === 0) {
       s.stop('❌ No .enc files found in the specified directory');
-      return;
+      return results;
     }
     
-    s.message(`📁 Found ${encFiles.length} .enc file(s). Starting decryption...`);
-    
-    const results = {
-      success: [],
-      failed: []
-    };
+    s.stop();
     
-    // Process each file
-    for (let i = 0; i < encFiles.length; i++) {
-      const file = encFiles[i];
-      s.message(`🔓 Decrypting ${path.basename(file)} (${i + 1}/${encFiles.length})...`);
-      
-      const result = await decryptFile(file, algorithm, secretKey, overwrite);
-      
-      if (result.success) {
-        results.success.push(result);
-      } else {
-        results.failed.push(result);
-      }
+    if (dryRun) {
+      showDryRun(directory, results);
+      return results;
     }
     
-    s.stop();
-    
     // Display results
     console.log('\n📊 Batch Decryption Results:');
-    console.log(`✅ Successfully decrypted: ${results.success.length} files`);
+    console.log(results.committed === false
+      ? `⏸️  Ready but not written: ${results.success.length} files`
+      : `✅ Successfully decrypted: ${results.success.length} files`);
     
     if (results.success.length > 0) {
       console.log('\n📁 Decrypted files:');
@@ -208,13 +119,51 @@ async function batchDecrypt(directory, algorithm, secretKey, recursive = false,
       });
     }
     
-    outro(`🎉 Batch decryption completed! ${results.success.length}/${encFiles.length} files decrypted successfully.`);
+    if (results.committed === false) {
+      console.log('\n⚠️  No files were changed (--atomic). Fix the failures above and run again.');
+      return results;
+    }
+    const backups = results.success.filter(result => result.backup);
+    if (backups.length > 0) {
+      console.log(`\n⚠️  ${backups.length} replaced file${backups.length === 1 ? ' was' : 's were'} kept as plaintext .bak copies for --undo:`);
+      backups.forEach(result => console.log(`   ${path.relative(directory, result.backup)}`));
+      console.log('   The next --atomic run removes them; delete them yourself if you do not need --undo');
+    }
     
+    outro(`🎉 Batch decryption completed! ${results.success.length}/${total} files decrypted successfully.`);
+    return results;
+  
   } catch (error) {
     s.stop(`❌ Error during batch decryption: ${error.message}`);
+    return null;
+  }
+}
+
+function showDryRun(directory, results) {
+  console.log('\n🔎 Dry run: nothing was written');
+  if (results.success.length > 0) {
+    console.log(`\n📁 Would decrypt: ${results.success.length} files`);
+    results.success.forEach(result => {
+      console.log(`   ${path.relative(directory, result.inputFile)} → ${path.relative(directory, result.outputFile)}`);
+    });
+  }
+  if (results.failed.length > 0) {
+    console.log(`\n❌ Would fail: ${results.failed.length} files`);
+    results.failed.forEach(result => {
+      console.log(`   ${path.relative(directory, result.inputFile)}: ${result.error}`);
+    });
   }
 }
 
+async function undo(directory) {
+  const results = await undoBatch(directory);
+  
+  console.log(`↩️  Undid the last --atomic run in ${directory}`);
+  results.restored.forEach(file => console.log(`   restored ${path.relative(directory, file)} from .bak`));
+  results.removed.forEach(file => console.log(`   removed ${path.relative(directory, file)}`));
+  results.skipped.forEach(file => console.log(`   ⚠️  left ${path.relative(directory, file)} alone: it changed after that run`));
+}
+
 program
   .name('batch-dec')
   .description('Batch decrypt .enc files in a directory')
@@ -222,11 +171,31 @@ program
 
 program
   .argument('<directory>', 'Directory containing .enc files to decrypt')
-  .option('-a, --algorithm <algorithm>', 'Decryption algorithm (aes-128-cbc, aes-192-cbc, aes-256-cbc, aes-128-gcm, aes-192-gcm, aes-256-gcm)')
+  .option('-a, --algorithm <algorithm>', 'Decryption algorithm for files without an envelope header (aes-128-cbc, aes-192-cbc, aes-256-cbc, aes-128-gcm, aes-192-gcm, aes-256-gcm)')
   .option('--secret <key>', 'Secret key used for encryption')
+  .option('--key-file <file>', 'Read the secret from a key file (see json-encrypt keygen)')
+  .option('--private-key <key-file>', 'Private key (PEM) for files encrypted for public-key recipients')
+  .option('--passphrase <passphrase>', 'Passphrase of a protected private key')
   .option('-r, --recursive', 'Include subdirectories')
-  .option('--overwrite', 'Overwrite existing JSON files')
-  .action(async (directory, options) => {
+  .option('--overwrite', 'Overwrite existing decrypted files')
+  .option('--include <globs...>', 'Only decrypt .enc files matching these globs, relative to the directory, e.g. "config/**"')
+  .option('--exclude <globs...>', 'Skip .enc files matching these globs, on top of the default excludes and .encignore')
+  .option('--output-format <format>', `Convert decrypted files to this format instead of restoring their original one: ${getFormatNames().join(', ')}`)
+  .option('--kdf <name>', 'Key derivation function for files without an envelope header (scrypt, pbkdf2)')
+  .option('--kdf-n <N>', 'scrypt CPU/memory cost for files without an envelope header')
+  .option('--kdf-r <r>', 'scrypt block size for files without an envelope header')
+  .option('--kdf-p <p>', 'scrypt parallelization for files without an envelope header')
+  .option('--kdf-iterations <count>', 'PBKDF2-SHA256 iterations for files without an envelope header')
+  .option('--atomic', 'Write nothing unless every file succeeds; replaced files are kept as .bak')
+  .option('--undo', 'Put back the files the last --atomic run in the directory replaced or created')
+  .option('--concurrency <n>', 'Process files in this many worker threads (default: 1, or ENC_CONCURRENCY)')
+  .option('--stream-threshold <size>', 'Stream files at least this large instead of loading them into memory, e.g. 64MB (default: 16MB)')
+  .option('--out-dir <dir>', 'Write decrypted files under this directory, mirroring their paths relative to <directory>')
+  .option('--ext-map <mappings...>', 'Rename outputs by input extension, e.g. ".yaml.enc=.yml" (the longest match wins)')
+  .option('--dry-run', 'List what would be decrypted and where, without writing anything; needs no key')
+  .option('--json', 'Print a JSON report of every file to stdout; other output goes to stderr')
+  .option('--allow-partial', 'Exit with 0 when some files fail, as long as one succeeded')
+  .action(async (directory, cliOptions) => {
     try {
       // Validate directory
       if (!fs.existsSync(directory)) {
@@ -239,10 +208,43 @@ program
         process.exit(1);
       }
       
+      if (cliOptions.undo) {
+        await undo(directory);
+        return;
+      }
+      
+      // The report owns stdout
+      if (cliOptions.json) {
+        enterPipeMode();
+      }
+      
+      // Settings from .jsonencryptrc fill in what the command line leaves out;
+      // its rules are applied per file
+      const project = loadProjectConfig();
+      const options = applyProjectConfig(cliOptions, { project });
+      // The config's include and exclude select source files for batch-enc
+      const filters = {
+        include: cliOptions.include,
+        exclude: cliOptions.exclude,
+        fileOptions: file => getFileOverrides(cliOptions, file, { project }),
+        concurrency: resolveConcurrency(options),
+        ...resolveOutDir(options),
+        atomic: options.atomic,
+        dryRun: options.dryRun
+      };
+      if (project) {
+        console.log(`📋 Using config: ${path.relative(process.cwd(), project.file)}`);
+      }
+      
       let algorithm = options.algorithm;
       let secretKey = options.secret;
       let recursive = options.recursive || false;
       let overwrite = options.overwrite || false;
+      const legacyKdf = resolveLegacyKdf(options);
+      const privateKey = resolvePrivateKey(options);
+      const keyFile = resolveKeyFile(options);
+      const streamThreshold = resolveStreamThreshold(options);
+      const { outputFormat } = resolveSourceFormats(options);
       
       // Use environment variables as defaults if not provided
       if (!algorithm && process.env.ENC_ALGORITHM) {
@@ -250,13 +252,26 @@ program
         console.log(`📋 Using algorithm from .env: ${algorithm}`);
       }
       
-      if (!secretKey && process.env.ENC_SECRET) {
+      if (keyFile) {
+        secretKey = keyFile.secret;
+        console.log(`📋 Using key file: ${keyFile.file}`);
+      } else if (!secretKey && process.env.ENC_SECRET) {
         secretKey = process.env.ENC_SECRET;
         console.log(`📋 Using secret from .env: ${'*'.repeat(secretKey.length)}`);
       }
       
-      // If still missing parameters, use interactive mode
-      if (!algorithm || !secretKey) {
+      if (privateKey && !options.privateKey) {
+        console.log(`📋 Using private key from .env: ${process.env.ENC_PRIVATE_KEY}`);
+      }
+      
+      // If still missing parameters, use interactive mode.
+      // The algorithm is optional: files with an envelope header record their own.
+      // A private key alone is enough for files encrypted for recipients,
+      // and a dry run reads only envelope headers.
+      if (!secretKey && !privateKey && !options.dryRun) {
+        if (options.json) {
+          throw new InvalidOptionError('--json needs a secret, key file or private key: it never prompts');
+        }
         const interactive = await interactiveMode(directory);
         algorithm = algorithm || interactive.algorithm;
         secretKey = secretKey || interactive.secretKey;
@@ -265,20 +280,36 @@ program
       }
       
       // Validate algorithm
-      const supportedAlgorithms = [
-        'aes-256-cbc', 'aes-192-cbc', 'aes-128-cbc',
-        'aes-256-gcm', 'aes-192-gcm', 'aes-128-gcm'
-      ];
-      
-      if (!supportedAlgorithms.includes(algorithm)) {
+      if (algorithm && !SUPPORTED_ALGORITHMS.includes(algorithm)) {
         console.error(`❌ Unsupported algorithm: ${algorithm}`);
-        console.error(`Supported algorithms: ${supportedAlgorithms.join(', ')}`);
+        console.error(`Supported algorithms: ${SUPPORTED_ALGORITHMS.join(', ')}`);
         process.exit(1);
       }
       
       // Start batch decryption
-      await batchDecrypt(directory, algorithm, secretKey, recursive, overwrite);
+      const started = Date.now();
+      const results = await batchDecrypt(directory, {
+        algorithm,
+        secret: secretKey,
+        legacyKdf,
+        privateKey,
+        recursive,
+        overwrite,
+        streamThreshold,
+        outputFormat,
+        ...filters
+      });
+      if (!results) {
+        process.exitCode = 1;
+        return;
+      }
       
+      const report = { operation: 'decrypt', directory, dryRun: Boolean(options.dryRun), allowPartial: options.allowPartial, duration: Date.now() - started };
+      if (options.json) {
+        await writeOutput('-', formatBatchReport(results, report));
+      }
+      process.exitCode = getBatchExitCode(results, report);
+    
     } catch (error) {
       console.error(`❌ Error: ${error.message}`);
       process.exit(1);
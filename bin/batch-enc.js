@@ -4,102 +4,22 @@
 require('dotenv').config();
 
 const { program } = require('commander');
-const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const { intro, outro, text, select, confirm, spinner } = require('@clack/prompts');
-
-// Supported encryption algorithms
-const ALGORITHMS = {
-  'aes-256-cbc': 'AES-256-CBC',
-  'aes-192-cbc': 'AES-192-CBC',
-  'aes-128-cbc': 'AES-128-CBC',
-  'aes-256-gcm': 'AES-256-GCM',
-  'aes-192-gcm': 'AES-192-GCM',
-  'aes-128-gcm': 'AES-128-GCM'
-};
-
-function encryptData(data, algorithm, secretKey) {
-  const key = crypto.scryptSync(secretKey, 'salt', algorithm.includes('256') ? 32 : algorithm.includes('192') ? 24 : 16);
-  
-  if (algorithm.includes('gcm')) {
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipheriv(algorithm, key, iv);
-    cipher.setAAD(Buffer.from('json-encrypt', 'utf8'));
-    
-    let encrypted = cipher.update(data, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    const authTag = cipher.getAuthTag();
-    
-    return {
-      iv: iv.toString('hex'),
-      authTag: authTag.toString('hex'),
-      encrypted
-    };
-  } else {
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipheriv(algorithm, key, iv);
-    
-    let encrypted = cipher.update(data, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    
-    return {
-      iv: iv.toString('hex'),
-      encrypted
-    };
-  }
-}
-
-function findJsonFiles(directory, recursive = false) {
-  const jsonFiles = [];
-  
-  function scanDirectory(dir) {
-    const items = fs.readdirSync(dir);
-    
-    for (const item of items) {
-      const fullPath = path.join(dir, item);
-      const stat = fs.statSync(fullPath);
-      
-      if (stat.isDirectory() && recursive) {
-        scanDirectory(fullPath);
-      } else if (stat.isFile() && path.extname(item).toLowerCase() === '.json') {
-        jsonFiles.push(fullPath);
-      }
-    }
-  }
-  
-  scanDirectory(directory);
-  return jsonFiles;
-}
-
-async function encryptFile(filePath, algorithm, secretKey) {
-  try {
-    // Read and validate JSON file
-    const jsonData = fs.readFileSync(filePath, 'utf8');
-    JSON.parse(jsonData); // Validate JSON format
-    
-    // Encrypt the data
-    const encryptedData = encryptData(jsonData, algorithm, secretKey);
-    
-    // Generate output path
-    const outputPath = filePath.replace(/\.json$/i, '.enc');
-    
-    // Write encrypted file
-    fs.writeFileSync(outputPath, JSON.stringify(encryptedData, null, 2));
-    
-    return {
-      success: true,
-      inputFile: filePath,
-      outputFile: outputPath
-    };
-  } catch (error) {
-    return {
-      success: false,
-      inputFile: filePath,
-      error: error.message
-    };
-  }
-}
+const { ALGORITHMS, batchEncrypt: batchEncryptFiles, resolveKdf } = require('..');
+const { resolveFieldLevel } = require('../lib/fields');
+const { resolveRecipients } = require('../lib/recipients');
+const { resolveKeyFile } = require('../lib/keys');
+const { resolveStreamThreshold } = require('../lib/stream');
+const { resolveConcurrency, getBatchExitCode, formatBatchReport } = require('../lib/batch');
+const { InvalidOptionError } = require('../lib/errors');
+const { enterPipeMode, writeOutput } = require('../lib/pipe');
+const { undoBatch } = require('../lib/transaction');
+const { resolveOutDir } = require('../lib/outdir');
+const { FORMATS, resolveFormat } = require('../lib/format');
+const { getFormatNames, resolveSourceFormats } = require('../lib/handlers');
+const { loadProjectConfig, applyProjectConfig, getFileOverrides } = require('../lib/config');
 
 async function interactiveMode(directory) {
   intro('📦 Batch JSON Encryption Tool');
@@ -138,46 +58,45 @@ async function interactiveMode(directory) {
   return { algorithm, secretKey, recursive };
 }
 
-async function batchEncrypt(directory, algorithm, secretKey, recursive = false) {
+// `options` are batchEncrypt's from the library; progress goes to the spinner
+async function batchEncrypt(directory, options) {
+  const { inputFormat, concurrency, dryRun, removePlaintext, gitignore } = options;
   const s = spinner();
   
   try {
-    s.start('🔍 Scanning for JSON files...');
+    s.start('🔍 Scanning for files to encrypt...');
     
-    // Find all JSON files
-    const jsonFiles = findJsonFiles(directory, recursive);
+    const results = await batchEncryptFiles(directory, {
+      ...options,
+      onProgress: (file, index, total) => {
+        // With workers, files finish out of order: show the running count
+        s.message(concurrency > 1
+          ? `🔐 Encrypting files: ${index + 1}/${total} encrypted (${concurrency} workers)...`
+          : `🔐 Encrypting ${path.basename(file)} (${index + 1}/${total})...`);
+      }
+    });
+    const total = results.success.length + results.failed.length + results.skipped.length;
     
-    if (jsonFiles.length === 0) {
-      s.stop('❌ No JSON files found in the specified directory');
-      return;
+    if (total === 0) {
+      s.stop(`❌ No ${inputFormat ? inputFormat.join(', ') : 'JSON'} files found in the specified directory${inputFormat ? '' : ' (use --input-format for other formats)'}`);
+      return results;
     }
     
-    s.message(`📁 Found ${jsonFiles.length} JSON file(s). Starting encryption...`);
-    
-    const results = {
-      success: [],
-      failed: []
-    };
+    s.stop();
     
-    // Process each file
-    for (let i = 0; i < jsonFiles.length; i++) {
-      const file = jsonFiles[i];
-      s.message(`🔐 Encrypting ${path.basename(file)} (${i + 1}/${jsonFiles.length})...`);
-      
-      const result = await encryptFile(file, algorithm, secretKey);
-      
-      if (result.success) {
-        results.success.push(result);
-      } else {
-        results.failed.push(result);
-      }
+    if (dryRun) {
+      showDryRun(directory, results);
+      return results;
     }
     
-    s.stop();
-    
     // Display results
     console.log('\n📊 Batch Encryption Results:');
-    console.log(`✅ Successfully encrypted: ${results.success.length} files`);
+    console.log(results.committed === false
+      ? `⏸️  Ready but not written: ${results.success.length} files`
+      : `✅ Successfully encrypted: ${results.success.length} files`);
+    if (results.skipped.length > 0) {
+      console.log(`⏭️  Unchanged since the last run: ${results.skipped.length} files (--force re-encrypts them)`);
+    }
     
     if (results.success.length > 0) {
       console.log('\n📁 Encrypted files:');
@@ -193,24 +112,103 @@ async function batchEncrypt(directory, algorithm, secretKey, recursive = false)
       });
     }
     
-    outro(`🎉 Batch encryption completed! ${results.success.length}/${jsonFiles.length} files encrypted successfully.`);
+    if (results.committed === false) {
+      console.log('\n⚠️  No files were changed (--atomic). Fix the failures above and run again.');
+      return results;
+    }
+    if (results.success.some(result => result.backup)) {
+      console.log('\n↩️  Replaced files were kept as .bak until the next --atomic run; --undo puts them back');
+    }
+    if (removePlaintext) {
+      showRemovedPlaintext(directory, results, gitignore);
+    }
     
+    const unchanged = results.skipped.length > 0 ? ` ${results.skipped.length} unchanged.` : '';
+    outro(`🎉 Batch encryption completed! ${results.success.length}/${total - results.skipped.length} files encrypted successfully.${unchanged}`);
+    return results;
+  
   } catch (error) {
     s.stop(`❌ Error during batch encryption: ${error.message}`);
+    return null;
   }
 }
 
+function showRemovedPlaintext(directory, results, gitignore) {
+  const entries = [...results.success, ...results.skipped];
+  const removed = entries.filter(result => result.removed);
+  
+  console.log(`\n🧹 Removed plaintext: ${removed.length} files${gitignore ? ' (added to .gitignore)' : ''}`);
+  entries.filter(result => result.removeError).forEach(result => {
+    console.log(`   ⚠️  kept ${path.relative(directory, result.inputFile)}: ${result.removeError}`);
+  });
+}
+
+function showDryRun(directory, results) {
+  console.log('\n🔎 Dry run: nothing was written');
+  if (results.success.length > 0) {
+    console.log(`\n📁 Would encrypt: ${results.success.length} files`);
+    results.success.forEach(result => {
+      console.log(`   ${path.relative(directory, result.inputFile)} → ${path.relative(directory, result.outputFile)}`);
+    });
+  }
+  if (results.skipped.length > 0) {
+    console.log(`\n⏭️  Unchanged since the last run: ${results.skipped.length} files (--force re-encrypts them)`);
+  }
+  if (results.failed.length > 0) {
+    console.log(`\n❌ Would fail: ${results.failed.length} files`);
+    results.failed.forEach(result => {
+      console.log(`   ${path.relative(directory, result.inputFile)}: ${result.error}`);
+    });
+  }
+}
+
+async function undo(directory) {
+  const results = await undoBatch(directory);
+  
+  console.log(`↩️  Undid the last --atomic run in ${directory}`);
+  results.restored.forEach(file => console.log(`   restored ${path.relative(directory, file)} from .bak`));
+  results.removed.forEach(file => console.log(`   removed ${path.relative(directory, file)}`));
+  results.skipped.forEach(file => console.log(`   ⚠️  left ${path.relative(directory, file)} alone: it changed after that run`));
+}
+
 program
   .name('batch-enc')
-  .description('Batch encrypt JSON files in a directory')
+  .description('Batch encrypt JSON, YAML, TOML, .env and JSON5 files in a directory')
   .version('1.0.0');
 
 program
-  .argument('<directory>', 'Directory containing JSON files to encrypt')
+  .argument('<directory>', 'Directory containing JSON files to encrypt, or files in the --input-format formats')
   .option('--alg <algorithm>', 'Encryption algorithm')
   .option('--secret <key>', 'Secret key for encryption')
+  .option('--key-file <file>', 'Read the secret from a key file (see json-encrypt keygen); 32-byte keys skip key derivation')
   .option('-r, --recursive', 'Include subdirectories')
-  .action(async (directory, options) => {
+  .option('--include <globs...>', 'Only encrypt files matching these globs, relative to the directory, e.g. "config/**/*.json"')
+  .option('--exclude <globs...>', 'Skip files matching these globs, on top of the default excludes and .encignore, e.g. "**/fixtures/**"')
+  .option('--format <format>', `Output format: ${Object.keys(FORMATS).join(', ')} (default: hex)`)
+  .option('--input-format <formats...>', `Encrypt files in these formats instead of only JSON: ${getFormatNames().join(', ')}`)
+  .option('--output-format <format>', 'Convert files to this format before encrypting; decryption restores them as that format')
+  .option('--field-level', 'Encrypt only leaf values, keeping keys and structure readable')
+  .option('--fields <paths>', 'Comma-separated JSONPath list of values to encrypt, e.g. "$.accounts[*].password" (implies --field-level)')
+  .option('--field-regex <regex>', 'Encrypt values whose key matches this regex, e.g. "^(password|apiKey|token)$" (implies --field-level)')
+  .option('--recipient <key-files...>', 'Encrypt for these X25519 or RSA public keys (PEM) instead of a secret')
+  .option('--kdf <name>', 'Key derivation function (scrypt, pbkdf2)')
+  .option('--kdf-n <N>', 'scrypt CPU/memory cost, a power of two (default: 16384)')
+  .option('--kdf-r <r>', 'scrypt block size (default: 8)')
+  .option('--kdf-p <p>', 'scrypt parallelization (default: 1)')
+  .option('--kdf-iterations <count>', 'PBKDF2-SHA256 iterations (default: 600000)')
+  .option('--force', 'Re-encrypt every file, including those unchanged since the last run (see .enc-manifest.json)')
+  .option('--atomic', 'Write nothing unless every file succeeds; replaced files are kept as .bak')
+  .option('--undo', 'Put back the files the last --atomic run in the directory replaced or created')
+  .option('--concurrency <n>', 'Process files in this many worker threads (default: 1, or ENC_CONCURRENCY)')
+  .option('--stream-threshold <size>', 'Stream files at least this large instead of loading them into memory, e.g. 64MB (default: 16MB)')
+  .option('--out-dir <dir>', 'Write encrypted files under this directory, mirroring their paths relative to <directory>')
+  .option('--ext-map <mappings...>', 'Rename outputs by input extension, e.g. ".json=.json.enc" (the longest match wins)')
+  .option('--remove-plaintext', 'Delete each source, overwriting it first, once its .enc file decrypts back to it')
+  .option('--gitignore', 'With --remove-plaintext, also add each removed file to .gitignore')
+  .option('--dry-run', 'List what would be encrypted and where, without writing anything')
+  .option('--json', 'Print a JSON report of every file to stdout; other output goes to stderr')
+  .option('--allow-partial', 'Exit with 0 when some files fail, as long as one succeeded')
+  .action(async (directory, cliOptions) => {
     try {
       // Validate directory
       if (!fs.existsSync(directory)) {
@@ -223,9 +221,48 @@ program
         process.exit(1);
       }
       
+      if (cliOptions.undo) {
+        await undo(directory);
+        return;
+      }
+      
+      // The report owns stdout
+      if (cliOptions.json) {
+        enterPipeMode();
+      }
+      
+      // Settings from .jsonencryptrc fill in what the command line leaves out;
+      // its rules are applied per file
+      const project = loadProjectConfig();
+      const options = applyProjectConfig(cliOptions, { project });
+      const filters = {
+        include: options.include,
+        exclude: options.exclude,
+        baseDir: options.baseDir,
+        outputName: options.outputName,
+        fileOptions: file => getFileOverrides(cliOptions, file, { project }),
+        concurrency: resolveConcurrency(options),
+        ...resolveOutDir(options),
+        force: options.force,
+        atomic: options.atomic,
+        dryRun: options.dryRun,
+        removePlaintext: options.removePlaintext,
+        gitignore: options.gitignore
+      };
+      if (project) {
+        console.log(`📋 Using config: ${path.relative(process.cwd(), project.file)}`);
+      }
+      
       let algorithm = options.alg;
       let secretKey = options.secret;
       let recursive = options.recursive || false;
+      const kdf = resolveKdf(options);
+      const fieldLevel = resolveFieldLevel(options);
+      const recipients = resolveRecipients(options);
+      const keyFile = resolveKeyFile(options);
+      const streamThreshold = resolveStreamThreshold(options);
+      const format = resolveFormat(options);
+      const { inputFormat, outputFormat } = resolveSourceFormats(options);
       
       // Use environment variables as defaults if not provided
       if (!algorithm && process.env.ENC_ALGORITHM) {
@@ -233,13 +270,32 @@ program
         console.log(`📋 Using algorithm from .env: ${algorithm}`);
       }
       
-      if (!secretKey && process.env.ENC_SECRET) {
+      if (recipients.length > 0 && options.removePlaintext) {
+        throw new InvalidOptionError('--remove-plaintext checks each file decrypts with the secret, so it does not work with --recipient');
+      }
+      if (recipients.length > 0) {
+        console.log(`🔑 Encrypting for ${recipients.length} recipient${recipients.length === 1 ? '' : 's'}`);
+      } else if (keyFile) {
+        secretKey = keyFile.secret;
+        console.log(`📋 Using key file: ${keyFile.file}${Buffer.isBuffer(secretKey) ? ' (raw key, no key derivation)' : ''}`);
+      } else if (!secretKey && process.env.ENC_SECRET) {
         secretKey = process.env.ENC_SECRET;
         console.log(`📋 Using secret from .env: ${'*'.repeat(secretKey.length)}`);
       }
       
+      if (!options.kdf && process.env.ENC_KDF) {
+        console.log(`📋 Using KDF from .env: ${kdf.name}`);
+      }
+      
+      if (!options.format && process.env.ENC_FORMAT) {
+        console.log(`📋 Using output format from .env: ${format}`);
+      }
+      
       // If still missing parameters, use interactive mode
-      if (!algorithm || !secretKey) {
+      if (!algorithm || (!secretKey && recipients.length === 0)) {
+        if (options.json) {
+          throw new InvalidOptionError('--json needs an algorithm and a secret, key file or recipient: it never prompts');
+        }
         const interactive = await interactiveMode(directory);
         algorithm = algorithm || interactive.algorithm;
         secretKey = secretKey || interactive.secretKey;
@@ -254,8 +310,31 @@ program
       }
       
       // Start batch encryption
-      await batchEncrypt(directory, algorithm, secretKey, recursive);
+      const started = Date.now();
+      const results = await batchEncrypt(directory, {
+        algorithm,
+        secret: secretKey,
+        kdf,
+        fieldLevel,
+        recipients,
+        recursive,
+        streamThreshold,
+        format,
+        inputFormat,
+        outputFormat,
+        ...filters
+      });
+      if (!results) {
+        process.exitCode = 1;
+        return;
+      }
       
+      const report = { operation: 'encrypt', directory, dryRun: Boolean(options.dryRun), allowPartial: options.allowPartial, duration: Date.now() - started };
+      if (options.json) {
+        await writeOutput('-', formatBatchReport(results, report));
+      }
+      process.exitCode = getBatchExitCode(results, report);
+    
     } catch (error) {
       console.error(`❌ Error: ${error.message}`);
       process.exit(1);
@@ -4,41 +4,43 @@
 require('dotenv').config();
 
 const { program } = require('commander');
-const crypto = require('crypto');
-const fs = require('fs');
 const path = require('path');
 const { intro, outro, text, confirm, spinner } = require('@clack/prompts');
+const { ALGORITHMS, decryptFile: decryptEncFile, decryptDocument, parseEnvelope } = require('..');
+const { hasEnvelopeHeader } = require('../lib/envelope');
+const { FIELD_HEADER_KEY, isFieldEnvelope } = require('../lib/fields');
+const { resolveLegacyKdf } = require('../lib/kdf');
+const { isRecipientEnvelope, resolvePrivateKey } = require('../lib/recipients');
+const { resolveKeyFile } = require('../lib/keys');
+const { resolveStreamThreshold, readEnvelopeHeader } = require('../lib/stream');
+const { getFormatNames, resolveSourceFormats } = require('../lib/handlers');
+const { STDIO, isStdio, enterPipeMode, readInput, readStdin, writeOutput } = require('../lib/pipe');
+const { loadProjectConfig, applyProjectConfig } = require('../lib/config');
+const { resolveOutDir } = require('../lib/outdir');
+const { resolveTtl, scheduleRemoval } = require('../lib/shred');
+const { InvalidOptionError } = require('../lib/errors');
 
-function decryptData(encryptedData, algorithm, secretKey) {
-  const keyLength = algorithm.includes('256') ? 32 : 
-                   algorithm.includes('192') ? 24 : 16;
-  const key = crypto.scryptSync(secretKey, 'salt', keyLength);
-  
-  const iv = Buffer.from(encryptedData.iv, 'hex');
-  
-  let decrypted;
-  
-  if (algorithm.includes('gcm')) {
-    // GCM mode decryption
-    const decipher = crypto.createDecipheriv(algorithm, key, iv);
-    if (encryptedData.authTag) {
-      decipher.setAuthTag(Buffer.from(encryptedData.authTag, 'hex'));
-    }
-    decipher.setAAD(Buffer.from('json-encrypt', 'utf8'));
-    
-    decrypted = decipher.update(encryptedData.encrypted, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-  } else {
-    // CBC mode decryption
-    const decipher = crypto.createDecipheriv(algorithm, key, iv);
-    decrypted = decipher.update(encryptedData.encrypted, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
+// Supported decryption algorithms
+const SUPPORTED_ALGORITHMS = Object.keys(ALGORITHMS);
+
+// Only the header is needed here; large payloads are not read into memory
+async function readEnvelopeFile(filePath) {
+  try {
+    return isStdio(filePath) ? parseEnvelope(await readStdin()) : await readEnvelopeHeader(filePath);
+  } catch (error) {
+    return null;
   }
-  
-  return decrypted;
 }
 
-async function interactiveMode(filePath) {
+function readHeaderAlgorithm(encryptedData) {
+  // Returns the algorithm recorded in the envelope header, or null for legacy/unreadable files
+  if (isFieldEnvelope(encryptedData)) {
+    return encryptedData[FIELD_HEADER_KEY].algorithm;
+  }
+  return hasEnvelopeHeader(encryptedData) ? encryptedData.algorithm : null;
+}
+
+async function interactiveMode(filePath, headerAlgorithm) {
   intro('🔓 JSON Decryption Tool');
   
   // Get defaults from environment variables
@@ -53,22 +55,27 @@ async function interactiveMode(filePath) {
     console.log('');
   }
   
-  const algorithm = await text({
-    message: 'Enter the encryption algorithm used:',
-    placeholder: defaultAlgorithm ? 'Press Enter to use default from .env...' : 'e.g., aes-256-cbc, aes-256-gcm, aes-192-cbc...',
-    defaultValue: defaultAlgorithm || '',
-    validate(value) {
-      if (!value) return 'Algorithm is required!';
-      const validAlgorithms = ['aes-128-cbc', 'aes-192-cbc', 'aes-256-cbc', 'aes-128-gcm', 'aes-192-gcm', 'aes-256-gcm'];
-      if (!validAlgorithms.includes(value)) {
-        return `Invalid algorithm. Must be one of: ${validAlgorithms.join(', ')}`;
-      }
-    },
-  });
+  let algorithm = headerAlgorithm;
   
-  if (algorithm === undefined) {
-    outro('❌ Operation cancelled');
-    process.exit(1);
+  if (headerAlgorithm) {
+    console.log(`📋 Algorithm from file header: ${headerAlgorithm}`);
+  } else {
+    algorithm = await text({
+      message: 'Enter the encryption algorithm used:',
+      placeholder: defaultAlgorithm ? 'Press Enter to use default from .env...' : 'e.g., aes-256-cbc, aes-256-gcm, aes-192-cbc...',
+      defaultValue: defaultAlgorithm || '',
+      validate(value) {
+        if (!value) return 'Algorithm is required!';
+        if (!SUPPORTED_ALGORITHMS.includes(value)) {
+          return `Invalid algorithm. Must be one of: ${SUPPORTED_ALGORITHMS.join(', ')}`;
+        }
+      },
+    });
+    
+    if (algorithm === undefined) {
+      outro('❌ Operation cancelled');
+      process.exit(1);
+    }
   }
   
   const secretKey = await text({
@@ -86,70 +93,43 @@ async function interactiveMode(filePath) {
   }
   
   const shouldOverwrite = await confirm({
-    message: 'Overwrite original JSON file if it exists?',
+    message: 'Overwrite the decrypted file if it exists?',
     initialValue: false
   });
   
   return { algorithm, secretKey, shouldOverwrite };
 }
 
-async function decryptFile(filePath, algorithm, secretKey, overwrite = false) {
+// Decrypt one file, or stdin, and report on it. `options` are those of the
+// library's decryptFile, plus `ttl` to remove the output after that many ms
+async function decryptFile(filePath, options) {
+  const { ttl = null, output, outDir, extensionMap, ...decryptOptions } = options;
+  const { overwrite = false } = decryptOptions;
   const s = spinner();
   
   try {
-    s.start('Reading encrypted file...');
-    
-    if (!fs.existsSync(filePath)) {
-      throw new Error(`File not found: ${filePath}`);
-    }
+    s.start('Decrypting file...');
     
-    if (!filePath.endsWith('.enc')) {
-      throw new Error('File must have .enc extension');
-    }
-    
-    const encryptedContent = fs.readFileSync(filePath, 'utf8');
-    
-    let encryptedData;
-    try {
-      encryptedData = JSON.parse(encryptedContent);
-    } catch (error) {
-      throw new Error('Invalid encrypted file format');
-    }
-    
-    // Validate encrypted data structure
-    if (!encryptedData.iv || !encryptedData.encrypted) {
-      throw new Error('Invalid encrypted file structure');
-    }
-    
-    s.message('Decrypting data...');
-    
-    const decryptedContent = decryptData(encryptedData, algorithm, secretKey);
-    
-    // Validate decrypted JSON
-    try {
-      JSON.parse(decryptedContent);
-    } catch (error) {
-      throw new Error('Decryption failed: Invalid secret key or corrupted data');
-    }
-    
-    // Determine output path
-    const outputPath = filePath.replace(/\.enc$/, '.json');
-    
-    // Check if output file exists
-    if (fs.existsSync(outputPath) && !overwrite) {
-      throw new Error(`Output file already exists: ${outputPath}. Use --overwrite flag or interactive mode to overwrite.`);
+    if (isStdio(filePath) || isStdio(output)) {
+      // Pipe mode: decrypted in memory, written to stdout or --output
+      const decrypted = await decryptDocument(await readInput(filePath), decryptOptions);
+      await writeOutput(output || STDIO, decrypted, overwrite);
+      s.stop('✅ Decryption completed successfully!');
+      if (ttl) {
+        showRemoval(output, scheduleRemoval(output, ttl));
+      }
+      return;
     }
     
-    s.message('Writing decrypted file...');
-    
-    // Format the JSON nicely
-    const formattedJson = JSON.stringify(JSON.parse(decryptedContent), null, 2);
-    fs.writeFileSync(outputPath, formattedJson);
+    const { outputFile: outputPath } = await decryptEncFile(filePath, { ...decryptOptions, output, outDir, extensionMap });
     
     s.stop('✅ Decryption completed successfully!');
     
     console.log(`\n📁 Decrypted file: ${outputPath}`);
-    
+    if (ttl) {
+      showRemoval(outputPath, scheduleRemoval(outputPath, ttl));
+    }
+  
   } catch (error) {
     s.stop('❌ Decryption failed!');
     console.error(`Error: ${error.message}`);
@@ -157,56 +137,146 @@ async function decryptFile(filePath, algorithm, secretKey, overwrite = false) {
   }
 }
 
+function showRemoval(outputPath, deadline) {
+  console.log(`⏳ ${outputPath} will be overwritten and removed at ${deadline.toLocaleString()}`);
+}
+
 // CLI setup
 program
   .name('dec')
-  .description('Decrypt .enc files back to JSON format')
+  .description('Decrypt .enc files back to their original format')
   .version('1.0.0');
 
 program
-  .argument('<file>', 'Path to .enc file to decrypt')
-  .option('-a, --algorithm <algorithm>', 'Encryption algorithm used (aes-128-cbc, aes-192-cbc, aes-256-cbc, aes-128-gcm, aes-192-gcm, aes-256-gcm)')
+  .argument('<file>', 'Path to .enc file to decrypt, or - for stdin')
+  .option('-o, --output <file>', 'Write the decrypted file here, or - for stdout (default: next to the input; stdout when reading stdin)')
+  .option('--out-dir <dir>', 'Write the decrypted file into this directory instead of next to the input')
+  .option('--ext-map <mappings...>', 'Rename the output by input extension, e.g. ".yaml.enc=.yml" (the longest match wins)')
+  .option('--ttl <duration>', 'Overwrite and remove the decrypted file after this long, e.g. 15m or 2h, from a background process')
+  .option('-a, --algorithm <algorithm>', 'Encryption algorithm used, only needed for files without an envelope header (aes-128-cbc, aes-192-cbc, aes-256-cbc, aes-128-gcm, aes-192-gcm, aes-256-gcm)')
   .option('--secret <key>', 'Secret key used for encryption')
+  .option('--key-file <file>', 'Read the secret from a key file (see json-encrypt keygen)')
+  .option('--private-key <key-file>', 'Private key (PEM) for files encrypted for public-key recipients')
+  .option('--passphrase <passphrase>', 'Passphrase of a protected private key')
   .option('--overwrite', 'Overwrite output file if it exists')
-  .action(async (file, options) => {
-    const filePath = path.resolve(file);
+  .option('--output-format <format>', `Convert the decrypted file to this format instead of restoring the original one: ${getFormatNames().join(', ')}`)
+  .option('--kdf <name>', 'Key derivation function for files without an envelope header (scrypt, pbkdf2)')
+  .option('--kdf-n <N>', 'scrypt CPU/memory cost for files without an envelope header')
+  .option('--kdf-r <r>', 'scrypt block size for files without an envelope header')
+  .option('--kdf-p <p>', 'scrypt parallelization for files without an envelope header')
+  .option('--kdf-iterations <count>', 'PBKDF2-SHA256 iterations for files without an envelope header')
+  .option('--stream-threshold <size>', 'Stream files at least this large instead of loading them into memory, e.g. 64MB (default: 16MB)')
+  .action(async (file, cliOptions) => {
+    // Reading stdin or writing stdout: keep stdout for data and report on stderr
+    if (isStdio(file) || isStdio(cliOptions.output)) {
+      enterPipeMode();
+    }
+    const filePath = isStdio(file) ? file : path.resolve(file);
+    const output = cliOptions.output && !isStdio(cliOptions.output) ? path.resolve(cliOptions.output) : cliOptions.output;
+    
+    // Settings from .jsonencryptrc fill in what the command line leaves out
+    let options;
+    try {
+      const project = loadProjectConfig();
+      options = applyProjectConfig(cliOptions, { filePath: isStdio(file) ? undefined : filePath, project });
+      if (project) {
+        console.log(`📋 Using config: ${path.relative(process.cwd(), project.file)}`);
+      }
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
     
     // Get defaults from environment variables
     const defaultAlgorithm = process.env.ENC_ALGORITHM;
     const defaultSecret = process.env.ENC_SECRET;
     
+    // Files with an envelope header record their own algorithm
+    const encryptedData = await readEnvelopeFile(filePath);
+    const headerAlgorithm = readHeaderAlgorithm(encryptedData);
+    
+    let legacyKdf;
+    let privateKey;
+    let keyFile;
+    let streamThreshold;
+    let outputFormat;
+    let placement;
+    let ttl;
+    try {
+      legacyKdf = resolveLegacyKdf(options);
+      streamThreshold = resolveStreamThreshold(options);
+      outputFormat = resolveSourceFormats(options).outputFormat;
+      privateKey = isRecipientEnvelope(encryptedData) ? resolvePrivateKey(options) : null;
+      keyFile = isRecipientEnvelope(encryptedData) ? null : resolveKeyFile(options);
+      placement = resolveOutDir(options);
+      if (isStdio(file) && Object.keys(placement).length > 0) {
+        throw new InvalidOptionError('--out-dir and --ext-map need an input file, not stdin');
+      }
+      ttl = resolveTtl(options);
+      if (ttl && (isStdio(output) || (isStdio(file) && !output))) {
+        throw new InvalidOptionError('--ttl needs an output file, not stdout');
+      }
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+    
     // Use provided options or fall back to environment defaults
     const algorithm = options.algorithm || defaultAlgorithm;
-    const secret = options.secret || defaultSecret;
+    const secret = options.secret || (keyFile ? keyFile.secret : defaultSecret);
+    const fileOptions = { legacyKdf, streamThreshold, outputFormat, output, ...placement, ttl };
     
-    if (secret && algorithm) {
+    if (isRecipientEnvelope(encryptedData)) {
+      // Public-key mode: any one recipient's private key decrypts the file
+      if (!privateKey) {
+        console.error('❌ This file is encrypted for public-key recipients.');
+        console.error('💡 Pass your private key with --private-key <file> or set ENC_PRIVATE_KEY in .env');
+        process.exit(1);
+      }
+      
+      console.log(`📋 Using algorithm from file header: ${headerAlgorithm}`);
+      if (!options.privateKey) {
+        console.log(`📋 Using private key from .env: ${process.env.ENC_PRIVATE_KEY}`);
+      }
+      
+      await decryptFile(filePath, { ...fileOptions, privateKey, overwrite: options.overwrite });
+      outro('🎉 Done! Your encrypted file has been decrypted.');
+    } else if (secret && (algorithm || headerAlgorithm)) {
        // Command line mode (with env defaults if needed)
-       const validAlgorithms = ['aes-128-cbc', 'aes-192-cbc', 'aes-256-cbc', 'aes-128-gcm', 'aes-192-gcm', 'aes-256-gcm'];
-       if (!validAlgorithms.includes(algorithm)) {
-         console.error(`❌ Invalid algorithm '${algorithm}'. Must be one of: ${validAlgorithms.join(', ')}`);
+       if (algorithm && !SUPPORTED_ALGORITHMS.includes(algorithm)) {
+         console.error(`❌ Invalid algorithm '${algorithm}'. Must be one of: ${SUPPORTED_ALGORITHMS.join(', ')}`);
          process.exit(1);
        }
        
        // Show what defaults were used
-       if (!options.algorithm && process.env.ENC_ALGORITHM) {
+       if (headerAlgorithm) {
+         console.log(`📋 Using algorithm from file header: ${headerAlgorithm}`);
+       } else if (!options.algorithm && process.env.ENC_ALGORITHM) {
          console.log(`📋 Using algorithm from .env: ${algorithm}`);
        }
-       if (!options.secret && process.env.ENC_SECRET) {
+       if (keyFile) {
+         console.log(`📋 Using key file: ${keyFile.file}`);
+       } else if (!options.secret && process.env.ENC_SECRET) {
          console.log(`📋 Using secret from .env: ${'*'.repeat(Math.min(secret.length, 20))}`);
        }
        
-       await decryptFile(filePath, algorithm, secret, options.overwrite);
+       await decryptFile(filePath, { ...fileOptions, algorithm, secret, overwrite: options.overwrite });
        outro('🎉 Done! Your encrypted file has been decrypted.');
-     } else if (options.secret || options.algorithm) {
+     } else if (cliOptions.secret || cliOptions.keyFile || cliOptions.algorithm) {
        // Partial command line arguments
-       console.error('❌ Both --algorithm and --secret are required for command line mode.');
+       console.error('❌ Both --algorithm and --secret are required for command line mode on files without an envelope header.');
        console.error('💡 Use interactive mode by running: npx dec <file>');
        console.error('💡 Or set defaults in .env file: ENC_ALGORITHM and ENC_SECRET');
        process.exit(1);
+     } else if (isStdio(filePath)) {
+       // stdin holds the encrypted file, so there is nothing to prompt with
+       console.error('❌ A secret is required when reading from stdin.');
+       console.error('💡 Pass --secret, --key-file or --private-key, or set ENC_SECRET in .env');
+       process.exit(1);
      } else {
        // Interactive mode
-       const { algorithm, secretKey, shouldOverwrite } = await interactiveMode(filePath);
-       await decryptFile(filePath, algorithm, secretKey, shouldOverwrite);
+       const { algorithm, secretKey, shouldOverwrite } = await interactiveMode(filePath, headerAlgorithm);
+       await decryptFile(filePath, { ...fileOptions, algorithm, secret: secretKey, overwrite: shouldOverwrite });
        outro('🎉 Done! Your encrypted file has been decrypted.');
      }
   });
@@ -4,114 +4,30 @@
 require('dotenv').config();
 
 const { program } = require('commander');
-const crypto = require('crypto');
-const fs = require('fs');
 const path = require('path');
 const { intro, outro, text, select, confirm, spinner } = require('@clack/prompts');
-
-// Supported encryption algorithms
-const ALGORITHMS = {
-  'aes-256-cbc': 'AES-256-CBC',
-  'aes-192-cbc': 'AES-192-CBC',
-  'aes-128-cbc': 'AES-128-CBC',
-  'aes-256-gcm': 'AES-256-GCM',
-  'aes-192-gcm': 'AES-192-GCM',
-  'aes-128-gcm': 'AES-128-GCM'
-};
-
-function encryptData(data, algorithm, secretKey) {
-  const key = crypto.scryptSync(secretKey, 'salt', algorithm.includes('256') ? 32 : algorithm.includes('192') ? 24 : 16);
-  
-  if (algorithm.includes('gcm')) {
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipheriv(algorithm, key, iv);
-    cipher.setAAD(Buffer.from('json-encrypt', 'utf8'));
-    
-    let encrypted = cipher.update(data, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    const authTag = cipher.getAuthTag();
-    
-    return {
-      iv: iv.toString('hex'),
-      authTag: authTag.toString('hex'),
-      encrypted
-    };
-  } else {
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipheriv(algorithm, key, iv);
-    
-    let encrypted = cipher.update(data, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    
-    return {
-      iv: iv.toString('hex'),
-      encrypted
-    };
-  }
-}
-
-function generateDecryptionExample(algorithm, outputPath) {
-  const exampleContent = `// Decryption example for ${path.basename(outputPath)}
-// Generated by json-encrypt-cli
-// Note: Algorithm is hidden in encrypted file for security
-
-import * as crypto from 'crypto';
-import * as fs from 'fs';
-
-interface EncryptedData {
-  iv: string;
-  authTag?: string;
-  encrypted: string;
-}
-
-function decryptFile(filePath: string, algorithm: string, secretKey: string): any {
-  try {
-    // Read the encrypted file
-    const encryptedData: EncryptedData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-    
-    // Generate key using the same method as encryption
-    const keyLength = algorithm.includes('256') ? 32 : 
-                     algorithm.includes('192') ? 24 : 16;
-    const key = crypto.scryptSync(secretKey, 'salt', keyLength);
-    
-    const iv = Buffer.from(encryptedData.iv, 'hex');
-    
-    let decrypted: string;
-    
-    if (algorithm.includes('gcm')) {
-      // GCM mode decryption
-      const decipher = crypto.createDecipheriv(algorithm, key, iv);
-      if (encryptedData.authTag) {
-        decipher.setAuthTag(Buffer.from(encryptedData.authTag, 'hex'));
-      }
-      decipher.setAAD(Buffer.from('json-encrypt', 'utf8'));
-      
-      decrypted = decipher.update(encryptedData.encrypted, 'hex', 'utf8');
-      decrypted += decipher.final('utf8');
-    } else {
-      // CBC mode decryption
-      const decipher = crypto.createDecipheriv(algorithm, key, iv);
-      decrypted = decipher.update(encryptedData.encrypted, 'hex', 'utf8');
-      decrypted += decipher.final('utf8');
-    }
-    
-    return JSON.parse(decrypted);
-  } catch (error) {
-    throw new Error(\`Decryption failed: \${error.message}\`);
-  }
-}
-
-// Example usage (you must provide the algorithm used for encryption):
-// const decryptedData = decryptFile('${path.basename(outputPath)}', '${algorithm}', 'your-secret-key');
-// console.log(decryptedData);
-
-export { decryptFile };
-`;
-
-  const examplePath = path.join(path.dirname(outputPath), 'decryption.example.ts');
-  fs.writeFileSync(examplePath, exampleContent);
-  return examplePath;
-}
+const { ALGORITHMS, encryptFile: encryptJsonFile, encryptDocument, resolveKdf } = require('..');
+const { generateDecryptionExample } = require('../lib/example');
+const { resolveFieldLevel } = require('../lib/fields');
+const { resolveRecipients } = require('../lib/recipients');
+const { resolveKeyFile } = require('../lib/keys');
+const { resolveStreamThreshold } = require('../lib/stream');
+const { FORMATS, resolveFormat } = require('../lib/format');
+const { getFormatNames, resolveSourceFormats } = require('../lib/handlers');
+const { STDIO, isStdio, enterPipeMode, readInput, writeOutput } = require('../lib/pipe');
+const { loadProjectConfig, applyProjectConfig } = require('../lib/config');
+const { resolveOutDir } = require('../lib/outdir');
+const { removePlaintext } = require('../lib/shred');
+const { InvalidOptionError } = require('../lib/errors');
+const { registerRotateCommand } = require('../lib/commands/rotate');
+const { registerRecipientsCommand } = require('../lib/commands/recipients');
+const { registerKeygenCommand } = require('../lib/commands/keygen');
+const { registerExecCommand } = require('../lib/commands/exec');
+const { registerVerifyCommand } = require('../lib/commands/verify');
+const { registerDiffCommand } = require('../lib/commands/diff');
+const { registerGitCommands } = require('../lib/commands/git');
+const { registerGuardCommand } = require('../lib/commands/guard');
+const { registerConfigCommand } = require('../lib/commands/config');
 
 async function interactiveMode(filePath) {
   intro('🔐 JSON Encrypt CLI');
@@ -156,36 +72,34 @@ async function interactiveMode(filePath) {
   return { algorithm, secretKey, shouldGenerateExample };
 }
 
-async function encryptFile(filePath, algorithm, secretKey, generateExample = true) {
+// Encrypt one file, or stdin, and report on it. `options` are those of the
+// library's encryptFile, plus `generateExample` and `removal` ({ gitignore })
+async function encryptFile(filePath, options) {
+  const { generateExample = true, removal = null, output, outputName, outDir, extensionMap, ...encryptOptions } = options;
+  const { algorithm, fieldLevel, recipients = [], format } = encryptOptions;
   const s = spinner();
   
   try {
-    s.start('Reading JSON file...');
-    
-    if (!fs.existsSync(filePath)) {
-      throw new Error(`File not found: ${filePath}`);
-    }
+    s.start('Encrypting file...');
     
-    const jsonData = fs.readFileSync(filePath, 'utf8');
-    
-    // Validate JSON
-    try {
-      JSON.parse(jsonData);
-    } catch (error) {
-      throw new Error('Invalid JSON file');
+    if (isStdio(filePath) || isStdio(output)) {
+      // Pipe mode: encrypted in memory, written to stdout or --output
+      const encrypted = await encryptDocument(await readInput(filePath), {
+        ...encryptOptions,
+        sourcePath: isStdio(filePath) ? undefined : filePath
+      });
+      await writeOutput(output || STDIO, encrypted);
+      s.stop('✅ Encryption completed successfully!');
+      return;
     }
     
-    s.message('Encrypting data...');
-    
-    const encryptedData = encryptData(jsonData, algorithm, secretKey);
-    
-    const outputPath = filePath.replace(/\.json$/, '.enc');
-    
-    s.message('Writing encrypted file...');
-    fs.writeFileSync(outputPath, JSON.stringify(encryptedData, null, 2));
+    const { outputFile: outputPath, sourceFormat, streamed } = await encryptJsonFile(filePath, { ...encryptOptions, output, outputName, outDir, extensionMap });
     
+    // The generated example only understands whole-file, secret-based JSON
+    // envelopes of JSON documents without GCM chunking
     let examplePath = null;
-    if (generateExample) {
+    if (generateExample && !fieldLevel && recipients.length === 0 && format !== 'binary' && sourceFormat === 'json' &&
+        !(streamed && algorithm.includes('gcm'))) {
       s.message('Generating decryption example...');
       examplePath = generateDecryptionExample(algorithm, outputPath);
     }
@@ -193,10 +107,26 @@ async function encryptFile(filePath, algorithm, secretKey, generateExample = tru
     s.stop('✅ Encryption completed successfully!');
     
     console.log(`\n📁 Encrypted file: ${outputPath}`);
+    if (sourceFormat !== 'json') {
+      console.log(`📝 Source format: ${sourceFormat}`);
+    }
     if (examplePath) {
       console.log(`📄 Decryption example: ${examplePath}`);
     }
     
+    if (removal) {
+      try {
+        const removed = await removePlaintext(filePath, outputPath, { ...encryptOptions, ...removal });
+        console.log(`🧹 Removed plaintext: ${removed.removed}`);
+        if (removed.gitignore) {
+          console.log(`📝 Added to ${removed.gitignore}`);
+        }
+      } catch (error) {
+        console.error(`⚠️  Kept the plaintext: ${error.message}`);
+        process.exit(1);
+      }
+    }
+  
   } catch (error) {
     s.stop('❌ Encryption failed!');
     console.error(`Error: ${error.message}`);
@@ -207,26 +137,125 @@ async function encryptFile(filePath, algorithm, secretKey, generateExample = tru
 // CLI setup
 program
   .name('enc')
-  .description('Encrypt JSON files with various algorithms')
-  .version('1.0.0');
+  .description('Encrypt JSON, YAML, TOML, .env and JSON5 files with various algorithms')
+  .version('1.0.0')
+  // Subcommands share option names (--recipient, --kdf) with the default command
+  .enablePositionalOptions();
 
 program
-  .argument('<file>', 'Path to JSON file to encrypt')
+  .argument('<file>', 'Path to the JSON, JSON5, JSONC, YAML, TOML or .env file to encrypt, or - for stdin')
+  .option('-o, --output <file>', 'Write the encrypted file here, or - for stdout (default: next to the input; stdout when reading stdin)')
+  .option('--out-dir <dir>', 'Write the encrypted file into this directory instead of next to the input')
+  .option('--ext-map <mappings...>', 'Rename the output by input extension, e.g. ".json=.json.enc" (the longest match wins)')
+  .option('--remove-plaintext', 'Delete the input, overwriting it first, once the encrypted file decrypts back to it')
+  .option('--gitignore', 'With --remove-plaintext, also add the removed file to .gitignore')
   .option('--alg <algorithm>', 'Encryption algorithm')
   .option('--secret <key>', 'Secret key for encryption')
+  .option('--key-file <file>', 'Read the secret from a key file (see json-encrypt keygen); 32-byte keys skip key derivation')
   .option('--no-example', 'Skip generating decryption example')
-  .action(async (file, options) => {
-    const filePath = path.resolve(file);
+  .option('--format <format>', `Output format: ${Object.keys(FORMATS).join(', ')} (default: hex)`)
+  .option('--input-format <format>', `Read the file as this format instead of detecting it from the extension: ${getFormatNames().join(', ')}`)
+  .option('--output-format <format>', 'Convert the file to this format before encrypting; decryption restores it as that format')
+  .option('--field-level', 'Encrypt only leaf values, keeping keys and structure readable')
+  .option('--fields <paths>', 'Comma-separated JSONPath list of values to encrypt, e.g. "$.accounts[*].password" (implies --field-level)')
+  .option('--field-regex <regex>', 'Encrypt values whose key matches this regex, e.g. "^(password|apiKey|token)$" (implies --field-level)')
+  .option('--recipient <key-files...>', 'Encrypt for these X25519 or RSA public keys (PEM) instead of a secret')
+  .option('--kdf <name>', 'Key derivation function (scrypt, pbkdf2)')
+  .option('--kdf-n <N>', 'scrypt CPU/memory cost, a power of two (default: 16384)')
+  .option('--kdf-r <r>', 'scrypt block size (default: 8)')
+  .option('--kdf-p <p>', 'scrypt parallelization (default: 1)')
+  .option('--kdf-iterations <count>', 'PBKDF2-SHA256 iterations (default: 600000)')
+  .option('--stream-threshold <size>', 'Stream files at least this large instead of loading them into memory, e.g. 64MB (default: 16MB)')
+  .action(async (file, cliOptions) => {
+    // Reading stdin or writing stdout: keep stdout for data and report on stderr
+    if (isStdio(file) || isStdio(cliOptions.output)) {
+      enterPipeMode();
+    }
+    const filePath = isStdio(file) ? file : path.resolve(file);
+    const output = cliOptions.output && !isStdio(cliOptions.output) ? path.resolve(cliOptions.output) : cliOptions.output;
+    
+    // Settings from .jsonencryptrc fill in what the command line leaves out
+    let options;
+    try {
+      const project = loadProjectConfig();
+      options = applyProjectConfig(cliOptions, { filePath: isStdio(file) ? undefined : filePath, project });
+      if (project) {
+        console.log(`📋 Using config: ${path.relative(process.cwd(), project.file)}`);
+      }
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
     
     // Get defaults from environment variables
     const defaultAlgorithm = process.env.ENC_ALGORITHM || 'aes-256-cbc';
     const defaultSecret = process.env.ENC_SECRET;
     
+    let kdf;
+    let fieldLevel;
+    let recipients;
+    let keyFile;
+    let streamThreshold;
+    let format;
+    let sourceFormats;
+    let placement;
+    let removal = null;
+    try {
+      kdf = resolveKdf(options);
+      fieldLevel = resolveFieldLevel(options);
+      recipients = resolveRecipients(options);
+      keyFile = resolveKeyFile(options);
+      streamThreshold = resolveStreamThreshold(options);
+      format = resolveFormat(options);
+      sourceFormats = resolveSourceFormats(options);
+      placement = resolveOutDir(options);
+      if (isStdio(file) && Object.keys(placement).length > 0) {
+        throw new InvalidOptionError('--out-dir and --ext-map need an input file, not stdin');
+      }
+      if (options.removePlaintext) {
+        if (isStdio(file) || isStdio(output)) {
+          throw new InvalidOptionError('--remove-plaintext needs the input and the encrypted file on disk');
+        }
+        if (recipients.length > 0) {
+          throw new InvalidOptionError('--remove-plaintext checks the file decrypts with the secret, so it does not work with --recipient');
+        }
+        removal = { gitignore: options.gitignore };
+      }
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+    
     // Use provided options or fall back to environment defaults
     const algorithm = options.alg || defaultAlgorithm;
-    const secret = options.secret || defaultSecret;
+    const secret = options.secret || (keyFile ? keyFile.secret : defaultSecret);
+    const fileOptions = {
+      kdf,
+      fieldLevel,
+      streamThreshold,
+      format,
+      ...sourceFormats,
+      output,
+      outputName: options.outputName,
+      ...placement,
+      removal
+    };
     
-    if (secret && algorithm) {
+    if (recipients.length > 0 && algorithm) {
+      // Public-key mode: no secret involved
+      if (!ALGORITHMS[algorithm]) {
+        console.error(`❌ Unsupported algorithm: ${algorithm}`);
+        console.log('Supported algorithms:', Object.keys(ALGORITHMS).join(', '));
+        process.exit(1);
+      }
+      
+      if (!options.recipient && process.env.ENC_RECIPIENTS) {
+        console.log('📋 Using recipients from .env');
+      }
+      console.log(`🔑 Encrypting for ${recipients.length} recipient${recipients.length === 1 ? '' : 's'}`);
+      
+      await encryptFile(filePath, { ...fileOptions, algorithm, recipients, generateExample: options.example });
+    } else if (secret && algorithm) {
       // Command line mode (with env defaults if needed)
       if (!ALGORITHMS[algorithm]) {
         console.error(`❌ Unsupported algorithm: ${algorithm}`);
@@ -238,17 +267,41 @@ program
       if (!options.alg && process.env.ENC_ALGORITHM) {
         console.log(`📋 Using algorithm from .env: ${algorithm}`);
       }
-      if (!options.secret && process.env.ENC_SECRET) {
+      if (keyFile) {
+        console.log(`📋 Using key file: ${keyFile.file}${Buffer.isBuffer(keyFile.secret) ? ' (raw key, no key derivation)' : ''}`);
+      } else if (!options.secret && process.env.ENC_SECRET) {
         console.log(`📋 Using secret from .env: ${'*'.repeat(Math.min(secret.length, 20))}`);
       }
+      if (!options.kdf && process.env.ENC_KDF && !Buffer.isBuffer(secret)) {
+        console.log(`📋 Using KDF from .env: ${kdf.name}`);
+      }
+      if (!options.format && process.env.ENC_FORMAT) {
+        console.log(`📋 Using output format from .env: ${format}`);
+      }
       
-      await encryptFile(filePath, algorithm, secret, options.example);
+      await encryptFile(filePath, { ...fileOptions, algorithm, secret, generateExample: options.example });
+    } else if (isStdio(filePath)) {
+      // stdin holds the document, so there is nothing to prompt with
+      console.error('❌ A secret is required when reading from stdin.');
+      console.error('💡 Pass --secret, --key-file or --recipient, or set ENC_SECRET in .env');
+      process.exit(1);
     } else {
       // Interactive mode
       const { algorithm, secretKey, shouldGenerateExample } = await interactiveMode(filePath);
-      await encryptFile(filePath, algorithm, secretKey, shouldGenerateExample);
+      await encryptFile(filePath, { ...fileOptions, algorithm, secret: secretKey, generateExample: shouldGenerateExample });
       outro('🎉 Done! Your JSON file has been encrypted.');
     }
   });
 
+// Subcommands: json-encrypt <command> ...
+registerRotateCommand(program);
+registerRecipientsCommand(program);
+registerKeygenCommand(program);
+registerExecCommand(program);
+registerVerifyCommand(program);
+registerDiffCommand(program);
+registerGitCommands(program);
+registerGuardCommand(program);
+registerConfigCommand(program);
+
 program.parse();
\ No newline at end of file
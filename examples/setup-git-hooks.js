@@ -3,7 +3,8 @@
  * Git Hooks Setup Script for JSON Encryption
  * 
  * This script helps you set up automatic encryption of sensitive JSON files
- * before commits using Git hooks.
+ * before commits using Git hooks. The hook stages only the .enc files and then
+ * runs `json-encrypt guard`, which stops the commit if plaintext is staged.
  * 
  * Usage: node setup-git-hooks.js
  */
@@ -60,7 +61,8 @@ for dir in "\${SENSITIVE_DIRS[@]}"; do
         
         if [ $? -eq 0 ]; then
             echo "✅ Successfully encrypted files in $dir"
-            git add "$dir"
+            git add -- "$dir/*.enc"
+            [ -f "$dir/.enc-manifest.json" ] && git add -- "$dir/.enc-manifest.json"
         else
             echo "❌ Failed to encrypt files in $dir"
             exit 1
@@ -68,6 +70,9 @@ for dir in "\${SENSITIVE_DIRS[@]}"; do
     fi
 done
 
+# Stop the commit if plaintext is staged
+npx json-encrypt guard || exit 1
+
 echo "🎉 Pre-commit encryption completed!"
 exit 0`;
 
@@ -83,8 +88,8 @@ function setupWithHusky(directories) {
         execSync('npx husky install', { stdio: 'inherit' });
         
         const hookCommand = directories
-            .map(dir => `npx json-batch-encrypt ${dir} --recursive`)
-            .join(' && ') + ' && git add .';
+            .map(dir => `npx json-batch-encrypt ${dir} --recursive && git add -- '${dir}/*.enc' && { [ ! -f '${dir}/.enc-manifest.json' ] || git add -- '${dir}/.enc-manifest.json'; }`)
+            .join(' && ') + ' && npx json-encrypt guard';
             
         log('🪝 Creating pre-commit hook...', 'blue');
         execSync(`npx husky add .husky/pre-commit "${hookCommand}"`, { stdio: 'inherit' });
@@ -189,8 +194,10 @@ async function main() {
     log('\n🎉 Setup completed!', 'green');
     log('\n📋 Next steps:', 'bold');
     log('   1. Ensure your .env file contains ENC_ALGORITHM and ENC_SECRET');
-    log('   2. Test the hook by making a commit with JSON files in specified directories');
-    log('   3. Verify that .enc files are created and committed');
+    log('   2. Add the plaintext files to .gitignore; the hook commits only the .enc files');
+    log('   3. Optionally set ENC_GUARD_PATTERNS in .env to paths that must never be committed in plaintext');
+    log('   4. Test the hook by making a commit with JSON files in specified directories');
+    log('   5. Verify that .enc files are created and committed');
 }
 
 if (require.main === module) {
@@ -0,0 +1,674 @@
+// Type definitions for json-encrypt-cli
+
+import { KeyObject } from 'crypto';
+
+export type Algorithm =
+  | 'aes-256-cbc'
+  | 'aes-192-cbc'
+  | 'aes-128-cbc'
+  | 'aes-256-gcm'
+  | 'aes-192-gcm'
+  | 'aes-128-gcm';
+
+export type KdfName = 'scrypt' | 'pbkdf2';
+
+export interface ScryptSettings {
+  name: 'scrypt';
+  N: number;
+  r: number;
+  p: number;
+}
+
+export interface Pbkdf2Settings {
+  name: 'pbkdf2';
+  hash: 'sha256';
+  iterations: number;
+}
+
+export type KdfSettings = ScryptSettings | Pbkdf2Settings;
+
+/** KDF settings as recorded in an envelope header, including the per-file salt */
+export type KdfHeader = (KdfSettings & { salt: string; check?: string }) | RawKdfHeader;
+
+/** Files encrypted with a raw 32-byte key use it directly */
+export interface RawKdfHeader {
+  name: 'raw';
+  check?: string;
+}
+
+/** How the ciphertext is stored: hex or base64 text in a JSON envelope, or a framed binary file */
+export type OutputFormat = 'hex' | 'base64' | 'binary';
+
+/** Plaintext file formats; more can be added with registerFormatHandler */
+export type SourceFormat = 'json' | 'json5' | 'jsonc' | 'yaml' | 'toml' | 'env' | (string & {});
+
+/** Format of the encrypted document and the extension it is restored with */
+export interface SourceHeader {
+  format: SourceFormat;
+  /** Empty for files without an extension, such as .env */
+  extension: string;
+}
+
+export interface FormatHandler {
+  name: string;
+  /** Used in messages; defaults to the upper-cased name */
+  label?: string;
+  /** Lower-case extensions with the dot; the first is used for converted files */
+  extensions: string[];
+  parse(text: string): any;
+  stringify(value: any): string;
+}
+
+/** A passphrase, or a 32-byte Buffer used as the key without key derivation */
+export type Secret = string | Buffer;
+
+export interface Envelope {
+  version: number;
+  algorithm: Algorithm;
+  kdf: KdfHeader;
+  encoding: OutputFormat;
+  /** Absent in files written before formats were recorded, which hold JSON */
+  source?: SourceHeader;
+  /** 16-byte IV, or the 8-byte nonce prefix of a chunked stream */
+  iv: string;
+  authTag?: string;
+  /** Version 2 GCM files written by streaming encryption: each chunk carries its own tag */
+  stream?: StreamHeader;
+  /** A Buffer when `encoding` is 'binary' */
+  encrypted: string | Buffer;
+}
+
+export interface StreamHeader {
+  /** Plaintext bytes per chunk; each encrypted chunk is followed by a 16-byte tag */
+  chunkSize: number;
+}
+
+/** Files written before the envelope header existed */
+export interface LegacyEnvelope {
+  iv: string;
+  authTag?: string;
+  encrypted: string;
+}
+
+export type RecipientType = 'x25519' | 'rsa-oaep';
+
+export interface X25519Recipient {
+  type: 'x25519';
+  /** SHA-256 of the recipient's public key (SPKI DER), hex */
+  fingerprint: string;
+  ephemeralKey: string;
+  iv: string;
+  authTag: string;
+  wrappedKey: string;
+}
+
+export interface RsaOaepRecipient {
+  type: 'rsa-oaep';
+  fingerprint: string;
+  wrappedKey: string;
+}
+
+export type RecipientEntry = X25519Recipient | RsaOaepRecipient;
+
+/** Files encrypted for public keys: a random data key wrapped per recipient */
+export interface RecipientEnvelope {
+  version: number;
+  algorithm: Algorithm;
+  recipients: RecipientEntry[];
+  encoding: OutputFormat;
+  source?: SourceHeader;
+  iv: string;
+  authTag?: string;
+  stream?: StreamHeader;
+  encrypted: string | Buffer;
+}
+
+export interface RecipientInfo {
+  type: RecipientType;
+  fingerprint: string;
+}
+
+/** PEM string or Buffer, or a KeyObject */
+export type PublicKeyInput = string | Buffer | KeyObject;
+/** PEM string or Buffer, a KeyObject, or an encrypted PEM with its passphrase */
+export type PrivateKeyInput = string | Buffer | KeyObject | { key: string | Buffer; passphrase: string | Buffer };
+
+export interface EnvelopeHeader {
+  version: number;
+  algorithm: Algorithm;
+  /** Absent for files encrypted for recipients */
+  kdf?: KdfHeader;
+  recipients?: RecipientEntry[];
+  encoding: OutputFormat;
+  source?: SourceHeader;
+  stream?: StreamHeader;
+}
+
+export interface EncryptOptions {
+  /** Required unless `recipients` is given */
+  secret?: Secret;
+  /** Defaults to aes-256-cbc */
+  algorithm?: Algorithm;
+  /** Defaults to scrypt with N=16384, r=8, p=1 */
+  kdf?: KdfSettings;
+  /** Encrypt for these X25519 or RSA public keys instead of a secret */
+  recipients?: PublicKeyInput[];
+  /** Defaults to hex */
+  format?: OutputFormat;
+  /** Recorded in the envelope so the plaintext can be restored in its format */
+  source?: SourceHeader;
+}
+
+export interface FieldSelection {
+  /** JSONPath subset: $, .key, ['key'], [0], [*], .* and ..key */
+  paths?: string[];
+  /** Encrypt values whose key, or any ancestor key, matches */
+  keyRegex?: string | RegExp | null;
+}
+
+/** Bytes, or a size such as '64MB'; files at least this large are streamed. Defaults to 16 MiB or ENC_STREAM_THRESHOLD */
+export type StreamThreshold = number | string;
+
+/** Where outputs go instead of next to their input */
+export interface OutDirOptions {
+  /** Write the output under this directory, at the input's path relative to `rootDir` */
+  outDir?: string;
+  /** Directory whose layout `outDir` mirrors; defaults to the input's directory, or the batch directory */
+  rootDir?: string;
+  /** Rename outputs by input extension, e.g. `{ '.yaml.enc': '.yml' }`; the longest match wins */
+  extensionMap?: Record<string, string>;
+}
+
+export interface EncryptFileOptions extends EncryptOptions, OutDirOptions {
+  /** Encrypt only leaf values and keep keys and structure readable */
+  fieldLevel?: boolean | FieldSelection;
+  streamThreshold?: StreamThreshold;
+  /** Read the file as this format; detected from the extension by default */
+  inputFormat?: SourceFormat;
+  /** Convert the document to this format before encrypting it */
+  outputFormat?: SourceFormat;
+  /** Write the envelope here instead of next to the input */
+  output?: string;
+  /** Name of the .enc file next to the input when there is no `output`, e.g. `{name}{ext}.enc` */
+  outputName?: string;
+  /** Write to an fsynced temp file, returned as `tempFile`, and leave `outputFile` untouched */
+  stage?: boolean;
+}
+
+export interface EncryptDocumentOptions extends Omit<EncryptFileOptions, 'streamThreshold' | 'output' | 'stage' | keyof OutDirOptions> {
+  /** Name the content was read from: detects its format and is recorded as its extension */
+  sourcePath?: string;
+  /** Earlier field-level version of the document; unchanged values keep their ciphertext */
+  previous?: object | null;
+}
+
+export interface EncryptFieldsOptions extends Omit<EncryptOptions, 'recipients' | 'format'>, FieldSelection {
+  /** Encoding of each encrypted value; defaults to hex */
+  format?: 'hex' | 'base64';
+  secret: Secret;
+  /** Earlier encrypted version of the document; unchanged values keep their ciphertext */
+  previous?: object | null;
+}
+
+export interface FieldEnvelopeHeader {
+  version: number;
+  mode: 'fields';
+  algorithm: Algorithm;
+  kdf: KdfHeader;
+  encoding: 'hex' | 'base64';
+  source?: SourceHeader;
+  selection: { paths: string[]; keyRegex: string | null };
+  /** HMAC-SHA256 over the whole encrypted document */
+  mac: string;
+}
+
+export interface DecryptOptions {
+  /** Required for files encrypted with a secret */
+  secret?: Secret;
+  /** Required for files encrypted for recipients; any one recipient's key works */
+  privateKey?: PrivateKeyInput;
+  /** Only used for legacy files without an envelope header */
+  algorithm?: Algorithm;
+  /** Only used for legacy files without an envelope header */
+  legacyKdf?: KdfHeader;
+}
+
+export interface LoaderOptions {
+  /** Defaults to ENC_SECRET */
+  secret?: Secret;
+  /** Key file path; defaults to ENC_KEY_FILE */
+  keyFile?: string;
+  /** Private key file path; defaults to ENC_PRIVATE_KEY */
+  privateKey?: string;
+  /** Defaults to ENC_PRIVATE_KEY_PASSPHRASE */
+  passphrase?: string;
+  /**
+   * Module whose default export returns the key for an .enc path: a secret,
+   * `{ secret }` or `{ privateKey, passphrase }`. Defaults to ENC_KEY_PROVIDER
+   */
+  keyProvider?: string;
+  /** Only used for legacy files without an envelope header; defaults to ENC_ALGORITHM */
+  algorithm?: Algorithm;
+}
+
+export interface DecryptFileOptions extends DecryptOptions, OutDirOptions {
+  overwrite?: boolean;
+  streamThreshold?: StreamThreshold;
+  /** Convert to this format instead of restoring the recorded one */
+  outputFormat?: SourceFormat;
+  /** Write the plaintext here instead of next to the input; any input extension is accepted */
+  output?: string;
+  /** Write to an fsynced temp file, returned as `tempFile`, and leave `outputFile` untouched */
+  stage?: boolean;
+}
+
+export interface KdfOptions {
+  kdf?: KdfName;
+  kdfN?: number | string;
+  kdfR?: number | string;
+  kdfP?: number | string;
+  kdfIterations?: number | string;
+}
+
+export interface FileResult {
+  inputFile: string;
+  outputFile: string;
+  /** Set when the file was processed as a stream */
+  streamed?: boolean;
+  /** Encryption: format recorded in the envelope */
+  sourceFormat?: SourceFormat;
+  /** Decryption: format of the written file */
+  outputFormat?: SourceFormat;
+  /** With `stage`: temp file holding the output, to be renamed to `outputFile` */
+  tempFile?: string;
+}
+
+export interface BatchSuccess extends FileResult {
+  success: true;
+  /** With `dryRun`: nothing was written, `outputFile` is where it would go */
+  dryRun?: boolean;
+  /** Bytes */
+  inputSize?: number;
+  /** Bytes; not set for dry runs */
+  outputSize?: number;
+  /** Milliseconds */
+  duration?: number;
+  /** With `removePlaintext`: the source was shredded */
+  removed?: boolean;
+  /** With `removePlaintext`: why the source was kept */
+  removeError?: string;
+  /** With `atomic`: the copy of the replaced output, kept until the next atomic run */
+  backup?: string;
+}
+
+export interface BatchFailure {
+  success: false;
+  inputFile: string;
+  error: string;
+  code?: string;
+  inputSize?: number;
+  duration?: number;
+}
+
+export interface BatchSkipped {
+  skipped: true;
+  inputFile: string;
+  outputFile: string;
+  removed?: boolean;
+  removeError?: string;
+}
+
+export interface BatchResults {
+  success: BatchSuccess[];
+  failed: BatchFailure[];
+  /** Files left alone because they are unchanged since the last run (batchEncrypt only) */
+  skipped: BatchSkipped[];
+  /** With `atomic`: whether the outputs were written, which only happens if no file failed */
+  committed?: boolean;
+}
+
+export interface UndoResults {
+  /** Outputs put back from their .bak copy */
+  restored: string[];
+  /** Outputs the run had created */
+  removed: string[];
+  /** Outputs changed since the run, or never replaced by it, and left alone */
+  skipped: string[];
+}
+
+export type ProgressCallback = (file: string, index: number, total: number) => void;
+
+/**
+ * Which files a directory scan picks up. node_modules, VCS directories, tool
+ * manifests such as package.json and whatever .encignore files list are
+ * always skipped.
+ */
+export interface ScanFilters {
+  /** Only keep files matching these gitignore-style globs, relative to `baseDir` */
+  include?: string[];
+  /** Skip files and directories matching these globs */
+  exclude?: string[];
+  /** Directory `include` and `exclude` are relative to; defaults to the scanned directory */
+  baseDir?: string;
+}
+
+export interface BatchEncryptOptions extends Omit<EncryptFileOptions, 'output' | 'stage' | 'rootDir' | 'inputFormat'>, ScanFilters {
+  /** Formats to encrypt, matched by extension; only `json` by default */
+  inputFormat?: SourceFormat | SourceFormat[];
+  recursive?: boolean;
+  /** Options for one file, merged over the others */
+  fileOptions?: (file: string) => Partial<EncryptFileOptions>;
+  /** Worker threads to encrypt in; 1 (the default) works on the calling thread */
+  concurrency?: number;
+  /** Re-encrypt files that .enc-manifest.json records as unchanged */
+  force?: boolean;
+  /** Shred each source once its .enc file decrypts back to it; needs a secret */
+  removePlaintext?: boolean;
+  /** With `removePlaintext`, add each removed source to .gitignore */
+  gitignore?: boolean;
+  /** Write nothing unless every file succeeds, keeping replaced files as .bak for undoBatch */
+  atomic?: boolean;
+  /** Check every file and report where it would go, without writing anything */
+  dryRun?: boolean;
+  /** Called before each file, or as each file finishes when `concurrency` is above 1 */
+  onProgress?: ProgressCallback;
+}
+
+export interface BatchDecryptOptions extends Omit<DecryptFileOptions, 'output' | 'stage' | 'rootDir'>, ScanFilters {
+  recursive?: boolean;
+  /** Options for one file, merged over the others */
+  fileOptions?: (file: string) => Partial<DecryptFileOptions>;
+  /** Worker threads to decrypt in; 1 (the default) works on the calling thread */
+  concurrency?: number;
+  /** Write nothing unless every file succeeds, keeping replaced files as .bak for undoBatch */
+  atomic?: boolean;
+  /** Check every file and report where it would go, without writing anything */
+  dryRun?: boolean;
+  /** Called before each file, or as each file finishes when `concurrency` is above 1 */
+  onProgress?: ProgressCallback;
+}
+
+/** Settings of a .jsonencryptrc file or one of its rules */
+export interface ProjectSettings {
+  algorithm?: Algorithm;
+  /** Environment variable holding the secret */
+  secretEnv?: string;
+  keyFile?: string;
+  recipients?: string | string[];
+  privateKey?: string;
+  kdf?: KdfName | { name: KdfName; N?: number; r?: number; p?: number; iterations?: number };
+  format?: OutputFormat;
+  fieldLevel?: boolean | { fields?: string | string[]; fieldRegex?: string };
+  /** .enc file name with `{name}` and `{ext}`, e.g. `{name}{ext}.enc` */
+  outputName?: string;
+}
+
+export interface ProjectConfigFile extends ProjectSettings {
+  recursive?: boolean;
+  include?: string | string[];
+  exclude?: string | string[];
+  /** Later rules win */
+  rules?: (ProjectSettings & { path: string | string[] })[];
+}
+
+export interface ProjectConfig {
+  /** Path of the config file */
+  file: string;
+  /** Directory that paths and globs are relative to */
+  dir: string;
+  settings: ProjectConfigFile;
+  rules: (ProjectSettings & { path: string[] })[];
+}
+
+export interface RotateOptions {
+  oldSecret: Secret;
+  /** Defaults to oldSecret */
+  newSecret?: Secret;
+  /** Only used for legacy files without an envelope header */
+  oldAlgorithm?: Algorithm;
+  /** Only used for legacy files without an envelope header */
+  legacyKdf?: KdfHeader;
+  /** Defaults to each file's current algorithm */
+  newAlgorithm?: Algorithm;
+  /** Defaults to each file's current format; field-level files cannot become binary */
+  newFormat?: OutputFormat;
+  kdf?: KdfSettings;
+  recursive?: boolean;
+  onProgress?: ProgressCallback;
+}
+
+export interface FlattenToEnvOptions {
+  /** Prepended to every name, e.g. `APP_` */
+  prefix?: string;
+  /** Joins nested keys; defaults to `__` */
+  separator?: string;
+  /** `upper` (default) upper-cases keys, `preserve` keeps them */
+  case?: 'upper' | 'preserve';
+  /** `index` (default) sets one variable per element, `json` one JSON value per array */
+  arrays?: 'index' | 'json';
+  /** Levels to flatten; deeper values are set as JSON. Defaults to all */
+  depth?: number;
+}
+
+export interface VerifyOptions extends DecryptOptions {
+  recursive?: boolean;
+  /** Options for one file, such as its key */
+  fileOptions?: (file: string) => Partial<DecryptOptions>;
+  onProgress?: ProgressCallback;
+}
+
+/** Why a file failed verification; see VERIFY_STATUSES for the exit codes */
+export type VerifyStatus = 'wrong-key' | 'auth-failed' | 'bad-envelope' | 'invalid-plaintext' | 'error';
+
+export interface VerifySuccess {
+  success: true;
+  inputFile: string;
+  algorithm: Algorithm;
+  sourceFormat: SourceFormat;
+  fieldLevel: boolean;
+  /** Milliseconds */
+  duration: number;
+}
+
+export interface VerifyFailure extends BatchFailure {
+  status: VerifyStatus;
+  /** Milliseconds */
+  duration: number;
+}
+
+export interface VerifyResults {
+  success: VerifySuccess[];
+  failed: VerifyFailure[];
+}
+
+export interface DocumentChange {
+  type: 'added' | 'removed' | 'changed';
+  /** Keys and array indexes from the root */
+  path: Array<string | number>;
+  /** Set for removed and changed values */
+  before?: unknown;
+  /** Set for added and changed values */
+  after?: unknown;
+}
+
+export interface RotateSuccess extends BatchSuccess {
+  fromAlgorithm: Algorithm;
+  toAlgorithm: Algorithm;
+}
+
+export interface RotateResults {
+  success: RotateSuccess[];
+  failed: BatchFailure[];
+  /** False when any file failed; no file is changed in that case */
+  committed: boolean;
+}
+
+export const ALGORITHMS: Record<Algorithm, string>;
+export const ENVELOPE_VERSION: number;
+export const STREAM_ENVELOPE_VERSION: number;
+/** Default size in bytes from which files are streamed */
+export const STREAM_THRESHOLD: number;
+export const FORMATS: Record<OutputFormat, string>;
+export const KDFS: Record<KdfName, string>;
+export const KDF_DEFAULTS: {
+  scrypt: { N: number; r: number; p: number };
+  pbkdf2: { iterations: number };
+};
+
+export function encryptData(data: string, options: EncryptOptions): Promise<Envelope | RecipientEnvelope>;
+export function decryptData(encryptedData: Envelope | RecipientEnvelope | LegacyEnvelope, options: DecryptOptions): Promise<string>;
+export function readEnvelope(
+  encryptedData: Envelope | RecipientEnvelope | LegacyEnvelope,
+  fallbackAlgorithm?: Algorithm,
+  legacyKdf?: KdfHeader
+): EnvelopeHeader;
+/** Pretty-printed JSON for hex and base64 envelopes, a framed Buffer for binary */
+export function serializeEnvelope(envelope: Envelope | RecipientEnvelope): string | Buffer;
+/** Parse .enc file contents in any format; binary files are detected by their magic header */
+export function parseEnvelope(content: string | Buffer): Envelope | RecipientEnvelope | LegacyEnvelope | object;
+export function registerFormatHandler(handler: FormatHandler): void;
+/** Throws InvalidOptionError for unknown formats */
+export function getFormatHandler(name: SourceFormat): Required<FormatHandler>;
+export function getFormatNames(): SourceFormat[];
+export function resolveKdf(options?: KdfOptions, env?: Record<string, string | undefined>): KdfSettings;
+
+export type KeyFormat = 'pem' | 'base64';
+export function generateSymmetricKey(options?: { format?: KeyFormat }): { key: Buffer; content: string; fingerprint: string };
+export function generateKeyPair(options?: {
+  type?: 'x25519' | 'rsa';
+  /** RSA modulus length, default 3072 */
+  bits?: number;
+  format?: KeyFormat;
+  /** Encrypt the private key (PKCS#8, AES-256-CBC) */
+  passphrase?: string;
+}): { publicKey: string; privateKey: string; fingerprint: string };
+/** Decode a symmetric key file (PEM, base64, hex or raw bytes); null if it is not a 32-byte key */
+export function parseSymmetricKey(content: string | Buffer): Buffer | null;
+export function getSymmetricKeyFingerprint(key: Buffer): string;
+
+export const FIELD_HEADER_KEY: '_jsonEncrypt';
+export function isFieldEnvelope(document: unknown): boolean;
+export function encryptFields<T extends object>(document: T, options: EncryptFieldsOptions): Promise<T & { _jsonEncrypt: FieldEnvelopeHeader }>;
+export function decryptFields<T = any>(document: object, options: { secret: Secret }): Promise<T>;
+
+export function encryptFile(filePath: string, options: EncryptFileOptions): Promise<FileResult>;
+export function decryptFile(filePath: string, options: DecryptFileOptions): Promise<FileResult>;
+/** Encrypt file contents in memory; returns the serialized envelope (a Buffer for binary) */
+export function encryptDocument(content: string | Buffer, options: EncryptDocumentOptions): Promise<string | Buffer>;
+/** Decrypt .enc file contents in memory; returns the plaintext in its recorded format or `outputFormat` */
+export function decryptDocument(content: string | Buffer, options: DecryptOptions & { outputFormat?: SourceFormat }): Promise<string>;
+export function readEncryptedFile<T = any>(filePath: string, options: DecryptOptions): Promise<T>;
+/** Make require() and import of .enc files return the decrypted document */
+export function register(options?: LoaderOptions): void;
+/** Decrypt an .enc file with the key from options, the environment or a key provider; cached per process */
+export function loadEncryptedFile<T = any>(filePath: string, options?: LoaderOptions): Promise<T>;
+
+export const RECIPIENT_TYPES: Record<RecipientType, string>;
+export function getKeyFingerprint(key: PublicKeyInput | PrivateKeyInput): string;
+export function listRecipients(encryptedData: RecipientEnvelope): RecipientInfo[];
+export function addRecipients(
+  encryptedData: RecipientEnvelope,
+  options: { privateKey: PrivateKeyInput; recipients: PublicKeyInput[] }
+): RecipientEnvelope;
+/** Drops wrapped keys only; not revocation, since the data key is unchanged */
+export function removeRecipients(
+  encryptedData: RecipientEnvelope,
+  /** Public keys or hex fingerprints (prefixes of at least 8 characters) */
+  options: { recipients: (PublicKeyInput | string)[] }
+): RecipientEnvelope;
+export function updateRecipients(
+  filePath: string,
+  options: { add?: PublicKeyInput[]; remove?: (PublicKeyInput | string)[]; privateKey?: PrivateKeyInput }
+): Promise<RecipientInfo[]>;
+
+export function findJsonFiles(directory: string, recursive?: boolean, filters?: ScanFilters): string[];
+/** Files in the `inputFormat` formats (default: `json`), matched by extension */
+export function findSourceFiles(directory: string, recursive?: boolean, inputFormat?: SourceFormat | SourceFormat[], filters?: ScanFilters): string[];
+export function findEncFiles(directory: string, recursive?: boolean, filters?: ScanFilters): string[];
+export function batchEncrypt(directory: string, options: BatchEncryptOptions): Promise<BatchResults>;
+export function batchDecrypt(directory: string, options: BatchDecryptOptions): Promise<BatchResults>;
+/** 1 when a file failed or an `atomic` run wrote nothing; with `allowPartial`, only when nothing succeeded */
+export function getBatchExitCode(results: BatchResults, options?: { allowPartial?: boolean }): number;
+/** JSON report of a batch run, with file names relative to `directory` */
+export function formatBatchReport(
+  results: BatchResults,
+  options: { operation: 'encrypt' | 'decrypt'; directory: string; dryRun?: boolean; allowPartial?: boolean; duration?: number }
+): string;
+/** Shred `inputFile` once `outputFile` is known to decrypt back to it; `options` are those it was encrypted with */
+export function removePlaintext(
+  inputFile: string,
+  outputFile: string,
+  options: EncryptFileOptions & { gitignore?: boolean }
+): Promise<{ removed: string; gitignore?: string }>;
+/** Overwrite a file with zeros, fsync and delete it; best effort on journaling and copy-on-write filesystems */
+export function shredFile(filePath: string): Promise<void>;
+/** Undo the last `atomic` batch run in a directory */
+export function undoBatch(directory: string): Promise<UndoResults>;
+export function rotateFiles(target: string, options: RotateOptions): Promise<RotateResults>;
+export const VERIFY_STATUSES: Record<VerifyStatus, { exitCode: number; label: string }>;
+export function verifyFile(filePath: string, options: DecryptOptions): Promise<Omit<VerifySuccess, 'success' | 'duration'>>;
+/** Decrypt .enc files in memory and check their plaintext; nothing is written */
+export function verifyFiles(target: string, options: VerifyOptions): Promise<VerifyResults>;
+export function getVerifyExitCode(results: VerifyResults): number;
+export function formatJsonReport(results: VerifyResults, baseDir: string): string;
+export function formatJUnitReport(results: VerifyResults, baseDir: string): string;
+/** Structural diff: objects by key, arrays by index; added and removed subtrees are listed leaf by leaf */
+export function diffDocuments(before: unknown, after: unknown): DocumentChange[];
+/** `+ $.path: ***` lines as printed by `json-encrypt diff`; values are masked unless `reveal` is set */
+export function formatChanges(changes: DocumentChange[], reveal?: boolean): string[];
+/**
+ * Configure the json-encrypt clean/smudge filter and diff driver in the
+ * repository at `cwd` and add `patterns` to its .gitattributes, as
+ * `json-encrypt git-setup` does. Returns the patterns that were added.
+ */
+export function installGitFilters(
+  patterns: string[],
+  options?: { command?: string; cwd?: string }
+): { attributesFile: string; added: string[] };
+/**
+ * Staged files that would commit plaintext, as `json-encrypt guard` reports
+ * them: files next to their .enc, and files matching `patterns`
+ * (gitignore-style globs).
+ */
+export function findStagedLeaks(
+  options?: { patterns?: string[]; cwd?: string }
+): { checked: number; leaks: { file: string; reason: string }[] };
+/** Nearest .jsonencryptrc, .jsonencryptrc.json or .jsonencryptrc.js/.cjs (read as data, not run) from `cwd` up, or null */
+export function loadProjectConfig(cwd?: string): ProjectConfig | null;
+/**
+ * Fill CLI-style options (`alg`, `secret`, `keyFile`, `recipient`, `kdf`, `fields`, ...)
+ * with the config settings for `filePath`; options already set win.
+ */
+export function applyProjectConfig<T extends object>(
+  options: T,
+  context?: { filePath?: string; project?: ProjectConfig | null; env?: NodeJS.ProcessEnv }
+): T & Record<string, unknown>;
+/** Effective settings and where each comes from, as `json-encrypt config --print` shows them */
+export function describeSettings(
+  context?: { filePath?: string; project?: ProjectConfig | null; inputFormat?: SourceFormat | SourceFormat[]; env?: NodeJS.ProcessEnv }
+): { setting: string; value: string; source: string }[];
+/** Turn a decrypted document into environment variables, as `json-encrypt exec` does */
+export function flattenToEnv(document: object, options?: FlattenToEnvOptions): Record<string, string>;
+
+export class JsonEncryptError extends Error {
+  code: string;
+  constructor(message: string, code?: string);
+}
+export class InvalidOptionError extends JsonEncryptError {}
+export class InvalidEnvelopeError extends JsonEncryptError {}
+export class DecryptionError extends JsonEncryptError {}
+/** The key does not belong to the file, as opposed to tampered data; `code` stays ERR_DECRYPTION_FAILED */
+export class WrongKeyError extends DecryptionError {}
+export class InvalidJsonError extends JsonEncryptError {}
+export class FileNotFoundError extends JsonEncryptError {
+  path: string;
+}
+export class OutputExistsError extends JsonEncryptError {
+  path: string;
+}
+/** An encrypted file does not decrypt back to its source; `path` is the source, which was kept */
+export class RoundTripError extends JsonEncryptError {
+  path: string;
+}
+/** `require()` of an .enc file timed out, or its worker thread died without an answer */
+export class LoaderError extends JsonEncryptError {}
@@ -0,0 +1,95 @@
+/**
+ * json-encrypt-cli programmatic API.
+ *
+ * All operations return promises and reject with the error classes exported
+ * below. The json-encrypt, json-decrypt and batch commands are thin wrappers
+ * over these functions.
+ */
+
+const { ALGORITHMS, ENVELOPE_VERSION, STREAM_ENVELOPE_VERSION, encryptData, decryptData, readEnvelope } = require('./lib/envelope');
+const { KDFS, KDF_DEFAULTS, resolveKdf } = require('./lib/kdf');
+const { generateSymmetricKey, generateKeyPair, parseSymmetricKey, getSymmetricKeyFingerprint } = require('./lib/keys');
+const { encryptFile, decryptFile, encryptDocument, decryptDocument, readEncryptedFile, updateRecipients } = require('./lib/file');
+const { RECIPIENT_TYPES, getKeyFingerprint, listRecipients, addRecipients, removeRecipients } = require('./lib/recipients');
+const { FIELD_HEADER_KEY, isFieldEnvelope, encryptFields, decryptFields } = require('./lib/fields');
+const { findJsonFiles, findSourceFiles, findEncFiles, batchEncrypt, batchDecrypt, getBatchExitCode, formatBatchReport } = require('./lib/batch');
+const { undoBatch } = require('./lib/transaction');
+const { removePlaintext, shredFile } = require('./lib/shred');
+const { rotateFiles } = require('./lib/rotate');
+const { flattenToEnv } = require('./lib/exec');
+const { diffDocuments, formatChanges } = require('./lib/diff');
+const { installGitFilters } = require('./lib/git');
+const { findStagedLeaks } = require('./lib/guard');
+const { loadProjectConfig, applyProjectConfig, describeSettings } = require('./lib/config');
+const { register, loadEncryptedFile } = require('./lib/loader');
+const { VERIFY_STATUSES, verifyFile, verifyFiles, getVerifyExitCode, formatJsonReport, formatJUnitReport } = require('./lib/verify');
+const { STREAM_THRESHOLD } = require('./lib/stream');
+const { FORMATS, serializeEnvelope, parseEnvelope } = require('./lib/format');
+const { registerFormatHandler, getFormatHandler, getFormatNames } = require('./lib/handlers');
+const errors = require('./lib/errors');
+
+module.exports = {
+  ALGORITHMS,
+  ENVELOPE_VERSION,
+  STREAM_ENVELOPE_VERSION,
+  STREAM_THRESHOLD,
+  FORMATS,
+  KDFS,
+  KDF_DEFAULTS,
+  encryptData,
+  decryptData,
+  readEnvelope,
+  serializeEnvelope,
+  parseEnvelope,
+  registerFormatHandler,
+  getFormatHandler,
+  getFormatNames,
+  resolveKdf,
+  generateSymmetricKey,
+  generateKeyPair,
+  parseSymmetricKey,
+  getSymmetricKeyFingerprint,
+  FIELD_HEADER_KEY,
+  isFieldEnvelope,
+  encryptFields,
+  decryptFields,
+  encryptFile,
+  decryptFile,
+  encryptDocument,
+  decryptDocument,
+  readEncryptedFile,
+  register,
+  loadEncryptedFile,
+  RECIPIENT_TYPES,
+  getKeyFingerprint,
+  listRecipients,
+  addRecipients,
+  removeRecipients,
+  updateRecipients,
+  findJsonFiles,
+  findSourceFiles,
+  findEncFiles,
+  batchEncrypt,
+  batchDecrypt,
+  getBatchExitCode,
+  formatBatchReport,
+  undoBatch,
+  removePlaintext,
+  shredFile,
+  rotateFiles,
+  VERIFY_STATUSES,
+  verifyFile,
+  verifyFiles,
+  getVerifyExitCode,
+  formatJsonReport,
+  formatJUnitReport,
+  flattenToEnv,
+  diffDocuments,
+  formatChanges,
+  installGitFilters,
+  findStagedLeaks,
+  loadProjectConfig,
+  applyProjectConfig,
+  describeSettings,
+  ...errors
+};
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Temp files live in the target's directory so the final rename is atomic
+function createTempPath(targetPath) {
+  return path.join(
+    path.dirname(targetPath),
+    `.${path.basename(targetPath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`
+  );
+}
+
+/**
+ * Write data to a temporary file next to `targetPath` and fsync it.
+ *
+ * @returns {Promise<string>} Path of the temporary file
+ */
+async function writeTempFile(targetPath, data) {
+  const tempPath = createTempPath(targetPath);
+  
+  const handle = await fs.promises.open(tempPath, 'w', 0o600);
+  try {
+    await handle.writeFile(data);
+    await handle.sync();
+  } catch (error) {
+    await handle.close();
+    await discardTempFile(tempPath);
+    throw error;
+  }
+  await handle.close();
+  
+  return tempPath;
+}
+
+// Rename a temp file over its target. A target that exists keeps its
+// permissions; new files keep the temp file's (0600 from writeTempFile).
+async function commitTempFile(tempPath, targetPath) {
+  let stats;
+  try {
+    stats = await fs.promises.stat(targetPath);
+  } catch (error) {
+    stats = null;
+  }
+  if (stats) {
+    await fs.promises.chmod(tempPath, stats.mode & 0o7777);
+  }
+  await fs.promises.rename(tempPath, targetPath);
+}
+
+async function discardTempFile(tempPath) {
+  await fs.promises.unlink(tempPath).catch(() => {});
+}
+
+// Copy a file in one step, fsynced, so the copy is never partial
+async function copyFileAtomic(sourcePath, targetPath) {
+  const tempPath = createTempPath(targetPath);
+  try {
+    await fs.promises.copyFile(sourcePath, tempPath);
+    const handle = await fs.promises.open(tempPath, 'r+');
+    try {
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await commitTempFile(tempPath, targetPath);
+  } catch (error) {
+    await discardTempFile(tempPath);
+    throw error;
+  }
+}
+
+// Temp files untouched for this long are stale whatever their PID: after a
+// reboot, or once the PID is reused, it may name an unrelated live process
+const STALE_TEMP_AGE = 24 * 60 * 60 * 1000;
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+function isOlderThan(filePath, age) {
+  try {
+    return Date.now() - fs.statSync(filePath).mtimeMs > age;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Remove temp files in `dir` left behind by processes that crashed before
+ * renaming or discarding them: their process is gone, or they have not been
+ * modified for a day.
+ */
+function removeStaleTempFiles(dir) {
+  let names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch (error) {
+    return;
+  }
+  
+  names.forEach(name => {
+    const match = /^\..+\.(\d+)\.[0-9a-f]{8}\.tmp$/.exec(name);
+    if (match && (!isRunning(Number(match[1])) || isOlderThan(path.join(dir, name), STALE_TEMP_AGE))) {
+      fs.rmSync(path.join(dir, name), { force: true });
+    }
+  });
+}
+
+// Replace a file in one step: readers see either the old or the new content
+async function writeFileAtomic(targetPath, data) {
+  const tempPath = await writeTempFile(targetPath, data);
+  try {
+    await commitTempFile(tempPath, targetPath);
+  } catch (error) {
+    await discardTempFile(tempPath);
+    throw error;
+  }
+}
+
+module.exports = {
+  createTempPath,
+  writeTempFile,
+  commitTempFile,
+  discardTempFile,
+  copyFileAtomic,
+  removeStaleTempFiles,
+  writeFileAtomic
+};
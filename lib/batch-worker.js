@@ -0,0 +1,19 @@
+// Worker for batch runs with --concurrency: encrypts or decrypts each file the
+// pool sends and posts the result or the error back, so one bad file never
+// stops the worker.
+const { parentPort } = require('worker_threads');
+const { encryptFile, decryptFile } = require('./file');
+const { withKeyCache } = require('./kdf');
+
+const OPERATIONS = { encrypt: encryptFile, decrypt: decryptFile };
+
+// Derived keys for this worker's files; the pool ends the worker with the run
+const keyCache = new Map();
+
+parentPort.on('message', ({ id, operation, file, options }) => {
+  const started = Date.now();
+  withKeyCache(() => OPERATIONS[operation](file, options), keyCache).then(
+    result => parentPort.postMessage({ id, result, duration: Date.now() - started }),
+    error => parentPort.postMessage({ id, error: { message: error.message, code: error.code }, duration: Date.now() - started })
+  );
+});
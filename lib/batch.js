@@ -0,0 +1,511 @@
+const fs = require('fs');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { encryptFile, decryptFile, planEncryptFile, planDecryptFile } = require('./file');
+const { InvalidOptionError } = require('./errors');
+const { removeStaleTempFiles } = require('./atomic');
+const { withKeyCache } = require('./kdf');
+const { commitStagedFiles, discardStagedFiles } = require('./transaction');
+const { removePlaintext } = require('./shred');
+const { loadManifest, hashSourceFile, getUnchangedOutput, recordFile, forgetFile, saveManifest } = require('./manifest');
+const { DEFAULT_SOURCE, getFormatHandler } = require('./handlers');
+const { matchesGlob } = require('./glob');
+const { parseIgnorePatterns, readIgnoreFile, getInheritedRules, isIgnored } = require('./ignore');
+
+/**
+ * Scan for files by extension. Skips what the default excludes, .encignore
+ * files and `exclude` ignore, and keeps only `include` matches when given;
+ * `include` and `exclude` are globs relative to `baseDir` (default:
+ * `directory`). Symlinked directories are followed once, so links back up
+ * the tree do not loop.
+ */
+function findFilesByExtension(directory, extension, recursive = false, filters = {}) {
+  const extensions = Array.isArray(extension) ? extension : [extension];
+  const { include, exclude, baseDir = directory } = filters;
+  const excludeRules = exclude ? parseIgnorePatterns(exclude, path.resolve(baseDir)) : [];
+  const ignored = (fullPath, isDirectory, rules) =>
+    isIgnored(fullPath, isDirectory, rules) || isIgnored(fullPath, isDirectory, excludeRules);
+  const included = fullPath => !include || matchesGlob(path.relative(baseDir, fullPath), include);
+  
+  const files = [];
+  const visited = new Set();
+  
+  function scanDirectory(dir, inheritedRules) {
+    const realDir = fs.realpathSync(dir);
+    if (visited.has(realDir)) {
+      return;
+    }
+    visited.add(realDir);
+    
+    const rules = inheritedRules.concat(readIgnoreFile(dir));
+    // Sorted, so runs list and process files in the same order everywhere
+    const items = fs.readdirSync(dir).sort();
+    
+    for (const item of items) {
+      const fullPath = path.join(dir, item);
+      let stat;
+      try {
+        stat = fs.statSync(fullPath);
+      } catch (error) {
+        // Broken symlink
+        continue;
+      }
+      
+      if (stat.isDirectory() && recursive) {
+        if (!ignored(fullPath, true, rules)) {
+          scanDirectory(fullPath, rules);
+        }
+      } else if (stat.isFile() && extensions.includes(path.extname(item).toLowerCase()) &&
+          !ignored(fullPath, false, rules) && included(fullPath)) {
+        files.push(fullPath);
+      }
+    }
+  }
+  
+  scanDirectory(directory, getInheritedRules(directory));
+  return files;
+}
+
+function findJsonFiles(directory, recursive = false, filters) {
+  return findFilesByExtension(directory, '.json', recursive, filters);
+}
+
+/**
+ * Find files in the `inputFormat` formats (one name or a list) by extension;
+ * only JSON by default, as before other formats were supported. `.env` and
+ * `.env.*` dotfiles are only recognised by name when encrypted one at a time.
+ */
+function findSourceFiles(directory, recursive = false, inputFormat = DEFAULT_SOURCE.format, filters) {
+  const formats = [].concat(inputFormat);
+  const extensions = formats.reduce((all, name) => all.concat(getFormatHandler(name).extensions), []);
+  return findFilesByExtension(directory, extensions, recursive, filters);
+}
+
+function findEncFiles(directory, recursive = false, filters) {
+  return findFilesByExtension(directory, '.enc', recursive, filters);
+}
+
+// Options for one file: `fileOptions(file)` adds per-file settings such as config rules
+function getFileOptions(file, options) {
+  return options.fileOptions ? { ...options, ...options.fileOptions(file) } : options;
+}
+
+const OPERATIONS = { encrypt: encryptFile, decrypt: decryptFile };
+// Dry runs: where each file would go, without writing anything
+const PLANS = { encrypt: planEncryptFile, decrypt: planDecryptFile };
+
+/**
+ * Number of worker threads from CLI options (`concurrency`) or
+ * ENC_CONCURRENCY. 1, the default, processes files on the main thread.
+ *
+ * @returns {number}
+ */
+function resolveConcurrency(options = {}, env = process.env) {
+  const value = options.concurrency !== undefined ? options.concurrency : env.ENC_CONCURRENCY;
+  if (value === undefined || value === '') {
+    return 1;
+  }
+  
+  const concurrency = Number(value);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new InvalidOptionError(`Invalid concurrency: ${value} (use a whole number of workers, 1 or more)`);
+  }
+  return concurrency;
+}
+
+// Options for a worker: functions cannot be posted to another thread
+function getWorkerOptions(file, options) {
+  return Object.fromEntries(Object.entries(getFileOptions(file, options)).filter(([, value]) => typeof value !== 'function'));
+}
+
+// Process files in `concurrency` worker threads, each taking the next file
+// when it finishes one. Outcomes keep the order of `files`.
+function runInWorkers(files, operation, options) {
+  const { concurrency, onProgress } = options;
+  const outcomes = new Array(files.length);
+  const workers = [];
+  let next = 0;
+  let finished = 0;
+  // The file each worker is on, so a worker that exits mid-job can fail it
+  const jobs = new Map();
+  let stopped = false;
+  
+  return new Promise((resolve, reject) => {
+    const stop = error => {
+      stopped = true;
+      workers.forEach(worker => worker.terminate());
+      return error ? reject(error) : resolve(outcomes);
+    };
+    
+    function complete(id, outcome, worker) {
+      jobs.delete(worker);
+      outcomes[id] = outcome;
+      finished++;
+      if (onProgress) {
+        onProgress(files[id], finished - 1, files.length);
+      }
+      return finished === files.length ? stop() : send(worker);
+    }
+    
+    function send(worker) {
+      if (next >= files.length) {
+        return;
+      }
+      const id = next++;
+      jobs.set(worker, id);
+      try {
+        worker.postMessage({ id, operation, file: files[id], options: getWorkerOptions(files[id], options) });
+      } catch (error) {
+        complete(id, { error }, worker);
+      }
+    }
+    
+    function startWorker() {
+      const worker = new Worker(path.join(__dirname, 'batch-worker.js'));
+      worker.on('message', ({ id, result, error, duration }) => complete(id, error ? { error, duration } : { result, duration }, worker));
+      worker.on('error', stop);
+      // Killed for memory, or process.exit() in a handler: no 'error' is
+      // raised, so fail its file here and let a new worker take the rest
+      worker.on('exit', code => {
+        if (stopped || !jobs.has(worker)) {
+          return;
+        }
+        workers.splice(workers.indexOf(worker), 1);
+        const error = { message: `Worker exited with code ${code} while processing this file` };
+        complete(jobs.get(worker), { error }, next < files.length ? startWorker() : null);
+      });
+      workers.push(worker);
+      return worker;
+    }
+    
+    for (let i = 0; i < Math.min(concurrency, files.length); i++) {
+      startWorker();
+    }
+    workers.forEach(send);
+  });
+}
+
+async function runOnMainThread(files, operation, options) {
+  const { onProgress } = options;
+  const run = options.dryRun ? PLANS[operation] : OPERATIONS[operation];
+  const outcomes = [];
+  
+  for (let i = 0; i < files.length; i++) {
+    const file = files[i];
+    const started = Date.now();
+    
+    if (onProgress) {
+      onProgress(file, i, files.length);
+    }
+    
+    try {
+      const result = await run(file, getFileOptions(file, options));
+      outcomes.push({ result, duration: Date.now() - started });
+    } catch (error) {
+      outcomes.push({ error, duration: Date.now() - started });
+    }
+  }
+  
+  return outcomes;
+}
+
+function getSize(filePath) {
+  try {
+    return fs.statSync(filePath).size;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+async function processFiles(files, operation, options) {
+  const results = {
+    success: [],
+    failed: [],
+    skipped: []
+  };
+  
+  const concurrency = resolveConcurrency(options, {});
+  const outcomes = concurrency > 1 && files.length > 1 && !options.dryRun
+    ? await runInWorkers(files, operation, { ...options, concurrency })
+    : await runOnMainThread(files, operation, options);
+  
+  outcomes.forEach(({ result, error, duration }, i) => {
+    if (error) {
+      results.failed.push({
+        success: false,
+        inputFile: files[i],
+        error: error.message,
+        code: error.code,
+        inputSize: getSize(files[i]),
+        duration
+      });
+    } else if (options.dryRun) {
+      results.success.push({ success: true, dryRun: true, ...result, inputSize: getSize(files[i]), duration });
+    } else {
+      results.success.push({
+        success: true,
+        ...result,
+        inputSize: getSize(files[i]),
+        outputSize: getSize(result.tempFile || result.outputFile),
+        duration
+      });
+    }
+  });
+  
+  return results;
+}
+
+// With `atomic`, every output is staged in a temp file first and swapped in
+// only once all files succeeded; `committed` says whether that happened
+async function processBatch(directory, files, operation, options) {
+  if (!options.atomic || options.dryRun) {
+    return processFiles(files, operation, options);
+  }
+  
+  const results = await processFiles(files, operation, { ...options, stage: true });
+  const staged = results.success.filter(result => result.tempFile);
+  // Temp files sit next to their outputs, which --out-dir moves
+  new Set([...files, ...staged.map(result => result.outputFile)].map(file => path.dirname(file)))
+    .forEach(removeStaleTempFiles);
+  
+  if (results.failed.length > 0) {
+    await discardStagedFiles(staged);
+    results.committed = false;
+  } else {
+    const backups = await commitStagedFiles(directory, staged);
+    staged.forEach((result, i) => {
+      if (backups[i]) {
+        result.backup = backups[i];
+      }
+    });
+    results.committed = true;
+  }
+  results.success.forEach(result => delete result.tempFile);
+  
+  return results;
+}
+
+// With `removePlaintext`, each source whose .enc file decrypts back to it is
+// shredded; a run that wrote nothing removes nothing
+async function removePlaintextFiles(results, options) {
+  if (!options.removePlaintext || options.dryRun || results.committed === false) {
+    return;
+  }
+  
+  for (const result of [...results.success, ...results.skipped]) {
+    try {
+      await removePlaintext(result.inputFile, result.outputFile, { ...getFileOptions(result.inputFile, options), gitignore: options.gitignore });
+      result.removed = true;
+    } catch (error) {
+      result.removeError = error.message;
+    }
+  }
+}
+
+function isInside(file, directory) {
+  const relative = path.relative(directory, file);
+  return relative !== '' && relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+}
+
+// With `outDir`, outputs mirror `directory` there; when it is inside
+// `directory`, the files already in it are outputs, not inputs
+function applyOutDir(directory, files, options) {
+  if (!options.outDir) {
+    return { files, options };
+  }
+  
+  const outDir = path.resolve(options.outDir);
+  return {
+    files: files.filter(file => !isInside(path.resolve(file), outDir)),
+    options: { ...options, outDir, rootDir: directory }
+  };
+}
+
+// batchEncrypt, inside the run's key cache
+async function encryptDirectory(directory, batchOptions = {}) {
+  // Files are picked by extension, so each one is read in its detected format
+  const { inputFormat, ...scanOptions } = batchOptions;
+  const scanned = findSourceFiles(directory, scanOptions.recursive, inputFormat, scanOptions);
+  const { files: sourceFiles, options } = applyOutDir(directory, scanned, scanOptions);
+  const manifest = await loadManifest(directory, options);
+  if (!manifest) {
+    const results = await processBatch(directory, sourceFiles, 'encrypt', options);
+    await removePlaintextFiles(results, options);
+    return results;
+  }
+  
+  const hashes = new Map();
+  const skipped = [];
+  const changed = [];
+  for (const file of sourceFiles) {
+    try {
+      const hash = await hashSourceFile(manifest, file, getFileOptions(file, options));
+      const outputFile = options.force ? null : getUnchangedOutput(manifest, file, hash);
+      hashes.set(file, hash);
+      if (outputFile) {
+        skipped.push({ skipped: true, inputFile: file, outputFile });
+        continue;
+      }
+    } catch (error) {
+      // Left for encryptFile to report
+    }
+    changed.push(file);
+  }
+  
+  const results = await processBatch(directory, changed, 'encrypt', options);
+  results.skipped = skipped;
+  if (options.dryRun) {
+    return results;
+  }
+  
+  results.success
+    .filter(result => results.committed !== false && hashes.has(result.inputFile))
+    .forEach(result => recordFile(manifest, result.inputFile, hashes.get(result.inputFile), result.outputFile));
+  results.failed.forEach(result => forgetFile(manifest, result.inputFile));
+  await removePlaintextFiles(results, options);
+  saveManifest(manifest);
+  
+  return results;
+}
+
+/**
+ * Encrypt every JSON file in a directory, or the files in the `inputFormat`
+ * formats instead, e.g. `['json', 'yaml']`. Failures are collected, not thrown.
+ *
+ * `include` and `exclude` are globs relative to `baseDir` (default:
+ * `directory`), applied after the default excludes and .encignore files;
+ * `fileOptions(file)` returns options for one file.
+ *
+ * With `concurrency` above 1, files are encrypted in that many worker
+ * threads and `onProgress` is called as each one finishes; results keep
+ * the scan order either way.
+ *
+ * With a secret, a keyed hash of each file and its settings is kept in
+ * `directory/.enc-manifest.json`. Files whose hash and .enc file are
+ * unchanged since the last run are skipped, unless `force` is set.
+ *
+ * With `atomic`, nothing is written unless every file succeeds: outputs are
+ * staged in fsynced temp files, then renamed into place with the previous
+ * versions kept as `.bak` files for undoBatch.
+ *
+ * With `outDir`, outputs are written there instead, mirroring each file's
+ * path relative to `directory`; `extensionMap` renames them (see
+ * lib/outdir.js).
+ *
+ * With `removePlaintext`, each source is shredded once its .enc file,
+ * new or unchanged, decrypts back to it; `gitignore` also adds it to
+ * .gitignore (see lib/shred.js). Results say `removed`, or why not in
+ * `removeError`. An --atomic run that wrote nothing removes nothing.
+ *
+ * With `dryRun`, nothing is written, not even the manifest: each file is
+ * checked and its result says where it would go.
+ *
+ * Every result has a `duration` in milliseconds and the `inputSize` and
+ * `outputSize` of its files in bytes.
+ *
+ * @param {string} directory
+ * @param {object} options - `{ secret, algorithm, kdf, recursive = false, inputFormat, outputFormat,
+ *   include, exclude, baseDir, fileOptions, concurrency = 1, force = false, atomic = false, dryRun = false,
+ *   outDir, extensionMap, removePlaintext = false, gitignore = false, onProgress }`
+ * @returns {Promise<{ success: object[], failed: object[], skipped: object[], committed?: boolean }>}
+ */
+async function batchEncrypt(directory, batchOptions = {}) {
+  return withKeyCache(() => encryptDirectory(directory, batchOptions));
+}
+
+/**
+ * Decrypt every .enc file in a directory that the default excludes,
+ * .encignore files and `exclude` do not skip, or only those matching
+ * `include`. Failures are collected, not thrown. `concurrency`, `atomic`,
+ * `outDir`, `extensionMap` and `dryRun` work as for batchEncrypt.
+ *
+ * @param {string} directory
+ * @param {object} options - `{ secret, algorithm, legacyKdf, recursive = false, overwrite = false,
+ *   outputFormat, include, exclude, baseDir, fileOptions, concurrency = 1, atomic = false, dryRun = false,
+ *   outDir, extensionMap, onProgress }`
+ * @returns {Promise<{ success: object[], failed: object[], skipped: object[], committed?: boolean }>}
+ */
+async function batchDecrypt(directory, batchOptions = {}) {
+  const { files, options } = applyOutDir(directory, findEncFiles(directory, batchOptions.recursive, batchOptions), batchOptions);
+  return withKeyCache(() => processBatch(directory, files, 'decrypt', options));
+}
+
+/**
+ * Exit code for a batch run: 1 when any file failed, its plaintext could not
+ * be removed or an --atomic run wrote nothing, otherwise 0. With
+ * `allowPartial`, failures only count when no file succeeded.
+ */
+function getBatchExitCode(results, options = {}) {
+  const done = results.success.length + results.skipped.length;
+  const kept = [...results.success, ...results.skipped].some(result => result.removeError);
+  if (results.failed.length === 0 && !kept && results.committed !== false) {
+    return 0;
+  }
+  return options.allowPartial && done > 0 && results.committed !== false ? 0 : 1;
+}
+
+function getReportName(file, directory) {
+  return (path.relative(directory, file) || path.basename(file)).split(path.sep).join('/');
+}
+
+function getReportStatus(entry, operation) {
+  if (entry.skipped) {
+    return 'skipped';
+  }
+  if (!entry.success) {
+    return 'failed';
+  }
+  return entry.dryRun ? `would-${operation}` : `${operation}ed`;
+}
+
+/**
+ * JSON report of a batch run. File names are relative to `directory`;
+ * sizes are in bytes and durations in milliseconds.
+ *
+ * @param {object} results - From batchEncrypt or batchDecrypt
+ * @param {object} options - `{ operation: 'encrypt' | 'decrypt', directory, dryRun = false, allowPartial = false, duration }`
+ * @returns {string}
+ */
+function formatBatchReport(results, options) {
+  const { operation, directory, dryRun = false } = options;
+  const entries = [...results.success, ...results.failed, ...results.skipped]
+    .sort((a, b) => a.inputFile.localeCompare(b.inputFile));
+  
+  return `${JSON.stringify({
+    operation,
+    dryRun,
+    committed: results.committed,
+    summary: {
+      total: entries.length,
+      succeeded: results.success.length,
+      failed: results.failed.length,
+      skipped: results.skipped.length,
+      exitCode: getBatchExitCode(results, options),
+      duration: options.duration
+    },
+    files: entries.map(entry => ({
+      file: getReportName(entry.inputFile, directory),
+      output: entry.outputFile && getReportName(entry.outputFile, directory),
+      backup: entry.backup && getReportName(entry.backup, directory),
+      status: getReportStatus(entry, operation),
+      inputSize: entry.inputSize,
+      outputSize: entry.outputSize,
+      duration: entry.duration,
+      removed: entry.removed,
+      removeError: entry.removeError,
+      code: entry.code,
+      error: entry.error
+    }))
+  }, null, 2)}\n`;
+}
+
+module.exports = {
+  resolveConcurrency,
+  findJsonFiles,
+  findSourceFiles,
+  findEncFiles,
+  batchEncrypt,
+  batchDecrypt,
+  getBatchExitCode,
+  formatBatchReport
+};
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const { DecryptionError, InvalidEnvelopeError } = require('./errors');
+
+// Plaintext bytes per GCM chunk in streamed envelopes
+const DEFAULT_CHUNK_SIZE = 64 * 1024;
+
+const AUTH_TAG_LENGTH = 16;
+
+// Streamed GCM envelopes store an 8-byte nonce prefix as `iv`; each chunk's
+// nonce is the prefix followed by the 32-bit chunk index
+const NONCE_PREFIX_LENGTH = 8;
+
+const CHUNK_AAD = Buffer.from('json-encrypt', 'utf8');
+
+/**
+ * Chunked AES-GCM: every chunk is sealed separately under a nonce derived
+ * from its index, and its AAD records the index and whether it is the last
+ * chunk. Reordered, dropped or truncated chunks therefore fail to open.
+ */
+function getChunkParams(noncePrefix, index, final) {
+  const counter = Buffer.alloc(4);
+  counter.writeUInt32BE(index);
+  
+  return {
+    nonce: Buffer.concat([noncePrefix, counter]),
+    aad: Buffer.concat([CHUNK_AAD, counter, Buffer.from([final ? 1 : 0])])
+  };
+}
+
+// Returns ciphertext followed by its 16-byte tag
+function sealChunk(algorithm, key, noncePrefix, index, final, plaintext) {
+  const { nonce, aad } = getChunkParams(noncePrefix, index, final);
+  const cipher = crypto.createCipheriv(algorithm, key, nonce);
+  cipher.setAAD(aad);
+  
+  return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+}
+
+function openChunk(algorithm, key, noncePrefix, index, final, sealed) {
+  if (sealed.length < AUTH_TAG_LENGTH) {
+    throw new DecryptionError('Decryption failed: encrypted data is truncated');
+  }
+  
+  const { nonce, aad } = getChunkParams(noncePrefix, index, final);
+  
+  try {
+    const decipher = crypto.createDecipheriv(algorithm, key, nonce);
+    decipher.setAAD(aad);
+    decipher.setAuthTag(sealed.subarray(sealed.length - AUTH_TAG_LENGTH));
+    return Buffer.concat([decipher.update(sealed.subarray(0, sealed.length - AUTH_TAG_LENGTH)), decipher.final()]);
+  } catch (error) {
+    throw new DecryptionError(final
+      ? 'Decryption failed: Invalid secret key, corrupted or truncated data'
+      : undefined);
+  }
+}
+
+// Opens a whole chunked payload held in memory
+function openChunks(algorithm, key, noncePrefix, chunkSize, sealed) {
+  const sealedChunkSize = chunkSize + AUTH_TAG_LENGTH;
+  const parts = [];
+  let index = 0;
+  let offset = 0;
+  
+  do {
+    const final = sealed.length - offset <= sealedChunkSize;
+    const end = final ? sealed.length : offset + sealedChunkSize;
+    parts.push(openChunk(algorithm, key, noncePrefix, index, final, sealed.subarray(offset, end)));
+    offset = end;
+    index++;
+  } while (offset < sealed.length);
+  
+  return Buffer.concat(parts);
+}
+
+function validateStreamHeader(stream) {
+  if (!stream || !Number.isInteger(stream.chunkSize) || stream.chunkSize < 1 || stream.chunkSize > 16 * 1024 * 1024) {
+    throw new InvalidEnvelopeError('Invalid envelope header: invalid stream chunk size');
+  }
+}
+
+module.exports = {
+  DEFAULT_CHUNK_SIZE,
+  AUTH_TAG_LENGTH,
+  NONCE_PREFIX_LENGTH,
+  sealChunk,
+  openChunk,
+  openChunks,
+  validateStreamHeader
+};
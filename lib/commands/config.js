@@ -0,0 +1,42 @@
+const path = require('path');
+const { CONFIG_FILES, loadProjectConfig, describeSettings } = require('../config');
+
+// `json-encrypt config --print [file]`
+function registerConfigCommand(program) {
+  program
+    .command('config')
+    .description(`Show the settings from ${CONFIG_FILES[0]}, .env and the defaults`)
+    .argument('[file]', 'Show the settings for this file, including the rules that match it')
+    .option('--print', 'Print the resolved settings and where each value comes from')
+    .option('--input-format <formats...>', 'Show the files json-batch-encrypt picks up with this --input-format')
+    .action((file, options, command) => {
+      if (!options.print) {
+        command.help();
+      }
+      
+      let project;
+      let rows;
+      try {
+        project = loadProjectConfig();
+        rows = describeSettings({ filePath: file, project, inputFormat: options.inputFormat });
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+      }
+      
+      console.log(project
+        ? `📋 Config file: ${path.relative(process.cwd(), project.file) || project.file}`
+        : `📋 No config file found (looked for ${CONFIG_FILES.join(', ')} from ${process.cwd()} up)`);
+      if (file) {
+        console.log(`📄 Settings for: ${file}`);
+      }
+      console.log('');
+      
+      const width = Math.max(...rows.map(row => row.setting.length));
+      rows.forEach(row => {
+        console.log(`   ${row.setting.padEnd(width)}  ${row.value}  (${row.source})`);
+      });
+    });
+}
+
+module.exports = { registerConfigCommand };
@@ -0,0 +1,51 @@
+const { loadProjectConfig, resolveDecryptOptions } = require('../config');
+const { diffDocuments, readDiffInput, formatChanges } = require('../diff');
+
+// Exit codes of diff(1)
+const EXIT_SAME = 0;
+const EXIT_DIFFERENT = 1;
+const EXIT_TROUBLE = 2;
+
+// `json-encrypt diff <a> <b>`
+function registerDiffCommand(program) {
+  program
+    .command('diff')
+    .description('Show keys added, removed and changed between two files, decrypting .enc files in memory')
+    .argument('<a>', '.enc file, or a plaintext JSON, YAML, TOML, .env or JSON5 file')
+    .argument('<b>', '.enc file, or a plaintext JSON, YAML, TOML, .env or JSON5 file')
+    .option('--reveal', 'Show values instead of masking them')
+    .option('--secret <key>', 'Secret key (default: ENC_SECRET from .env)')
+    .option('--key-file <file>', 'Read the secret from a key file (default: ENC_KEY_FILE from .env)')
+    .option('--private-key <key-file>', 'Private key for files encrypted for recipients (default: ENC_PRIVATE_KEY from .env)')
+    .option('--passphrase <passphrase>', 'Passphrase of a protected private key')
+    .option('--algorithm <algorithm>', 'Algorithm of legacy files without an envelope header')
+    .action(async (a, b, options) => {
+      let changes;
+      try {
+        const project = loadProjectConfig();
+        const read = file => readDiffInput(file, resolveDecryptOptions(options, file, { project }));
+        
+        changes = diffDocuments(await read(a), await read(b));
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
+        if (/secret key is required/.test(error.message)) {
+          console.error('💡 Pass --secret, --key-file or --private-key, or set ENC_SECRET in .env');
+        }
+        process.exit(EXIT_TROUBLE);
+      }
+      
+      if (changes.length === 0) {
+        process.exit(EXIT_SAME);
+      }
+      
+      const count = type => changes.filter(change => change.type === type).length;
+      console.log(`--- ${a}`);
+      console.log(`+++ ${b}`);
+      formatChanges(changes, options.reveal).forEach(line => console.log(line));
+      console.log(`\n${changes.length} change${changes.length === 1 ? '' : 's'}: ${count('added')} added, ${count('removed')} removed, ${count('changed')} changed` +
+        (options.reveal ? '' : ' (values masked; use --reveal to show them)'));
+      process.exit(EXIT_DIFFERENT);
+    });
+}
+
+module.exports = { registerDiffCommand };
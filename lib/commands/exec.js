@@ -0,0 +1,103 @@
+const os = require('os');
+const { ARRAY_MODES, flattenToEnv, createChildEnv, runCommand } = require('../exec');
+const { readEncryptedFile } = require('../file');
+const { loadProjectConfig, resolveDecryptOptions } = require('../config');
+const { InvalidOptionError } = require('../errors');
+
+// Exit codes a shell uses when a command cannot be run
+const EXIT_NOT_EXECUTABLE = 126;
+const EXIT_NOT_FOUND = 127;
+
+function collect(value, previous) {
+  return [...previous, value];
+}
+
+function parseDepth(value) {
+  if (value === undefined) {
+    return Infinity;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new InvalidOptionError(`Invalid nesting depth: ${value} (use a whole number of at least 1)`);
+  }
+  return Number(value);
+}
+
+// Decrypt every file in memory and merge their variables, later files winning
+async function loadVariables(files, options) {
+  const project = loadProjectConfig();
+  const flattenOptions = {
+    prefix: options.prefix,
+    separator: options.separator,
+    case: options.keepCase ? 'preserve' : 'upper',
+    arrays: options.arrays,
+    depth: parseDepth(options.depth)
+  };
+  
+  const variables = {};
+  for (const file of files) {
+    try {
+      const decryptOptions = resolveDecryptOptions(options, file, { project });
+      Object.assign(variables, flattenToEnv(await readEncryptedFile(file, decryptOptions), flattenOptions));
+    } catch (error) {
+      error.message = `${file}: ${error.message}`;
+      throw error;
+    }
+  }
+  return variables;
+}
+
+// `json-encrypt exec --file config.enc -- <command...>`
+function registerExecCommand(program) {
+  program
+    .command('exec')
+    .description('Run a command with the decrypted values in its environment; no plaintext is written to disk')
+    .argument('<command...>', 'Command to run and its arguments, after --')
+    .requiredOption('-f, --file <file>', 'Encrypted file to load; repeat for several, later files override earlier ones', collect, [])
+    .option('--secret <key>', 'Secret key (default: ENC_SECRET from .env)')
+    .option('--key-file <file>', 'Read the secret from a key file (default: ENC_KEY_FILE from .env)')
+    .option('--private-key <key-file>', 'Private key for files encrypted for recipients (default: ENC_PRIVATE_KEY from .env)')
+    .option('--passphrase <passphrase>', 'Passphrase of a protected private key')
+    .option('--prefix <prefix>', 'Prepend to every variable name, e.g. APP_', '')
+    .option('--separator <separator>', 'Joins nested keys: {"db":{"host":1}} sets DB__HOST', '__')
+    .option('--keep-case', 'Keep the case of keys instead of upper-casing them')
+    .option('--arrays <mode>', `Arrays as one variable per element (index) or one JSON value (json): ${ARRAY_MODES.join(', ')}`, 'index')
+    .option('--depth <n>', 'Nesting levels to flatten; deeper values are set as JSON (default: all)')
+    .option('--no-override', 'Keep variables that are already set in the environment')
+    .passThroughOptions()
+    .action(async ([command, ...args], options) => {
+      // The child owns stdout; everything printed here goes to stderr
+      let variables;
+      try {
+        variables = await loadVariables(options.file, options);
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
+        if (/secret key is required/.test(error.message)) {
+          console.error('💡 Pass --secret, --key-file or --private-key, or set ENC_SECRET in .env');
+        }
+        process.exit(1);
+      }
+      
+      let result;
+      try {
+        result = await runCommand(command, args, createChildEnv(variables, options.override));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          console.error(`❌ Command not found: ${command}`);
+          process.exit(EXIT_NOT_FOUND);
+        }
+        console.error(`❌ Cannot run ${command}: ${error.message}`);
+        process.exit(error.code === 'EACCES' ? EXIT_NOT_EXECUTABLE : 1);
+      }
+      
+      // Die the way the child did, so callers see the same signal or status.
+      // Signals Node ignores, such as SIGPIPE, leave us running: exit with the
+      // code a shell reports for them instead.
+      if (result.signal) {
+        process.kill(process.pid, result.signal);
+        process.exit(128 + os.constants.signals[result.signal]);
+      }
+      process.exit(result.code);
+    });
+}
+
+module.exports = { registerExecCommand };
@@ -0,0 +1,110 @@
+const { ALGORITHMS } = require('../envelope');
+const { resolveKdf, resolveLegacyKdf } = require('../kdf');
+const { resolveKeyFile } = require('../keys');
+const { resolveRecipients, resolvePrivateKey } = require('../recipients');
+const { resolveFormat } = require('../format');
+const { resolveFieldLevel } = require('../fields');
+const { applyProjectConfig } = require('../config');
+const { STDIO, enterPipeMode, readInput, writeOutput } = require('../pipe');
+const { GIT_DRIVER, cleanContent, smudgeContent, installGitFilters } = require('../git');
+const { InvalidOptionError } = require('../errors');
+
+// Filters run unattended from git config, so settings come from .jsonencryptrc
+// (with its rules for `file`) and the environment: ENC_SECRET or ENC_KEY_FILE,
+// ENC_RECIPIENTS, ENC_PRIVATE_KEY
+function resolveFilterOptions(file) {
+  const options = applyProjectConfig({}, { filePath: file });
+  const keyFile = resolveKeyFile(options);
+  const algorithm = options.alg || process.env.ENC_ALGORITHM || 'aes-256-cbc';
+  if (!ALGORITHMS[algorithm]) {
+    throw new InvalidOptionError(`Unsupported algorithm: ${algorithm}`);
+  }
+  
+  return {
+    algorithm,
+    secret: keyFile ? keyFile.secret : options.secret || process.env.ENC_SECRET,
+    recipients: resolveRecipients(options),
+    privateKey: resolvePrivateKey(options),
+    kdf: resolveKdf(options),
+    format: resolveFormat(options),
+    fieldLevel: resolveFieldLevel(options),
+    legacyKdf: resolveLegacyKdf()
+  };
+}
+
+/**
+ * Run a filter from stdin (or `input`) to stdout, with the settings for the
+ * repository path `file`. With `passThrough`, content that cannot be
+ * decrypted is written out as it came in, so a checkout or diff without the
+ * key still works and shows the ciphertext.
+ */
+async function runFilter(name, input, file, transform, passThrough = false) {
+  // Git reads the result from stdout; messages go to stderr
+  enterPipeMode();
+  
+  let content;
+  try {
+    content = await readInput(input);
+    await writeOutput(STDIO, await transform(content, resolveFilterOptions(file)));
+  } catch (error) {
+    if (!passThrough || !content) {
+      console.error(`❌ json-encrypt ${name}: ${error.message}`);
+      process.exit(1);
+    }
+    console.error(`⚠️  json-encrypt ${name}: ${error.message}; leaving the file encrypted`);
+    await writeOutput(STDIO, content);
+  }
+}
+
+// `json-encrypt git-clean|git-smudge|git-textconv` and `json-encrypt git-setup`
+function registerGitCommands(program) {
+  program
+    .command('git-clean')
+    .description('Git clean filter: encrypt stdin for the repository (set up with git-setup)')
+    .argument('[file]', 'Path of the file in the repository (%f), for format detection')
+    .action(async (file) => {
+      await runFilter('git-clean', STDIO, file, (content, options) => cleanContent(content, file, options));
+    });
+  
+  program
+    .command('git-smudge')
+    .description('Git smudge filter: decrypt stdin for the working copy (set up with git-setup)')
+    .argument('[file]', 'Path of the file in the repository (%f)')
+    .action(async (file) => {
+      await runFilter('git-smudge', STDIO, file, smudgeContent, true);
+    });
+  
+  program
+    .command('git-textconv')
+    .description('Git textconv driver: print a file decrypted, so git diff and git log -p show plaintext')
+    .argument('<file>', 'File to convert, as passed by git')
+    .action(async (file) => {
+      await runFilter('git-textconv', file, undefined, smudgeContent, true);
+    });
+  
+  program
+    .command('git-setup')
+    .description('Encrypt matching files in git while keeping them plaintext in the working copy')
+    .argument('[patterns...]', 'gitattributes patterns of files to encrypt, e.g. "config/*.json" secrets.yaml; omit after cloning to only configure git')
+    .option('--command <command>', 'Command git runs for the filters (default: this node and json-encrypt)')
+    .action((patterns, options) => {
+      let result;
+      try {
+        result = installGitFilters(patterns, { command: options.command });
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+      }
+      
+      console.log(`✅ Configured the ${GIT_DRIVER} filter and diff driver in .git/config`);
+      if (result.added.length > 0) {
+        console.log(`📝 Added to ${result.attributesFile}: ${result.added.join(', ')}`);
+      } else if (patterns.length > 0) {
+        console.log(`📝 ${result.attributesFile} already lists these patterns`);
+      }
+      console.log('💡 Set ENC_SECRET, ENC_KEY_FILE or ENC_RECIPIENTS in .env, keep .env out of git, and commit .gitattributes');
+      console.log('💡 Files already committed in plaintext are encrypted the next time they change; run `git add --renormalize .` to encrypt them now');
+    });
+}
+
+module.exports = { registerGitCommands };
@@ -0,0 +1,31 @@
+const { resolveGuardPatterns, findStagedLeaks } = require('../guard');
+
+// `json-encrypt guard`, run from a pre-commit hook
+function registerGuardCommand(program) {
+  program
+    .command('guard')
+    .description('Fail if staged files would commit plaintext: files next to their .enc, or matching sensitive patterns')
+    .option('--pattern <patterns...>', 'Sensitive path patterns, e.g. "config/*.json" "*.secret.yaml" (default: ENC_GUARD_PATTERNS from .env, comma-separated)')
+    .action((options) => {
+      let result;
+      try {
+        result = findStagedLeaks({ patterns: resolveGuardPatterns(options) });
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+      }
+      
+      if (result.leaks.length === 0) {
+        console.log(`🛡️  No plaintext staged (${result.checked} file${result.checked === 1 ? '' : 's'} checked)`);
+        return;
+      }
+      
+      console.error(`❌ Refusing to commit ${result.leaks.length} plaintext file${result.leaks.length === 1 ? '' : 's'}:`);
+      result.leaks.forEach(leak => console.error(`   ${leak.file} (${leak.reason})`));
+      console.error('\n💡 Unstage them with `git restore --staged <file>` and add them to .gitignore;');
+      console.error('   commit the .enc file instead (json-encrypt <file>), or use `json-encrypt git-setup` to encrypt them in git');
+      process.exit(1);
+    });
+}
+
+module.exports = { registerGuardCommand };
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const { outro } = require('@clack/prompts');
+const { KEY_TYPES, KEY_FORMATS, generateSymmetricKey, generateKeyPair, parseSymmetricKey, getSymmetricKeyFingerprint } = require('../keys');
+const { toPublicKey, toPrivateKey, getKeyFingerprint, readKeyFile } = require('../recipients');
+const { OutputExistsError } = require('../errors');
+
+function writeKeyFile(filePath, content, mode, overwrite) {
+  if (fs.existsSync(filePath) && !overwrite) {
+    throw new OutputExistsError(filePath);
+  }
+  fs.writeFileSync(filePath, content, { mode });
+  fs.chmodSync(filePath, mode);
+}
+
+function getPublicKeyPath(privateKeyPath) {
+  const extension = path.extname(privateKeyPath);
+  return `${extension ? privateKeyPath.slice(0, -extension.length) : privateKeyPath}.pub`;
+}
+
+// Identify any key file: symmetric key, public key or private key
+function describeKeyFile(file, passphrase) {
+  const content = readKeyFile(file);
+  const symmetricKey = parseSymmetricKey(content);
+  
+  if (symmetricKey) {
+    return { type: 'symmetric', fingerprint: getSymmetricKeyFingerprint(symmetricKey) };
+  }
+  
+  let key;
+  try {
+    key = toPublicKey(content);
+  } catch (error) {
+    key = toPrivateKey(passphrase ? { key: content, passphrase } : content);
+  }
+  
+  return {
+    type: key.asymmetricKeyType === 'rsa' ? 'rsa' : key.asymmetricKeyType,
+    visibility: key.type,
+    fingerprint: getKeyFingerprint(key)
+  };
+}
+
+// `json-encrypt keygen` and `json-encrypt fingerprint <key-files...>`
+function registerKeygenCommand(program) {
+  program
+    .command('keygen')
+    .description('Generate a symmetric key for --key-file, or a key pair for --recipient/--private-key')
+    .option('-t, --type <type>', `Key type: ${Object.keys(KEY_TYPES).join(', ')}`, 'symmetric')
+    .option('-f, --format <format>', `Output format: ${KEY_FORMATS.join(', ')}`, 'pem')
+    .option('-o, --out <file>', 'Output file; the public key is written next to it as .pub (default: json-encrypt.key or json-encrypt.pem)')
+    .option('--bits <bits>', 'RSA modulus length', '3072')
+    .option('--passphrase <passphrase>', 'Encrypt the private key with this passphrase')
+    .option('--overwrite', 'Overwrite existing key files')
+    .action((options) => {
+      try {
+        if (options.type === 'symmetric') {
+          const outFile = options.out || 'json-encrypt.key';
+          const { content, fingerprint } = generateSymmetricKey({ format: options.format });
+          
+          writeKeyFile(outFile, content, 0o600, options.overwrite);
+          
+          console.log(`🔑 Generated ${KEY_TYPES.symmetric.toLowerCase()}`);
+          console.log(`📁 Key file: ${outFile} (keep it secret)`);
+          console.log(`🔏 Fingerprint: ${fingerprint}`);
+          console.log(`\n💡 Use it with: json-encrypt <file> --key-file ${outFile}, or set ENC_KEY_FILE in .env`);
+        } else {
+          const outFile = options.out || 'json-encrypt.pem';
+          const publicFile = getPublicKeyPath(outFile);
+          const { publicKey, privateKey, fingerprint } = generateKeyPair({
+            type: options.type,
+            bits: options.bits,
+            format: options.format,
+            passphrase: options.passphrase
+          });
+          
+          if (fs.existsSync(publicFile) && !options.overwrite) {
+            throw new OutputExistsError(publicFile);
+          }
+          writeKeyFile(outFile, privateKey, 0o600, options.overwrite);
+          writeKeyFile(publicFile, publicKey, 0o644, options.overwrite);
+          
+          console.log(`🔑 Generated ${KEY_TYPES[options.type]}${options.type === 'rsa' ? ` (${options.bits} bits)` : ''}`);
+          console.log(`📁 Private key: ${outFile} (keep it secret${options.passphrase ? ', passphrase-protected' : ''})`);
+          console.log(`📁 Public key: ${publicFile}`);
+          console.log(`🔏 Fingerprint: ${fingerprint}`);
+          console.log(`\n💡 Encrypt for it with --recipient ${publicFile}; decrypt with --private-key ${outFile}`);
+        }
+        
+        outro('🎉 Done!');
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+      }
+    });
+  
+  program
+    .command('fingerprint')
+    .description('Print the type and fingerprint of key files')
+    .argument('<key-files...>', 'Symmetric key, public key or private key files')
+    .option('--passphrase <passphrase>', 'Passphrase for protected private keys')
+    .action((files, options) => {
+      let failed = false;
+      
+      for (const file of files) {
+        try {
+          const { type, visibility, fingerprint } = describeKeyFile(file, options.passphrase);
+          console.log(`${fingerprint}  ${(visibility ? `${type} ${visibility}` : type).padEnd(14)}  ${file}`);
+        } catch (error) {
+          console.error(`❌ ${file}: ${error.message}`);
+          failed = true;
+        }
+      }
+      
+      if (failed) {
+        process.exit(1);
+      }
+    });
+}
+
+module.exports = { registerKeygenCommand };
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const { outro } = require('@clack/prompts');
+const { listRecipients, resolveRecipients, resolvePrivateKey } = require('../recipients');
+const { updateRecipients } = require('../file');
+const { parseEnvelope } = require('../format');
+const { applyProjectConfig } = require('../config');
+
+function readEnvelopeOrExit(file) {
+  try {
+    return parseEnvelope(fs.readFileSync(file));
+  } catch (error) {
+    console.error(error.code === 'ENOENT' ? `❌ File not found: ${file}` : '❌ Invalid encrypted file format');
+    process.exit(1);
+  }
+}
+
+function printRecipients(recipients) {
+  recipients.forEach(({ type, fingerprint }) => {
+    console.log(`   ${type.padEnd(8)} ${fingerprint}`);
+  });
+}
+
+// `json-encrypt recipients list|add|remove <file>`
+function registerRecipientsCommand(program) {
+  const recipients = program
+    .command('recipients')
+    .description('List, add or remove public-key recipients of an .enc file without re-encrypting its payload');
+  
+  recipients
+    .command('list')
+    .description('Show the type and fingerprint of every recipient')
+    .argument('<file>', '.enc file encrypted for recipients')
+    .action((file) => {
+      try {
+        const entries = listRecipients(readEnvelopeOrExit(file));
+        console.log(`🔑 ${entries.length} recipient${entries.length === 1 ? '' : 's'}:`);
+        printRecipients(entries);
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+      }
+    });
+  
+  recipients
+    .command('add')
+    .description('Wrap the file\'s data key for more public keys')
+    .argument('<file>', '.enc file encrypted for recipients')
+    .requiredOption('--recipient <key-files...>', 'Public keys (PEM) to add')
+    .option('--private-key <key-file>', 'Private key of an existing recipient (default: ENC_PRIVATE_KEY from .env)')
+    .option('--passphrase <passphrase>', 'Passphrase of a protected private key')
+    .action(async (file, options) => {
+      try {
+        const privateKey = resolvePrivateKey(applyProjectConfig(options, { filePath: file }));
+        if (!privateKey) {
+          console.error('❌ Adding recipients needs the private key of an existing recipient: use --private-key or set ENC_PRIVATE_KEY in .env');
+          process.exit(1);
+        }
+        
+        const entries = await updateRecipients(file, { add: resolveRecipients(options, {}), privateKey });
+        console.log(`🔑 ${entries.length} recipient${entries.length === 1 ? '' : 's'}:`);
+        printRecipients(entries);
+        outro('🎉 Recipients updated. The encrypted payload was not changed.');
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+      }
+    });
+  
+  recipients
+    .command('remove')
+    .description('Drop recipients by public key or fingerprint (not revocation: the data key is unchanged)')
+    .argument('<file>', '.enc file encrypted for recipients')
+    .option('--recipient <key-files...>', 'Public keys (PEM) to remove')
+    .option('--fingerprint <fingerprints...>', 'Fingerprints (or unique prefixes) to remove')
+    .action(async (file, options) => {
+      try {
+        const remove = [...(options.fingerprint || []), ...resolveRecipients(options, {})];
+        if (remove.length === 0) {
+          console.error('❌ Specify the recipients to remove with --recipient or --fingerprint');
+          process.exit(1);
+        }
+        
+        const entries = await updateRecipients(file, { remove });
+        console.log(`🔑 ${entries.length} recipient${entries.length === 1 ? '' : 's'}:`);
+        printRecipients(entries);
+        console.log('\n⚠️  This is not revocation: the data key is unchanged, so removed recipients with an earlier copy can still decrypt. Decrypt and encrypt again for the remaining recipients to revoke them.');
+        outro('🎉 Recipients updated. The encrypted payload was not changed.');
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+      }
+    });
+}
+
+module.exports = { registerRecipientsCommand };
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const { outro, spinner } = require('@clack/prompts');
+const { ALGORITHMS } = require('../envelope');
+const { resolveKdf, resolveLegacyKdf } = require('../kdf');
+const { resolveKeyFile } = require('../keys');
+const { loadProjectConfig, applyProjectConfig } = require('../config');
+const { FORMATS } = require('../format');
+const { rotateFiles } = require('../rotate');
+
+// `json-encrypt rotate <target>`
+function registerRotateCommand(program) {
+  program
+    .command('rotate')
+    .description('Re-encrypt existing .enc files under a new secret or algorithm without writing plaintext')
+    .argument('<target>', '.enc file or directory to rotate')
+    .option('-r, --recursive', 'Include subdirectories')
+    .option('--old-secret <key>', 'Current secret key (default: ENC_SECRET from .env)')
+    .option('--old-algorithm <algorithm>', 'Current algorithm, only needed for files without an envelope header')
+    .option('--new-secret <key>', 'New secret key (default: ENC_NEW_SECRET from .env, then the current secret)')
+    .option('--new-alg <algorithm>', 'New encryption algorithm (default: keep each file\'s algorithm)')
+    .option('--new-format <format>', `New output format: ${Object.keys(FORMATS).join(', ')} (default: keep each file's format)`)
+    .option('--kdf <name>', 'Key derivation function for the new files (scrypt, pbkdf2)')
+    .option('--kdf-n <N>', 'scrypt CPU/memory cost, a power of two (default: 16384)')
+    .option('--kdf-r <r>', 'scrypt block size (default: 8)')
+    .option('--kdf-p <p>', 'scrypt parallelization (default: 1)')
+    .option('--kdf-iterations <count>', 'PBKDF2-SHA256 iterations (default: 600000)')
+    .action(async (target, cliOptions) => {
+      // The key and recursion from .jsonencryptrc, when the command line leaves them out
+      let configured;
+      let configuredSecret;
+      try {
+        configured = applyProjectConfig({ recursive: cliOptions.recursive }, { project: loadProjectConfig() });
+        const keyFile = configured.keyFile ? resolveKeyFile(configured) : null;
+        configuredSecret = keyFile ? keyFile.secret : configured.secret;
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+      }
+      const options = { ...cliOptions, recursive: configured.recursive };
+      
+      const oldSecret = options.oldSecret || configuredSecret || process.env.ENC_SECRET;
+      const newSecret = options.newSecret || process.env.ENC_NEW_SECRET || oldSecret;
+      
+      if (!oldSecret) {
+        console.error('❌ The current secret is required: use --old-secret or set ENC_SECRET in .env');
+        process.exit(1);
+      }
+      
+      for (const algorithm of [options.oldAlgorithm, options.newAlg]) {
+        if (algorithm && !ALGORITHMS[algorithm]) {
+          console.error(`❌ Unsupported algorithm: ${algorithm}`);
+          console.error(`Supported algorithms: ${Object.keys(ALGORITHMS).join(', ')}`);
+          process.exit(1);
+        }
+      }
+      
+      if (options.newFormat && !FORMATS[options.newFormat]) {
+        console.error(`❌ Unsupported output format: ${options.newFormat}`);
+        console.error(`Supported formats: ${Object.keys(FORMATS).join(', ')}`);
+        process.exit(1);
+      }
+      
+      let kdf;
+      let legacyKdf;
+      try {
+        kdf = resolveKdf(options);
+        legacyKdf = resolveLegacyKdf();
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+      }
+      
+      if (!options.oldSecret && configuredSecret) {
+        console.log('📋 Using current secret from .jsonencryptrc');
+      } else if (!options.oldSecret) {
+        console.log(`📋 Using current secret from .env: ${'*'.repeat(Math.min(oldSecret.length, 20))}`);
+      }
+      if (newSecret === oldSecret) {
+        console.log('📋 Keeping the current secret (set --new-secret to change it)');
+      }
+      
+      const baseDir = fs.existsSync(target) && fs.statSync(target).isDirectory() ? target : path.dirname(target);
+      const s = spinner();
+      
+      let results;
+      try {
+        s.start('🔍 Scanning for .enc files...');
+        
+        results = await rotateFiles(target, {
+          oldSecret,
+          oldAlgorithm: options.oldAlgorithm,
+          legacyKdf,
+          newSecret,
+          newAlgorithm: options.newAlg,
+          newFormat: options.newFormat,
+          kdf,
+          recursive: options.recursive,
+          onProgress: (file, index, total) => {
+            s.message(`🔁 Re-encrypting ${path.basename(file)} (${index + 1}/${total})...`);
+          }
+        });
+        
+        s.stop();
+      } catch (error) {
+        s.stop(`❌ Error during key rotation: ${error.message}`);
+        process.exit(1);
+      }
+      
+      const total = results.success.length + results.failed.length;
+      if (total === 0) {
+        console.log('❌ No .enc files found');
+        process.exit(1);
+      }
+      
+      // Display results
+      console.log('\n📊 Key Rotation Results:');
+      
+      if (results.success.length > 0) {
+        console.log(`\n${results.committed ? '✅ Rotated' : '⏸️  Ready but not written'}: ${results.success.length} files`);
+        results.success.forEach(result => {
+          console.log(`   ${path.relative(baseDir, result.inputFile) || path.basename(result.inputFile)}: ${result.fromAlgorithm} → ${result.toAlgorithm}`);
+        });
+      }
+      
+      if (results.failed.length > 0) {
+        console.log(`\n❌ Failed to rotate: ${results.failed.length} files`);
+        results.failed.forEach(result => {
+          console.log(`   ${path.relative(baseDir, result.inputFile) || path.basename(result.inputFile)}: ${result.error}`);
+        });
+        console.log('\n⚠️  No files were changed. Fix the failures above and run the rotation again.');
+        process.exit(1);
+      }
+      
+      outro(`🎉 Key rotation completed! ${results.success.length}/${total} files re-encrypted.`);
+    });
+}
+
+module.exports = { registerRotateCommand };
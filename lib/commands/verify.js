@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+const { ALGORITHMS } = require('../envelope');
+const { loadProjectConfig, applyProjectConfig, resolveDecryptOptions } = require('../config');
+const { isStdio, enterPipeMode, writeOutput } = require('../pipe');
+const { VERIFY_STATUSES, verifyFiles, getVerifyExitCode, formatJsonReport, formatJUnitReport } = require('../verify');
+const { InvalidOptionError } = require('../errors');
+
+const REPORT_FORMATS = {
+  junit: formatJUnitReport,
+  json: formatJsonReport
+};
+
+// JUnit for .xml report files, JSON otherwise
+function resolveReportFormat(options) {
+  const format = options.reportFormat || (options.report && /\.xml$/i.test(options.report) ? 'junit' : 'json');
+  if (!REPORT_FORMATS[format]) {
+    throw new InvalidOptionError(`Unsupported report format: ${format}. Supported: ${Object.keys(REPORT_FORMATS).join(', ')}`);
+  }
+  return format;
+}
+
+// `json-encrypt verify <target>`
+function registerVerifyCommand(program) {
+  program
+    .command('verify')
+    .description('Check that .enc files decrypt with the current key and hold valid data, without writing plaintext')
+    .argument('<target>', '.enc file or directory to verify')
+    .option('-r, --recursive', 'Include subdirectories')
+    .option('--secret <key>', 'Secret key (default: ENC_SECRET from .env)')
+    .option('--key-file <file>', 'Read the secret from a key file (default: ENC_KEY_FILE from .env)')
+    .option('--private-key <key-file>', 'Private key for files encrypted for recipients (default: ENC_PRIVATE_KEY from .env)')
+    .option('--passphrase <passphrase>', 'Passphrase of a protected private key')
+    .option('--algorithm <algorithm>', 'Algorithm of legacy files without an envelope header')
+    .option('--report <file>', 'Write a report here, or - for stdout')
+    .option('--report-format <format>', `Report format: ${Object.keys(REPORT_FORMATS).join(', ')} (default: junit for .xml files, json otherwise)`)
+    .addHelpText('after', `
+Exit codes:
+  0  every file verified
+  1  error: no .enc files, no key for a file, or another error
+  2  wrong-key: the key does not belong to the file
+  3  auth-failed: the data was changed or corrupted
+  4  bad-envelope: not a readable .enc envelope
+  5  invalid-plaintext: decrypted, but not to valid data
+When files fail for different reasons, 3, 4, 5 and 2 win in that order.
+
+Files written before key checks existed, such as legacy aes-256-cbc files, cannot
+tell a wrong key from tampered data: a wrong key reports auth-failed (3) for them.`)
+    .action(async (target, options) => {
+      let decryptOptions;
+      let reportFormat;
+      try {
+        // .jsonencryptrc rules can name a different key per file
+        const project = loadProjectConfig();
+        decryptOptions = {
+          ...resolveDecryptOptions(options, undefined, { project }),
+          recursive: applyProjectConfig(options, { project }).recursive,
+          fileOptions: file => resolveDecryptOptions(options, file, { project })
+        };
+        reportFormat = resolveReportFormat(options);
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+      }
+      
+      if (!decryptOptions.secret && !decryptOptions.privateKey) {
+        console.error('❌ A key is required: pass --secret, --key-file or --private-key, or set ENC_SECRET in .env');
+        process.exit(1);
+      }
+      if (options.algorithm && !ALGORITHMS[options.algorithm]) {
+        console.error(`❌ Unsupported algorithm: ${options.algorithm}`);
+        console.error(`Supported algorithms: ${Object.keys(ALGORITHMS).join(', ')}`);
+        process.exit(1);
+      }
+      
+      // The report owns stdout; the listing goes to stderr
+      if (isStdio(options.report)) {
+        enterPipeMode();
+      }
+      
+      let results;
+      try {
+        results = await verifyFiles(target, decryptOptions);
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+      }
+      
+      const total = results.success.length + results.failed.length;
+      if (total === 0) {
+        console.log('❌ No .enc files found');
+        process.exit(1);
+      }
+      
+      const baseDir = fs.statSync(target).isDirectory() ? target : path.dirname(target);
+      const name = file => path.relative(baseDir, file) || path.basename(file);
+      
+      console.log('🔎 Verification Results:\n');
+      [...results.success, ...results.failed]
+        .sort((a, b) => a.inputFile.localeCompare(b.inputFile))
+        .forEach(result => {
+          if (result.success) {
+            console.log(`✅ ${name(result.inputFile)} (${result.algorithm}, ${result.sourceFormat}${result.fieldLevel ? ', field-level' : ''})`);
+          } else {
+            console.log(`❌ ${name(result.inputFile)}: ${VERIFY_STATUSES[result.status].label}`);
+            console.log(`   ${result.error}`);
+          }
+        });
+      
+      if (options.report) {
+        try {
+          await writeOutput(options.report, REPORT_FORMATS[reportFormat](results, baseDir));
+        } catch (error) {
+          console.error(`❌ Cannot write report: ${error.message}`);
+          process.exit(1);
+        }
+      }
+      
+      console.log(`\n📊 ${results.success.length}/${total} files verified${results.failed.length > 0 ? `, ${results.failed.length} failed` : ''}`);
+      if (options.report && !isStdio(options.report)) {
+        console.log(`📄 Report: ${options.report}`);
+      }
+      process.exit(getVerifyExitCode(results));
+    });
+}
+
+module.exports = { registerVerifyCommand };
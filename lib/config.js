@@ -0,0 +1,473 @@
+const fs = require('fs');
+const path = require('path');
+const JSON5 = require('json5');
+const { ALGORITHMS } = require('./envelope');
+const { KDFS, resolveKdf, resolveLegacyKdf } = require('./kdf');
+const { resolveKeyFile } = require('./keys');
+const { resolveRecipients, resolvePrivateKey } = require('./recipients');
+const { resolveFieldLevel } = require('./fields');
+const { assertFormat, resolveFormat } = require('./format');
+const { globToRegExp } = require('./glob');
+const { DEFAULT_SOURCE, getFormatHandler } = require('./handlers');
+const { InvalidOptionError } = require('./errors');
+
+// Looked for in this order in the cwd, then in each parent directory
+const CONFIG_FILES = ['.jsonencryptrc', '.jsonencryptrc.json', '.jsonencryptrc.js', '.jsonencryptrc.cjs'];
+
+// A .jsonencryptrc.js/.cjs is read as data, never run: the config is read by
+// the git filters, the guard hook and the require hook too, so running it
+// would execute code from any cloned repository with the key in the
+// environment. It may only export an object literal, parsed as JSON5.
+const MODULE_EXPORT = /^(?:\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/|(['"])use strict\1;?)*(?:module\.exports\s*=|export\s+default)\s*/;
+
+// Settings a rule can change for the files it matches
+const RULE_SETTINGS = ['algorithm', 'keyFile', 'secretEnv', 'recipients', 'privateKey', 'kdf', 'format', 'fieldLevel', 'outputName'];
+
+// Settings for the whole project only
+const PROJECT_SETTINGS = ['recursive', 'include', 'exclude', 'rules'];
+
+// Ways to name the encryption key; a rule naming one replaces the others
+const KEY_SETTINGS = ['keyFile', 'secretEnv', 'recipients'];
+
+// CLI options of each KDF parameter
+const KDF_OPTIONS = { N: 'kdfN', r: 'kdfR', p: 'kdfP', iterations: 'kdfIterations' };
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Path of the nearest config file, walking up from `cwd`, or null.
+ */
+function findConfigFile(cwd = process.cwd()) {
+  let dir = path.resolve(cwd);
+  while (true) {
+    const file = CONFIG_FILES.map(name => path.join(dir, name)).find(candidate => fs.existsSync(candidate));
+    if (file) {
+      return file;
+    }
+    
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+// The object a config module exports: `module.exports = { ... }` or `export default { ... }`
+function parseConfigModule(text) {
+  const prefix = text.match(MODULE_EXPORT);
+  if (!prefix) {
+    throw new Error('expected `module.exports = { ... }`; config modules are read as data, not run');
+  }
+  try {
+    return JSON5.parse(text.slice(prefix[0].length).replace(/;\s*$/, ''));
+  } catch (error) {
+    throw new Error(`only a plain object literal can be exported, since config modules are read as data, not run (${error.message})`);
+  }
+}
+
+function readConfigFile(file) {
+  try {
+    const text = fs.readFileSync(file, 'utf8');
+    return /\.c?js$/.test(file) ? parseConfigModule(text) : JSON.parse(text);
+  } catch (error) {
+    throw new InvalidOptionError(`Invalid ${file}: ${error.message}`);
+  }
+}
+
+// Check one level of settings (the file or a rule) and resolve its paths against `dir`
+function normalizeSettings(settings, allowed, where, dir) {
+  const fail = message => {
+    throw new InvalidOptionError(`${where}: ${message}`);
+  };
+  
+  if (!isObject(settings)) {
+    fail('must be an object');
+  }
+  if ('secret' in settings) {
+    fail('secrets do not belong in a config file; use secretEnv to name an environment variable, or keyFile');
+  }
+  const unknown = Object.keys(settings).find(key => !allowed.includes(key));
+  if (unknown) {
+    fail(`unknown setting "${unknown}". Supported: ${allowed.join(', ')}`);
+  }
+  if (KEY_SETTINGS.filter(key => settings[key] !== undefined).length > 1) {
+    fail(`use only one of ${KEY_SETTINGS.join(', ')}`);
+  }
+  
+  const result = { ...settings };
+  const strings = (key, value) => {
+    const list = toList(value);
+    if (list.length === 0 || !list.every(item => typeof item === 'string' && item !== '')) {
+      fail(`${key} must be a string or a list of strings`);
+    }
+    return list;
+  };
+  
+  if (result.algorithm !== undefined && !ALGORITHMS[result.algorithm]) {
+    fail(`unsupported algorithm ${result.algorithm}. Supported: ${Object.keys(ALGORITHMS).join(', ')}`);
+  }
+  if (result.kdf !== undefined) {
+    result.kdf = typeof result.kdf === 'string' ? { name: result.kdf } : result.kdf;
+    if (!isObject(result.kdf) || !KDFS[result.kdf.name]) {
+      fail(`kdf must be one of ${Object.keys(KDFS).join(', ')}, or an object with a name and its parameters`);
+    }
+    const unknownParam = Object.keys(result.kdf).find(key => key !== 'name' && !KDF_OPTIONS[key]);
+    if (unknownParam) {
+      fail(`unknown kdf parameter "${unknownParam}". Supported: ${Object.keys(KDF_OPTIONS).join(', ')}`);
+    }
+  }
+  if (result.format !== undefined) {
+    try {
+      assertFormat(result.format);
+    } catch (error) {
+      fail(error.message);
+    }
+  }
+  if (result.secretEnv !== undefined && !/^[A-Za-z_][A-Za-z0-9_]*$/.test(result.secretEnv)) {
+    fail('secretEnv must be the name of an environment variable');
+  }
+  ['keyFile', 'privateKey'].forEach(key => {
+    if (result[key] !== undefined) {
+      result[key] = path.resolve(dir, strings(key, result[key])[0]);
+    }
+  });
+  if (result.recipients !== undefined) {
+    result.recipients = strings('recipients', result.recipients).map(file => path.resolve(dir, file));
+  }
+  if (result.fieldLevel !== undefined && typeof result.fieldLevel !== 'boolean') {
+    const { fields, fieldRegex } = isObject(result.fieldLevel) ? result.fieldLevel : {};
+    if (!isObject(result.fieldLevel) || (fields === undefined && fieldRegex === undefined)) {
+      fail('fieldLevel must be true, false or an object with fields and/or fieldRegex');
+    }
+    result.fieldLevel = {
+      fields: fields === undefined ? undefined : strings('fieldLevel.fields', fields),
+      fieldRegex
+    };
+  }
+  if (result.outputName !== undefined &&
+      (typeof result.outputName !== 'string' || !result.outputName.includes('{name}') || !result.outputName.endsWith('.enc') || /[\\/]/.test(result.outputName))) {
+    fail('outputName must be a file name containing {name} and ending in .enc, e.g. "{name}{ext}.enc"');
+  }
+  if (result.recursive !== undefined && typeof result.recursive !== 'boolean') {
+    fail('recursive must be true or false');
+  }
+  ['include', 'exclude', 'path'].forEach(key => {
+    if (result[key] !== undefined) {
+      result[key] = strings(key, result[key]);
+    }
+  });
+  if (result.rules !== undefined && !Array.isArray(result.rules)) {
+    fail('rules must be a list');
+  }
+  
+  return result;
+}
+
+/**
+ * Load the nearest .jsonencryptrc, .jsonencryptrc.json or .jsonencryptrc.js/.cjs
+ * (read as data) above `cwd`. Paths in it are relative to its directory.
+ *
+ * @returns {{ file: string, dir: string, settings: object, rules: object[] }|null}
+ */
+function loadProjectConfig(cwd = process.cwd()) {
+  const file = findConfigFile(cwd);
+  if (!file) {
+    return null;
+  }
+  
+  const dir = path.dirname(file);
+  const name = path.basename(file);
+  const settings = normalizeSettings(readConfigFile(file), [...RULE_SETTINGS, ...PROJECT_SETTINGS], name, dir);
+  const rules = (settings.rules || []).map((rule, index) => {
+    const where = `${name} rules[${index}]`;
+    if (!isObject(rule) || rule.path === undefined) {
+      throw new InvalidOptionError(`${where}: a rule needs a path glob`);
+    }
+    const normalized = normalizeSettings(rule, ['path', ...RULE_SETTINGS], where, dir);
+    return { ...normalized, patterns: normalized.path.map(globToRegExp) };
+  });
+  
+  return { file, dir, settings, rules };
+}
+
+// Paths a rule glob is tested against: .enc files also by the file they decrypt to
+function getRulePaths(relative) {
+  if (!/\.enc$/i.test(relative)) {
+    return [relative];
+  }
+  const base = relative.slice(0, -'.enc'.length);
+  return path.extname(base) ? [relative, base] : [relative, base, `${base}.json`];
+}
+
+/**
+ * Settings for `filePath` from a loaded config: the top level, then every
+ * rule whose path glob matches, later rules winning. `sources` names where
+ * each value came from.
+ *
+ * @returns {{ values: object, sources: object }}
+ */
+function getProjectSettings(project, filePath) {
+  const values = {};
+  const sources = {};
+  const label = path.basename(project.file);
+  
+  const apply = (settings, source) => {
+    if (KEY_SETTINGS.some(key => settings[key] !== undefined)) {
+      KEY_SETTINGS.forEach(key => {
+        delete values[key];
+        delete sources[key];
+      });
+    }
+    Object.keys(settings)
+      .filter(key => key !== 'rules' && key !== 'path' && key !== 'patterns' && settings[key] !== undefined)
+      .forEach(key => {
+        values[key] = settings[key];
+        sources[key] = source;
+      });
+  };
+  
+  apply(project.settings, label);
+  
+  if (filePath) {
+    const relative = path.relative(project.dir, path.resolve(filePath)).split(path.sep).join('/');
+    if (!relative.startsWith('../')) {
+      const candidates = getRulePaths(relative);
+      project.rules
+        .filter(rule => rule.patterns.some(pattern => candidates.some(candidate => pattern.test(candidate))))
+        .forEach(rule => apply(rule, `${label} rule ${rule.path.join(', ')}`));
+    }
+  }
+  
+  return { values, sources };
+}
+
+/**
+ * Fill CLI-style options with settings from the project config, for
+ * `filePath` when given. Options set on the command line win; config values
+ * win over ENC_* variables, which the usual resolvers still fall back to.
+ *
+ * @param {object} options - Parsed command-line options
+ * @param {object} context - `{ filePath, project = loadProjectConfig(), env = process.env }`
+ * @returns {object} A copy of `options`
+ */
+function applyProjectConfig(options = {}, context = {}) {
+  const { filePath, env = process.env } = context;
+  const project = context.project === undefined ? loadProjectConfig() : context.project;
+  if (!project) {
+    return options;
+  }
+  
+  const { values } = getProjectSettings(project, filePath);
+  const result = { ...options };
+  const unset = (...names) => names.every(name => options[name] === undefined);
+  
+  if (values.algorithm && unset('alg', 'algorithm')) {
+    result.alg = values.algorithm;
+    result.algorithm = values.algorithm;
+  }
+  if (unset('secret', 'keyFile', 'recipient')) {
+    if (values.keyFile) {
+      result.keyFile = values.keyFile;
+    } else if (values.secretEnv) {
+      result.secret = env[values.secretEnv];
+    } else if (values.recipients) {
+      result.recipient = values.recipients;
+    }
+  }
+  if (values.privateKey && unset('privateKey')) {
+    result.privateKey = values.privateKey;
+  }
+  if (values.kdf && unset('kdf')) {
+    result.kdf = values.kdf.name;
+    Object.entries(KDF_OPTIONS)
+      .filter(([param, option]) => values.kdf[param] !== undefined && unset(option))
+      .forEach(([param, option]) => {
+        result[option] = String(values.kdf[param]);
+      });
+  }
+  if (values.format && unset('format')) {
+    result.format = values.format;
+  }
+  if (values.fieldLevel && unset('fieldLevel', 'fields', 'fieldRegex')) {
+    if (values.fieldLevel === true) {
+      result.fieldLevel = true;
+    } else {
+      result.fields = values.fieldLevel.fields && values.fieldLevel.fields.join(',');
+      result.fieldRegex = values.fieldLevel.fieldRegex;
+    }
+  }
+  ['recursive', 'outputName'].forEach(key => {
+    if (values[key] !== undefined && unset(key)) {
+      result[key] = values[key];
+    }
+  });
+  // --include and --exclude replace both lists, since their globs are
+  // relative to the batch directory and the config's to the config file
+  if ((values.include || values.exclude) && unset('include', 'exclude')) {
+    result.include = values.include;
+    result.exclude = values.exclude;
+    result.baseDir = project.dir;
+  }
+  
+  return result;
+}
+
+/**
+ * Secret, private key and legacy settings to decrypt `filePath`, from
+ * CLI-style options, the project config and ENC_* variables.
+ *
+ * @returns {{ secret: string|Buffer|undefined, privateKey: object|null, algorithm: string|undefined, legacyKdf: object }}
+ */
+function resolveDecryptOptions(options = {}, filePath, context = {}) {
+  const env = context.env || process.env;
+  const resolved = applyProjectConfig(options, { ...context, filePath, env });
+  const keyFile = resolveKeyFile(resolved, env);
+  
+  return {
+    secret: keyFile ? keyFile.secret : resolved.secret || env.ENC_SECRET,
+    privateKey: resolvePrivateKey(resolved, env),
+    algorithm: resolved.algorithm,
+    legacyKdf: resolveLegacyKdf()
+  };
+}
+
+/**
+ * Library options that the rules matching `filePath` change compared with
+ * the project-wide settings, for commands that apply those once and then
+ * handle many files.
+ *
+ * @returns {object} Some of `{ algorithm, secret, recipients, privateKey, kdf, format, fieldLevel, outputName }`
+ */
+function getFileOverrides(options, filePath, context = {}) {
+  const env = context.env || process.env;
+  const project = context.project === undefined ? loadProjectConfig() : context.project;
+  if (!project || project.rules.length === 0) {
+    return {};
+  }
+  
+  const base = applyProjectConfig(options, { project, env });
+  const file = applyProjectConfig(options, { filePath, project, env });
+  const changed = (...names) => names.some(name => file[name] !== base[name]);
+  const overrides = {};
+  
+  if (changed('alg')) {
+    overrides.algorithm = file.alg;
+  }
+  if (changed('keyFile', 'secret', 'recipient')) {
+    const keyFile = resolveKeyFile(file, env);
+    overrides.secret = keyFile ? keyFile.secret : file.secret || env.ENC_SECRET;
+    overrides.recipients = resolveRecipients(file, env);
+  }
+  if (changed('privateKey')) {
+    overrides.privateKey = resolvePrivateKey(file, env);
+  }
+  if (changed('kdf', ...Object.values(KDF_OPTIONS))) {
+    overrides.kdf = resolveKdf(file, env);
+  }
+  if (changed('format')) {
+    overrides.format = resolveFormat(file, env);
+  }
+  if (changed('fieldLevel', 'fields', 'fieldRegex')) {
+    overrides.fieldLevel = resolveFieldLevel(file);
+  }
+  if (changed('outputName')) {
+    overrides.outputName = file.outputName;
+  }
+  
+  return overrides;
+}
+
+function describeFieldLevel(fieldLevel) {
+  if (!fieldLevel) {
+    return 'off';
+  }
+  if (fieldLevel === true) {
+    return 'every value';
+  }
+  return [
+    fieldLevel.fields ? `fields ${fieldLevel.fields.join(', ')}` : null,
+    fieldLevel.fieldRegex ? `keys matching /${fieldLevel.fieldRegex}/` : null
+  ].filter(Boolean).join('; ');
+}
+
+function describeKdf(kdf) {
+  const params = Object.keys(KDF_OPTIONS).filter(param => kdf[param] !== undefined);
+  return params.length > 0 ? `${kdf.name} (${params.map(param => `${param}=${kdf[param]}`).join(', ')})` : kdf.name;
+}
+
+/**
+ * The effective settings for `filePath` (or the project as a whole) and
+ * where each comes from: the config file or one of its rules, an ENC_*
+ * variable, `--input-format` (`context.inputFormat`), or the default.
+ * Secrets are never included, only whether they are set.
+ *
+ * @returns {Array<{ setting: string, value: string, source: string }>}
+ */
+function describeSettings(context = {}) {
+  const { filePath, inputFormat, env = process.env } = context;
+  const project = context.project === undefined ? loadProjectConfig() : context.project;
+  const { values, sources } = project ? getProjectSettings(project, filePath) : { values: {}, sources: {} };
+  // Batch encryption only picks up files of these formats, by extension
+  const formats = inputFormat ? [].concat(inputFormat) : [DEFAULT_SOURCE.format];
+  const extensions = formats.reduce((all, name) => all.concat(getFormatHandler(name).extensions), [])
+    .map(extension => `*${extension}`).join(', ');
+  const relative = file => path.relative(process.cwd(), file) || file;
+  const isSet = name => `$${name} (${env[name] ? 'set' : 'not set'})`;
+  const rows = [];
+  
+  const add = (setting, fromConfig, fromEnv, fallback) => {
+    if (fromConfig !== undefined) {
+      rows.push({ setting, value: fromConfig, source: sources[setting] });
+    } else if (fromEnv) {
+      rows.push({ setting, value: fromEnv[1], source: fromEnv[0] });
+    } else {
+      rows.push({ setting, value: fallback, source: 'default' });
+    }
+  };
+  const fromEnv = (name, value = env[name]) => (env[name] ? [name, value] : null);
+  
+  add('algorithm', values.algorithm, fromEnv('ENC_ALGORITHM'), 'aes-256-cbc');
+  
+  const keySetting = KEY_SETTINGS.find(key => values[key] !== undefined);
+  if (keySetting) {
+    const value = keySetting === 'keyFile' ? `key file ${relative(values.keyFile)}`
+      : keySetting === 'secretEnv' ? `secret from ${isSet(values.secretEnv)}`
+        : `recipients ${values.recipients.map(relative).join(', ')}`;
+    rows.push({ setting: 'key', value, source: sources[keySetting] });
+  } else {
+    add('key', undefined,
+      fromEnv('ENC_RECIPIENTS', `recipients ${env.ENC_RECIPIENTS}`) ||
+      fromEnv('ENC_KEY_FILE', `key file ${env.ENC_KEY_FILE}`) ||
+      fromEnv('ENC_SECRET', `secret from ${isSet('ENC_SECRET')}`),
+      'none (pass --secret, --key-file or --recipient)');
+  }
+  add('privateKey', values.privateKey && relative(values.privateKey), fromEnv('ENC_PRIVATE_KEY'), 'none');
+  add('kdf', values.kdf && describeKdf(values.kdf), fromEnv('ENC_KDF'), 'scrypt');
+  add('format', values.format, fromEnv('ENC_FORMAT'), 'hex');
+  add('fieldLevel', values.fieldLevel === undefined ? undefined : describeFieldLevel(values.fieldLevel), null, 'off');
+  add('recursive', values.recursive === undefined ? undefined : String(values.recursive), null, 'false');
+  add('include', values.include && `${values.include.join(', ')} (of ${extensions})`,
+    inputFormat && ['--input-format', extensions], `${extensions} (pass --input-format for other formats)`);
+  add('exclude', values.exclude && values.exclude.join(', '), null, 'none');
+  add('outputName', values.outputName, null, '{name}.enc for .json, {name}{ext}.enc otherwise');
+  
+  return rows;
+}
+
+module.exports = {
+  CONFIG_FILES,
+  findConfigFile,
+  loadProjectConfig,
+  getProjectSettings,
+  applyProjectConfig,
+  resolveDecryptOptions,
+  getFileOverrides,
+  describeSettings
+};
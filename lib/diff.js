@@ -0,0 +1,133 @@
+const fs = require('fs');
+const { readEncryptedFile } = require('./file');
+const { detectFormatHandler, parseSource } = require('./handlers');
+const { FileNotFoundError } = require('./errors');
+
+// Shown instead of values unless they are revealed
+const MASK = '***';
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// JSONPath for a list of keys and indexes: ['db', 'hosts', 0] → $.db.hosts[0]
+function formatPath(path) {
+  return path.reduce((result, segment) => {
+    if (typeof segment === 'number') {
+      return `${result}[${segment}]`;
+    }
+    return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(segment) ? `${result}.${segment}` : `${result}[${JSON.stringify(segment)}]`;
+  }, '$');
+}
+
+// Every leaf under `value`, so added and removed subtrees list their keys
+function collectLeaves(value, path, type, key, changes) {
+  const children = Array.isArray(value) ? value.map((child, index) => [index, child]) : isObject(value) ? Object.entries(value) : null;
+  
+  if (children && children.length > 0) {
+    children.forEach(([segment, child]) => collectLeaves(child, [...path, segment], type, key, changes));
+  } else {
+    changes.push({ type, path, [key]: value });
+  }
+}
+
+function compare(before, after, path, changes) {
+  if (isObject(before) && isObject(after)) {
+    for (const [key, value] of Object.entries(before)) {
+      if (Object.prototype.hasOwnProperty.call(after, key)) {
+        compare(value, after[key], [...path, key], changes);
+      } else {
+        collectLeaves(value, [...path, key], 'removed', 'before', changes);
+      }
+    }
+    for (const [key, value] of Object.entries(after)) {
+      if (!Object.prototype.hasOwnProperty.call(before, key)) {
+        collectLeaves(value, [...path, key], 'added', 'after', changes);
+      }
+    }
+    return;
+  }
+  
+  if (Array.isArray(before) && Array.isArray(after)) {
+    for (let i = 0; i < Math.max(before.length, after.length); i++) {
+      if (i >= after.length) {
+        collectLeaves(before[i], [...path, i], 'removed', 'before', changes);
+      } else if (i >= before.length) {
+        collectLeaves(after[i], [...path, i], 'added', 'after', changes);
+      } else {
+        compare(before[i], after[i], [...path, i], changes);
+      }
+    }
+    return;
+  }
+  
+  if (JSON.stringify(before) !== JSON.stringify(after)) {
+    changes.push({ type: 'changed', path, before, after });
+  }
+}
+
+/**
+ * Structural diff of two documents. Objects are compared by key and arrays by
+ * index; a value whose type changes is reported as changed as a whole.
+ *
+ * @returns {Array<{ type: 'added'|'removed'|'changed', path: Array<string|number>, before?: any, after?: any }>}
+ */
+function diffDocuments(before, after) {
+  const changes = [];
+  compare(before, after, [], changes);
+  return changes;
+}
+
+/**
+ * Read either side of a diff: .enc files are decrypted in memory, anything
+ * else is parsed in the format its extension names.
+ *
+ * @param {string} filePath
+ * @param {object} options - `{ secret, privateKey, algorithm, legacyKdf }` for .enc files
+ * @returns {Promise<any>}
+ */
+async function readDiffInput(filePath, options = {}) {
+  if (/\.enc$/i.test(filePath)) {
+    return readEncryptedFile(filePath, options);
+  }
+  
+  let text;
+  try {
+    text = await fs.promises.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new FileNotFoundError(filePath);
+    }
+    throw error;
+  }
+  
+  const handler = detectFormatHandler(filePath);
+  return parseSource(handler, text, `Invalid ${handler.label} file`);
+}
+
+/**
+ * One line per change: `+` added, `-` removed, `~` changed. Values are masked
+ * unless `reveal` is set.
+ */
+function formatChanges(changes, reveal = false) {
+  const show = value => (reveal ? JSON.stringify(value) : MASK);
+  
+  return changes.map(change => {
+    const path = formatPath(change.path);
+    if (change.type === 'added') {
+      return `+ ${path}: ${show(change.after)}`;
+    }
+    if (change.type === 'removed') {
+      return `- ${path}: ${show(change.before)}`;
+    }
+    return `~ ${path}: ${show(change.before)} → ${show(change.after)}`;
+  });
+}
+
+module.exports = {
+  MASK,
+  formatPath,
+  diffDocuments,
+  readDiffInput,
+  formatChanges
+};
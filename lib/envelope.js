@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+const { createKdfHeader, addKeyCheck, deriveKey, resolveKdf, resolveLegacyKdf, validateKdf } = require('./kdf');
+const { wrapDataKey, unwrapDataKey, validateRecipients, isRecipientEnvelope } = require('./recipients');
+const { NONCE_PREFIX_LENGTH, openChunks, validateStreamHeader } = require('./chunks');
+const { FORMATS, assertFormat, encodePayload, decodePayload } = require('./format');
+const { validateSourceHeader } = require('./handlers');
+const { InvalidOptionError, InvalidEnvelopeError, DecryptionError } = require('./errors');
+
+// Supported encryption algorithms
+const ALGORITHMS = {
+  'aes-256-cbc': 'AES-256-CBC',
+  'aes-192-cbc': 'AES-192-CBC',
+  'aes-128-cbc': 'AES-128-CBC',
+  'aes-256-gcm': 'AES-256-GCM',
+  'aes-192-gcm': 'AES-192-GCM',
+  'aes-128-gcm': 'AES-128-GCM'
+};
+
+// Envelope format written to .enc files. Bump when the header layout changes.
+const ENVELOPE_VERSION = 1;
+
+// Streamed GCM envelopes: the payload is a sequence of authenticated chunks
+// described by a `stream` header (see lib/chunks.js)
+const STREAM_ENVELOPE_VERSION = 2;
+
+// Additional authenticated data bound to every GCM ciphertext
+const GCM_AAD = Buffer.from('json-encrypt', 'utf8');
+
+function assertAlgorithm(algorithm) {
+  if (!ALGORITHMS[algorithm]) {
+    throw new InvalidOptionError(`Unsupported algorithm: ${algorithm}. Supported: ${Object.keys(ALGORITHMS).join(', ')}`);
+  }
+}
+
+function getKeyLength(algorithm) {
+  return algorithm.includes('256') ? 32 : algorithm.includes('192') ? 24 : 16;
+}
+
+function hasEnvelopeHeader(encryptedData) {
+  return encryptedData !== null && typeof encryptedData === 'object' && encryptedData.version !== undefined;
+}
+
+/**
+ * Validate an envelope and return its header. Legacy files without a header
+ * need `fallbackAlgorithm`, and are derived with `legacyKdf`.
+ */
+function readEnvelope(encryptedData, fallbackAlgorithm, legacyKdf = resolveLegacyKdf()) {
+  if (!encryptedData || typeof encryptedData.iv !== 'string' ||
+      (typeof encryptedData.encrypted !== 'string' && !Buffer.isBuffer(encryptedData.encrypted))) {
+    throw new InvalidEnvelopeError('Invalid encrypted file format: missing iv or encrypted data');
+  }
+  
+  let header;
+  
+  if (!hasEnvelopeHeader(encryptedData)) {
+    // Legacy file: the algorithm has to be supplied by the caller
+    if (!fallbackAlgorithm) {
+      throw new InvalidEnvelopeError('Encrypted file has no envelope header. Specify the algorithm with --algorithm');
+    }
+    assertAlgorithm(fallbackAlgorithm);
+    
+    header = {
+      version: 0,
+      algorithm: fallbackAlgorithm,
+      kdf: legacyKdf,
+      encoding: 'hex'
+    };
+  } else {
+    const { version, algorithm, kdf, recipients, encoding } = encryptedData;
+    
+    if (!Number.isInteger(version) || version < 1 || version > STREAM_ENVELOPE_VERSION) {
+      throw new InvalidEnvelopeError(`Unsupported envelope version: ${version}`);
+    }
+    
+    if (!ALGORITHMS[algorithm]) {
+      throw new InvalidEnvelopeError(`Unsupported algorithm in envelope header: ${algorithm}`);
+    }
+    
+    // Public-key envelopes carry wrapped data keys instead of KDF settings
+    if (isRecipientEnvelope(encryptedData)) {
+      validateRecipients(recipients);
+    } else {
+      validateKdf(kdf);
+    }
+    
+    if (!FORMATS[encoding] || (encoding === 'binary') !== Buffer.isBuffer(encryptedData.encrypted)) {
+      throw new InvalidEnvelopeError(`Unsupported envelope encoding: ${encoding}`);
+    }
+    
+    header = isRecipientEnvelope(encryptedData)
+      ? { version, algorithm, recipients, encoding }
+      : { version, algorithm, kdf, encoding };
+    
+    if (encryptedData.source !== undefined) {
+      validateSourceHeader(encryptedData.source);
+      header.source = encryptedData.source;
+    }
+    
+    if (encryptedData.stream !== undefined) {
+      if (version < STREAM_ENVELOPE_VERSION || !algorithm.includes('gcm')) {
+        throw new InvalidEnvelopeError('Invalid envelope header: chunked streams need version 2 and a GCM algorithm');
+      }
+      validateStreamHeader(encryptedData.stream);
+      
+      // Every chunk carries its own tag, so there is no envelope authTag
+      return { ...header, stream: encryptedData.stream };
+    }
+  }
+  
+  if (header.algorithm.includes('gcm') && !encryptedData.authTag) {
+    throw new InvalidEnvelopeError('Invalid encrypted file format: missing authTag for GCM mode');
+  }
+  
+  return header;
+}
+
+/**
+ * Create the key for a new envelope and the header fields that let it be
+ * recovered: wrapped data keys for `recipients`, KDF settings otherwise.
+ * `source` (`{ format, extension }`, see lib/handlers) is recorded as is.
+ *
+ * @param {object} options - `{ secret, algorithm = 'aes-256-cbc', kdf, recipients, format = 'hex', source }`
+ * @returns {Promise<{ key: Buffer, envelope: object }>}
+ */
+async function createEnvelopeKey(options = {}) {
+  const { secret, algorithm = 'aes-256-cbc', kdf = resolveKdf({}, {}), recipients = [], format = 'hex', source } = options;
+  
+  if (!secret && recipients.length === 0) {
+    throw new InvalidOptionError('A secret key is required');
+  }
+  assertAlgorithm(algorithm);
+  assertFormat(format);
+  
+  if (recipients.length > 0) {
+    const key = crypto.randomBytes(getKeyLength(algorithm));
+    return {
+      key,
+      envelope: {
+        version: ENVELOPE_VERSION,
+        algorithm,
+        recipients: recipients.map(recipient => wrapDataKey(key, recipient)),
+        encoding: format,
+        ...(source ? { source } : {})
+      }
+    };
+  }
+  
+  const kdfHeader = createKdfHeader(kdf, secret);
+  const key = await deriveKey(secret, kdfHeader, getKeyLength(algorithm));
+  return {
+    key,
+    envelope: {
+      version: ENVELOPE_VERSION,
+      algorithm,
+      kdf: addKeyCheck(kdfHeader, key),
+      encoding: format,
+      ...(source ? { source } : {})
+    }
+  };
+}
+
+/**
+ * Encrypt a string into an envelope object.
+ *
+ * With `recipients`, a random data key encrypts the payload and is wrapped
+ * for each public key; no secret is needed and the envelope has no KDF.
+ * A 32-byte Buffer `secret` is a raw key and is used without key derivation.
+ *
+ * `format` sets the envelope encoding of the ciphertext: a hex or base64
+ * string, or a Buffer for `binary` (see lib/format.js for serialization).
+ * `source` records the plaintext's format for decryption.
+ *
+ * @param {string} data - Plaintext to encrypt
+ * @param {object} options - `{ secret, algorithm = 'aes-256-cbc', kdf, recipients, format = 'hex', source }`
+ * @returns {Promise<object>} Envelope ready to be serialized
+ */
+async function encryptData(data, options = {}) {
+  const { key, envelope } = await createEnvelopeKey(options);
+  const { algorithm, encoding } = envelope;
+  
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv(algorithm, key, iv);
+  
+  if (algorithm.includes('gcm')) {
+    cipher.setAAD(GCM_AAD);
+    
+    const encrypted = Buffer.concat([cipher.update(data, 'utf8'), cipher.final()]);
+    
+    return {
+      ...envelope,
+      iv: iv.toString('hex'),
+      authTag: cipher.getAuthTag().toString('hex'),
+      encrypted: encodePayload(encrypted, encoding)
+    };
+  }
+  
+  const encrypted = Buffer.concat([cipher.update(data, 'utf8'), cipher.final()]);
+  
+  return {
+    ...envelope,
+    iv: iv.toString('hex'),
+    encrypted: encodePayload(encrypted, encoding)
+  };
+}
+
+async function resolveDecryptionKey(header, options) {
+  if (header.recipients) {
+    if (!options.privateKey) {
+      throw new InvalidOptionError('This file is encrypted for public-key recipients; a private key is required');
+    }
+    
+    const key = unwrapDataKey(header.recipients, options.privateKey);
+    if (key.length !== getKeyLength(header.algorithm)) {
+      throw new DecryptionError('Decryption failed: unwrapped data key has the wrong length');
+    }
+    return key;
+  }
+  
+  if (!options.secret) {
+    throw new InvalidOptionError('A secret key is required');
+  }
+  return deriveKey(options.secret, header.kdf, getKeyLength(header.algorithm));
+}
+
+/**
+ * Decrypt an envelope object back to its plaintext string.
+ * The envelope header takes precedence over `options.algorithm`.
+ *
+ * @param {object} encryptedData - Parsed .enc file contents
+ * @param {object} options - `{ secret, algorithm, legacyKdf }`, or `{ privateKey }`
+ *   for files encrypted for recipients
+ * @returns {Promise<string>}
+ */
+async function decryptData(encryptedData, options = {}) {
+  const { algorithm, legacyKdf } = options;
+  
+  const header = readEnvelope(encryptedData, algorithm, legacyKdf);
+  const key = await resolveDecryptionKey(header, options);
+  const iv = Buffer.from(encryptedData.iv, 'hex');
+  
+  if (header.stream) {
+    if (iv.length !== NONCE_PREFIX_LENGTH) {
+      throw new InvalidEnvelopeError('Invalid envelope header: invalid stream nonce');
+    }
+    return openChunks(header.algorithm, key, iv, header.stream.chunkSize, decodePayload(encryptedData.encrypted, header.encoding)).toString('utf8');
+  }
+  
+  try {
+    const decipher = crypto.createDecipheriv(header.algorithm, key, iv);
+    
+    if (header.algorithm.includes('gcm')) {
+      decipher.setAuthTag(Buffer.from(encryptedData.authTag, 'hex'));
+      decipher.setAAD(GCM_AAD);
+    }
+    
+    const encrypted = decodePayload(encryptedData.encrypted, header.encoding);
+    
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new DecryptionError();
+  }
+}
+
+module.exports = {
+  ALGORITHMS,
+  ENVELOPE_VERSION,
+  STREAM_ENVELOPE_VERSION,
+  GCM_AAD,
+  getKeyLength,
+  hasEnvelopeHeader,
+  readEnvelope,
+  createEnvelopeKey,
+  resolveDecryptionKey,
+  encryptData,
+  decryptData
+};
@@ -0,0 +1,88 @@
+// Error classes thrown by the json-encrypt library.
+// Every error carries a stable `code` so callers can branch without matching messages.
+
+class JsonEncryptError extends Error {
+  constructor(message, code = 'ERR_JSON_ENCRYPT') {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+// Invalid option passed by the caller (algorithm, KDF parameters, ...)
+class InvalidOptionError extends JsonEncryptError {
+  constructor(message) {
+    super(message, 'ERR_INVALID_OPTION');
+  }
+}
+
+// Encrypted file is not a readable envelope
+class InvalidEnvelopeError extends JsonEncryptError {
+  constructor(message) {
+    super(message, 'ERR_INVALID_ENVELOPE');
+  }
+}
+
+// Cipher rejected the data: wrong secret key or tampered ciphertext
+class DecryptionError extends JsonEncryptError {
+  constructor(message = 'Decryption failed: Invalid secret key or corrupted data') {
+    super(message, 'ERR_DECRYPTION_FAILED');
+  }
+}
+
+// The key does not belong to the file: a wrong secret or key file (detected with the
+// envelope's key check), or a private key that is not a recipient. Tampered data stays a DecryptionError.
+class WrongKeyError extends DecryptionError {
+  constructor(message = 'Decryption failed: wrong secret key for this file') {
+    super(message);
+  }
+}
+
+// Input or decrypted plaintext is not valid JSON, or not valid in its recorded source format
+class InvalidJsonError extends JsonEncryptError {
+  constructor(message = 'Invalid JSON file') {
+    super(message, 'ERR_INVALID_JSON');
+  }
+}
+
+class FileNotFoundError extends JsonEncryptError {
+  constructor(filePath) {
+    super(`File not found: ${filePath}`, 'ERR_FILE_NOT_FOUND');
+    this.path = filePath;
+  }
+}
+
+class OutputExistsError extends JsonEncryptError {
+  constructor(filePath) {
+    super(`Output file already exists: ${filePath}. Use --overwrite to replace it.`, 'ERR_OUTPUT_EXISTS');
+    this.path = filePath;
+  }
+}
+
+// An encrypted file does not decrypt back to its source, so the source is kept
+class RoundTripError extends JsonEncryptError {
+  constructor(filePath, outputPath) {
+    super(`Round trip failed: ${outputPath} does not decrypt to ${filePath}, which was kept`, 'ERR_ROUND_TRIP');
+    this.path = filePath;
+  }
+}
+
+// A synchronous require() of an .enc file got no answer from its worker thread
+class LoaderError extends JsonEncryptError {
+  constructor(message) {
+    super(message, 'ERR_LOADER');
+  }
+}
+
+module.exports = {
+  JsonEncryptError,
+  InvalidOptionError,
+  InvalidEnvelopeError,
+  DecryptionError,
+  WrongKeyError,
+  InvalidJsonError,
+  FileNotFoundError,
+  OutputExistsError,
+  RoundTripError,
+  LoaderError
+};
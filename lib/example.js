@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+
+// Writes decryption.example.ts next to an encrypted file, for apps that
+// cannot depend on this package at runtime (others can preload json-encrypt-cli/register)
+function generateDecryptionExample(algorithm, outputPath) {
+  const exampleContent = `// Decryption example for ${path.basename(outputPath)}
+// Generated by json-encrypt-cli
+// Algorithm: ${algorithm}
+// Note: The algorithm and key derivation settings are read from the envelope header
+
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+
+interface EncryptedData {
+  version?: number;
+  algorithm?: string;
+  kdf?: { name: string; salt?: string; N?: number; r?: number; p?: number; iterations?: number };
+  encoding?: BufferEncoding;
+  iv: string;
+  authTag?: string;
+  encrypted: string;
+}
+
+// Key derivation used by files written before the envelope header existed
+const LEGACY_KDF = { name: 'scrypt', salt: '73616c74', N: 16384, r: 8, p: 1 };
+
+// secretKey is the passphrase, or the 32 key bytes for files encrypted with a raw key (--key-file)
+function decryptFile(filePath: string, secretKey: string | Buffer, fallbackAlgorithm?: string): any {
+  try {
+    // Read the encrypted file
+    const encryptedData: EncryptedData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    
+    // Files without a header need the algorithm passed in
+    const algorithm = encryptedData.algorithm || fallbackAlgorithm;
+    if (!algorithm) {
+      throw new Error('No envelope header: pass the algorithm used for encryption');
+    }
+    
+    const kdf: NonNullable<EncryptedData['kdf']> = encryptedData.kdf || LEGACY_KDF;
+    const encoding = encryptedData.encoding || 'hex';
+    
+    // Generate key using the same method as encryption
+    const keyLength = algorithm.includes('256') ? 32 : 
+                     algorithm.includes('192') ? 24 : 16;
+    const salt = Buffer.from(kdf.salt || '', 'hex');
+    const key = kdf.name === 'raw'
+      ? (secretKey as Buffer).subarray(0, keyLength)
+      : kdf.name === 'pbkdf2'
+        ? crypto.pbkdf2Sync(secretKey, salt, kdf.iterations!, keyLength, 'sha256')
+        : crypto.scryptSync(secretKey, salt, keyLength, {
+            N: kdf.N,
+            r: kdf.r,
+            p: kdf.p,
+            maxmem: 256 * kdf.N! * kdf.r!
+          });
+    
+    const iv = Buffer.from(encryptedData.iv, 'hex');
+    
+    let decrypted: string;
+    
+    if (algorithm.includes('gcm')) {
+      // GCM mode decryption
+      const decipher = crypto.createDecipheriv(algorithm, key, iv) as crypto.DecipherGCM;
+      if (encryptedData.authTag) {
+        decipher.setAuthTag(Buffer.from(encryptedData.authTag, 'hex'));
+      }
+      decipher.setAAD(Buffer.from('json-encrypt', 'utf8'));
+      
+      decrypted = decipher.update(encryptedData.encrypted, encoding, 'utf8');
+      decrypted += decipher.final('utf8');
+    } else {
+      // CBC mode decryption
+      const decipher = crypto.createDecipheriv(algorithm, key, iv);
+      decrypted = decipher.update(encryptedData.encrypted, encoding, 'utf8');
+      decrypted += decipher.final('utf8');
+    }
+    
+    return JSON.parse(decrypted);
+  } catch (error) {
+    throw new Error(\`Decryption failed: \${error.message}\`);
+  }
+}
+
+// Example usage:
+// const decryptedData = decryptFile('${path.basename(outputPath)}', 'your-secret-key');
+// console.log(decryptedData);
+//
+// With a key file from \`json-encrypt keygen\`, pass the key bytes instead of a passphrase:
+// const keyFile = fs.readFileSync('json-encrypt.key', 'utf8').replace(/-----[A-Z ]+-----|\\s/g, '');
+// const decryptedWithKey = decryptFile('${path.basename(outputPath)}', Buffer.from(keyFile, 'base64'));
+
+// If your app can depend on json-encrypt-cli, use the library instead:
+// import { readEncryptedFile } from 'json-encrypt-cli';
+// const config = await readEncryptedFile('${path.basename(outputPath)}', { secret: 'your-secret-key' });
+
+export { decryptFile };
+`;
+
+  const examplePath = path.join(path.dirname(outputPath), 'decryption.example.ts');
+  fs.writeFileSync(examplePath, exampleContent);
+  return examplePath;
+}
+
+module.exports = { generateDecryptionExample };
@@ -0,0 +1,148 @@
+const { spawn } = require('child_process');
+const { InvalidOptionError } = require('./errors');
+
+// How keys are cased in variable names
+const ENV_CASES = ['upper', 'preserve'];
+
+// How arrays become variables: one per element (`PORTS__0`) or one JSON value
+const ARRAY_MODES = ['index', 'json'];
+
+// Signals passed on to the child while it runs
+const FORWARDED_SIGNALS = ['SIGTERM', 'SIGHUP', 'SIGUSR1', 'SIGUSR2'];
+
+// Signals the terminal sends to the whole foreground process group, child
+// included: ignored here while the child runs, so it gets them once
+const IGNORED_SIGNALS = ['SIGINT', 'SIGQUIT'];
+
+// Decryption settings that the child process has no business seeing
+const STRIPPED_VARIABLES = ['ENC_SECRET', 'ENC_NEW_SECRET', 'ENC_PRIVATE_KEY_PASSPHRASE'];
+
+function toEnvSegment(key, envCase) {
+  const segment = String(key).replace(/[^A-Za-z0-9_]/g, '_');
+  return envCase === 'upper' ? segment.toUpperCase() : segment;
+}
+
+function toEnvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Flatten a decrypted document into environment variables. Nested keys are
+ * joined with `separator`, so `{ database: { host: 'db' } }` becomes
+ * `DATABASE__HOST=db`. Values deeper than `depth` levels, and arrays in
+ * `json` mode, are set as JSON.
+ *
+ * @param {object} document
+ * @param {object} options - `{ prefix = '', separator = '__', case = 'upper', arrays = 'index',
+ *   depth = Infinity }`
+ * @returns {Object<string, string>}
+ */
+function flattenToEnv(document, options = {}) {
+  const { prefix = '', separator = '__', case: envCase = 'upper', arrays = 'index', depth = Infinity } = options;
+  
+  if (!ENV_CASES.includes(envCase)) {
+    throw new InvalidOptionError(`Unsupported variable case: ${envCase}. Supported: ${ENV_CASES.join(', ')}`);
+  }
+  if (!ARRAY_MODES.includes(arrays)) {
+    throw new InvalidOptionError(`Unsupported array mode: ${arrays}. Supported: ${ARRAY_MODES.join(', ')}`);
+  }
+  if ((!Number.isInteger(depth) && depth !== Infinity) || depth < 1) {
+    throw new InvalidOptionError(`Invalid nesting depth: ${depth} (use a whole number of at least 1)`);
+  }
+  if (!separator || /[=\0]/.test(separator) || /[=\0]/.test(prefix)) {
+    throw new InvalidOptionError('The prefix and separator cannot contain = and the separator cannot be empty');
+  }
+  if (document === null || typeof document !== 'object' || Array.isArray(document)) {
+    throw new InvalidOptionError('Only documents with an object at the root can be turned into environment variables');
+  }
+  
+  const variables = {};
+  const sources = {};
+  
+  function visit(value, path, name) {
+    const nested = value !== null && typeof value === 'object' && !(value instanceof Date);
+    
+    if (nested && path.length < depth && !(Array.isArray(value) && arrays === 'json')) {
+      for (const [key, child] of Object.entries(value)) {
+        const segment = toEnvSegment(key, envCase);
+        visit(child, [...path, key], name ? `${name}${separator}${segment}` : `${prefix}${segment}`);
+      }
+      return;
+    }
+    
+    if (!name || /^[0-9]/.test(name)) {
+      throw new InvalidOptionError(`${JSON.stringify(path.join('.'))} does not make a valid environment variable name: ${name}`);
+    }
+    if (name in variables) {
+      throw new InvalidOptionError(`${JSON.stringify(sources[name])} and ${JSON.stringify(path.join('.'))} both map to ${name}`);
+    }
+    
+    variables[name] = toEnvValue(value);
+    sources[name] = path.join('.');
+  }
+  
+  visit(document, [], '');
+  return variables;
+}
+
+/**
+ * Environment for the child: the current environment without decryption
+ * settings, plus `variables`. With `override = false`, variables that are
+ * already set keep their current value.
+ */
+function createChildEnv(variables, override = true, env = process.env) {
+  const childEnv = { ...env };
+  STRIPPED_VARIABLES.forEach(name => delete childEnv[name]);
+  
+  for (const [name, value] of Object.entries(variables)) {
+    if (override || childEnv[name] === undefined) {
+      childEnv[name] = value;
+    }
+  }
+  return childEnv;
+}
+
+/**
+ * Spawn `command` with inherited stdio and the given environment. SIGTERM,
+ * SIGHUP and SIGUSR1/2 received meanwhile are forwarded to the child; Ctrl-C
+ * and Ctrl-\ reach it from the terminal and are ignored here.
+ *
+ * @returns {Promise<{ code: number|null, signal: string|null }>}
+ */
+function runCommand(command, args, env) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: 'inherit', env });
+    const forward = signal => child.kill(signal);
+    const ignore = () => {};
+    
+    FORWARDED_SIGNALS.forEach(signal => process.on(signal, forward));
+    IGNORED_SIGNALS.forEach(signal => process.on(signal, ignore));
+    const cleanup = () => {
+      FORWARDED_SIGNALS.forEach(signal => process.removeListener(signal, forward));
+      IGNORED_SIGNALS.forEach(signal => process.removeListener(signal, ignore));
+    };
+    
+    child.on('error', error => {
+      cleanup();
+      reject(error);
+    });
+    child.on('exit', (code, signal) => {
+      cleanup();
+      resolve({ code, signal });
+    });
+  });
+}
+
+module.exports = {
+  ENV_CASES,
+  ARRAY_MODES,
+  flattenToEnv,
+  createChildEnv,
+  runCommand
+};
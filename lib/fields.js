@@ -0,0 +1,423 @@
+const crypto = require('crypto');
+const { ALGORITHMS, ENVELOPE_VERSION, getKeyLength } = require('./envelope');
+const { createKdfHeader, addKeyCheck, deriveKey, resolveKdf, validateKdf } = require('./kdf');
+const { validateSourceHeader } = require('./handlers');
+const { InvalidOptionError, InvalidEnvelopeError, DecryptionError } = require('./errors');
+
+// Field-level encrypted documents keep their structure; the envelope header
+// lives under this key at the root of the document.
+const FIELD_HEADER_KEY = '_jsonEncrypt';
+
+// ENC[algorithm,iv:<hex>,tag:<hex>,data:<encoded>] - tag is present for GCM only
+const ENCRYPTED_VALUE_PATTERN = /^ENC\[([a-z0-9-]+),iv:([0-9a-f]+),(?:tag:([0-9a-f]+),)?data:([^\]]+)\]$/;
+
+/**
+ * Parse the JSONPath subset used for field selection:
+ * `$`, `.key`, `['key']`, `[0]`, `[*]`, `.*` and `..key` (recursive descent).
+ */
+function parseJsonPath(expression) {
+  const expr = expression.trim();
+  
+  if (expr[0] !== '$') {
+    throw new InvalidOptionError(`Invalid JSONPath (must start with $): ${expression}`);
+  }
+  
+  const tokens = [];
+  let i = 1;
+  
+  function readSegment() {
+    if (expr[i] === '*') {
+      i++;
+      return { type: 'wildcard' };
+    }
+    
+    const match = /^[^.[\]]+/.exec(expr.slice(i));
+    if (!match) {
+      throw new InvalidOptionError(`Invalid JSONPath: ${expression}`);
+    }
+    i += match[0].length;
+    return { type: 'name', value: match[0] };
+  }
+  
+  while (i < expr.length) {
+    if (expr.startsWith('..', i)) {
+      i += 2;
+      tokens.push({ type: 'descendant' });
+      if (expr[i] !== '[') {
+        tokens.push(readSegment());
+      }
+    } else if (expr[i] === '.') {
+      i++;
+      tokens.push(readSegment());
+    } else if (expr[i] === '[') {
+      const end = expr.indexOf(']', i);
+      if (end === -1) {
+        throw new InvalidOptionError(`Invalid JSONPath: ${expression}`);
+      }
+      
+      const inner = expr.slice(i + 1, end).trim();
+      i = end + 1;
+      
+      if (inner === '*') {
+        tokens.push({ type: 'wildcard' });
+      } else if (/^\d+$/.test(inner)) {
+        tokens.push({ type: 'index', value: Number(inner) });
+      } else if (/^(['"]).*\1$/.test(inner)) {
+        tokens.push({ type: 'name', value: inner.slice(1, -1) });
+      } else {
+        throw new InvalidOptionError(`Invalid JSONPath: ${expression}`);
+      }
+    } else {
+      throw new InvalidOptionError(`Invalid JSONPath: ${expression}`);
+    }
+  }
+  
+  return tokens;
+}
+
+function matchSegment(token, segment) {
+  if (token.type === 'wildcard') return true;
+  if (token.type === 'index') return segment === token.value;
+  return typeof segment === 'string' && segment === token.value;
+}
+
+// True when the tokens match the path or one of its ancestors
+function matchesPathPrefix(tokens, path, ti = 0, pi = 0) {
+  if (ti === tokens.length) return true;
+  if (pi === path.length) return false;
+  
+  const token = tokens[ti];
+  
+  if (token.type === 'descendant') {
+    for (let pj = pi; pj < path.length; pj++) {
+      if (matchSegment(tokens[ti + 1], path[pj]) && matchesPathPrefix(tokens, path, ti + 2, pj + 1)) {
+        return true;
+      }
+    }
+    return false;
+  }
+  
+  return matchSegment(token, path[pi]) && matchesPathPrefix(tokens, path, ti + 1, pi + 1);
+}
+
+/**
+ * Build a predicate that decides whether the leaf at `path` is encrypted.
+ * A leaf is selected when a JSONPath matches it or one of its ancestors, or
+ * when any key on its path matches `keyRegex`. No selectors selects every leaf.
+ */
+function createFieldSelector({ paths = [], keyRegex } = {}) {
+  const compiledPaths = paths.map(parseJsonPath);
+  
+  let regex = null;
+  if (keyRegex) {
+    try {
+      regex = keyRegex instanceof RegExp ? keyRegex : new RegExp(keyRegex);
+    } catch (error) {
+      throw new InvalidOptionError(`Invalid key regex: ${error.message}`);
+    }
+  }
+  
+  if (compiledPaths.length === 0 && !regex) {
+    return () => true;
+  }
+  
+  return path => (
+    compiledPaths.some(tokens => matchesPathPrefix(tokens, path)) ||
+    (regex !== null && path.some(segment => typeof segment === 'string' && regex.test(segment)))
+  );
+}
+
+async function mapLeaves(value, path, fn) {
+  if (Array.isArray(value)) {
+    const result = [];
+    for (let i = 0; i < value.length; i++) {
+      result.push(await mapLeaves(value[i], [...path, i], fn));
+    }
+    return result;
+  }
+  
+  if (value !== null && typeof value === 'object') {
+    const result = {};
+    for (const [key, child] of Object.entries(value)) {
+      result[key] = await mapLeaves(child, [...path, key], fn);
+    }
+    return result;
+  }
+  
+  return fn(value, path);
+}
+
+function getAtPath(document, path) {
+  let current = document;
+  for (const segment of path) {
+    if (current === null || typeof current !== 'object' || !(segment in current)) {
+      return undefined;
+    }
+    current = current[segment];
+  }
+  return current;
+}
+
+function isFieldEnvelope(document) {
+  return document !== null &&
+    typeof document === 'object' &&
+    !Array.isArray(document) &&
+    document[FIELD_HEADER_KEY] !== null &&
+    typeof document[FIELD_HEADER_KEY] === 'object';
+}
+
+function deriveMacKey(key) {
+  return crypto.createHmac('sha256', key).update('json-encrypt:mac').digest();
+}
+
+// HMAC-SHA256 over the whole encrypted document, excluding the MAC itself
+function computeMac(macKey, document) {
+  const { mac, ...header } = document[FIELD_HEADER_KEY];
+  const body = { ...document, [FIELD_HEADER_KEY]: header };
+  return crypto.createHmac('sha256', macKey).update(JSON.stringify(body)).digest('hex');
+}
+
+function encryptValue(value, path, algorithm, key, encoding) {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv(algorithm, key, iv);
+  
+  if (algorithm.includes('gcm')) {
+    // Bind each value to its location so values cannot be swapped between keys
+    cipher.setAAD(Buffer.from(JSON.stringify(path), 'utf8'));
+  }
+  
+  let data = cipher.update(JSON.stringify(value), 'utf8', encoding);
+  data += cipher.final(encoding);
+  
+  const tag = algorithm.includes('gcm') ? `tag:${cipher.getAuthTag().toString('hex')},` : '';
+  return `ENC[${algorithm},iv:${iv.toString('hex')},${tag}data:${data}]`;
+}
+
+function decryptValue(encryptedValue, path, header, key) {
+  const match = ENCRYPTED_VALUE_PATTERN.exec(encryptedValue);
+  const [, algorithm, iv, tag, data] = match;
+  
+  if (algorithm !== header.algorithm) {
+    throw new InvalidEnvelopeError(`Encrypted value at ${JSON.stringify(path)} uses ${algorithm}, expected ${header.algorithm}`);
+  }
+  
+  try {
+    const decipher = crypto.createDecipheriv(algorithm, key, Buffer.from(iv, 'hex'));
+    
+    if (algorithm.includes('gcm')) {
+      decipher.setAuthTag(Buffer.from(tag || '', 'hex'));
+      decipher.setAAD(Buffer.from(JSON.stringify(path), 'utf8'));
+    }
+    
+    let decrypted = decipher.update(data, header.encoding, 'utf8');
+    decrypted += decipher.final('utf8');
+    
+    return JSON.parse(decrypted);
+  } catch (error) {
+    throw new DecryptionError();
+  }
+}
+
+function readFieldHeader(document) {
+  const header = document[FIELD_HEADER_KEY];
+  const { version, mode, algorithm, kdf, encoding, mac } = header;
+  
+  if (!Number.isInteger(version) || version < 1 || version > ENVELOPE_VERSION) {
+    throw new InvalidEnvelopeError(`Unsupported envelope version: ${version}`);
+  }
+  
+  if (mode !== 'fields') {
+    throw new InvalidEnvelopeError(`Unsupported envelope mode: ${mode}`);
+  }
+  
+  if (!ALGORITHMS[algorithm]) {
+    throw new InvalidEnvelopeError(`Unsupported algorithm in envelope header: ${algorithm}`);
+  }
+  
+  validateKdf(kdf);
+  
+  if (!['hex', 'base64'].includes(encoding)) {
+    throw new InvalidEnvelopeError(`Unsupported envelope encoding: ${encoding}`);
+  }
+  
+  if (header.source !== undefined) {
+    validateSourceHeader(header.source);
+  }
+  
+  if (typeof mac !== 'string') {
+    throw new InvalidEnvelopeError('Invalid envelope header: missing MAC');
+  }
+  
+  return header;
+}
+
+async function verifyFieldDocument(document, secret) {
+  const header = readFieldHeader(document);
+  const key = await deriveKey(secret, header.kdf, getKeyLength(header.algorithm));
+  
+  const expected = Buffer.from(computeMac(deriveMacKey(key), document), 'hex');
+  const actual = Buffer.from(header.mac, 'hex');
+  
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new DecryptionError('Decryption failed: Invalid secret key or the document was modified (MAC mismatch)');
+  }
+  
+  return { header, key };
+}
+
+/**
+ * Decrypt a field-level encrypted document back to the original JSON value.
+ * The MAC is verified before any value is decrypted.
+ *
+ * @param {object} document - Parsed field-level .enc file
+ * @param {object} options - `{ secret }`
+ * @returns {Promise<object>}
+ */
+async function decryptFields(document, options = {}) {
+  if (!options.secret) {
+    throw new InvalidOptionError('A secret key is required');
+  }
+  
+  const { header, key } = await verifyFieldDocument(document, options.secret);
+  const { [FIELD_HEADER_KEY]: removed, ...body } = document;
+  
+  return mapLeaves(body, [], (value, path) => (
+    typeof value === 'string' && ENCRYPTED_VALUE_PATTERN.test(value)
+      ? decryptValue(value, path, header, key)
+      : value
+  ));
+}
+
+/**
+ * Encrypt the selected leaf values of a JSON object, keeping keys and
+ * structure readable.
+ *
+ * @param {object} document - JSON object to encrypt
+ * @param {object} options - `{ secret, algorithm = 'aes-256-cbc', kdf, paths, keyRegex, previous,
+ *   format = 'hex', source }` where `format` (hex or base64) encodes each value's ciphertext
+ *   and `source` records the format the document was read from.
+ *   `previous` is the earlier encrypted version of the same document; when it
+ *   decrypts with the same secret, unchanged values keep their ciphertext so
+ *   diffs only show what changed.
+ * @returns {Promise<object>}
+ */
+async function encryptFields(document, options = {}) {
+  const { secret, algorithm = 'aes-256-cbc', kdf = resolveKdf({}, {}), paths, keyRegex, previous, format = 'hex', source } = options;
+  
+  if (!secret) {
+    throw new InvalidOptionError('A secret key is required');
+  }
+  
+  if (!ALGORITHMS[algorithm]) {
+    throw new InvalidOptionError(`Unsupported algorithm: ${algorithm}. Supported: ${Object.keys(ALGORITHMS).join(', ')}`);
+  }
+  
+  if (format !== 'hex' && format !== 'base64') {
+    throw new InvalidOptionError(`Field-level encryption keeps the document as JSON and supports the hex and base64 formats, not ${format}`);
+  }
+  
+  if (document === null || typeof document !== 'object' || Array.isArray(document)) {
+    throw new InvalidOptionError('Field-level encryption requires a JSON object at the root');
+  }
+  
+  if (FIELD_HEADER_KEY in document) {
+    throw new InvalidOptionError(`Document already contains a ${FIELD_HEADER_KEY} key`);
+  }
+  
+  const isSelected = createFieldSelector({ paths, keyRegex });
+  const encoding = format;
+  
+  let kdfHeader = createKdfHeader(kdf, secret);
+  let key = null;
+  let reusable = null;
+  
+  if (isFieldEnvelope(previous)) {
+    try {
+      const verified = await verifyFieldDocument(previous, secret);
+      // Same KDF and parameters; only the salt and key check may differ
+      const { salt, check, ...params } = verified.header.kdf;
+      const { salt: newSalt, ...newParams } = kdfHeader;
+      const sameKdf = JSON.stringify(params) === JSON.stringify(newParams);
+      
+      if (verified.header.algorithm === algorithm && verified.header.encoding === encoding && sameKdf) {
+        kdfHeader = verified.header.kdf;
+        key = verified.key;
+        reusable = verified.header;
+      }
+    } catch (error) {
+      // Previous version uses another secret or was modified: encrypt from scratch
+    }
+  }
+  
+  if (!key) {
+    key = await deriveKey(secret, kdfHeader, getKeyLength(algorithm));
+    kdfHeader = addKeyCheck(kdfHeader, key);
+  }
+  
+  const encrypted = await mapLeaves(document, [], (value, path) => {
+    if (!isSelected(path)) {
+      return value;
+    }
+    
+    if (reusable) {
+      const previousValue = getAtPath(previous, path);
+      if (typeof previousValue === 'string' && ENCRYPTED_VALUE_PATTERN.test(previousValue)) {
+        try {
+          if (JSON.stringify(decryptValue(previousValue, path, reusable, key)) === JSON.stringify(value)) {
+            return previousValue;
+          }
+        } catch (error) {
+          // Fall through and encrypt a fresh value
+        }
+      }
+    }
+    
+    return encryptValue(value, path, algorithm, key, encoding);
+  });
+  
+  encrypted[FIELD_HEADER_KEY] = {
+    version: ENVELOPE_VERSION,
+    mode: 'fields',
+    algorithm,
+    kdf: kdfHeader,
+    encoding,
+    ...(source ? { source } : {}),
+    selection: {
+      paths: paths || [],
+      keyRegex: keyRegex ? String(keyRegex instanceof RegExp ? keyRegex.source : keyRegex) : null
+    },
+    mac: ''
+  };
+  encrypted[FIELD_HEADER_KEY].mac = computeMac(deriveMacKey(key), encrypted);
+  
+  return encrypted;
+}
+
+/**
+ * Resolve field-level settings from CLI-style options (`fieldLevel`, `fields`,
+ * `fieldRegex`). Returns false for whole-file encryption.
+ */
+function resolveFieldLevel(options = {}) {
+  const paths = options.fields
+    ? options.fields.split(',').map(field => field.trim()).filter(Boolean)
+    : [];
+  
+  if (!options.fieldLevel && paths.length === 0 && !options.fieldRegex) {
+    return false;
+  }
+  
+  // Validate selectors up front so a typo fails before any file is touched
+  createFieldSelector({ paths, keyRegex: options.fieldRegex });
+  
+  return { paths, keyRegex: options.fieldRegex || null };
+}
+
+module.exports = {
+  FIELD_HEADER_KEY,
+  resolveFieldLevel,
+  parseJsonPath,
+  createFieldSelector,
+  isFieldEnvelope,
+  encryptFields,
+  decryptFields
+};
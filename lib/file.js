@@ -0,0 +1,463 @@
+const fs = require('fs');
+const path = require('path');
+const { encryptData, decryptData } = require('./envelope');
+const { FIELD_HEADER_KEY, isFieldEnvelope, encryptFields, decryptFields } = require('./fields');
+const { addRecipients, removeRecipients } = require('./recipients');
+const { serializeEnvelope, parseEnvelope } = require('./format');
+const { writeFileAtomic, createTempPath, writeTempFile, discardTempFile } = require('./atomic');
+const { resolveStreamThreshold, readEnvelopeHeader, encryptFileStream, decryptFileStream } = require('./stream');
+const { getOutDirPath } = require('./outdir');
+const {
+  DEFAULT_SOURCE,
+  getFormatHandler,
+  detectFormatHandler,
+  createSourceHeader,
+  validateSourceHeader,
+  parseSource,
+  stringifySource
+} = require('./handlers');
+const {
+  FileNotFoundError,
+  InvalidOptionError,
+  InvalidEnvelopeError,
+  OutputExistsError
+} = require('./errors');
+
+/**
+ * Path of the .enc file for `filePath`: `x.json` → `x.enc`,
+ * `config.yaml` → `config.yaml.enc`, or `outputName` with `{name}` and
+ * `{ext}` filled in (`{name}{ext}.enc` → `x.json.enc`).
+ */
+function getEncryptedPath(filePath, outputName) {
+  if (outputName) {
+    const ext = path.extname(filePath);
+    const name = path.basename(filePath, ext);
+    return path.join(path.dirname(filePath), outputName.replace(/\{name\}/g, name).replace(/\{ext\}/g, ext));
+  }
+  
+  return path.extname(filePath).toLowerCase() === '.json'
+    ? filePath.replace(/\.json$/i, '.enc')
+    : `${filePath}.enc`;
+}
+
+function replaceExtension(filePath, extension) {
+  const current = path.extname(filePath);
+  return `${current ? filePath.slice(0, -current.length) : filePath}${extension}`;
+}
+
+/**
+ * Path a .enc file decrypts to. The recorded source extension is restored
+ * (`x.enc` → `x.json`, `config.yaml.enc` → `config.yaml`); converting to
+ * another format swaps in that format's extension.
+ */
+function getDecryptedPath(filePath, source = DEFAULT_SOURCE, outputFormat = source.format) {
+  const base = filePath.replace(/\.enc$/i, '');
+  const { extension } = source;
+  const hasExtension = extension !== '' && base.toLowerCase().endsWith(extension.toLowerCase());
+  
+  if (outputFormat !== source.format) {
+    return `${hasExtension ? base.slice(0, -extension.length) : base}${getFormatHandler(outputFormat).extensions[0]}`;
+  }
+  return hasExtension ? base : `${base}${extension}`;
+}
+
+async function readFileOrThrow(filePath, encoding = 'utf8') {
+  try {
+    return await fs.promises.readFile(filePath, encoding);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new FileNotFoundError(filePath);
+    }
+    throw error;
+  }
+}
+
+async function getFileSize(filePath) {
+  try {
+    return (await fs.promises.stat(filePath)).size;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new FileNotFoundError(filePath);
+    }
+    throw error;
+  }
+}
+
+// With `outDir`, the directories outputs mirror may not exist yet
+async function createOutputDirectory(outputPath, options) {
+  if (options.outDir) {
+    await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+  }
+}
+
+// With `stage`, outputs go to an fsynced temp file next to `outputPath`,
+// returned as `tempFile`, and replacing the output is left to the caller
+async function writeOutput(outputPath, data, options) {
+  await createOutputDirectory(outputPath, options);
+  if (options.stage) {
+    return { tempFile: await writeTempFile(outputPath, data) };
+  }
+  await fs.promises.writeFile(outputPath, data);
+  return {};
+}
+
+// Streams into `outputPath`, or into a temp file for it with `stage`. `write`
+// returns false when the file cannot be streamed, and so does this.
+async function streamOutput(outputPath, options, write) {
+  await createOutputDirectory(outputPath, options);
+  if (!options.stage) {
+    return (await write(outputPath)) ? {} : false;
+  }
+  
+  const tempFile = createTempPath(outputPath);
+  try {
+    return (await write(tempFile)) ? { tempFile } : false;
+  } catch (error) {
+    await discardTempFile(tempFile);
+    throw error;
+  }
+}
+
+// Source header of either envelope kind; files without one hold JSON
+function getSource(encryptedData) {
+  const source = isFieldEnvelope(encryptedData)
+    ? encryptedData[FIELD_HEADER_KEY].source
+    : encryptedData && encryptedData.source;
+  
+  if (source === undefined) {
+    return DEFAULT_SOURCE;
+  }
+  validateSourceHeader(source);
+  return source;
+}
+
+function parseDecrypted(content, handler = getFormatHandler('json')) {
+  return parseSource(handler, content, `Decryption failed: decrypted data is not valid ${handler.label} (invalid secret key or corrupted data)`);
+}
+
+// Decrypts either envelope kind to the plaintext, in its recorded format or
+// converted to `options.outputFormat`
+async function decryptContent(encryptedData, options) {
+  const source = getFormatHandler(getSource(encryptedData).format);
+  const target = options.outputFormat ? getFormatHandler(options.outputFormat) : source;
+  
+  if (isFieldEnvelope(encryptedData)) {
+    return stringifySource(target, await decryptFields(encryptedData, options));
+  }
+  
+  const plaintext = await decryptData(encryptedData, options);
+  const document = parseDecrypted(plaintext, source);
+  return target === source ? plaintext : stringifySource(target, document);
+}
+
+async function readPreviousFieldEnvelope(outputPath) {
+  try {
+    const previous = JSON.parse(await fs.promises.readFile(outputPath, 'utf8'));
+    return isFieldEnvelope(previous) ? previous : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function assertFieldLevelOptions(options) {
+  if (options.fieldLevel && options.recipients && options.recipients.length > 0) {
+    throw new InvalidOptionError('Field-level encryption does not support public-key recipients');
+  }
+}
+
+// Handlers to read `filePath` with and to encrypt it as, and the source header to record
+function resolveSource(filePath, options) {
+  const source = options.inputFormat
+    ? getFormatHandler(options.inputFormat)
+    : filePath ? detectFormatHandler(filePath) : getFormatHandler('json');
+  const target = options.outputFormat ? getFormatHandler(options.outputFormat) : source;
+  
+  return { source, target, header: createSourceHeader(filePath, target, target !== source) };
+}
+
+/**
+ * Encrypt file contents in memory and return the serialized envelope, ready
+ * to be written anywhere (a file, stdout, a socket).
+ *
+ * @param {string|Buffer} content - Plaintext document
+ * @param {object} options - As for encryptFile, plus `sourcePath`: the name the content
+ *   was read from, used to detect its format and recorded as its extension. Without
+ *   it the content is JSON unless `inputFormat` says otherwise
+ * @returns {Promise<string|Buffer>}
+ */
+async function encryptDocument(content, options = {}) {
+  assertFieldLevelOptions(options);
+  
+  const { source, target, header } = resolveSource(options.sourcePath, options);
+  const text = Buffer.isBuffer(content) ? content.toString('utf8') : content;
+  const document = parseSource(source, text, `Invalid ${source.label} ${options.sourcePath ? 'file' : 'input'}`);
+  const settings = { ...options, source: header };
+  
+  let encryptedData;
+  
+  if (options.fieldLevel) {
+    encryptedData = await encryptFields(document, {
+      ...settings,
+      ...(options.fieldLevel === true ? {} : options.fieldLevel)
+    });
+  } else {
+    encryptedData = await encryptData(target !== source ? stringifySource(target, document) : text, settings);
+  }
+  
+  return serializeEnvelope(encryptedData);
+}
+
+// A converted file is named after its new format: config.yaml → config.enc for JSON
+function getEncryptOutputPath(filePath, source, target, options) {
+  return options.output || getOutDirPath(
+    filePath,
+    getEncryptedPath(target !== source ? replaceExtension(filePath, target.extensions[0]) : filePath, options.outputName),
+    options
+  );
+}
+
+/**
+ * Where encryptFile would write `filePath`, without encrypting or writing
+ * anything; for dry runs. Files below the stream threshold are parsed, so
+ * invalid ones fail here as they would in encryptFile.
+ *
+ * @returns {Promise<{ inputFile: string, outputFile: string, sourceFormat: string }>}
+ */
+async function planEncryptFile(filePath, options = {}) {
+  assertFieldLevelOptions(options);
+  
+  const { source, target } = resolveSource(filePath, options);
+  if (await getFileSize(filePath) < resolveStreamThreshold(options)) {
+    const text = (await readFileOrThrow(filePath)).toString('utf8');
+    parseSource(source, text, `Invalid ${source.label} file`);
+  }
+  return {
+    inputFile: filePath,
+    outputFile: getEncryptOutputPath(filePath, source, target, options),
+    sourceFormat: target.name
+  };
+}
+
+/**
+ * Encrypt a JSON, JSON5, JSONC, YAML, TOML or .env file and write the envelope
+ * next to it (`x.json` → `x.enc`, `config.yaml` → `config.yaml.enc`), or to
+ * `output`. The format is detected from the extension unless `inputFormat` is
+ * given, and is recorded in the envelope so decryption restores it. With
+ * `outputFormat`, the document is converted before it is encrypted and
+ * restores as that format.
+ *
+ * With `fieldLevel`, only the selected leaf values are encrypted and the
+ * document keeps its keys and structure.
+ *
+ * JSON files of at least `streamThreshold` bytes (default 16 MiB, or
+ * ENC_STREAM_THRESHOLD) are streamed instead of read into memory.
+ *
+ * With `stage`, the envelope is written to an fsynced temp file returned as
+ * `tempFile` and `outputFile` is left untouched (see lib/transaction.js).
+ *
+ * With `outDir`, the envelope is written there instead, at its path relative
+ * to `rootDir` (default: the file's directory); `extensionMap` renames it
+ * (see lib/outdir.js).
+ *
+ * @param {string} filePath
+ * @param {object} options - `{ secret, algorithm, kdf, fieldLevel, recipients, format, streamThreshold,
+ *   inputFormat, outputFormat, output, outputName, outDir, rootDir, extensionMap, stage }` where `fieldLevel` is `true` or `{ paths, keyRegex }`,
+ *   `recipients` is a list of public keys to encrypt for instead of a secret,
+ *   `format` is hex (default), base64 or binary and `outputName` names the
+ *   .enc file when there is no `output`, e.g. `{name}{ext}.enc`
+ * @returns {Promise<{ inputFile: string, outputFile: string, tempFile?: string, sourceFormat: string, streamed?: boolean }>}
+ */
+async function encryptFile(filePath, options = {}) {
+  assertFieldLevelOptions(options);
+  
+  const { source, target, header } = resolveSource(filePath, options);
+  const converted = target !== source;
+  const outputPath = getEncryptOutputPath(filePath, source, target, options);
+  
+  // Field-level encryption and conversion need the parsed document, so only
+  // plain JSON is streamed
+  if (!options.fieldLevel && !converted && source.name === 'json' &&
+      await getFileSize(filePath) >= resolveStreamThreshold(options)) {
+    const staged = await streamOutput(outputPath, options, async streamPath => {
+      await encryptFileStream(filePath, streamPath, { ...options, source: header });
+      return true;
+    });
+    return {
+      inputFile: filePath,
+      outputFile: outputPath,
+      ...staged,
+      sourceFormat: target.name,
+      streamed: true
+    };
+  }
+  
+  const encrypted = await encryptDocument(await readFileOrThrow(filePath), {
+    ...options,
+    sourcePath: filePath,
+    previous: options.fieldLevel ? await readPreviousFieldEnvelope(outputPath) : null
+  });
+  
+  const staged = await writeOutput(outputPath, encrypted, options);
+  
+  return {
+    inputFile: filePath,
+    outputFile: outputPath,
+    ...staged,
+    sourceFormat: target.name
+  };
+}
+
+/**
+ * Decrypt the contents of an .enc file in memory and return the plaintext,
+ * in its recorded format or converted to `outputFormat`.
+ *
+ * @param {string|Buffer} content - .enc file contents in any output format
+ * @param {object} options - `{ secret, algorithm, legacyKdf, privateKey, outputFormat }`
+ * @returns {Promise<string>}
+ */
+async function decryptDocument(content, options = {}) {
+  return decryptContent(parseEnvelope(content), options);
+}
+
+/**
+ * Where decryptFile would write `filePath`, from its envelope header alone:
+ * nothing is decrypted or written, so no key is needed. Fails as decryptFile
+ * would when the output exists and `overwrite` is not set.
+ *
+ * @returns {Promise<{ inputFile: string, outputFile: string, outputFormat: string }>}
+ */
+async function planDecryptFile(filePath, options = {}) {
+  if (!options.output && !/\.enc$/i.test(filePath)) {
+    throw new InvalidEnvelopeError('File must have .enc extension');
+  }
+  
+  await getFileSize(filePath);
+  const source = getSource(await readEnvelopeHeader(filePath));
+  const outputFormat = options.outputFormat || source.format;
+  const outputPath = options.output || getOutDirPath(filePath, getDecryptedPath(filePath, source, outputFormat), options);
+  
+  if (fs.existsSync(outputPath) && !options.overwrite) {
+    throw new OutputExistsError(outputPath);
+  }
+  return {
+    inputFile: filePath,
+    outputFile: outputPath,
+    outputFormat
+  };
+}
+
+/**
+ * Decrypt a .enc file and write the original document next to it, in the
+ * format and with the extension recorded at encryption (`x.enc` → `x.json`,
+ * `config.yaml.enc` → `config.yaml`), or to `output`. `outputFormat` converts
+ * it to another format instead. Large JSON files are decrypted as a stream.
+ * `stage`, `outDir`, `rootDir` and `extensionMap` work as for encryptFile.
+ *
+ * @param {string} filePath
+ * @param {object} options - `{ secret, algorithm, legacyKdf, privateKey, overwrite = false,
+ *   streamThreshold, outputFormat, output, outDir, rootDir, extensionMap, stage }`
+ * @returns {Promise<{ inputFile: string, outputFile: string, tempFile?: string, outputFormat: string, streamed?: boolean }>}
+ */
+async function decryptFile(filePath, options = {}) {
+  if (!options.output && !/\.enc$/i.test(filePath)) {
+    throw new InvalidEnvelopeError('File must have .enc extension');
+  }
+  
+  const streamed = await getFileSize(filePath) >= resolveStreamThreshold(options);
+  
+  // Large files: read only the header to decide where and how to write
+  const envelope = streamed
+    ? await readEnvelopeHeader(filePath)
+    : parseEnvelope(await readFileOrThrow(filePath, null));
+  const source = getSource(envelope);
+  const outputFormat = options.outputFormat || source.format;
+  const outputPath = options.output || getOutDirPath(filePath, getDecryptedPath(filePath, source, outputFormat), options);
+  
+  if (streamed && fs.existsSync(outputPath) && !options.overwrite) {
+    throw new OutputExistsError(outputPath);
+  }
+  
+  const staged = streamed && source.format === 'json' && outputFormat === 'json' &&
+    await streamOutput(outputPath, options, streamPath => decryptFileStream(filePath, streamPath, options));
+  if (staged) {
+    return {
+      inputFile: filePath,
+      outputFile: outputPath,
+      ...staged,
+      outputFormat,
+      streamed: true
+    };
+  }
+  
+  const encryptedData = streamed ? parseEnvelope(await readFileOrThrow(filePath, null)) : envelope;
+  const decryptedData = await decryptContent(encryptedData, { ...options, outputFormat });
+  
+  if (fs.existsSync(outputPath) && !options.overwrite) {
+    throw new OutputExistsError(outputPath);
+  }
+  
+  const written = await writeOutput(outputPath, decryptedData, options);
+  
+  return {
+    inputFile: filePath,
+    outputFile: outputPath,
+    ...written,
+    outputFormat
+  };
+}
+
+/**
+ * Decrypt a .enc file in memory and return the parsed document, read with
+ * its recorded format. Nothing is written to disk.
+ *
+ * @param {string} filePath
+ * @param {object} options - `{ secret, algorithm, legacyKdf, privateKey }`
+ * @returns {Promise<any>}
+ */
+async function readEncryptedFile(filePath, options = {}) {
+  const encryptedData = parseEnvelope(await readFileOrThrow(filePath, null));
+  
+  if (isFieldEnvelope(encryptedData)) {
+    return decryptFields(encryptedData, options);
+  }
+  return parseDecrypted(await decryptData(encryptedData, options), getFormatHandler(getSource(encryptedData).format));
+}
+
+/**
+ * Add or remove public-key recipients of a .enc file in place. Only the
+ * `recipients` list is rewritten; the encrypted payload stays byte-for-byte
+ * the same. Adding needs the private key of an existing recipient.
+ *
+ * @param {string} filePath
+ * @param {object} options - `{ add, remove, privateKey }` where `add` is a list of
+ *   public keys and `remove` a list of public keys or fingerprints
+ * @returns {Promise<object[]>} The file's recipients after the update
+ */
+async function updateRecipients(filePath, options = {}) {
+  let encryptedData = parseEnvelope(await readFileOrThrow(filePath, null));
+  
+  if (options.add && options.add.length > 0) {
+    encryptedData = addRecipients(encryptedData, { privateKey: options.privateKey, recipients: options.add });
+  }
+  if (options.remove && options.remove.length > 0) {
+    encryptedData = removeRecipients(encryptedData, { recipients: options.remove });
+  }
+  
+  await writeFileAtomic(filePath, serializeEnvelope(encryptedData));
+  
+  return encryptedData.recipients.map(({ type, fingerprint }) => ({ type, fingerprint }));
+}
+
+module.exports = {
+  decryptContent,
+  encryptDocument,
+  decryptDocument,
+  getEncryptedPath,
+  getDecryptedPath,
+  encryptFile,
+  decryptFile,
+  planEncryptFile,
+  planDecryptFile,
+  readEncryptedFile,
+  updateRecipients
+};
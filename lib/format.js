@@ -0,0 +1,147 @@
+const { InvalidOptionError, InvalidEnvelopeError } = require('./errors');
+
+// Output formats for whole-file envelopes; recorded as the envelope `encoding`
+const FORMATS = {
+  hex: 'Hex string in a JSON envelope',
+  base64: 'Base64 string in a JSON envelope',
+  binary: 'Compact binary file with a magic header'
+};
+
+/**
+ * Binary files are framed as:
+ *
+ *   "JENC" | frame version (1 byte) | header length (uint32 BE) | header JSON | ciphertext
+ *
+ * The header is the usual envelope without `encrypted`, with `encoding: 'binary'`.
+ */
+const BINARY_MAGIC = Buffer.from('JENC', 'ascii');
+const BINARY_FRAME_VERSION = 1;
+const BINARY_PREFIX_LENGTH = BINARY_MAGIC.length + 5;
+
+// Upper bound for the header JSON of a binary file
+const MAX_BINARY_HEADER_LENGTH = 1024 * 1024;
+
+function assertFormat(format) {
+  if (!FORMATS[format]) {
+    throw new InvalidOptionError(`Unsupported output format: ${format}. Supported: ${Object.keys(FORMATS).join(', ')}`);
+  }
+}
+
+/**
+ * Resolve the output format from the CLI option (`format`) or ENC_FORMAT.
+ * Defaults to hex.
+ */
+function resolveFormat(options = {}, env = process.env) {
+  const format = options.format || env.ENC_FORMAT || 'hex';
+  assertFormat(format);
+  return format;
+}
+
+function isBinaryEnvelope(content) {
+  return Buffer.isBuffer(content) && content.length >= BINARY_MAGIC.length && content.subarray(0, BINARY_MAGIC.length).equals(BINARY_MAGIC);
+}
+
+// Encodes ciphertext for the envelope's `encrypted` field
+function encodePayload(ciphertext, encoding) {
+  return encoding === 'binary' ? ciphertext : ciphertext.toString(encoding);
+}
+
+function decodePayload(encrypted, encoding) {
+  return Buffer.isBuffer(encrypted) ? encrypted : Buffer.from(encrypted, encoding);
+}
+
+// Frame prefix and header of a binary file; the ciphertext follows it
+function createBinaryHeader(envelope) {
+  const { encrypted, ...header } = envelope;
+  const json = Buffer.from(JSON.stringify(header), 'utf8');
+  const prefix = Buffer.alloc(BINARY_PREFIX_LENGTH);
+  
+  BINARY_MAGIC.copy(prefix);
+  prefix.writeUInt8(BINARY_FRAME_VERSION, BINARY_MAGIC.length);
+  prefix.writeUInt32BE(json.length, BINARY_MAGIC.length + 1);
+  
+  return Buffer.concat([prefix, json]);
+}
+
+/**
+ * Parse the frame of a binary file. `content` must hold at least the prefix
+ * and header; the ciphertext may be cut off.
+ *
+ * @returns {{ header: object, payloadOffset: number }}
+ */
+function readBinaryHeader(content) {
+  if (!isBinaryEnvelope(content) || content.length < BINARY_PREFIX_LENGTH) {
+    throw new InvalidEnvelopeError('Invalid encrypted file format: truncated binary header');
+  }
+  
+  const frameVersion = content.readUInt8(BINARY_MAGIC.length);
+  if (frameVersion !== BINARY_FRAME_VERSION) {
+    throw new InvalidEnvelopeError(`Unsupported binary frame version: ${frameVersion}`);
+  }
+  
+  const headerLength = content.readUInt32BE(BINARY_MAGIC.length + 1);
+  const payloadOffset = BINARY_PREFIX_LENGTH + headerLength;
+  if (headerLength > MAX_BINARY_HEADER_LENGTH || content.length < payloadOffset) {
+    throw new InvalidEnvelopeError('Invalid encrypted file format: truncated binary header');
+  }
+  
+  let header;
+  try {
+    header = JSON.parse(content.subarray(BINARY_PREFIX_LENGTH, payloadOffset).toString('utf8'));
+  } catch (error) {
+    throw new InvalidEnvelopeError('Invalid encrypted file format: unreadable binary header');
+  }
+  
+  if (!header || typeof header !== 'object' || header.encoding !== 'binary') {
+    throw new InvalidEnvelopeError('Invalid encrypted file format: binary header must have encoding "binary"');
+  }
+  
+  return { header, payloadOffset };
+}
+
+/**
+ * Serialize an envelope for writing to disk: pretty-printed JSON for hex and
+ * base64, a framed Buffer for binary.
+ *
+ * @returns {string|Buffer}
+ */
+function serializeEnvelope(envelope) {
+  if (envelope.encoding === 'binary') {
+    return Buffer.concat([createBinaryHeader(envelope), envelope.encrypted]);
+  }
+  return JSON.stringify(envelope, null, 2);
+}
+
+/**
+ * Parse the contents of an .enc file in any format. Binary files are
+ * recognised by their magic header.
+ *
+ * @param {Buffer|string} content
+ * @returns {object} Envelope; `encrypted` is a Buffer for binary files
+ */
+function parseEnvelope(content) {
+  if (isBinaryEnvelope(content)) {
+    const { header, payloadOffset } = readBinaryHeader(content);
+    return { ...header, encrypted: content.subarray(payloadOffset) };
+  }
+  
+  try {
+    return JSON.parse(content.toString('utf8'));
+  } catch (error) {
+    throw new InvalidEnvelopeError('Invalid encrypted file format');
+  }
+}
+
+module.exports = {
+  FORMATS,
+  BINARY_MAGIC,
+  assertFormat,
+  resolveFormat,
+  isBinaryEnvelope,
+  encodePayload,
+  decodePayload,
+  createBinaryHeader,
+  readBinaryHeader,
+  serializeEnvelope,
+  parseEnvelope
+};
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { readEnvelope, hasEnvelopeHeader } = require('./envelope');
+const { isFieldEnvelope, readFieldHeader } = require('./fields');
+const { parseEnvelope } = require('./format');
+const { encryptDocument, decryptDocument } = require('./file');
+const { InvalidOptionError } = require('./errors');
+
+// Name of the filter and diff driver in git config and .gitattributes
+const GIT_DRIVER = 'json-encrypt';
+
+// Marks the .gitattributes lines written by installGitFilters
+const ATTRIBUTES_COMMENT = '# json-encrypt: encrypted in git, plaintext in the working copy';
+
+function runGit(args, options = {}) {
+  return execFileSync('git', args, { stdio: ['ignore', 'pipe', 'pipe'], ...options });
+}
+
+/**
+ * Whether `content` is already an .enc envelope, as opposed to a plaintext
+ * document. Filters pass envelopes through untouched, so nothing is ever
+ * encrypted twice.
+ */
+function isEnvelopeContent(content) {
+  try {
+    const encryptedData = parseEnvelope(content);
+    if (isFieldEnvelope(encryptedData)) {
+      readFieldHeader(encryptedData);
+    } else if (hasEnvelopeHeader(encryptedData)) {
+      readEnvelope(encryptedData);
+    } else {
+      return false;
+    }
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Top-level directory of the repository containing `cwd`
+function getRepositoryRoot(cwd = process.cwd()) {
+  try {
+    return runGit(['rev-parse', '--show-toplevel'], { cwd }).toString('utf8').trim();
+  } catch (error) {
+    throw new InvalidOptionError('Not a git repository');
+  }
+}
+
+// Staged blob of `filePath` (relative to the repository root), or null when it is not in the index
+function readIndexBlob(filePath, cwd) {
+  try {
+    return runGit(['cat-file', 'blob', `:${filePath.split(path.sep).join('/')}`], { cwd });
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Clean filter: plaintext from the working copy → ciphertext for the
+ * repository. Encryption is randomized, so when the staged version of
+ * `filePath` decrypts to the same plaintext it is returned as is; otherwise
+ * every `git status` would see a modified file.
+ *
+ * @param {Buffer} content - Working copy contents
+ * @param {string} filePath - Path relative to the repository root, for format detection
+ * @param {object} options - As for encryptDocument, plus `privateKey` to decrypt the staged version
+ * @returns {Promise<string|Buffer>}
+ */
+async function cleanContent(content, filePath, options = {}) {
+  if (isEnvelopeContent(content)) {
+    return content;
+  }
+  
+  const staged = filePath ? readIndexBlob(filePath) : null;
+  if (staged && isEnvelopeContent(staged)) {
+    try {
+      if (await decryptDocument(staged, options) === content.toString('utf8')) {
+        return staged;
+      }
+    } catch (error) {
+      // Encrypted under another key, or unreadable: encrypt afresh
+    }
+  }
+  
+  return encryptDocument(content, { ...options, sourcePath: filePath });
+}
+
+/**
+ * Smudge and textconv: ciphertext → plaintext. Content that is not an
+ * envelope, such as a file committed before the filter was set up, is
+ * returned unchanged.
+ *
+ * @param {Buffer} content
+ * @param {object} options - `{ secret, privateKey, algorithm, legacyKdf }`
+ * @returns {Promise<string|Buffer>}
+ */
+async function smudgeContent(content, options = {}) {
+  return isEnvelopeContent(content) ? decryptDocument(content, options) : content;
+}
+
+/**
+ * Set up the clean/smudge filter and the diff driver in the repository's
+ * git config, and add `patterns` to .gitattributes.
+ *
+ * @param {string[]} patterns - gitattributes patterns such as `config/*.json`
+ * @param {object} options - `{ command, cwd }` where `command` runs json-encrypt
+ *   (default: this node and this package's bin/enc.js)
+ * @returns {{ attributesFile: string, added: string[] }} The patterns that were not there yet
+ */
+function installGitFilters(patterns, options = {}) {
+  const root = getRepositoryRoot(options.cwd);
+  
+  const command = options.command || [process.execPath, path.join(__dirname, '..', 'bin', 'enc.js')].map(part => JSON.stringify(part)).join(' ');
+  const config = {
+    [`filter.${GIT_DRIVER}.clean`]: `${command} git-clean %f`,
+    [`filter.${GIT_DRIVER}.smudge`]: `${command} git-smudge %f`,
+    // Never commit plaintext because the filter failed
+    [`filter.${GIT_DRIVER}.required`]: 'true',
+    [`diff.${GIT_DRIVER}.textconv`]: `${command} git-textconv`
+  };
+  Object.entries(config).forEach(([key, value]) => runGit(['config', key, value], { cwd: root }));
+  
+  const attributesFile = path.join(root, '.gitattributes');
+  const existing = fs.existsSync(attributesFile) ? fs.readFileSync(attributesFile, 'utf8') : '';
+  const lines = existing.split(/\r?\n/);
+  const added = patterns.filter(pattern => !lines.some(line => line.trim().split(/\s+/)[0] === pattern));
+  
+  if (added.length > 0) {
+    const block = [
+      ...(lines.includes(ATTRIBUTES_COMMENT) ? [] : [ATTRIBUTES_COMMENT]),
+      ...added.map(pattern => `${pattern} filter=${GIT_DRIVER} diff=${GIT_DRIVER}`)
+    ];
+    const separator = existing === '' || existing.endsWith('\n') ? '' : '\n';
+    fs.writeFileSync(attributesFile, `${existing}${separator}${block.join('\n')}\n`);
+  }
+  
+  return { attributesFile, added };
+}
+
+module.exports = {
+  GIT_DRIVER,
+  runGit,
+  getRepositoryRoot,
+  readIndexBlob,
+  isEnvelopeContent,
+  cleanContent,
+  smudgeContent,
+  installGitFilters
+};
@@ -0,0 +1,75 @@
+// gitignore-style patterns: `*`, `?` and `[...]` stay within a path segment,
+// `**` spans directories, and a pattern without a slash matches the file name
+// at any depth (`*.key`, `secrets.json`, `db[0-9].json`)
+
+function escapeRegExp(text) {
+  return text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+// `[abc]`, `[a-z]` or `[!abc]` (also `[^abc]`) starting at `start`, as a
+// regex that never matches `/`, and the index of its `]`; null when the `[`
+// is not closed, in which case it is a literal `[` as in gitignore
+function parseBracket(glob, start) {
+  let i = start + 1;
+  const negate = glob[i] === '!' || glob[i] === '^';
+  if (negate) {
+    i++;
+  }
+  // A `]` right after the opening bracket is part of the class
+  const end = glob.indexOf(']', glob[i] === ']' ? i + 1 : i);
+  if (end === -1) {
+    return null;
+  }
+  
+  const body = glob.slice(i, end).replace(/[\\\]^]/g, '\\$&');
+  return { source: negate ? `[^/${body}]` : `(?!/)[${body}]`, end };
+}
+
+/**
+ * Compile a glob to a regular expression over `/`-separated relative paths.
+ *
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let glob = pattern.trim().replace(/\\/g, '/');
+  const anchored = glob.replace(/\/$/, '').includes('/');
+  glob = glob.replace(/^\//, '');
+  // `dir/` matches everything inside dir
+  if (glob.endsWith('/')) {
+    glob += '**';
+  }
+  
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      const slash = glob[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && parseBracket(glob, i)) {
+      const bracket = parseBracket(glob, i);
+      source += bracket.source;
+      i = bracket.end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  
+  return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}$`);
+}
+
+/**
+ * Whether `filePath` (relative, with `/` or the platform separator) matches
+ * any of `patterns`.
+ */
+function matchesGlob(filePath, patterns) {
+  const normalized = filePath.replace(/\\/g, '/');
+  return patterns.some(pattern => globToRegExp(pattern).test(normalized));
+}
+
+module.exports = { globToRegExp, matchesGlob };
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+const { runGit, getRepositoryRoot, readIndexBlob, isEnvelopeContent } = require('./git');
+const { getEncryptedPath } = require('./file');
+const { globToRegExp } = require('./glob');
+const { loadProjectConfig, applyProjectConfig } = require('./config');
+const { MANIFEST_FILE } = require('./manifest');
+
+/**
+ * Sensitive path patterns from CLI options (`pattern`) or the comma-separated
+ * ENC_GUARD_PATTERNS.
+ *
+ * @returns {string[]}
+ */
+function resolveGuardPatterns(options = {}, env = process.env) {
+  return options.pattern && options.pattern.length > 0
+    ? options.pattern
+    : (env.ENC_GUARD_PATTERNS || '').split(',').map(pattern => pattern.trim()).filter(Boolean);
+}
+
+// Added, copied, modified and renamed files in the index, relative to the repository root
+function listStagedFiles(root) {
+  return runGit(['diff', '--cached', '--name-only', '-z', '--diff-filter=ACMR'], { cwd: root })
+    .toString('utf8').split('\0').filter(Boolean);
+}
+
+function listIndexFiles(root) {
+  return new Set(runGit(['ls-files', '-z'], { cwd: root }).toString('utf8').split('\0').filter(Boolean));
+}
+
+/**
+ * Find staged files that would commit plaintext: files whose .enc sibling
+ * exists (`x.json` or its backups `x.json.bak`, `x.json.1.bak` next to `x.enc`) and files
+ * matching a sensitive pattern.
+ * Staged content that is already an envelope, as the json-encrypt git filter
+ * stages it, is not a leak.
+ *
+ * @param {object} options - `{ patterns = [], cwd }`
+ * @returns {{ checked: number, leaks: Array<{ file: string, reason: string }> }}
+ */
+function findStagedLeaks(options = {}) {
+  const root = getRepositoryRoot(options.cwd);
+  const patterns = (options.patterns || []).map(pattern => ({ pattern, regex: globToRegExp(pattern) }));
+  // The batch manifest only holds keyed hashes
+  const staged = listStagedFiles(root).filter(file => !/\.enc$/i.test(file) && path.posix.basename(file) !== MANIFEST_FILE);
+  const indexFiles = listIndexFiles(root);
+  const project = loadProjectConfig(root);
+  const leaks = [];
+  
+  for (const file of staged) {
+    // .jsonencryptrc can rename .enc files; `x.json.bak` or `x.json.1.bak` from an --atomic run is plaintext of x.enc too
+    const source = file.replace(/(\.\d+)?\.bak$/i, '');
+    const { outputName } = applyProjectConfig({}, { filePath: path.join(root, source), project });
+    const sibling = path.posix.join(path.posix.dirname(source), path.basename(getEncryptedPath(source, outputName)));
+    const hasSibling = indexFiles.has(sibling) || fs.existsSync(path.join(root, sibling));
+    const match = patterns.find(({ regex }) => regex.test(file));
+    if (!hasSibling && !match) {
+      continue;
+    }
+    
+    const content = readIndexBlob(file, root);
+    if (content && isEnvelopeContent(content)) {
+      continue;
+    }
+    
+    leaks.push({
+      file,
+      reason: hasSibling ? `plaintext of ${sibling}` : `matches sensitive pattern ${match.pattern}`
+    });
+  }
+  
+  return { checked: staged.length, leaks };
+}
+
+module.exports = {
+  resolveGuardPatterns,
+  findStagedLeaks
+};
@@ -0,0 +1,50 @@
+const dotenv = require('dotenv');
+
+const ENV_KEY_PATTERN = /^[A-Za-z_][\w.-]*$/;
+
+// Values that can be written without quotes
+const PLAIN_VALUE_PATTERN = /^[\w.,:/@+-]*$/;
+
+function formatValue(key, value) {
+  if (value !== null && typeof value === 'object') {
+    throw new Error(`.env files hold flat key/value pairs; ${key} is ${Array.isArray(value) ? 'an array' : 'an object'}`);
+  }
+  
+  const text = value === null || value === undefined ? '' : String(value);
+  
+  if (PLAIN_VALUE_PATTERN.test(text)) {
+    return text;
+  }
+  if (!text.includes("'") && !/[\r\n]/.test(text)) {
+    return `'${text}'`;
+  }
+  if (!text.includes('"')) {
+    // dotenv expands \n and \r inside double quotes
+    return `"${text.replace(/\n/g, '\\n').replace(/\r/g, '\\r')}"`;
+  }
+  if (!text.includes('`')) {
+    return `\`${text}\``;
+  }
+  throw new Error(`Value of ${key} cannot be quoted for a .env file`);
+}
+
+const env = {
+  name: 'env',
+  label: '.env',
+  extensions: ['.env'],
+  parse: text => dotenv.parse(text),
+  stringify(value) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error('.env files need an object at the root');
+    }
+    
+    return Object.entries(value).map(([key, entry]) => {
+      if (!ENV_KEY_PATTERN.test(key)) {
+        throw new Error(`${JSON.stringify(key)} is not a valid .env variable name`);
+      }
+      return `${key}=${formatValue(key, entry)}\n`;
+    }).join('');
+  }
+};
+
+module.exports = { env };
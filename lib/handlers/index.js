@@ -0,0 +1,143 @@
+const path = require('path');
+const { json, json5, jsonc } = require('./json');
+const { yaml } = require('./yaml');
+const { toml } = require('./toml');
+const { env } = require('./env');
+const { InvalidOptionError, InvalidEnvelopeError, InvalidJsonError } = require('../errors');
+
+/**
+ * Source format handlers, by name. A handler is
+ * `{ name, label, extensions, parse(text), stringify(value) }`: `parse` turns
+ * file contents into a JSON-compatible value and `stringify` writes one back.
+ * The first extension is used when a file is converted to the format.
+ */
+const handlers = {};
+
+// Sources written before formats were recorded are JSON
+const DEFAULT_SOURCE = { format: 'json', extension: '.json' };
+
+function registerFormatHandler(handler) {
+  if (!handler || typeof handler.name !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(handler.name)) {
+    throw new InvalidOptionError('Format handler needs a lowercase name');
+  }
+  if (typeof handler.parse !== 'function' || typeof handler.stringify !== 'function') {
+    throw new InvalidOptionError(`Format handler ${handler.name} needs parse and stringify functions`);
+  }
+  if (!Array.isArray(handler.extensions) || handler.extensions.length === 0 ||
+      !handler.extensions.every(extension => /^\.[^./\\]+$/.test(extension))) {
+    throw new InvalidOptionError(`Format handler ${handler.name} needs a list of extensions such as ['.ini']`);
+  }
+  
+  handlers[handler.name] = {
+    ...handler,
+    label: handler.label || handler.name.toUpperCase(),
+    extensions: handler.extensions.map(extension => extension.toLowerCase())
+  };
+}
+
+[json, json5, jsonc, yaml, toml, env].forEach(registerFormatHandler);
+
+function getFormatNames() {
+  return Object.keys(handlers);
+}
+
+function getFormatHandler(name) {
+  if (!Object.prototype.hasOwnProperty.call(handlers, name)) {
+    throw new InvalidOptionError(`Unsupported file format: ${name}. Supported: ${getFormatNames().join(', ')}`);
+  }
+  return handlers[name];
+}
+
+/**
+ * Find the handler for a file from its extension. `.env` and `.env.*` files
+ * are recognised by name.
+ *
+ * @returns {object|null}
+ */
+function matchFormatHandler(filePath) {
+  const basename = path.basename(filePath).toLowerCase();
+  const extension = path.extname(basename);
+  
+  const handler = Object.values(handlers).find(candidate => candidate.extensions.includes(extension));
+  if (handler) {
+    return handler;
+  }
+  return basename === '.env' || basename.startsWith('.env.') ? handlers.env : null;
+}
+
+// Files with an unknown extension are read as JSON
+function detectFormatHandler(filePath) {
+  return matchFormatHandler(filePath) || handlers.json;
+}
+
+/**
+ * Resolve the `inputFormat` (one name, or a list for batch runs) and
+ * `outputFormat` CLI options, failing on unknown names before any file is
+ * touched.
+ */
+function resolveSourceFormats(options = {}) {
+  const { inputFormat, outputFormat } = options;
+  
+  if (inputFormat) {
+    [].concat(inputFormat).forEach(getFormatHandler);
+  }
+  if (outputFormat) {
+    getFormatHandler(outputFormat);
+  }
+  return { inputFormat, outputFormat };
+}
+
+/**
+ * Source header recorded in envelopes: the plaintext's format and the
+ * extension it is restored with. A file that is converted on encryption, or
+ * content without a file name, records the format's default extension.
+ */
+function createSourceHeader(filePath, handler, converted = false) {
+  return {
+    format: handler.name,
+    extension: converted || !filePath ? handler.extensions[0] : path.extname(filePath)
+  };
+}
+
+function validateSourceHeader(source) {
+  if (!source || typeof source !== 'object' || typeof source.format !== 'string' || typeof source.extension !== 'string') {
+    throw new InvalidEnvelopeError('Invalid envelope header: invalid source');
+  }
+  if (!Object.prototype.hasOwnProperty.call(handlers, source.format)) {
+    throw new InvalidEnvelopeError(`Unsupported source format in envelope header: ${source.format}`);
+  }
+  if (source.extension !== '' && !/^\.[^./\\]+$/.test(source.extension)) {
+    throw new InvalidEnvelopeError('Invalid envelope header: invalid source extension');
+  }
+}
+
+// Parse with `handler`, reporting failures as InvalidJsonError prefixed with `message`
+function parseSource(handler, text, message) {
+  try {
+    return handler.parse(text);
+  } catch (error) {
+    throw new InvalidJsonError(`${message}: ${String(error.message).split('\n')[0]}`);
+  }
+}
+
+function stringifySource(handler, value) {
+  try {
+    return handler.stringify(value);
+  } catch (error) {
+    throw new InvalidOptionError(`Cannot write ${handler.label}: ${String(error.message).split('\n')[0]}`);
+  }
+}
+
+module.exports = {
+  DEFAULT_SOURCE,
+  registerFormatHandler,
+  getFormatNames,
+  getFormatHandler,
+  matchFormatHandler,
+  detectFormatHandler,
+  resolveSourceFormats,
+  createSourceHeader,
+  validateSourceHeader,
+  parseSource,
+  stringifySource
+};
@@ -0,0 +1,29 @@
+const JSON5 = require('json5');
+
+const json = {
+  name: 'json',
+  label: 'JSON',
+  extensions: ['.json'],
+  parse: text => JSON.parse(text),
+  stringify: value => JSON.stringify(value, null, 2)
+};
+
+const json5 = {
+  name: 'json5',
+  label: 'JSON5',
+  extensions: ['.json5'],
+  parse: text => JSON5.parse(text),
+  stringify: value => JSON5.stringify(value, null, 2)
+};
+
+// JSON with comments and trailing commas. JSON5 reads a superset of it;
+// comments are not kept when the document is converted or re-written.
+const jsonc = {
+  name: 'jsonc',
+  label: 'JSONC',
+  extensions: ['.jsonc'],
+  parse: text => JSON5.parse(text),
+  stringify: value => JSON.stringify(value, null, 2)
+};
+
+module.exports = { json, json5, jsonc };
@@ -0,0 +1,11 @@
+const TOML = require('@iarna/toml');
+
+const toml = {
+  name: 'toml',
+  label: 'TOML',
+  extensions: ['.toml'],
+  parse: text => TOML.parse(text),
+  stringify: value => TOML.stringify(value)
+};
+
+module.exports = { toml };
@@ -0,0 +1,11 @@
+const YAML = require('yaml');
+
+const yaml = {
+  name: 'yaml',
+  label: 'YAML',
+  extensions: ['.yaml', '.yml'],
+  parse: text => YAML.parse(text),
+  stringify: value => YAML.stringify(value)
+};
+
+module.exports = { yaml };
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const { globToRegExp } = require('./glob');
+const { MANIFEST_FILE } = require('./manifest');
+const { UNDO_FILE } = require('./transaction');
+
+const IGNORE_FILE = '.encignore';
+
+// Never worth encrypting in a batch run: dependencies, VCS metadata and tool
+// manifests. A `!` line in .encignore brings one back.
+const DEFAULT_EXCLUDES = [
+  'node_modules/',
+  '.git/',
+  '.hg/',
+  '.svn/',
+  'package.json',
+  'package-lock.json',
+  'npm-shrinkwrap.json',
+  'tsconfig*.json',
+  'jsconfig.json',
+  '.jsonencryptrc*',
+  MANIFEST_FILE,
+  UNDO_FILE
+];
+
+/**
+ * Compile .gitignore-style lines to rules relative to `dir`: `#` comments,
+ * `!` to re-include, and a trailing `/` to match directories only.
+ *
+ * @param {string[]} lines
+ * @param {string} dir
+ * @returns {Array<{ dir: string, regex: RegExp, negate: boolean, directoryOnly: boolean }>}
+ */
+function parseIgnorePatterns(lines, dir) {
+  return lines
+    .map(line => line.trimEnd())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      const negate = line.startsWith('!');
+      const pattern = line.replace(/^!/, '').replace(/^\\([#!])/, '$1');
+      const directoryOnly = pattern.endsWith('/');
+      return { dir, regex: globToRegExp(pattern.replace(/\/+$/, '')), negate, directoryOnly };
+    });
+}
+
+// Rules of `dir/.encignore`, if there is one
+function readIgnoreFile(dir) {
+  const file = path.join(dir, IGNORE_FILE);
+  return fs.existsSync(file) ? parseIgnorePatterns(fs.readFileSync(file, 'utf8').split(/\r?\n/), dir) : [];
+}
+
+/**
+ * Rules that apply before scanning `directory`: the defaults, then the
+ * .encignore files of its parents up to the working directory. .encignore
+ * files in `directory` and below are read as the scan reaches them.
+ */
+function getInheritedRules(directory, cwd = process.cwd()) {
+  const root = path.resolve(cwd);
+  const parents = [];
+  let dir = path.resolve(directory);
+  while (dir !== root && dir.startsWith(root + path.sep)) {
+    dir = path.dirname(dir);
+    parents.unshift(dir);
+  }
+  
+  return parseIgnorePatterns(DEFAULT_EXCLUDES, path.resolve(directory))
+    .concat(...parents.map(readIgnoreFile));
+}
+
+/**
+ * Whether `fullPath` is ignored by `rules`. The last matching rule wins, as
+ * in .gitignore.
+ */
+function isIgnored(fullPath, isDirectory, rules) {
+  let ignored = false;
+  for (const rule of rules) {
+    if (rule.directoryOnly && !isDirectory) {
+      continue;
+    }
+    const relative = path.relative(rule.dir, fullPath).split(path.sep).join('/');
+    if (relative && !relative.startsWith('../') && rule.regex.test(relative)) {
+      ignored = !rule.negate;
+    }
+  }
+  return ignored;
+}
+
+module.exports = {
+  IGNORE_FILE,
+  DEFAULT_EXCLUDES,
+  parseIgnorePatterns,
+  readIgnoreFile,
+  getInheritedRules,
+  isIgnored
+};
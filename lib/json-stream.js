@@ -0,0 +1,299 @@
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { InvalidJsonError } = require('./errors');
+
+// Parser states
+const VALUE = 0;
+const VALUE_OR_END = 1;
+const KEY = 2;
+const KEY_OR_END = 3;
+const COLON = 4;
+const AFTER_VALUE = 5;
+const STRING = 6;
+const ESCAPE = 7;
+const UNICODE = 8;
+const NUMBER = 9;
+const LITERAL = 10;
+const DONE = 11;
+
+// Number sub-states; the ones marked complete may end the number
+const NUM_MINUS = 0;
+const NUM_ZERO = 1; // complete
+const NUM_INT = 2; // complete
+const NUM_DOT = 3;
+const NUM_FRACTION = 4; // complete
+const NUM_E = 5;
+const NUM_E_SIGN = 6;
+const NUM_EXPONENT = 7; // complete
+
+const COMPLETE_NUMBER = [NUM_ZERO, NUM_INT, NUM_FRACTION, NUM_EXPONENT];
+
+const LITERALS = { t: 'true', f: 'false', n: 'null' };
+
+function isWhitespace(char) {
+  return char === ' ' || char === '\n' || char === '\r' || char === '\t';
+}
+
+function isDigit(char) {
+  return char >= '0' && char <= '9';
+}
+
+/**
+ * Incremental JSON syntax checker. Text is fed in pieces with write() and
+ * only the nesting stack is kept, so memory does not grow with the size of
+ * strings or arrays. Accepts exactly what JSON.parse accepts.
+ */
+class JsonValidator {
+  constructor() {
+    this.state = VALUE;
+    this.stack = [];
+    this.position = 0;
+    this.isKey = false;
+    this.numberState = NUM_MINUS;
+    this.literal = '';
+    this.literalIndex = 0;
+    this.unicodeDigits = 0;
+  }
+  
+  fail(char) {
+    throw new InvalidJsonError(char === undefined
+      ? 'Unexpected end of JSON input'
+      : `Unexpected token ${JSON.stringify(char)} in JSON at position ${this.position}`);
+  }
+  
+  afterValue() {
+    this.state = this.stack.length > 0 ? AFTER_VALUE : DONE;
+  }
+  
+  startValue(char) {
+    if (char === '{') {
+      this.stack.push('{');
+      this.state = KEY_OR_END;
+    } else if (char === '[') {
+      this.stack.push('[');
+      this.state = VALUE_OR_END;
+    } else if (char === '"') {
+      this.isKey = false;
+      this.state = STRING;
+    } else if (char === '-' || isDigit(char)) {
+      this.numberState = char === '-' ? NUM_MINUS : char === '0' ? NUM_ZERO : NUM_INT;
+      this.state = NUMBER;
+    } else if (LITERALS[char]) {
+      this.literal = LITERALS[char];
+      this.literalIndex = 1;
+      this.state = LITERAL;
+    } else {
+      this.fail(char);
+    }
+  }
+  
+  // Returns false when the character ends the number and must be read again
+  stepNumber(char) {
+    switch (this.numberState) {
+      case NUM_MINUS:
+        if (!isDigit(char)) {
+          this.fail(char);
+        }
+        this.numberState = char === '0' ? NUM_ZERO : NUM_INT;
+        return true;
+      case NUM_DOT:
+        if (!isDigit(char)) {
+          this.fail(char);
+        }
+        this.numberState = NUM_FRACTION;
+        return true;
+      case NUM_E:
+        if (char === '+' || char === '-') {
+          this.numberState = NUM_E_SIGN;
+          return true;
+        }
+        if (!isDigit(char)) {
+          this.fail(char);
+        }
+        this.numberState = NUM_EXPONENT;
+        return true;
+      case NUM_E_SIGN:
+        if (!isDigit(char)) {
+          this.fail(char);
+        }
+        this.numberState = NUM_EXPONENT;
+        return true;
+      default:
+        if (isDigit(char) && this.numberState !== NUM_ZERO) {
+          return true;
+        }
+        if (char === '.' && (this.numberState === NUM_ZERO || this.numberState === NUM_INT)) {
+          this.numberState = NUM_DOT;
+          return true;
+        }
+        if ((char === 'e' || char === 'E') && this.numberState !== NUM_EXPONENT) {
+          this.numberState = NUM_E;
+          return true;
+        }
+        this.afterValue();
+        return false;
+    }
+  }
+  
+  step(char) {
+    switch (this.state) {
+      case STRING:
+        if (char === '"') {
+          if (this.isKey) {
+            this.state = COLON;
+          } else {
+            this.afterValue();
+          }
+        } else if (char === '\\') {
+          this.state = ESCAPE;
+        } else if (char < ' ') {
+          this.fail(char);
+        }
+        return;
+      case ESCAPE:
+        if (char === 'u') {
+          this.unicodeDigits = 0;
+          this.state = UNICODE;
+        } else if ('"\\/bfnrt'.includes(char)) {
+          this.state = STRING;
+        } else {
+          this.fail(char);
+        }
+        return;
+      case UNICODE:
+        if (!/[0-9a-fA-F]/.test(char)) {
+          this.fail(char);
+        }
+        if (++this.unicodeDigits === 4) {
+          this.state = STRING;
+        }
+        return;
+      case NUMBER:
+        if (this.stepNumber(char)) {
+          return;
+        }
+        break;
+      case LITERAL:
+        if (char !== this.literal[this.literalIndex]) {
+          this.fail(char);
+        }
+        if (++this.literalIndex === this.literal.length) {
+          this.afterValue();
+        }
+        return;
+      default:
+        break;
+    }
+    
+    if (isWhitespace(char)) {
+      return;
+    }
+    
+    switch (this.state) {
+      case VALUE:
+        this.startValue(char);
+        break;
+      case VALUE_OR_END:
+        if (char === ']') {
+          this.stack.pop();
+          this.afterValue();
+        } else {
+          this.startValue(char);
+        }
+        break;
+      case KEY_OR_END:
+        if (char === '}') {
+          this.stack.pop();
+          this.afterValue();
+          break;
+        }
+        // falls through
+      case KEY:
+        if (char !== '"') {
+          this.fail(char);
+        }
+        this.isKey = true;
+        this.state = STRING;
+        break;
+      case COLON:
+        if (char !== ':') {
+          this.fail(char);
+        }
+        this.state = VALUE;
+        break;
+      case AFTER_VALUE: {
+        const container = this.stack[this.stack.length - 1];
+        if (char === ',') {
+          this.state = container === '{' ? KEY : VALUE;
+        } else if (char === (container === '{' ? '}' : ']')) {
+          this.stack.pop();
+          this.afterValue();
+        } else {
+          this.fail(char);
+        }
+        break;
+      }
+      default:
+        this.fail(char);
+    }
+  }
+  
+  write(text) {
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      
+      // Skip string contents in bulk
+      if (this.state === STRING && char !== '"' && char !== '\\' && char >= ' ') {
+        this.position++;
+        continue;
+      }
+      
+      this.step(char);
+      this.position++;
+    }
+  }
+  
+  end() {
+    if (this.state === NUMBER && COMPLETE_NUMBER.includes(this.numberState)) {
+      this.afterValue();
+    }
+    if (this.state !== DONE) {
+      this.fail();
+    }
+  }
+}
+
+/**
+ * Pass-through stream that validates the UTF-8 JSON flowing through it and
+ * errors with InvalidJsonError as soon as the syntax breaks or the input ends
+ * early.
+ */
+function createJsonValidator() {
+  const validator = new JsonValidator();
+  const decoder = new StringDecoder('utf8');
+  
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      try {
+        validator.write(decoder.write(chunk));
+        callback(null, chunk);
+      } catch (error) {
+        callback(error);
+      }
+    },
+    flush(callback) {
+      try {
+        validator.write(decoder.end());
+        validator.end();
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    }
+  });
+}
+
+module.exports = {
+  JsonValidator,
+  createJsonValidator
+};
@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { promisify } = require('util');
+const { InvalidOptionError, InvalidEnvelopeError, WrongKeyError } = require('./errors');
+
+const scrypt = promisify(crypto.scrypt);
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+// Supported key derivation functions
+const KDFS = {
+  scrypt: 'scrypt',
+  pbkdf2: 'PBKDF2-SHA256'
+};
+
+// Default key derivation cost parameters
+const KDF_DEFAULTS = {
+  scrypt: { N: 16384, r: 8, p: 1 },
+  pbkdf2: { iterations: 600000 }
+};
+
+// Upper bounds on cost parameters. Headers come from the file being opened,
+// so without them a crafted file could demand gigabytes of memory or hours
+// of CPU before the key check fails.
+const KDF_LIMITS = {
+  N: 2 ** 20,
+  r: 32,
+  p: 16,
+  iterations: 10000000,
+  // scrypt uses about 128 * N * r bytes
+  memory: 2 ** 30
+};
+
+// Fixed salt used by files written before the envelope header existed
+const LEGACY_SALT = Buffer.from('salt', 'utf8').toString('hex');
+
+// Length of raw keys (from --key-file) that are used directly, without a KDF
+const RAW_KEY_LENGTH = 32;
+
+// Key check values: a short HMAC of the derived key, recorded as `kdf.check`
+// so that a wrong secret can be told apart from tampered data
+const KEY_CHECK_LABEL = 'json-encrypt key check';
+const KEY_CHECK_LENGTH = 8;
+
+function isRawKey(secret) {
+  return Buffer.isBuffer(secret) && secret.length === RAW_KEY_LENGTH;
+}
+
+function parseKdfParam(name, value, defaultValue) {
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+  
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw new InvalidOptionError(`Invalid KDF parameter ${name}: ${value}`);
+  }
+  if (parsed > KDF_LIMITS[name]) {
+    throw new InvalidOptionError(`Invalid KDF parameter ${name}: ${value} (at most ${KDF_LIMITS[name]})`);
+  }
+  
+  return parsed;
+}
+
+function isPowerOfTwo(value) {
+  return value >= 2 && (value & (value - 1)) === 0;
+}
+
+/**
+ * Resolve KDF settings from CLI-style options (`kdf`, `kdfN`, `kdfR`, `kdfP`,
+ * `kdfIterations`), falling back to ENC_KDF* variables in `env`.
+ */
+function resolveKdf(options = {}, env = process.env) {
+  const name = options.kdf || env.ENC_KDF || 'scrypt';
+  
+  if (!KDFS[name]) {
+    throw new InvalidOptionError(`Unsupported KDF: ${name}. Supported: ${Object.keys(KDFS).join(', ')}`);
+  }
+  
+  if (name === 'pbkdf2') {
+    return {
+      name,
+      hash: 'sha256',
+      iterations: parseKdfParam('iterations', options.kdfIterations || env.ENC_KDF_ITERATIONS, KDF_DEFAULTS.pbkdf2.iterations)
+    };
+  }
+  
+  const N = parseKdfParam('N', options.kdfN || env.ENC_KDF_N, KDF_DEFAULTS.scrypt.N);
+  if (!isPowerOfTwo(N)) {
+    throw new InvalidOptionError(`Invalid KDF parameter N: ${N} (must be a power of two)`);
+  }
+  
+  const r = parseKdfParam('r', options.kdfR || env.ENC_KDF_R, KDF_DEFAULTS.scrypt.r);
+  if (128 * N * r > KDF_LIMITS.memory) {
+    throw new InvalidOptionError(`Invalid KDF parameters N=${N}, r=${r}: scrypt would need more than ${KDF_LIMITS.memory / 2 ** 20}MB`);
+  }
+  
+  return {
+    name,
+    N,
+    r,
+    p: parseKdfParam('p', options.kdfP || env.ENC_KDF_P, KDF_DEFAULTS.scrypt.p)
+  };
+}
+
+function resolveLegacyKdf(options = {}) {
+  // .env KDF settings describe new files, so only explicit options apply to legacy ones
+  return { ...resolveKdf(options, {}), salt: LEGACY_SALT };
+}
+
+function createKdfHeader(kdf, secret) {
+  // Raw keys are already uniformly random; stretching them adds nothing
+  if (isRawKey(secret)) {
+    return { name: 'raw' };
+  }
+  
+  // Every file gets its own random salt, so files sharing a passphrase never share a key
+  const { name, ...params } = kdf;
+  return { name, salt: crypto.randomBytes(16).toString('hex'), ...params };
+}
+
+function validateKeyCheck(check) {
+  if (check !== undefined && (typeof check !== 'string' || !new RegExp(`^[0-9a-f]{${KEY_CHECK_LENGTH * 2}}$`).test(check))) {
+    throw new InvalidEnvelopeError('Invalid envelope header: invalid key check');
+  }
+}
+
+function validateKdf(kdf) {
+  if (kdf && kdf.name === 'raw') {
+    validateKeyCheck(kdf.check);
+    return;
+  }
+  
+  if (!kdf || !KDFS[kdf.name] || typeof kdf.salt !== 'string' || !kdf.salt) {
+    throw new InvalidEnvelopeError('Invalid envelope header: unsupported key derivation settings');
+  }
+  
+  if (kdf.name === 'pbkdf2' && kdf.hash !== 'sha256') {
+    throw new InvalidEnvelopeError(`Invalid envelope header: unsupported PBKDF2 hash ${kdf.hash}`);
+  }
+  
+  validateKeyCheck(kdf.check);
+  
+  const params = kdf.name === 'pbkdf2' ? { iterations: kdf.iterations } : { N: kdf.N, r: kdf.r, p: kdf.p };
+  if (!Object.entries(params).every(([name, value]) => Number.isInteger(value) && value > 0 && value <= KDF_LIMITS[name])) {
+    throw new InvalidEnvelopeError('Invalid envelope header: invalid or excessive key derivation parameters');
+  }
+  if (kdf.name === 'scrypt' && (!isPowerOfTwo(kdf.N) || 128 * kdf.N * kdf.r > KDF_LIMITS.memory)) {
+    throw new InvalidEnvelopeError('Invalid envelope header: invalid or excessive key derivation parameters');
+  }
+}
+
+function getKeyCheck(key) {
+  return crypto.createHmac('sha256', key).update(KEY_CHECK_LABEL).digest().subarray(0, KEY_CHECK_LENGTH).toString('hex');
+}
+
+// Record the check value of `key` in a new KDF header
+function addKeyCheck(kdf, key) {
+  return { ...kdf, check: getKeyCheck(key) };
+}
+
+// Derived keys by secret, salt and parameters, for the run in progress
+// only (see withKeyCache). Files sharing a salt (headerless files use
+// LEGACY_SALT), and checks that decrypt a file just written, do not stretch
+// the key again. Holds the promise, so concurrent derivations of the same
+// key run once.
+const KEY_CACHE_SIZE = 64;
+const keyCacheStorage = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with derived keys cached until it settles, then forget them.
+ * Outside such a run every key is derived afresh. A `cache` passed in is
+ * the caller's to keep (a worker thread keeps one for its life); inside
+ * another run, that run's cache is used.
+ */
+async function withKeyCache(fn, cache) {
+  if (!cache && keyCacheStorage.getStore()) {
+    return fn();
+  }
+  
+  const store = cache || new Map();
+  try {
+    return await keyCacheStorage.run(store, fn);
+  } finally {
+    if (!cache) {
+      store.clear();
+    }
+  }
+}
+
+function getCacheId(secretKey, kdf, keyLength) {
+  const { check, ...params } = kdf;
+  return crypto.createHash('sha256')
+    .update(secretKey)
+    .update('\0')
+    .update(JSON.stringify({ ...params, keyLength }))
+    .digest('hex');
+}
+
+function cachedStretchKey(secretKey, kdf, keyLength) {
+  const keyCache = keyCacheStorage.getStore();
+  if (!keyCache || kdf.name === 'raw') {
+    return stretchKey(secretKey, kdf, keyLength);
+  }
+  
+  const id = getCacheId(secretKey, kdf, keyLength);
+  if (!keyCache.has(id)) {
+    const key = stretchKey(secretKey, kdf, keyLength);
+    key.catch(() => keyCache.delete(id));
+    keyCache.set(id, key);
+    if (keyCache.size > KEY_CACHE_SIZE) {
+      keyCache.delete(keyCache.keys().next().value);
+    }
+  }
+  return keyCache.get(id);
+}
+
+async function stretchKey(secretKey, kdf, keyLength) {
+  if (kdf.name === 'raw') {
+    if (!isRawKey(secretKey)) {
+      throw new InvalidOptionError(`This file was encrypted with a raw ${RAW_KEY_LENGTH}-byte key; use --key-file instead of a passphrase`);
+    }
+    // AES-128/192 use the leading bytes of the key
+    return secretKey.subarray(0, keyLength);
+  }
+  
+  const salt = Buffer.from(kdf.salt, 'hex');
+  
+  if (kdf.name === 'pbkdf2') {
+    return pbkdf2(secretKey, salt, kdf.iterations, keyLength, 'sha256');
+  }
+  
+  // scrypt needs roughly 128 * N * r bytes; raise the default 32MB cap for tuned parameters
+  return scrypt(secretKey, salt, keyLength, {
+    N: kdf.N,
+    r: kdf.r,
+    p: kdf.p,
+    maxmem: 256 * kdf.N * kdf.r
+  });
+}
+
+/**
+ * Derive the key described by a KDF header. Headers with a key check fail
+ * with WrongKeyError when the secret does not produce the recorded key.
+ */
+async function deriveKey(secretKey, kdf, keyLength) {
+  const key = await cachedStretchKey(secretKey, kdf, keyLength);
+  
+  if (kdf.check !== undefined && !crypto.timingSafeEqual(Buffer.from(getKeyCheck(key), 'hex'), Buffer.from(kdf.check, 'hex'))) {
+    throw new WrongKeyError();
+  }
+  return key;
+}
+
+module.exports = {
+  KDFS,
+  KDF_DEFAULTS,
+  LEGACY_SALT,
+  RAW_KEY_LENGTH,
+  isRawKey,
+  resolveKdf,
+  resolveLegacyKdf,
+  createKdfHeader,
+  validateKdf,
+  addKeyCheck,
+  deriveKey,
+  withKeyCache
+};
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const { RAW_KEY_LENGTH } = require('./kdf');
+const { getKeyFingerprint, readKeyFile } = require('./recipients');
+const { InvalidOptionError } = require('./errors');
+
+// Key types `json-encrypt keygen` can create
+const KEY_TYPES = {
+  symmetric: `Symmetric ${RAW_KEY_LENGTH * 8}-bit key`,
+  x25519: 'X25519 key pair',
+  rsa: 'RSA key pair'
+};
+
+const KEY_FORMATS = ['pem', 'base64'];
+
+// PEM label for symmetric key files
+const SYMMETRIC_KEY_LABEL = 'JSON ENCRYPT KEY';
+
+// Cipher used to protect private keys with a passphrase (PKCS#8)
+const PRIVATE_KEY_CIPHER = 'aes-256-cbc';
+
+function assertFormat(format) {
+  if (!KEY_FORMATS.includes(format)) {
+    throw new InvalidOptionError(`Unsupported key format: ${format}. Supported: ${KEY_FORMATS.join(', ')}`);
+  }
+}
+
+function toPem(label, der) {
+  const lines = der.toString('base64').match(/.{1,64}/g);
+  return `-----BEGIN ${label}-----\n${lines.join('\n')}\n-----END ${label}-----\n`;
+}
+
+/**
+ * Fingerprint of a symmetric key: SHA-256 over a domain-separated copy of the
+ * key, so it identifies the key without being usable as one.
+ */
+function getSymmetricKeyFingerprint(key) {
+  return crypto.createHash('sha256').update('json-encrypt:key-id:').update(key).digest('hex');
+}
+
+/**
+ * Parse the contents of a symmetric key file: PEM, base64 or hex text, or the
+ * raw bytes themselves.
+ *
+ * @param {Buffer|string} content
+ * @returns {Buffer|null} The key, or null if the content is not a raw key
+ */
+function parseSymmetricKey(content) {
+  const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+  const text = buffer.toString('utf8').trim();
+  const pem = new RegExp(`^-----BEGIN ${SYMMETRIC_KEY_LABEL}-----([\\s\\S]*)-----END ${SYMMETRIC_KEY_LABEL}-----$`).exec(text);
+  
+  let key = null;
+  if (pem) {
+    key = Buffer.from(pem[1].replace(/\s+/g, ''), 'base64');
+    if (key.length !== RAW_KEY_LENGTH) {
+      throw new InvalidOptionError(`Invalid key file: expected a ${RAW_KEY_LENGTH}-byte key, found ${key.length} bytes`);
+    }
+  } else if (new RegExp(`^[0-9a-f]{${RAW_KEY_LENGTH * 2}}$`, 'i').test(text)) {
+    key = Buffer.from(text, 'hex');
+  } else if (/^[A-Za-z0-9+/]+={0,2}$/.test(text) && Buffer.from(text, 'base64').length === RAW_KEY_LENGTH) {
+    key = Buffer.from(text, 'base64');
+  } else if (buffer.length === RAW_KEY_LENGTH) {
+    key = buffer;
+  }
+  
+  return key;
+}
+
+/**
+ * Generate a random symmetric key for use with --key-file.
+ *
+ * @param {object} options - `{ format = 'pem' }`
+ * @returns {{ key: Buffer, content: string, fingerprint: string }}
+ */
+function generateSymmetricKey(options = {}) {
+  const { format = 'pem' } = options;
+  assertFormat(format);
+  
+  const key = crypto.randomBytes(RAW_KEY_LENGTH);
+  
+  return {
+    key,
+    content: format === 'pem' ? toPem(SYMMETRIC_KEY_LABEL, key) : `${key.toString('base64')}\n`,
+    fingerprint: getSymmetricKeyFingerprint(key)
+  };
+}
+
+/**
+ * Generate an X25519 or RSA key pair for public-key recipients.
+ *
+ * @param {object} options - `{ type = 'x25519', bits = 3072, format = 'pem', passphrase }`;
+ *   `passphrase` encrypts the private key
+ * @returns {{ publicKey: string, privateKey: string, fingerprint: string }}
+ */
+function generateKeyPair(options = {}) {
+  const { type = 'x25519', bits = 3072, format = 'pem', passphrase } = options;
+  assertFormat(format);
+  
+  if (type !== 'x25519' && type !== 'rsa') {
+    throw new InvalidOptionError(`Unsupported key pair type: ${type}. Supported: x25519, rsa`);
+  }
+  
+  const modulusLength = Number(bits);
+  if (type === 'rsa' && (!Number.isInteger(modulusLength) || modulusLength < 2048)) {
+    throw new InvalidOptionError(`Invalid RSA key size: ${bits} (minimum 2048 bits)`);
+  }
+  
+  const pair = crypto.generateKeyPairSync(type, type === 'rsa' ? { modulusLength } : {});
+  const encoding = format === 'pem' ? 'pem' : 'der';
+  const protection = passphrase ? { cipher: PRIVATE_KEY_CIPHER, passphrase } : {};
+  
+  const publicKey = pair.publicKey.export({ type: 'spki', format: encoding });
+  const privateKey = pair.privateKey.export({ type: 'pkcs8', format: encoding, ...protection });
+  
+  return {
+    publicKey: format === 'pem' ? publicKey : `${publicKey.toString('base64')}\n`,
+    privateKey: format === 'pem' ? privateKey : `${privateKey.toString('base64')}\n`,
+    fingerprint: getKeyFingerprint(pair.publicKey)
+  };
+}
+
+/**
+ * Resolve the secret from a key file given as CLI option (`keyFile`) or
+ * ENC_KEY_FILE. `--secret` and `--key-file` are mutually exclusive, and an
+ * explicit `--secret` wins over ENC_KEY_FILE.
+ *
+ * A file holding a 32-byte key yields a Buffer that is used without key
+ * derivation; any other file is read as a passphrase.
+ *
+ * @returns {{ file: string, secret: Buffer|string }|null}
+ */
+function resolveKeyFile(options = {}, env = process.env) {
+  if (options.secret && options.keyFile) {
+    throw new InvalidOptionError('Use either --secret or --key-file, not both');
+  }
+  
+  const file = options.keyFile || (options.secret ? null : env.ENC_KEY_FILE);
+  if (!file) {
+    return null;
+  }
+  
+  const content = readKeyFile(file);
+  const key = parseSymmetricKey(content);
+  const secret = key || content.toString('utf8').trim();
+  
+  if (!secret) {
+    throw new InvalidOptionError(`Key file is empty: ${file}`);
+  }
+  
+  return { file, secret };
+}
+
+module.exports = {
+  KEY_TYPES,
+  KEY_FORMATS,
+  getSymmetricKeyFingerprint,
+  parseSymmetricKey,
+  generateSymmetricKey,
+  generateKeyPair,
+  resolveKeyFile
+};
@@ -0,0 +1,25 @@
+// ES module hooks registered by loader.register(): `import x from './x.enc'`
+// evaluates to a module whose default export is the decrypted document
+const { fileURLToPath } = require('url');
+const { isEncryptedPath, loadEncryptedFile } = require('./loader');
+
+let options = {};
+
+async function initialize(data) {
+  options = data || {};
+}
+
+async function load(url, context, nextLoad) {
+  if (!url.startsWith('file:') || !isEncryptedPath(fileURLToPath(url))) {
+    return nextLoad(url, context);
+  }
+  
+  const document = await loadEncryptedFile(fileURLToPath(url), options);
+  return {
+    format: 'module',
+    source: `export default ${JSON.stringify(document)};`,
+    shortCircuit: true
+  };
+}
+
+module.exports = { initialize, load };
@@ -0,0 +1,33 @@
+// Worker for loadEncryptedFileSync: decrypts one file, posts the document or
+// the error back, then wakes the waiting thread. It must always reply, or
+// the waiting thread blocks until its timeout.
+const { workerData } = require('worker_threads');
+
+const { filePath, options, done, port } = workerData;
+
+// process.exit() or an uncaught error in a module loaded here: wake the
+// waiting thread without a message, so it fails now
+process.on('exit', () => {
+  Atomics.store(done, 0, 1);
+  Atomics.notify(done, 0);
+});
+
+function reply(message) {
+  try {
+    port.postMessage(message);
+  } catch (error) {
+    port.postMessage({ error: { name: error.name, message: error.message } });
+  }
+  Atomics.store(done, 0, 1);
+  Atomics.notify(done, 0);
+}
+
+try {
+  const { loadEncryptedFile, serializeError } = require('./loader');
+  
+  loadEncryptedFile(filePath, options)
+    .then(value => ({ value }), error => ({ error: serializeError(error) }))
+    .then(reply);
+} catch (error) {
+  reply({ error: { name: error.name, message: error.message } });
+}
@@ -0,0 +1,204 @@
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { Worker, MessageChannel, receiveMessageOnPort } = require('worker_threads');
+const { readEncryptedFile } = require('./file');
+const { resolveLegacyKdf } = require('./kdf');
+const { resolveKeyFile } = require('./keys');
+const { resolvePrivateKey } = require('./recipients');
+const { applyProjectConfig } = require('./config');
+const errors = require('./errors');
+
+const { InvalidOptionError, LoaderError } = errors;
+
+// How long require() waits for the worker thread before giving up
+const LOAD_TIMEOUT = 60 * 1000;
+
+// Decrypted documents by absolute path, for the life of the process
+const cache = new Map();
+
+let loaderOptions = {};
+let esmRegistered = false;
+
+function isEncryptedPath(filePath) {
+  return path.extname(filePath).toLowerCase() === '.enc';
+}
+
+// Secrets cross threads as Uint8Arrays; raw keys must be Buffers again
+function toSecret(secret) {
+  return secret instanceof Uint8Array && !Buffer.isBuffer(secret) ? Buffer.from(secret) : secret;
+}
+
+/**
+ * Call a key provider: a module, resolved from the working directory, whose
+ * default export takes the .enc path and returns (or resolves to) a secret,
+ * `{ secret }` or `{ privateKey, passphrase }` with the private key itself.
+ */
+async function callKeyProvider(provider, filePath) {
+  const providerPath = path.resolve(provider);
+  let providerModule;
+  try {
+    providerModule = await import(pathToFileURL(providerPath).href);
+  } catch (error) {
+    throw new InvalidOptionError(`Cannot load key provider ${provider}: ${error.message}`);
+  }
+  
+  const getKey = typeof providerModule.default === 'function' ? providerModule.default : providerModule.default && providerModule.default.default;
+  if (typeof getKey !== 'function') {
+    throw new InvalidOptionError(`Key provider ${provider} must export a function`);
+  }
+  
+  const key = await getKey(filePath);
+  if (typeof key === 'string' || key instanceof Uint8Array) {
+    return { secret: toSecret(key) };
+  }
+  if (!key || typeof key !== 'object') {
+    return {};
+  }
+  
+  const { secret, privateKey, passphrase } = key;
+  return {
+    secret: toSecret(secret),
+    privateKey: privateKey && passphrase ? { key: privateKey, passphrase } : privateKey
+  };
+}
+
+/**
+ * Decryption settings for one file: from the key provider when there is one
+ * (`keyProvider` or ENC_KEY_PROVIDER), otherwise from `secret`, `keyFile`,
+ * `privateKey` and `passphrase`, then .jsonencryptrc, falling back to
+ * ENC_SECRET, ENC_KEY_FILE, ENC_PRIVATE_KEY and ENC_PRIVATE_KEY_PASSPHRASE.
+ */
+async function resolveLoaderKey(filePath, options = {}, env = process.env) {
+  const provider = options.keyProvider || env.ENC_KEY_PROVIDER;
+  let key;
+  
+  if (provider) {
+    key = await callKeyProvider(provider, filePath);
+  } else {
+    const resolved = applyProjectConfig(options, { filePath, env });
+    const keyFile = resolveKeyFile(resolved, env);
+    key = {
+      secret: keyFile ? keyFile.secret : toSecret(resolved.secret) || env.ENC_SECRET,
+      privateKey: resolvePrivateKey(resolved, env)
+    };
+  }
+  
+  if (!key.secret && !key.privateKey) {
+    throw new InvalidOptionError(provider
+      ? `Key provider ${provider} returned no key`
+      : 'No key: set ENC_SECRET, ENC_KEY_FILE or ENC_PRIVATE_KEY, or configure a key provider');
+  }
+  return {
+    ...key,
+    algorithm: options.algorithm || env.ENC_ALGORITHM,
+    legacyKdf: resolveLegacyKdf()
+  };
+}
+
+/**
+ * Decrypt an .enc file in any source format and return the document. Results
+ * are cached by path, so each file is decrypted once per process. Errors name
+ * the file and keep their class.
+ *
+ * @param {string} filePath
+ * @param {object} options - `{ secret, keyFile, privateKey, passphrase, keyProvider, algorithm }`
+ * @returns {Promise<any>}
+ */
+async function loadEncryptedFile(filePath, options = loaderOptions) {
+  const absolutePath = path.resolve(filePath);
+  
+  if (!cache.has(absolutePath)) {
+    try {
+      cache.set(absolutePath, await readEncryptedFile(absolutePath, await resolveLoaderKey(absolutePath, options)));
+    } catch (error) {
+      error.message = `Cannot load ${path.relative(process.cwd(), absolutePath) || absolutePath}: ${error.message}`;
+      throw error;
+    }
+  }
+  return cache.get(absolutePath);
+}
+
+function serializeError(error) {
+  return { name: error.name, message: error.message, code: error.code, path: error.path };
+}
+
+// Rebuild an error posted from another thread as its original class
+function restoreError({ name, message, code, path: filePath }) {
+  const ErrorClass = Object.prototype.hasOwnProperty.call(errors, name) ? errors[name] : null;
+  const error = ErrorClass ? new ErrorClass(filePath !== undefined ? filePath : message) : new Error(message);
+  
+  error.message = message;
+  if (code) {
+    error.code = code;
+  }
+  return error;
+}
+
+/**
+ * loadEncryptedFile for require(), which cannot wait for a promise: the file
+ * is decrypted in a worker thread while this thread blocks until it is done.
+ */
+function loadEncryptedFileSync(filePath, options = loaderOptions) {
+  const absolutePath = path.resolve(filePath);
+  if (cache.has(absolutePath)) {
+    return cache.get(absolutePath);
+  }
+  
+  const { port1, port2 } = new MessageChannel();
+  const done = new Int32Array(new SharedArrayBuffer(4));
+  const worker = new Worker(path.join(__dirname, 'loader-worker.js'), {
+    workerData: { filePath: absolutePath, options, done, port: port2 },
+    transferList: [port2]
+  });
+  
+  worker.unref();
+  const waited = Atomics.wait(done, 0, 0, LOAD_TIMEOUT);
+  const received = receiveMessageOnPort(port1);
+  port1.close();
+  worker.terminate();
+  
+  const name = path.relative(process.cwd(), absolutePath) || absolutePath;
+  if (waited === 'timed-out') {
+    throw new LoaderError(`Cannot load ${name}: no answer from the loader worker after ${LOAD_TIMEOUT / 1000}s`);
+  }
+  if (!received) {
+    throw new LoaderError(`Cannot load ${name}: the loader worker exited without an answer`);
+  }
+  
+  const { message } = received;
+  if (message.error) {
+    throw restoreError(message.error);
+  }
+  cache.set(absolutePath, message.value);
+  return message.value;
+}
+
+/**
+ * Make `require('./config.enc')` and `import config from './config.enc'`
+ * return the decrypted document. ES module imports need Node 20.6 or later;
+ * their options are fixed by the first call.
+ *
+ * @param {object} options - As for loadEncryptedFile; everything else comes from the environment
+ */
+function register(options = {}) {
+  loaderOptions = options;
+  
+  require.extensions['.enc'] = (module, filename) => {
+    module.exports = loadEncryptedFileSync(filename, loaderOptions);
+  };
+  
+  const { register: registerHooks } = require('module');
+  if (registerHooks && !esmRegistered) {
+    registerHooks(pathToFileURL(path.join(__dirname, 'loader-hooks.js')).href, { data: options });
+    esmRegistered = true;
+  }
+}
+
+module.exports = {
+  isEncryptedPath,
+  serializeError,
+  resolveLoaderKey,
+  loadEncryptedFile,
+  loadEncryptedFileSync,
+  register
+};
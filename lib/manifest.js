@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createKdfHeader, addKeyCheck, deriveKey, resolveKdf, validateKdf } = require('./kdf');
+
+// Records what each batch run encrypted, so the next run can leave
+// unchanged files (and their .enc files, which get a fresh IV every time)
+// alone
+const MANIFEST_FILE = '.enc-manifest.json';
+const MANIFEST_VERSION = 1;
+const MANIFEST_KEY_LABEL = 'json-encrypt manifest';
+
+// Options that change the .enc file a source encrypts to
+const FINGERPRINT_OPTIONS = ['algorithm', 'kdf', 'format', 'fieldLevel', 'outputFormat', 'outputName', 'outDir', 'extensionMap'];
+
+function toPosix(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+// A key of its own, so that hashes never use a key that encrypts files
+function getManifestKey(key) {
+  return crypto.createHmac('sha256', key).update(MANIFEST_KEY_LABEL).digest();
+}
+
+function readManifest(file) {
+  try {
+    const manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+    validateKdf(manifest.kdf);
+    if (manifest.version !== MANIFEST_VERSION || !manifest.files || typeof manifest.files !== 'object') {
+      return null;
+    }
+    return manifest;
+  } catch (error) {
+    // Missing or unreadable: start a new one
+    return null;
+  }
+}
+
+/**
+ * Open the manifest of a batch directory. Hashes are keyed with a key
+ * derived from `secret` (the KDF header, with its salt and key check, is
+ * stored in the manifest), so they reveal nothing about the plaintext to
+ * anyone without the secret. A manifest written with another secret is
+ * started over.
+ *
+ * @param {string} directory
+ * @param {object} options - `{ secret, kdf }`
+ * @returns {Promise<object|null>} `null` without a secret, as with public-key recipients
+ */
+async function loadManifest(directory, options = {}) {
+  const { secret, kdf = resolveKdf({}, {}) } = options;
+  if (!secret) {
+    return null;
+  }
+  
+  const file = path.join(directory, MANIFEST_FILE);
+  const existing = readManifest(file);
+  if (existing) {
+    try {
+      const key = await deriveKey(secret, existing.kdf, 32);
+      return { file, directory, kdf: existing.kdf, key: getManifestKey(key), files: existing.files };
+    } catch (error) {
+      // Another secret: every entry is stale
+    }
+  }
+  
+  const header = createKdfHeader(kdf, secret);
+  const key = await deriveKey(secret, header, 32);
+  return { file, directory, kdf: addKeyCheck(header, key), key: getManifestKey(key), files: {} };
+}
+
+// The settings a file is encrypted with, with its key as a keyed hash
+function getFingerprint(manifest, options) {
+  const settings = Object.fromEntries(FINGERPRINT_OPTIONS.map(name => [name, options[name]]));
+  const key = options.recipients && options.recipients.length > 0
+    ? options.recipients.map(recipient => crypto.createHash('sha256').update(recipient).digest('hex'))
+    : crypto.createHmac('sha256', manifest.key).update(options.secret || '').digest('hex');
+  return JSON.stringify({ ...settings, key }, (name, value) => (value instanceof RegExp ? String(value) : value));
+}
+
+/**
+ * Keyed hash of a source file and the settings it is encrypted with. It
+ * changes when either does.
+ *
+ * @param {object} manifest - From loadManifest
+ * @param {string} filePath
+ * @param {object} options - The options the file is encrypted with
+ * @returns {Promise<string>}
+ */
+async function hashSourceFile(manifest, filePath, options) {
+  const hmac = crypto.createHmac('sha256', manifest.key);
+  hmac.update(getFingerprint(manifest, options)).update('\0');
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hmac.update(chunk);
+  }
+  return hmac.digest('hex');
+}
+
+function hashEncryptedFile(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * The .enc file recorded for `filePath` if the source still hashes to
+ * `hash` and the .enc file is the one the manifest recorded, otherwise
+ * `null`.
+ *
+ * @returns {string|null}
+ */
+function getUnchangedOutput(manifest, filePath, hash) {
+  const entry = manifest.files[toPosix(path.relative(manifest.directory, filePath))];
+  if (!entry || entry.hash !== hash) {
+    return null;
+  }
+  
+  const outputFile = path.join(manifest.directory, entry.output);
+  try {
+    return hashEncryptedFile(outputFile) === entry.encrypted ? outputFile : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function recordFile(manifest, filePath, hash, outputFile) {
+  manifest.files[toPosix(path.relative(manifest.directory, filePath))] = {
+    hash,
+    output: toPosix(path.relative(manifest.directory, outputFile)),
+    encrypted: hashEncryptedFile(outputFile)
+  };
+}
+
+function forgetFile(manifest, filePath) {
+  delete manifest.files[toPosix(path.relative(manifest.directory, filePath))];
+}
+
+/**
+ * Write the manifest, dropping entries whose source file is gone. Entries
+ * are sorted so that the file only changes when its content does.
+ */
+function saveManifest(manifest) {
+  const files = {};
+  Object.keys(manifest.files).sort().forEach(name => {
+    if (fs.existsSync(path.join(manifest.directory, name))) {
+      files[name] = manifest.files[name];
+    }
+  });
+  
+  fs.writeFileSync(manifest.file, `${JSON.stringify({ version: MANIFEST_VERSION, kdf: manifest.kdf, files }, null, 2)}\n`);
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  loadManifest,
+  hashSourceFile,
+  getUnchangedOutput,
+  recordFile,
+  forgetFile,
+  saveManifest
+};
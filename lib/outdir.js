@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+const { InvalidOptionError } = require('./errors');
+
+// `.from=.to`, e.g. `.yaml.enc=.yml`
+const EXTENSION_MAPPING = /^(\.[^=]+)=(\.[^=]+)$/;
+
+/**
+ * Parse `--ext-map` entries (`['.yaml.enc=.yml']`) into `{ '.yaml.enc': '.yml' }`.
+ */
+function parseExtensionMap(entries) {
+  const map = {};
+  for (const entry of [].concat(entries)) {
+    const match = EXTENSION_MAPPING.exec(String(entry).trim());
+    if (!match) {
+      throw new InvalidOptionError(`Invalid extension mapping: ${entry} (use .from=.to, e.g. .yaml.enc=.yml)`);
+    }
+    map[match[1]] = match[2];
+  }
+  return map;
+}
+
+/**
+ * Resolve where outputs go from the CLI options `outDir` and `extMap`.
+ * Returns `{ outDir, extensionMap }`, with `outDir` absolute, or `{}` when
+ * neither is set.
+ */
+function resolveOutDir(options = {}) {
+  const resolved = {};
+  
+  if (options.outDir) {
+    if (options.output) {
+      throw new InvalidOptionError('Use either --output or --out-dir, not both');
+    }
+    if (fs.existsSync(options.outDir) && !fs.statSync(options.outDir).isDirectory()) {
+      throw new InvalidOptionError(`Output directory is not a directory: ${options.outDir}`);
+    }
+    resolved.outDir = path.resolve(options.outDir);
+  }
+  if (options.extMap) {
+    resolved.extensionMap = parseExtensionMap(options.extMap);
+  }
+  return resolved;
+}
+
+// The longest key of `extensionMap` that `name` ends with
+function findMappedExtension(name, extensionMap) {
+  return Object.keys(extensionMap || {})
+    .filter(extension => name.length > extension.length && name.toLowerCase().endsWith(extension.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+}
+
+/**
+ * Where the output of `filePath` goes. `extensionMap` renames it: the
+ * longest input extension it lists is swapped for its value
+ * (`config.yaml.enc` → `config.yml` for `{ '.yaml.enc': '.yml' }`). With
+ * `outDir`, the output moves there, keeping its path relative to `rootDir`
+ * (default: the input's own directory). Otherwise `defaultPath` is kept.
+ *
+ * @param {string} filePath - Input file
+ * @param {string} defaultPath - Output next to the input, as named without these options
+ * @param {object} options - `{ outDir, rootDir, extensionMap }`
+ * @returns {string}
+ */
+function getOutDirPath(filePath, defaultPath, options = {}) {
+  const { outDir, rootDir = path.dirname(filePath), extensionMap } = options;
+  const inputName = path.basename(filePath);
+  const mapped = findMappedExtension(inputName, extensionMap);
+  if (!outDir && !mapped) {
+    return defaultPath;
+  }
+  
+  const name = mapped ? `${inputName.slice(0, -mapped.length)}${extensionMap[mapped]}` : path.basename(defaultPath);
+  if (!outDir) {
+    return path.join(path.dirname(defaultPath), name);
+  }
+  
+  const relative = path.relative(rootDir, path.dirname(filePath));
+  if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+    throw new InvalidOptionError(`${filePath} is outside ${rootDir}, so it has no place in ${outDir}`);
+  }
+  return path.join(outDir, relative, name);
+}
+
+module.exports = {
+  parseExtensionMap,
+  resolveOutDir,
+  getOutDirPath
+};
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const { FileNotFoundError, OutputExistsError } = require('./errors');
+
+// `-` stands for stdin as an input and stdout as an output
+const STDIO = '-';
+
+let stdinContent = null;
+let writeStdout = null;
+
+function isStdio(target) {
+  return target === STDIO;
+}
+
+/**
+ * Pipe mode: stdout carries only data. Everything else written to stdout -
+ * console.log, spinners, prompts - is sent to stderr from here on, and data
+ * goes out through writeOutput.
+ */
+function enterPipeMode() {
+  if (writeStdout) {
+    return;
+  }
+  
+  writeStdout = process.stdout.write.bind(process.stdout);
+  process.stdout.write = process.stderr.write.bind(process.stderr);
+}
+
+// Read all of stdin; later calls return the same content
+function readStdin() {
+  if (!stdinContent) {
+    stdinContent = new Promise((resolve, reject) => {
+      const chunks = [];
+      process.stdin.on('data', chunk => chunks.push(chunk));
+      process.stdin.on('end', () => resolve(Buffer.concat(chunks)));
+      process.stdin.on('error', reject);
+    });
+  }
+  return stdinContent;
+}
+
+/**
+ * Read a file, or stdin for `-`.
+ *
+ * @returns {Promise<Buffer>}
+ */
+async function readInput(input) {
+  if (isStdio(input)) {
+    return readStdin();
+  }
+  
+  try {
+    return await fs.promises.readFile(input);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new FileNotFoundError(input);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Write to a file, or to stdout for `-`. Resolves once stdout has taken the
+ * data, so the process can exit without cutting it off.
+ */
+async function writeOutput(output, content, overwrite = true) {
+  if (isStdio(output)) {
+    const write = writeStdout || process.stdout.write.bind(process.stdout);
+    await new Promise((resolve, reject) => {
+      write(content, error => (error ? reject(error) : resolve()));
+    });
+    return;
+  }
+  
+  if (!overwrite && fs.existsSync(output)) {
+    throw new OutputExistsError(output);
+  }
+  await fs.promises.writeFile(output, content);
+}
+
+module.exports = {
+  STDIO,
+  isStdio,
+  enterPipeMode,
+  readStdin,
+  readInput,
+  writeOutput
+};
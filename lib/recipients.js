@@ -0,0 +1,340 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { InvalidOptionError, InvalidEnvelopeError, DecryptionError, WrongKeyError, FileNotFoundError } = require('./errors');
+
+// Public-key schemes used to wrap the per-file data key
+const RECIPIENT_TYPES = {
+  'x25519': 'X25519 + HKDF-SHA256 + AES-256-GCM',
+  'rsa-oaep': 'RSA-OAEP-SHA256'
+};
+
+// HKDF info string for X25519 key wrapping
+const X25519_INFO = Buffer.from('json-encrypt:x25519', 'utf8');
+
+// RFC 5869 HKDF-SHA256, kept local so Node 14 (no crypto.hkdf) is supported
+function hkdf(secret, salt, info, length) {
+  const prk = crypto.createHmac('sha256', salt).update(secret).digest();
+  const blocks = [];
+  let previous = Buffer.alloc(0);
+  
+  for (let i = 1; Buffer.concat(blocks).length < length; i++) {
+    previous = crypto.createHmac('sha256', prk).update(Buffer.concat([previous, info, Buffer.from([i])])).digest();
+    blocks.push(previous);
+  }
+  
+  return Buffer.concat(blocks).subarray(0, length);
+}
+
+// Keys are PEM, or base64 DER (SPKI for public keys, PKCS#8 for private keys)
+function parseKeyInput(key, derType) {
+  const text = Buffer.isBuffer(key) ? key.toString('utf8').trim() : String(key).trim();
+  
+  if (text.includes('-----BEGIN')) {
+    return text;
+  }
+  if (/^[A-Za-z0-9+/\s]+={0,2}$/.test(text)) {
+    return { key: Buffer.from(text, 'base64'), format: 'der', type: derType };
+  }
+  return key;
+}
+
+function toPublicKey(key) {
+  if (key instanceof crypto.KeyObject) {
+    return key.type === 'private' ? crypto.createPublicKey(key) : key;
+  }
+  
+  try {
+    return crypto.createPublicKey(parseKeyInput(key, 'spki'));
+  } catch (error) {
+    throw new InvalidOptionError(`Invalid public key: ${error.message}`);
+  }
+}
+
+// Accepts a KeyObject, PEM or base64 DER string/Buffer, or `{ key, passphrase }`
+function toPrivateKey(key) {
+  if (key instanceof crypto.KeyObject) {
+    return key;
+  }
+  
+  const { key: material, passphrase } = key !== null && typeof key === 'object' && !Buffer.isBuffer(key)
+    ? key
+    : { key };
+  const input = parseKeyInput(material, 'pkcs8');
+  
+  try {
+    return crypto.createPrivateKey(typeof input === 'object' && !Buffer.isBuffer(input)
+      ? { ...input, passphrase }
+      : { key: input, passphrase });
+  } catch (error) {
+    if (!passphrase && /ENCRYPTED PRIVATE KEY|passphrase/i.test(`${material} ${error.message}`)) {
+      throw new InvalidOptionError('The private key is passphrase-protected: pass --passphrase or set ENC_PRIVATE_KEY_PASSPHRASE');
+    }
+    throw new InvalidOptionError(`Invalid private key: ${error.message}`);
+  }
+}
+
+function getRecipientType(publicKey) {
+  if (publicKey.asymmetricKeyType === 'x25519') {
+    return 'x25519';
+  }
+  if (publicKey.asymmetricKeyType === 'rsa') {
+    return 'rsa-oaep';
+  }
+  throw new InvalidOptionError(`Unsupported recipient key type: ${publicKey.asymmetricKeyType}. Use X25519 or RSA keys`);
+}
+
+/**
+ * SHA-256 fingerprint of a key's public half (SPKI DER), hex encoded.
+ * Private keys are fingerprinted by their public key.
+ */
+function getKeyFingerprint(key) {
+  const der = toPublicKey(key).export({ type: 'spki', format: 'der' });
+  return crypto.createHash('sha256').update(der).digest('hex');
+}
+
+/**
+ * Wrap a data key for one recipient.
+ *
+ * @param {Buffer} dataKey
+ * @param {KeyObject|string|Buffer} recipientKey - X25519 or RSA public key
+ * @returns {object} Recipient entry for the envelope's `recipients` list
+ */
+function wrapDataKey(dataKey, recipientKey) {
+  const publicKey = toPublicKey(recipientKey);
+  const type = getRecipientType(publicKey);
+  const fingerprint = getKeyFingerprint(publicKey);
+  
+  if (type === 'rsa-oaep') {
+    const wrappedKey = crypto.publicEncrypt(
+      { key: publicKey, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' },
+      dataKey
+    );
+    
+    return { type, fingerprint, wrappedKey: wrappedKey.toString('hex') };
+  }
+  
+  // X25519: ephemeral key agreement, then AES-256-GCM under an HKDF-derived key
+  const ephemeral = crypto.generateKeyPairSync('x25519');
+  const ephemeralKey = ephemeral.publicKey.export({ type: 'spki', format: 'der' });
+  const sharedSecret = crypto.diffieHellman({ privateKey: ephemeral.privateKey, publicKey });
+  const wrappingKey = hkdf(sharedSecret, Buffer.concat([ephemeralKey, Buffer.from(fingerprint, 'hex')]), X25519_INFO, 32);
+  
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', wrappingKey, iv);
+  cipher.setAAD(Buffer.from(fingerprint, 'hex'));
+  const wrappedKey = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+  
+  return {
+    type,
+    fingerprint,
+    ephemeralKey: ephemeralKey.toString('hex'),
+    iv: iv.toString('hex'),
+    authTag: cipher.getAuthTag().toString('hex'),
+    wrappedKey: wrappedKey.toString('hex')
+  };
+}
+
+function unwrapEntry(entry, privateKey) {
+  if (entry.type === 'rsa-oaep') {
+    return crypto.privateDecrypt(
+      { key: privateKey, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' },
+      Buffer.from(entry.wrappedKey, 'hex')
+    );
+  }
+  
+  const ephemeralKey = Buffer.from(entry.ephemeralKey, 'hex');
+  const publicKey = crypto.createPublicKey({ key: ephemeralKey, format: 'der', type: 'spki' });
+  const sharedSecret = crypto.diffieHellman({ privateKey, publicKey });
+  const wrappingKey = hkdf(sharedSecret, Buffer.concat([ephemeralKey, Buffer.from(entry.fingerprint, 'hex')]), X25519_INFO, 32);
+  
+  const decipher = crypto.createDecipheriv('aes-256-gcm', wrappingKey, Buffer.from(entry.iv, 'hex'));
+  decipher.setAAD(Buffer.from(entry.fingerprint, 'hex'));
+  decipher.setAuthTag(Buffer.from(entry.authTag, 'hex'));
+  return Buffer.concat([decipher.update(Buffer.from(entry.wrappedKey, 'hex')), decipher.final()]);
+}
+
+/**
+ * Recover the data key with one private key. The matching entry is found by
+ * fingerprint, so only one unwrap is attempted.
+ *
+ * @param {object[]} recipients - Envelope `recipients` list
+ * @param {KeyObject|string|Buffer|object} key - Private key, or `{ key, passphrase }`
+ * @returns {Buffer}
+ */
+function unwrapDataKey(recipients, key) {
+  const privateKey = toPrivateKey(key);
+  const fingerprint = getKeyFingerprint(privateKey);
+  const entry = recipients.find(recipient => recipient.fingerprint === fingerprint);
+  
+  if (!entry) {
+    throw new WrongKeyError(`Decryption failed: the private key (${fingerprint.slice(0, 16)}) is not a recipient of this file`);
+  }
+  
+  try {
+    return unwrapEntry(entry, privateKey);
+  } catch (error) {
+    throw new DecryptionError('Decryption failed: could not unwrap the data key (corrupted recipient entry)');
+  }
+}
+
+function validateRecipients(recipients) {
+  if (!Array.isArray(recipients) || recipients.length === 0) {
+    throw new InvalidEnvelopeError('Invalid envelope: recipients must be a non-empty list');
+  }
+  
+  for (const entry of recipients) {
+    if (!entry || !RECIPIENT_TYPES[entry.type]) {
+      throw new InvalidEnvelopeError(`Unsupported recipient type in envelope header: ${entry && entry.type}`);
+    }
+    
+    const fields = entry.type === 'x25519'
+      ? ['fingerprint', 'ephemeralKey', 'iv', 'authTag', 'wrappedKey']
+      : ['fingerprint', 'wrappedKey'];
+    
+    for (const field of fields) {
+      if (typeof entry[field] !== 'string' || !/^[0-9a-f]+$/.test(entry[field])) {
+        throw new InvalidEnvelopeError(`Invalid recipient entry: ${field} must be a hex string`);
+      }
+    }
+  }
+}
+
+function isRecipientEnvelope(encryptedData) {
+  return encryptedData !== null && typeof encryptedData === 'object' && Array.isArray(encryptedData.recipients);
+}
+
+function assertRecipientEnvelope(encryptedData) {
+  if (!isRecipientEnvelope(encryptedData)) {
+    throw new InvalidEnvelopeError('File is not encrypted for public-key recipients');
+  }
+  validateRecipients(encryptedData.recipients);
+}
+
+/**
+ * List the recipients of an envelope without decrypting anything.
+ *
+ * @returns {{ type: string, fingerprint: string }[]}
+ */
+function listRecipients(encryptedData) {
+  assertRecipientEnvelope(encryptedData);
+  return encryptedData.recipients.map(({ type, fingerprint }) => ({ type, fingerprint }));
+}
+
+/**
+ * Wrap the data key for more recipients. Needs the private key of an existing
+ * recipient; the payload is left untouched. Keys that are already recipients
+ * are skipped.
+ *
+ * @param {object} encryptedData - Recipient envelope
+ * @param {object} options - `{ privateKey, recipients }`
+ * @returns {object} Envelope with the extended `recipients` list
+ */
+function addRecipients(encryptedData, options = {}) {
+  assertRecipientEnvelope(encryptedData);
+  
+  if (!options.privateKey) {
+    throw new InvalidOptionError('Adding recipients needs the private key of an existing recipient');
+  }
+  
+  const dataKey = unwrapDataKey(encryptedData.recipients, options.privateKey);
+  const recipients = [...encryptedData.recipients];
+  
+  for (const key of options.recipients || []) {
+    if (!recipients.some(entry => entry.fingerprint === getKeyFingerprint(key))) {
+      recipients.push(wrapDataKey(dataKey, key));
+    }
+  }
+  
+  return { ...encryptedData, recipients };
+}
+
+/**
+ * Drop recipients by public key or fingerprint. No key is needed and the
+ * payload is left untouched.
+ *
+ * This is not revocation: the data key stays the same, so a removed recipient
+ * who kept an earlier copy of the file, or the data key, can still decrypt
+ * it. To revoke, decrypt and encrypt again for the remaining recipients,
+ * which picks a new data key.
+ *
+ * @param {object} encryptedData - Recipient envelope
+ * @param {object} options - `{ recipients }` - public keys or fingerprints
+ * @returns {object} Envelope with the reduced `recipients` list
+ */
+function removeRecipients(encryptedData, options = {}) {
+  assertRecipientEnvelope(encryptedData);
+  
+  const fingerprints = (options.recipients || []).map(key =>
+    typeof key === 'string' && /^[0-9a-f]{8,64}$/i.test(key) ? key.toLowerCase() : getKeyFingerprint(key)
+  );
+  const recipients = encryptedData.recipients.filter(entry =>
+    !fingerprints.some(fingerprint => entry.fingerprint.startsWith(fingerprint))
+  );
+  
+  if (recipients.length === encryptedData.recipients.length) {
+    throw new InvalidOptionError('None of the given keys is a recipient of this file');
+  }
+  if (recipients.length === 0) {
+    throw new InvalidOptionError('Cannot remove every recipient; the file would become unreadable');
+  }
+  
+  return { ...encryptedData, recipients };
+}
+
+function readKeyFile(filePath) {
+  try {
+    return fs.readFileSync(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new FileNotFoundError(filePath);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read recipient public keys from CLI options (`recipient`: list of key files)
+ * or the comma-separated ENC_RECIPIENTS environment variable.
+ *
+ * @returns {Buffer[]} PEM contents; empty when no recipients are configured
+ */
+function resolveRecipients(options = {}, env = process.env) {
+  const files = options.recipient && options.recipient.length > 0
+    ? options.recipient
+    : (env.ENC_RECIPIENTS || '').split(',').map(file => file.trim()).filter(Boolean);
+  
+  return files.map(readKeyFile);
+}
+
+/**
+ * Read the private key from CLI options (`privateKey`: key file, `passphrase`)
+ * or ENC_PRIVATE_KEY and ENC_PRIVATE_KEY_PASSPHRASE.
+ *
+ * @returns {Buffer|{ key: Buffer, passphrase: string }|null}
+ */
+function resolvePrivateKey(options = {}, env = process.env) {
+  const file = options.privateKey || env.ENC_PRIVATE_KEY;
+  const passphrase = options.passphrase || env.ENC_PRIVATE_KEY_PASSPHRASE;
+  
+  if (!file) {
+    return null;
+  }
+  return passphrase ? { key: readKeyFile(file), passphrase } : readKeyFile(file);
+}
+
+module.exports = {
+  RECIPIENT_TYPES,
+  toPublicKey,
+  toPrivateKey,
+  getKeyFingerprint,
+  wrapDataKey,
+  unwrapDataKey,
+  validateRecipients,
+  isRecipientEnvelope,
+  listRecipients,
+  addRecipients,
+  removeRecipients,
+  readKeyFile,
+  resolveRecipients,
+  resolvePrivateKey
+};
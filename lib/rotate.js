@@ -0,0 +1,173 @@
+const fs = require('fs');
+const { encryptData, decryptData, readEnvelope } = require('./envelope');
+const { FIELD_HEADER_KEY, isFieldEnvelope, encryptFields, decryptFields } = require('./fields');
+const { resolveKdf, withKeyCache } = require('./kdf');
+const { findEncFiles } = require('./batch');
+const { serializeEnvelope, parseEnvelope } = require('./format');
+const { DEFAULT_SOURCE, getFormatHandler, parseSource } = require('./handlers');
+const { writeTempFile, commitTempFile, discardTempFile, writeFileAtomic } = require('./atomic');
+const { FileNotFoundError, DecryptionError } = require('./errors');
+
+function findRotationTargets(target, recursive = false) {
+  if (!fs.existsSync(target)) {
+    throw new FileNotFoundError(target);
+  }
+  
+  return fs.statSync(target).isDirectory() ? findEncFiles(target, recursive) : [target];
+}
+
+/**
+ * Decrypt an envelope with the old settings and re-encrypt it with the new
+ * ones, entirely in memory. Field-level files stay field-level with the same
+ * selection, and every file keeps its recorded source format. The new
+ * envelope is verified before it is returned.
+ */
+async function reencryptEnvelope(encryptedData, options) {
+  const { oldSecret, oldAlgorithm, legacyKdf, newSecret, newAlgorithm, newFormat, kdf = resolveKdf({}, {}) } = options;
+  
+  if (isFieldEnvelope(encryptedData)) {
+    const header = encryptedData[FIELD_HEADER_KEY];
+    const document = await decryptFields(encryptedData, { secret: oldSecret });
+    const algorithm = newAlgorithm || header.algorithm;
+    const selection = header.selection || {};
+    
+    const rotated = await encryptFields(document, {
+      secret: newSecret,
+      algorithm,
+      kdf,
+      format: newFormat || header.encoding,
+      paths: selection.paths,
+      keyRegex: selection.keyRegex,
+      source: header.source
+    });
+    
+    const check = await decryptFields(rotated, { secret: newSecret });
+    if (JSON.stringify(check) !== JSON.stringify(document)) {
+      throw new DecryptionError('Verification failed: re-encrypted document does not match the original');
+    }
+    
+    return { rotated, fromAlgorithm: header.algorithm, toAlgorithm: algorithm };
+  }
+  
+  const header = readEnvelope(encryptedData, oldAlgorithm, legacyKdf);
+  const plaintext = await decryptData(encryptedData, { secret: oldSecret, algorithm: oldAlgorithm, legacyKdf });
+  const source = getFormatHandler((header.source || DEFAULT_SOURCE).format);
+  
+  parseSource(source, plaintext, `Decryption failed: decrypted data is not valid ${source.label} (invalid secret key or corrupted data)`);
+  
+  const algorithm = newAlgorithm || header.algorithm;
+  const rotated = await encryptData(plaintext, {
+    secret: newSecret,
+    algorithm,
+    kdf,
+    format: newFormat || header.encoding,
+    source: header.source
+  });
+  
+  if (await decryptData(rotated, { secret: newSecret }) !== plaintext) {
+    throw new DecryptionError('Verification failed: re-encrypted data does not match the original');
+  }
+  
+  return { rotated, fromAlgorithm: header.algorithm, toAlgorithm: algorithm };
+}
+
+/**
+ * Re-encrypt one .enc file or every .enc file in a directory under a new
+ * secret and/or algorithm. Plaintext never touches disk.
+ *
+ * Rotation is all-or-nothing: every file is re-encrypted into an fsynced temp
+ * file first, and the originals are only replaced once all files succeeded.
+ * If any file fails, the temp files are removed and nothing is changed. If
+ * replacing a file fails, the files already replaced get their original
+ * contents back before the error is thrown.
+ *
+ * @param {string} target - .enc file or directory
+ * @param {object} options - `{ oldSecret, oldAlgorithm, legacyKdf, newSecret = oldSecret,
+ *   newAlgorithm, newFormat, kdf, recursive = false, onProgress }`; files keep their
+ *   algorithm and format unless `newAlgorithm` or `newFormat` is given
+ * @returns {Promise<{ success: object[], failed: object[], committed: boolean }>}
+ */
+async function rotateFiles(target, options = {}) {
+  return withKeyCache(() => rotateTargets(target, options));
+}
+
+// rotateFiles, inside the run's key cache: each new envelope is checked with the key that wrote it
+async function rotateTargets(target, options) {
+  const files = findRotationTargets(target, options.recursive);
+  const settings = { ...options, newSecret: options.newSecret || options.oldSecret };
+  
+  const results = {
+    success: [],
+    failed: [],
+    committed: false
+  };
+  const pending = [];
+  // Original bytes of each file, to put back if phase 2 fails halfway. They
+  // stay in memory so no copy under the old secret is left on disk.
+  const originals = new Map();
+  
+  // Phase 1: re-encrypt everything into temp files
+  for (let i = 0; i < files.length; i++) {
+    const file = files[i];
+    
+    if (options.onProgress) {
+      options.onProgress(file, i, files.length);
+    }
+    
+    try {
+      const original = await fs.promises.readFile(file);
+      const { rotated, fromAlgorithm, toAlgorithm } = await reencryptEnvelope(parseEnvelope(original), settings);
+      const tempPath = await writeTempFile(file, serializeEnvelope(rotated));
+      
+      pending.push(tempPath);
+      originals.set(file, original);
+      results.success.push({
+        success: true,
+        inputFile: file,
+        outputFile: file,
+        tempFile: tempPath,
+        fromAlgorithm,
+        toAlgorithm
+      });
+    } catch (error) {
+      results.failed.push({
+        success: false,
+        inputFile: file,
+        error: error.message,
+        code: error.code
+      });
+    }
+  }
+  
+  if (results.failed.length > 0) {
+    await Promise.all(pending.map(discardTempFile));
+    results.success.forEach(result => delete result.tempFile);
+    return results;
+  }
+  
+  // Phase 2: every file succeeded, swap them in
+  let swapped = 0;
+  try {
+    for (; swapped < results.success.length; swapped++) {
+      await commitTempFile(results.success[swapped].tempFile, results.success[swapped].outputFile);
+    }
+  } catch (error) {
+    for (let i = swapped - 1; i >= 0; i--) {
+      const { outputFile } = results.success[i];
+      await writeFileAtomic(outputFile, originals.get(outputFile)).catch(() => {});
+    }
+    await Promise.all(results.success.slice(swapped).map(result => discardTempFile(result.tempFile)));
+    throw error;
+  } finally {
+    results.success.forEach(result => delete result.tempFile);
+  }
+  results.committed = true;
+  
+  return results;
+}
+
+module.exports = {
+  findRotationTargets,
+  reencryptEnvelope,
+  rotateFiles
+};
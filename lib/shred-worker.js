@@ -0,0 +1,33 @@
+// Detached helper for `json-decrypt --ttl`: waits until the deadline it is
+// given, then shreds the plaintext file if it is still the file it was given
+// (see getFileIdentity). Timers are capped, so long TTLs wait in steps and a
+// suspended machine catches up when it wakes.
+const { shredFile, getFileIdentity } = require('./shred');
+
+const MAX_WAIT = 60 * 60 * 1000;
+const [file, deadline, identity] = process.argv.slice(2);
+
+function isSameFile() {
+  try {
+    return getFileIdentity(file) === identity;
+  } catch (error) {
+    return false;
+  }
+}
+
+function wait() {
+  const left = Number(deadline) - Date.now();
+  if (left > 0) {
+    setTimeout(wait, Math.min(left, MAX_WAIT));
+    return;
+  }
+  if (!isSameFile()) {
+    // Removed, replaced or edited since: not the plaintext this run wrote
+    return;
+  }
+  shredFile(file).catch(() => {
+    // Already removed, or moved out of the way
+  });
+}
+
+wait();
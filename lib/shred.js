@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { decryptDocument } = require('./file');
+const { createTempPath } = require('./atomic');
+const { resolveStreamThreshold, decryptFileStream } = require('./stream');
+const { getFormatHandler, detectFormatHandler, parseSource } = require('./handlers');
+const { getRepositoryRoot } = require('./git');
+const { InvalidOptionError, RoundTripError } = require('./errors');
+
+const SHRED_WORKER = path.join(__dirname, 'shred-worker.js');
+const OVERWRITE_CHUNK = 64 * 1024;
+
+const DURATION_UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse a duration such as `30s`, `15m`, `2h` or `1d` into milliseconds.
+ * Plain numbers are seconds. Returns null when the value is not a duration.
+ */
+function parseDuration(value) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?\s*$/i.exec(String(value));
+  if (!match) {
+    return null;
+  }
+  return Math.floor(Number(match[1]) * DURATION_UNITS[(match[2] || 's').toLowerCase()]);
+}
+
+// `json-decrypt --ttl`: how long the plaintext stays on disk, or null
+function resolveTtl(options = {}) {
+  if (options.ttl === undefined) {
+    return null;
+  }
+  
+  const ttl = parseDuration(options.ttl);
+  if (!ttl) {
+    throw new InvalidOptionError(`Invalid TTL: ${options.ttl} (use a duration like 30s, 15m or 2h)`);
+  }
+  return ttl;
+}
+
+/**
+ * Overwrite a file with zeros, fsync it and delete it. The overwrite is
+ * best effort: journaling and copy-on-write filesystems, SSDs and backups
+ * may keep older copies of the data. Symlinks are removed, not followed.
+ */
+async function shredFile(filePath) {
+  const stats = await fs.promises.lstat(filePath);
+  
+  if (stats.isFile() && stats.size > 0) {
+    try {
+      const handle = await fs.promises.open(filePath, 'r+');
+      try {
+        const zeros = Buffer.alloc(Math.min(stats.size, OVERWRITE_CHUNK));
+        for (let offset = 0; offset < stats.size; offset += zeros.length) {
+          await handle.write(zeros, 0, Math.min(zeros.length, stats.size - offset), offset);
+        }
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+    } catch (error) {
+      // Read-only file or filesystem: deleting it is all that is left
+    }
+  }
+  
+  await fs.promises.unlink(filePath);
+}
+
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+// Large files decrypt as a stream into a temp file next to the source, which is shredded afterwards
+async function matchesStreamed(inputFile, outputFile, options) {
+  const tempFile = createTempPath(inputFile);
+  try {
+    if (!await decryptFileStream(outputFile, tempFile, options)) {
+      return null;
+    }
+    return await hashFile(tempFile) === await hashFile(inputFile);
+  } finally {
+    await shredFile(tempFile).catch(() => {});
+  }
+}
+
+/**
+ * Check that `outputFile` decrypts back to `inputFile`. Whole-file envelopes
+ * must give back the same text; field-level and converted files the same
+ * document.
+ *
+ * @param {string} inputFile - Plaintext source
+ * @param {string} outputFile - Its .enc file
+ * @param {object} options - The options it was encrypted with, with the secret
+ * @throws {RoundTripError} When it does not
+ */
+async function verifyRoundTrip(inputFile, outputFile, options = {}) {
+  const source = options.inputFormat ? getFormatHandler(options.inputFormat) : detectFormatHandler(inputFile);
+  const target = options.outputFormat ? getFormatHandler(options.outputFormat) : source;
+  const wholeFile = !options.fieldLevel && target === source;
+  
+  // Sources as large as this were encrypted as a stream
+  if (wholeFile && (await fs.promises.stat(inputFile)).size >= resolveStreamThreshold(options)) {
+    const matches = await matchesStreamed(inputFile, outputFile, options);
+    if (matches !== null) {
+      if (!matches) {
+        throw new RoundTripError(inputFile, outputFile);
+      }
+      return;
+    }
+  }
+  
+  const text = await fs.promises.readFile(inputFile, 'utf8');
+  const plaintext = await decryptDocument(await fs.promises.readFile(outputFile), { ...options, outputFormat: undefined });
+  const matches = wholeFile
+    ? plaintext === text
+    : JSON.stringify(parseSource(source, text, `Invalid ${source.label} file`)) ===
+      JSON.stringify(parseSource(target, plaintext, `Invalid ${target.label} file`));
+  if (!matches) {
+    throw new RoundTripError(inputFile, outputFile);
+  }
+}
+
+/**
+ * Add `filePath` to the .gitignore at the root of its repository, or next to
+ * it outside a repository, unless the exact entry is already there.
+ *
+ * @returns {Promise<string>} The .gitignore file
+ */
+async function addToGitignore(filePath) {
+  const directory = path.dirname(path.resolve(filePath));
+  let root;
+  try {
+    root = getRepositoryRoot(directory);
+  } catch (error) {
+    root = directory;
+  }
+  
+  const gitignore = path.join(root, '.gitignore');
+  const entry = `/${path.relative(root, path.resolve(filePath)).split(path.sep).join('/')}`;
+  const content = fs.existsSync(gitignore) ? await fs.promises.readFile(gitignore, 'utf8') : '';
+  
+  if (!content.split(/\r?\n/).includes(entry)) {
+    const separator = content === '' || content.endsWith('\n') ? '' : '\n';
+    await fs.promises.appendFile(gitignore, `${separator}${entry}\n`);
+  }
+  return gitignore;
+}
+
+/**
+ * Delete the plaintext source of an .enc file once the .enc file is known
+ * to decrypt back to it, overwriting it first (see shredFile). With
+ * `gitignore`, the source is also added to .gitignore.
+ *
+ * @param {string} inputFile
+ * @param {string} outputFile
+ * @param {object} options - The options the file was encrypted with, plus `gitignore`
+ * @returns {Promise<{ removed: string, gitignore?: string }>}
+ */
+async function removePlaintext(inputFile, outputFile, options = {}) {
+  if (!options.secret) {
+    throw new InvalidOptionError('Removing plaintext needs the secret, to check that the encrypted file decrypts back to it');
+  }
+  
+  await verifyRoundTrip(inputFile, outputFile, options);
+  await shredFile(inputFile);
+  
+  return options.gitignore
+    ? { removed: inputFile, gitignore: await addToGitignore(inputFile) }
+    : { removed: inputFile };
+}
+
+// What a file is now: device, inode, size and modification time. A file
+// with another identity at the same path was replaced or rewritten.
+function getFileIdentity(filePath) {
+  const { dev, ino, size, mtimeNs } = fs.lstatSync(filePath, { bigint: true });
+  return [dev, ino, size, mtimeNs].join(':');
+}
+
+/**
+ * Shred `filePath` after `ttl` milliseconds, from a detached process that
+ * outlives this one. A reboot before then ends that process and the file
+ * stays. So does a file that was replaced or changed meanwhile: only the
+ * file decrypted now is removed.
+ *
+ * @returns {Date} When the file will be removed
+ */
+function scheduleRemoval(filePath, ttl) {
+  const deadline = Date.now() + ttl;
+  spawn(process.execPath, [SHRED_WORKER, path.resolve(filePath), String(deadline), getFileIdentity(filePath)], {
+    detached: true,
+    stdio: 'ignore',
+    windowsHide: true
+  }).unref();
+  return new Date(deadline);
+}
+
+module.exports = {
+  parseDuration,
+  resolveTtl,
+  shredFile,
+  getFileIdentity,
+  verifyRoundTrip,
+  addToGitignore,
+  removePlaintext,
+  scheduleRemoval
+};
@@ -0,0 +1,389 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const util = require('util');
+const { pipeline, Readable, Transform } = require('stream');
+const { STREAM_ENVELOPE_VERSION, GCM_AAD, readEnvelope, createEnvelopeKey, resolveDecryptionKey } = require('./envelope');
+const { DEFAULT_CHUNK_SIZE, AUTH_TAG_LENGTH, NONCE_PREFIX_LENGTH, sealChunk, openChunk } = require('./chunks');
+const { createJsonValidator } = require('./json-stream');
+const { isFieldEnvelope } = require('./fields');
+const { isBinaryEnvelope, encodePayload, createBinaryHeader, readBinaryHeader, parseEnvelope } = require('./format');
+const { createTempPath, commitTempFile, discardTempFile } = require('./atomic');
+const {
+  InvalidOptionError,
+  InvalidEnvelopeError,
+  InvalidJsonError,
+  DecryptionError
+} = require('./errors');
+
+const pipelineAsync = util.promisify(pipeline);
+
+// Files at least this large are encrypted and decrypted as streams
+const STREAM_THRESHOLD = 16 * 1024 * 1024;
+
+// How much of an .enc file is searched for the start of the payload
+const MAX_HEADER_LENGTH = 1024 * 1024;
+
+const SIZE_UNITS = { '': 1, b: 1, k: 1024, kb: 1024, m: 1024 ** 2, mb: 1024 ** 2, g: 1024 ** 3, gb: 1024 ** 3 };
+
+/**
+ * Parse a byte size such as `1048576`, `512KB` or `64m`.
+ *
+ * @param {number|string} value
+ * @returns {number|null} Size in bytes, or null if the value is not a size
+ */
+function parseSize(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? value : null;
+  }
+  
+  const match = /^\s*(\d+(?:\.\d+)?)\s*([a-z]*)\s*$/i.exec(String(value));
+  const unit = match && SIZE_UNITS[match[2].toLowerCase()];
+  
+  return unit ? Math.floor(Number(match[1]) * unit) : null;
+}
+
+/**
+ * Resolve the size above which files are streamed, from the CLI option
+ * (`streamThreshold`) or ENC_STREAM_THRESHOLD. `0` streams every file.
+ */
+function resolveStreamThreshold(options = {}, env = process.env) {
+  const value = options.streamThreshold !== undefined ? options.streamThreshold : env.ENC_STREAM_THRESHOLD;
+  if (value === undefined || value === '') {
+    return STREAM_THRESHOLD;
+  }
+  
+  const threshold = parseSize(value);
+  if (threshold === null) {
+    throw new InvalidOptionError(`Invalid stream threshold: ${value} (use bytes or a size like 64MB)`);
+  }
+  return threshold;
+}
+
+// Buffers input and emits it in `size`-byte pieces; the last piece is held
+// back until the input ends so it can be marked final
+function createChunker(size, onChunk) {
+  let buffered = Buffer.alloc(0);
+  let index = 0;
+  
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      buffered = Buffer.concat([buffered, chunk]);
+      
+      try {
+        while (buffered.length > size) {
+          this.push(onChunk(buffered.subarray(0, size), index++, false));
+          buffered = buffered.subarray(size);
+        }
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+    flush(callback) {
+      try {
+        callback(null, onChunk(buffered, index, true));
+      } catch (error) {
+        callback(error);
+      }
+    }
+  });
+}
+
+// Runs a Node cipher or decipher as a transform, reporting failures as DecryptionError
+function createCipherTransform(cipher) {
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      try {
+        callback(null, cipher.update(chunk));
+      } catch (error) {
+        callback(new DecryptionError());
+      }
+    },
+    flush(callback) {
+      try {
+        callback(null, cipher.final());
+      } catch (error) {
+        callback(new DecryptionError());
+      }
+    }
+  });
+}
+
+// Wraps ciphertext in the serialized envelope: between `prefix` and `suffix`,
+// encoded as the envelope's `encrypted` value
+function createEnvelopeWriter(prefix, suffix, encoding) {
+  // Base64 is encoded in whole 3-byte groups so no padding appears mid-stream
+  const groupSize = encoding === 'base64' ? 3 : 1;
+  let pending = Buffer.alloc(0);
+  let started = false;
+  
+  return new Transform({
+    transform(chunk, chunkEncoding, callback) {
+      if (!started) {
+        this.push(prefix);
+        started = true;
+      }
+      
+      const bytes = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+      const usable = bytes.length - (bytes.length % groupSize);
+      pending = bytes.subarray(usable);
+      callback(null, encodePayload(bytes.subarray(0, usable), encoding));
+    },
+    flush(callback) {
+      if (!started) {
+        this.push(prefix);
+      }
+      if (pending.length > 0) {
+        this.push(encodePayload(pending, encoding));
+      }
+      if (suffix.length > 0) {
+        this.push(suffix);
+      }
+      callback();
+    }
+  });
+}
+
+const PAYLOAD_TEXT = {
+  hex: { groupSize: 2, pattern: /^[0-9a-fA-F]*$/ },
+  base64: { groupSize: 4, pattern: /^[A-Za-z0-9+/=]*$/ }
+};
+
+// Decodes the `encrypted` text of a JSON envelope back to ciphertext
+function createPayloadDecoder(encoding) {
+  const { groupSize, pattern } = PAYLOAD_TEXT[encoding];
+  const invalid = () => new InvalidEnvelopeError(`Invalid encrypted file format: encrypted data is not ${encoding}`);
+  let pending = '';
+  
+  return new Transform({
+    transform(chunk, chunkEncoding, callback) {
+      const text = pending + chunk.toString('latin1');
+      
+      if (!pattern.test(text)) {
+        callback(invalid());
+        return;
+      }
+      
+      const usable = text.length - (text.length % groupSize);
+      pending = text.slice(usable);
+      callback(null, Buffer.from(text.slice(0, usable), encoding));
+    },
+    flush(callback) {
+      callback(pending ? invalid() : null);
+    }
+  });
+}
+
+// Runs `streams` into a temp file next to `outputPath` and renames it into place
+async function pipeToFile(streams, outputPath) {
+  const tempPath = createTempPath(outputPath);
+  
+  try {
+    await pipelineAsync(...streams, fs.createWriteStream(tempPath));
+    
+    const handle = await fs.promises.open(tempPath, 'r+');
+    try {
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    
+    await commitTempFile(tempPath, outputPath);
+  } catch (error) {
+    await discardTempFile(tempPath);
+    throw error;
+  }
+}
+
+/**
+ * Encrypt a JSON file to `outputPath` without loading it into memory. The
+ * input is validated as it is read. GCM files are written as a chunked
+ * stream envelope (version 2); CBC produces a regular envelope.
+ *
+ * @param {string} filePath
+ * @param {string} outputPath
+ * @param {object} options - `{ secret, algorithm, kdf, recipients, format, chunkSize }`
+ */
+async function encryptFileStream(filePath, outputPath, options = {}) {
+  const { chunkSize = DEFAULT_CHUNK_SIZE } = options;
+  const { key, envelope } = await createEnvelopeKey(options);
+  const { algorithm, encoding } = envelope;
+  
+  let header;
+  let encryptor;
+  
+  if (algorithm.includes('gcm')) {
+    const noncePrefix = crypto.randomBytes(NONCE_PREFIX_LENGTH);
+    header = { ...envelope, version: STREAM_ENVELOPE_VERSION, stream: { chunkSize }, iv: noncePrefix.toString('hex') };
+    encryptor = createChunker(chunkSize, (chunk, index, final) => sealChunk(algorithm, key, noncePrefix, index, final, chunk));
+  } else {
+    const iv = crypto.randomBytes(16);
+    header = { ...envelope, iv: iv.toString('hex') };
+    encryptor = crypto.createCipheriv(algorithm, key, iv);
+  }
+  
+  let prefix;
+  let suffix;
+  
+  if (encoding === 'binary') {
+    prefix = createBinaryHeader(header);
+    suffix = '';
+  } else {
+    // Serialize with an empty payload, then split around it: the output is
+    // byte-for-byte what serializeEnvelope would produce for the whole envelope
+    const serialized = JSON.stringify({ ...header, encrypted: '' }, null, 2);
+    suffix = '"\n}';
+    prefix = serialized.slice(0, -suffix.length);
+  }
+  
+  try {
+    await pipeToFile([
+      fs.createReadStream(filePath),
+      createJsonValidator(),
+      encryptor,
+      createEnvelopeWriter(prefix, suffix, encoding)
+    ], outputPath);
+  } catch (error) {
+    if (error instanceof InvalidJsonError) {
+      throw new InvalidJsonError(`Invalid JSON file: ${error.message}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Find the payload of a whole-file envelope on disk without reading all of
+ * it. Binary files give it in their frame; for JSON, parse the header up to
+ * `"encrypted": "` and check the file ends with the closing quote and brace.
+ *
+ * @returns {Promise<{ envelope: object, start: number, end: number }|null>} Envelope
+ *   header and the byte range of the payload, or null if the file has another layout
+ */
+async function locateEnvelopePayload(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  
+  try {
+    const { size } = await handle.stat();
+    const head = Buffer.alloc(Math.min(size, MAX_HEADER_LENGTH));
+    await handle.read(head, 0, head.length, 0);
+    
+    if (isBinaryEnvelope(head)) {
+      const { header, payloadOffset } = readBinaryHeader(head);
+      return { envelope: { ...header, encrypted: Buffer.alloc(0) }, start: payloadOffset, end: size };
+    }
+    
+    // latin1 keeps string offsets equal to byte offsets
+    const text = head.toString('latin1');
+    const match = /"encrypted"\s*:\s*"/.exec(text);
+    if (!match) {
+      return null;
+    }
+    
+    let envelope;
+    try {
+      envelope = JSON.parse(`${text.slice(0, match.index)}"encrypted": ""}`);
+    } catch (error) {
+      return null;
+    }
+    if (!envelope || typeof envelope !== 'object' || isFieldEnvelope(envelope)) {
+      return null;
+    }
+    
+    const tail = Buffer.alloc(Math.min(size, 64));
+    await handle.read(tail, 0, tail.length, size - tail.length);
+    const tailText = tail.toString('latin1');
+    const quote = tailText.lastIndexOf('"');
+    const end = size - tail.length + quote;
+    const start = match.index + match[0].length;
+    
+    if (quote === -1 || !/^"\s*}\s*$/.test(tailText.slice(quote)) || end < start) {
+      return null;
+    }
+    
+    return { envelope, start, end };
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Read an .enc file's envelope, skipping the payload of whole-file envelopes
+ * (their `encrypted` value is returned empty) so large files stay cheap to
+ * inspect. Field-level and other layouts are parsed in full.
+ *
+ * @returns {Promise<object>}
+ */
+async function readEnvelopeHeader(filePath) {
+  const located = await locateEnvelopePayload(filePath);
+  return located ? located.envelope : parseEnvelope(await fs.promises.readFile(filePath));
+}
+
+/**
+ * Decrypt a whole-file envelope to `outputPath` without loading it into
+ * memory. GCM stream chunks are authenticated before they are written, and
+ * the plaintext is validated as JSON on the way out. Nothing is left at
+ * `outputPath` if any step fails.
+ *
+ * @param {string} filePath
+ * @param {string} outputPath
+ * @param {object} options - `{ secret, algorithm, legacyKdf, privateKey }`
+ * @returns {Promise<boolean>} false if the file is not laid out for streaming;
+ *   the caller should decrypt it in memory instead
+ */
+async function decryptFileStream(filePath, outputPath, options = {}) {
+  const located = await locateEnvelopePayload(filePath);
+  if (!located) {
+    return false;
+  }
+  
+  const { envelope, start, end } = located;
+  const header = readEnvelope(envelope, options.algorithm, options.legacyKdf);
+  const key = await resolveDecryptionKey(header, options);
+  const iv = Buffer.from(envelope.iv, 'hex');
+  let decryptor;
+  
+  if (header.stream) {
+    if (iv.length !== NONCE_PREFIX_LENGTH) {
+      throw new InvalidEnvelopeError('Invalid envelope header: invalid stream nonce');
+    }
+    decryptor = createChunker(header.stream.chunkSize + AUTH_TAG_LENGTH,
+      (chunk, index, final) => openChunk(header.algorithm, key, iv, index, final, chunk));
+  } else {
+    let decipher;
+    try {
+      decipher = crypto.createDecipheriv(header.algorithm, key, iv);
+      if (header.algorithm.includes('gcm')) {
+        decipher.setAuthTag(Buffer.from(envelope.authTag, 'hex'));
+        decipher.setAAD(GCM_AAD);
+      }
+    } catch (error) {
+      throw new DecryptionError();
+    }
+    decryptor = createCipherTransform(decipher);
+  }
+  
+  try {
+    await pipeToFile([
+      start < end ? fs.createReadStream(filePath, { start, end: end - 1 }) : Readable.from([]),
+      ...(header.encoding === 'binary' ? [] : [createPayloadDecoder(header.encoding)]),
+      decryptor,
+      createJsonValidator()
+    ], outputPath);
+  } catch (error) {
+    if (error instanceof InvalidJsonError) {
+      throw new InvalidJsonError('Decryption failed: decrypted data is not valid JSON (invalid secret key or corrupted data)');
+    }
+    throw error;
+  }
+  
+  return true;
+}
+
+module.exports = {
+  STREAM_THRESHOLD,
+  parseSize,
+  resolveStreamThreshold,
+  readEnvelopeHeader,
+  encryptFileStream,
+  decryptFileStream
+};
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { commitTempFile, discardTempFile, copyFileAtomic, writeFileAtomic } = require('./atomic');
+const { InvalidOptionError } = require('./errors');
+
+// Written before an --atomic batch run swaps its files in: every output,
+// its .bak copy and a hash of what was written, so --undo can put the
+// previous files back even after a crash halfway through
+const UNDO_FILE = '.enc-undo.json';
+const UNDO_VERSION = 1;
+const BACKUP_EXTENSION = '.bak';
+
+function toPosix(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+// `<output>.bak`, or `<output>.1.bak`, `<output>.2.bak`, ... when earlier
+// backups are still there, so an older backup is never overwritten
+function getBackupPath(outputFile, taken) {
+  for (let n = 0; ; n++) {
+    const backup = n === 0 ? `${outputFile}${BACKUP_EXTENSION}` : `${outputFile}.${n}${BACKUP_EXTENSION}`;
+    if (!taken.has(backup) && !fs.existsSync(backup)) {
+      taken.add(backup);
+      return backup;
+    }
+  }
+}
+
+// Backups recorded by the last run's undo file. Only names of the form
+// `<file>.bak` or `<file>.<n>.bak` inside `directory` count, so a hand-edited
+// undo file cannot point the cleanup at anything else.
+function getRecordedBackups(directory, undoText) {
+  let record;
+  try {
+    record = JSON.parse(undoText);
+  } catch (error) {
+    return [];
+  }
+  if (!record || !Array.isArray(record.files)) {
+    return [];
+  }
+  return record.files
+    .filter(({ file, backup }) => typeof file === 'string' && typeof backup === 'string' &&
+      backup.startsWith(file) && /^(\.\d+)?\.bak$/.test(backup.slice(file.length)) &&
+      !path.isAbsolute(backup) && !backup.split('/').includes('..'))
+    .map(({ backup }) => path.join(directory, backup));
+}
+
+// Put one output back as it was: restore its backup, or remove it if the run created it
+async function restoreEntry(entry) {
+  if (entry.backup) {
+    await fs.promises.rename(entry.backup, entry.file);
+    return 'restored';
+  }
+  await fs.promises.rm(entry.file, { force: true });
+  return 'removed';
+}
+
+/**
+ * Swap staged temp files in for their outputs. Each existing output is first
+ * copied to `<output>.bak` (numbered if that exists), and the undo file in
+ * `directory` records the run.
+ * If a rename fails, the files already swapped in are put back, the
+ * remaining temp files removed and the previous undo file restored before
+ * the error is thrown.
+ *
+ * Only the last run can be undone, so once this run is committed the
+ * backups the previous run recorded are removed.
+ *
+ * @param {string} directory - Batch directory, where the undo file goes
+ * @param {Array<{ outputFile: string, tempFile: string }>} staged
+ * @returns {Promise<Array<string|null>>} The backup of each staged output, or null if it was new
+ */
+async function commitStagedFiles(directory, staged) {
+  if (staged.length === 0) {
+    return [];
+  }
+  
+  const undoFile = path.join(directory, UNDO_FILE);
+  const previousUndo = await fs.promises.readFile(undoFile, 'utf8').catch(() => null);
+  const taken = new Set();
+  const entries = await Promise.all(staged.map(async ({ outputFile, tempFile }) => ({
+    file: outputFile,
+    backup: fs.existsSync(outputFile) ? getBackupPath(outputFile, taken) : null,
+    hash: await hashFile(tempFile)
+  })));
+  const record = entries.map(entry => ({
+    file: toPosix(path.relative(directory, entry.file)),
+    backup: entry.backup && toPosix(path.relative(directory, entry.backup)),
+    hash: entry.hash
+  }));
+  await writeFileAtomic(undoFile, `${JSON.stringify({ version: UNDO_VERSION, files: record }, null, 2)}\n`);
+  
+  let committed = 0;
+  try {
+    for (; committed < staged.length; committed++) {
+      if (entries[committed].backup) {
+        await copyFileAtomic(entries[committed].file, entries[committed].backup);
+      }
+      await commitTempFile(staged[committed].tempFile, staged[committed].outputFile);
+    }
+  } catch (error) {
+    for (let i = committed - 1; i >= 0; i--) {
+      await restoreEntry(entries[i]).catch(() => {});
+    }
+    await Promise.all(staged.slice(committed).map(({ tempFile }) => discardTempFile(tempFile)));
+    await (previousUndo === null ? fs.promises.rm(undoFile, { force: true }) : writeFileAtomic(undoFile, previousUndo)).catch(() => {});
+    throw error;
+  }
+  
+  const backups = entries.map(entry => entry.backup);
+  const stale = previousUndo === null ? [] : getRecordedBackups(directory, previousUndo);
+  await Promise.all(stale.filter(backup => !backups.includes(backup)).map(backup => fs.promises.rm(backup, { force: true })));
+  return backups;
+}
+
+// Remove staged temp files: the run failed and writes nothing
+async function discardStagedFiles(staged) {
+  await Promise.all(staged.map(({ tempFile }) => discardTempFile(tempFile)));
+}
+
+/**
+ * Undo the last --atomic batch run in `directory`: outputs it replaced get
+ * their .bak copy back, and outputs it created are removed. Files changed
+ * since that run, or never replaced because it stopped early, are left
+ * alone and reported as `skipped`.
+ *
+ * @param {string} directory
+ * @returns {Promise<{ restored: string[], removed: string[], skipped: string[] }>}
+ */
+async function undoBatch(directory) {
+  const undoFile = path.join(directory, UNDO_FILE);
+  let record;
+  try {
+    record = JSON.parse(await fs.promises.readFile(undoFile, 'utf8'));
+  } catch (error) {
+    throw new InvalidOptionError(`Nothing to undo in ${directory}: no ${UNDO_FILE} from an --atomic run`);
+  }
+  if (record.version !== UNDO_VERSION || !Array.isArray(record.files)) {
+    throw new InvalidOptionError(`Unsupported ${UNDO_FILE} in ${directory}`);
+  }
+  
+  const results = { restored: [], removed: [], skipped: [] };
+  for (const { file, backup, hash } of record.files) {
+    const entry = { file: path.join(directory, file), backup: backup && path.join(directory, backup) };
+    const current = fs.existsSync(entry.file) ? await hashFile(entry.file) : null;
+    
+    if (current === hash && (!entry.backup || fs.existsSync(entry.backup))) {
+      results[await restoreEntry(entry)].push(entry.file);
+    } else {
+      results.skipped.push(entry.file);
+    }
+  }
+  
+  await fs.promises.rm(undoFile, { force: true });
+  return results;
+}
+
+module.exports = {
+  UNDO_FILE,
+  BACKUP_EXTENSION,
+  commitStagedFiles,
+  discardStagedFiles,
+  undoBatch
+};
@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+const { decryptData } = require('./envelope');
+const { FIELD_HEADER_KEY, isFieldEnvelope, decryptFields } = require('./fields');
+const { findEncFiles } = require('./batch');
+const { parseEnvelope } = require('./format');
+const { DEFAULT_SOURCE, getFormatHandler, parseSource } = require('./handlers');
+const {
+  InvalidOptionError,
+  InvalidEnvelopeError,
+  DecryptionError,
+  WrongKeyError,
+  InvalidJsonError,
+  FileNotFoundError
+} = require('./errors');
+
+/**
+ * Why a file failed verification, and the exit code `json-encrypt verify`
+ * uses for it. When files fail for different reasons the earliest status in
+ * this list decides the exit code: tampering outranks a wrong key.
+ */
+const VERIFY_STATUSES = {
+  'auth-failed': { exitCode: 3, label: 'authentication failed (tampered or corrupted data)' },
+  'bad-envelope': { exitCode: 4, label: 'not a readable envelope' },
+  'invalid-plaintext': { exitCode: 5, label: 'decrypted data is not valid' },
+  'wrong-key': { exitCode: 2, label: 'wrong key' },
+  error: { exitCode: 1, label: 'error' }
+};
+
+function classifyFailure(error) {
+  // WrongKeyError first: it is also a DecryptionError
+  if (error instanceof WrongKeyError) {
+    return 'wrong-key';
+  }
+  // No key for the file, or a passphrase for a raw-key file: a setup problem
+  if (error instanceof InvalidOptionError) {
+    return 'error';
+  }
+  if (error instanceof DecryptionError) {
+    return 'auth-failed';
+  }
+  if (error instanceof InvalidEnvelopeError) {
+    return 'bad-envelope';
+  }
+  if (error instanceof InvalidJsonError) {
+    return 'invalid-plaintext';
+  }
+  return 'error';
+}
+
+function findVerifyTargets(target, recursive = false) {
+  if (!fs.existsSync(target)) {
+    throw new FileNotFoundError(target);
+  }
+  
+  return fs.statSync(target).isDirectory() ? findEncFiles(target, recursive) : [target];
+}
+
+/**
+ * Decrypt one .enc file in memory and check that the plaintext parses in its
+ * recorded source format. Nothing is written.
+ *
+ * @param {string} filePath
+ * @param {object} options - `{ secret, privateKey, algorithm, legacyKdf }`
+ * @returns {Promise<{ inputFile: string, algorithm: string, sourceFormat: string, fieldLevel: boolean }>}
+ */
+async function verifyFile(filePath, options = {}) {
+  const encryptedData = parseEnvelope(await fs.promises.readFile(filePath));
+  const fieldLevel = isFieldEnvelope(encryptedData);
+  const header = fieldLevel ? encryptedData[FIELD_HEADER_KEY] : encryptedData;
+  const handler = getFormatHandler((header.source || DEFAULT_SOURCE).format);
+  
+  if (fieldLevel) {
+    await decryptFields(encryptedData, options);
+  } else {
+    parseSource(handler, await decryptData(encryptedData, options), `Decrypted data is not valid ${handler.label}`);
+  }
+  
+  return {
+    inputFile: filePath,
+    algorithm: header.algorithm || options.algorithm,
+    sourceFormat: handler.name,
+    fieldLevel
+  };
+}
+
+/**
+ * Verify an .enc file, or every .enc file in a directory, without writing
+ * plaintext. Failures are collected with a `status` from VERIFY_STATUSES.
+ * `fileOptions(file)` returns options for one file, such as its key.
+ *
+ * @param {string} target - .enc file or directory
+ * @param {object} options - `{ secret, privateKey, algorithm, legacyKdf, recursive = false, fileOptions, onProgress }`
+ * @returns {Promise<{ success: object[], failed: object[] }>} Every entry has a `duration` in milliseconds
+ */
+async function verifyFiles(target, options = {}) {
+  const files = findVerifyTargets(target, options.recursive);
+  const results = {
+    success: [],
+    failed: []
+  };
+  
+  for (let i = 0; i < files.length; i++) {
+    const file = files[i];
+    const started = Date.now();
+    
+    if (options.onProgress) {
+      options.onProgress(file, i, files.length);
+    }
+    
+    try {
+      const result = await verifyFile(file, options.fileOptions ? { ...options, ...options.fileOptions(file) } : options);
+      results.success.push({ success: true, ...result, duration: Date.now() - started });
+    } catch (error) {
+      results.failed.push({
+        success: false,
+        inputFile: file,
+        status: classifyFailure(error),
+        error: error.message,
+        code: error.code,
+        duration: Date.now() - started
+      });
+    }
+  }
+  
+  return results;
+}
+
+// Exit code for a verification run: 0 when every file passed
+function getVerifyExitCode(results) {
+  const status = Object.keys(VERIFY_STATUSES).find(name => results.failed.some(result => result.status === name));
+  return status ? VERIFY_STATUSES[status].exitCode : 0;
+}
+
+function escapeXml(value) {
+  return String(value).replace(/[<>&'"]/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function getReportName(file, baseDir) {
+  return (path.relative(baseDir, file) || path.basename(file)).split(path.sep).join('/');
+}
+
+/**
+ * JSON report of a verification run. File names are relative to `baseDir`.
+ */
+function formatJsonReport(results, baseDir) {
+  const entries = [...results.success, ...results.failed].sort((a, b) => a.inputFile.localeCompare(b.inputFile));
+  
+  return `${JSON.stringify({
+    summary: {
+      total: entries.length,
+      passed: results.success.length,
+      failed: results.failed.length,
+      exitCode: getVerifyExitCode(results)
+    },
+    files: entries.map(entry => (entry.success
+      ? { file: getReportName(entry.inputFile, baseDir), status: 'ok', algorithm: entry.algorithm, sourceFormat: entry.sourceFormat, fieldLevel: entry.fieldLevel }
+      : { file: getReportName(entry.inputFile, baseDir), status: entry.status, code: entry.code, error: entry.error }))
+  }, null, 2)}\n`;
+}
+
+/**
+ * JUnit XML report of a verification run: one test case per file, with
+ * the failure status as the failure type. File names are relative to `baseDir`.
+ */
+function formatJUnitReport(results, baseDir) {
+  const entries = [...results.success, ...results.failed].sort((a, b) => a.inputFile.localeCompare(b.inputFile));
+  const seconds = ms => (ms / 1000).toFixed(3);
+  const time = seconds(entries.reduce((total, entry) => total + entry.duration, 0));
+  const attributes = `name="json-encrypt verify" tests="${entries.length}" failures="${results.failed.length}" errors="0" time="${time}"`;
+  
+  const cases = entries.map(entry => {
+    const name = escapeXml(getReportName(entry.inputFile, baseDir));
+    const testCase = `    <testcase classname="json-encrypt.verify" name="${name}" time="${seconds(entry.duration)}"`;
+    
+    if (entry.success) {
+      return `${testCase}/>`;
+    }
+    return [
+      `${testCase}>`,
+      `      <failure type="${entry.status}" message="${escapeXml(VERIFY_STATUSES[entry.status].label)}">${escapeXml(entry.error)}</failure>`,
+      '    </testcase>'
+    ].join('\n');
+  });
+  
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites ${attributes}>`,
+    `  <testsuite ${attributes} timestamp="${new Date().toISOString()}">`,
+    ...cases,
+    '  </testsuite>',
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  VERIFY_STATUSES,
+  classifyFailure,
+  verifyFile,
+  verifyFiles,
+  getVerifyExitCode,
+  formatJsonReport,
+  formatJUnitReport
+};
@@ -0,0 +1,4 @@
+// Load .enc files with require() and import, keyed from the environment:
+//   node --require json-encrypt-cli/register app.js
+//   node --import json-encrypt-cli/register.js app.mjs
+require('./lib/loader').register();
@@ -1,8 +1,25 @@
 // Test script to demonstrate the JSON encryption CLI tool
-const { execSync } = require('child_process');
+const { execSync, spawnSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 
+// A temp directory for one test: `file(name)` is a path in it, and
+// `run(script, ...args)` runs bin/<script> without the ENC_* defaults from .env
+function createTestDir() {
+  const dir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'json-encrypt-'));
+  const file = name => path.join(dir, name);
+  return {
+    dir,
+    file,
+    read: name => fs.readFileSync(file(name), 'utf8'),
+    run: (script, ...args) => spawnSync('node', [path.join(__dirname, 'bin', script), ...args], {
+      encoding: 'utf8',
+      env: { ...process.env, ENC_SECRET: '', ENC_ALGORITHM: '', ENC_CONCURRENCY: '' }
+    }),
+    remove: () => fs.rmSync(dir, { recursive: true, force: true })
+  };
+}
+
 console.log('🧪 Testing JSON Encryption CLI Tool\n');
 
 // Test 1: Command line encryption
@@ -14,6 +31,7 @@ try {
   console.log(result);
 } catch (error) {
   console.error('❌ Command line encryption failed:', error.message);
+  process.exitCode = 1;
 }
 
 // Test 2: Verify encrypted file exists
@@ -24,18 +42,22 @@ const exampleFile = path.join(__dirname, 'test', 'decryption.example.ts');
 if (fs.existsSync(encFile)) {
   console.log('✅ Encrypted file created:', encFile);
   const encData = JSON.parse(fs.readFileSync(encFile, 'utf8'));
-  console.log('   Algorithm: (hidden for security)');
+  console.log('   Envelope version:', encData.version);
+  console.log('   Algorithm:', encData.algorithm);
+  console.log('   KDF:', encData.kdf && encData.kdf.name);
   console.log('   Has IV:', !!encData.iv);
   console.log('   Has AuthTag:', !!encData.authTag);
   console.log('   Encrypted data length:', encData.encrypted.length);
 } else {
   console.log('❌ Encrypted file not found');
+  process.exitCode = 1;
 }
 
 if (fs.existsSync(exampleFile)) {
   console.log('✅ Decryption example created:', exampleFile);
 } else {
   console.log('❌ Decryption example not found');
+  process.exitCode = 1;
 }
 
 // Test 3: Test decryption (using the generated example)
@@ -44,12 +66,18 @@ try {
   // Import and use the decryption function
   const crypto = require('crypto');
   
-  function decryptFile(filePath, algorithm, secretKey) {
+  function decryptFile(filePath, secretKey) {
     const encryptedData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const { algorithm, kdf } = encryptedData;
     
     const keyLength = algorithm.includes('256') ? 32 : 
                      algorithm.includes('192') ? 24 : 16;
-    const key = crypto.scryptSync(secretKey, 'salt', keyLength);
+    const key = crypto.scryptSync(secretKey, Buffer.from(kdf.salt, 'hex'), keyLength, {
+      N: kdf.N,
+      r: kdf.r,
+      p: kdf.p,
+      maxmem: 256 * kdf.N * kdf.r
+    });
     
     const iv = Buffer.from(encryptedData.iv, 'hex');
     
@@ -74,7 +102,7 @@ try {
   }
   
   if (fs.existsSync(encFile)) {
-    const decryptedData = decryptFile(encFile, 'aes-256-gcm', 'myTestSecret123');
+    const decryptedData = decryptFile(encFile, 'myTestSecret123');
     console.log('✅ Decryption successful');
     console.log('   Original data type:', typeof decryptedData);
     console.log('   Has accounts array:', Array.isArray(decryptedData.accounts));
@@ -84,6 +112,7 @@ try {
   }
 } catch (error) {
   console.error('❌ Decryption failed:', error.message);
+  process.exitCode = 1;
 }
 
 // Test 4: Test CLI decryption tool
@@ -105,13 +134,1443 @@ try {
   }
 } catch (error) {
   console.error('❌ CLI decryption failed:', error.message);
+  process.exitCode = 1;
+}
+
+// Test 5: Header-based decryption and legacy files
+console.log('\n🔓 Test 5: Header-based decryption and legacy files');
+try {
+  // Files with an envelope header decrypt without --algorithm
+  execSync('node bin/dec.js test/accounts.int.enc --secret myTestSecret123 --overwrite', 
+    { encoding: 'utf8', cwd: __dirname, env: { ...process.env, ENC_ALGORITHM: '' } });
+  console.log('✅ Decrypted using the algorithm from the envelope header');
+  
+  // Files written before the envelope header existed still decrypt with --algorithm
+  const crypto = require('crypto');
+  const legacyDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'json-encrypt-'));
+  const legacyFile = path.join(legacyDir, 'legacy.enc');
+  const key = crypto.scryptSync('myTestSecret123', 'salt', 16);
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-128-cbc', key, iv);
+  let encrypted = cipher.update(JSON.stringify({ legacy: true }), 'utf8', 'hex');
+  encrypted += cipher.final('hex');
+  fs.writeFileSync(legacyFile, JSON.stringify({ iv: iv.toString('hex'), encrypted }, null, 2));
+  
+  execSync(`node bin/dec.js "${legacyFile}" --algorithm aes-128-cbc --secret myTestSecret123`, 
+    { encoding: 'utf8', cwd: __dirname });
+  const legacyData = JSON.parse(fs.readFileSync(path.join(legacyDir, 'legacy.json'), 'utf8'));
+  fs.rmSync(legacyDir, { recursive: true, force: true });
+  
+  if (legacyData.legacy !== true) {
+    throw new Error('Legacy file content mismatch');
+  }
+  console.log('✅ Legacy file decrypted with --algorithm');
+} catch (error) {
+  console.error('❌ Header-based decryption failed:', error.message);
+  process.exitCode = 1;
+}
+
+// Test 6: Per-file salt and configurable key derivation
+console.log('\n🔑 Test 6: Per-file salt and configurable key derivation');
+try {
+  const kdfDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'json-encrypt-'));
+  fs.writeFileSync(path.join(kdfDir, 'a.json'), JSON.stringify({ name: 'a' }));
+  fs.writeFileSync(path.join(kdfDir, 'b.json'), JSON.stringify({ name: 'b' }));
+  
+  execSync(`node bin/batch-enc.js "${kdfDir}" --alg aes-256-gcm --secret myTestSecret123 --kdf scrypt --kdf-n 32768`, 
+    { encoding: 'utf8', cwd: __dirname });
+  const saltA = JSON.parse(fs.readFileSync(path.join(kdfDir, 'a.enc'), 'utf8')).kdf.salt;
+  const saltB = JSON.parse(fs.readFileSync(path.join(kdfDir, 'b.enc'), 'utf8')).kdf.salt;
+  if (saltA === saltB) {
+    throw new Error('Files encrypted with the same secret share a salt');
+  }
+  console.log('✅ Each file has its own random salt');
+  
+  execSync(`node bin/enc.js "${path.join(kdfDir, 'a.json')}" --alg aes-128-cbc --secret myTestSecret123 --kdf pbkdf2 --kdf-iterations 1000 --no-example`, 
+    { encoding: 'utf8', cwd: __dirname });
+  const pbkdf2Header = JSON.parse(fs.readFileSync(path.join(kdfDir, 'a.enc'), 'utf8')).kdf;
+  console.log('   PBKDF2 header:', pbkdf2Header.name, pbkdf2Header.hash, pbkdf2Header.iterations);
+  
+  const crafted = JSON.parse(fs.readFileSync(path.join(kdfDir, 'b.enc'), 'utf8'));
+  crafted.kdf.N = 2 ** 24;
+  fs.writeFileSync(path.join(kdfDir, 'crafted.enc'), JSON.stringify(crafted));
+  try {
+    execSync(`node bin/dec.js "${path.join(kdfDir, 'crafted.enc')}" --secret myTestSecret123`, 
+      { encoding: 'utf8', cwd: __dirname, stdio: 'pipe' });
+    throw new Error('A header asking for 2GB of scrypt memory was accepted');
+  } catch (error) {
+    if (!/excessive key derivation parameters/.test(error.stdout + error.stderr)) {
+      throw error;
+    }
+  }
+  fs.rmSync(path.join(kdfDir, 'crafted.enc'));
+  console.log('✅ Headers with excessive KDF costs are rejected before deriving a key');
+  
+  execSync(`node bin/batch-dec.js "${kdfDir}" --secret myTestSecret123 --overwrite`, 
+    { encoding: 'utf8', cwd: __dirname, env: { ...process.env, ENC_ALGORITHM: '' } });
+  const decryptedA = JSON.parse(fs.readFileSync(path.join(kdfDir, 'a.json'), 'utf8'));
+  const decryptedB = JSON.parse(fs.readFileSync(path.join(kdfDir, 'b.json'), 'utf8'));
+  fs.rmSync(kdfDir, { recursive: true, force: true });
+  
+  if (decryptedA.name !== 'a' || decryptedB.name !== 'b') {
+    throw new Error('Round-trip content mismatch');
+  }
+  console.log('✅ PBKDF2 and tuned scrypt files decrypted from their headers');
+} catch (error) {
+  console.error('❌ Key derivation test failed:', error.message);
+  process.exitCode = 1;
+}
+
+// Test 7: Programmatic API
+async function testProgrammaticApi() {
+  console.log('\n📦 Test 7: Programmatic API');
+  try {
+    const api = require('./index');
+    const apiDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'json-encrypt-'));
+    const apiFile = path.join(apiDir, 'settings.json');
+    fs.writeFileSync(apiFile, JSON.stringify({ apiKey: 'abc123' }, null, 2));
+    
+    const { outputFile } = await api.encryptFile(apiFile, { algorithm: 'aes-256-gcm', secret: 'myTestSecret123' });
+    const settings = await api.readEncryptedFile(outputFile, { secret: 'myTestSecret123' });
+    if (settings.apiKey !== 'abc123') {
+      throw new Error('readEncryptedFile returned unexpected content');
+    }
+    console.log('✅ encryptFile and readEncryptedFile round-trip');
+    
+    try {
+      await api.readEncryptedFile(outputFile, { secret: 'wrongSecret123' });
+      throw new Error('Wrong secret was accepted');
+    } catch (error) {
+      if (!(error instanceof api.DecryptionError)) {
+        throw error;
+      }
+      console.log('✅ Wrong secret rejects with DecryptionError:', error.code);
+    }
+    
+    const results = await api.batchDecrypt(apiDir, { secret: 'myTestSecret123', overwrite: true });
+    fs.rmSync(apiDir, { recursive: true, force: true });
+    if (results.success.length !== 1 || results.failed.length !== 0) {
+      throw new Error('batchDecrypt results mismatch');
+    }
+    console.log('✅ batchDecrypt returned per-file results');
+  } catch (error) {
+    console.error('❌ Programmatic API test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+// Test 8: Field-level encryption
+async function testFieldLevelEncryption() {
+  console.log('\n🧩 Test 8: Field-level encryption');
+  try {
+    const fieldDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'json-encrypt-'));
+    const fieldFile = path.join(fieldDir, 'accounts.json');
+    const encFieldFile = path.join(fieldDir, 'accounts.enc');
+    fs.copyFileSync(path.join(__dirname, 'test', 'accounts.int.json'), fieldFile);
+    const original = JSON.parse(fs.readFileSync(fieldFile, 'utf8'));
+    
+    execSync(`node bin/enc.js "${fieldFile}" --alg aes-256-gcm --secret myTestSecret123 --fields "$.accounts[*].password"`, 
+      { encoding: 'utf8', cwd: __dirname });
+    const firstRun = fs.readFileSync(encFieldFile, 'utf8');
+    const encrypted = JSON.parse(firstRun);
+    if (encrypted.accounts[0].username !== original.accounts[0].username || !encrypted.accounts[0].password.startsWith('ENC[')) {
+      throw new Error('Unexpected field-level output');
+    }
+    console.log('✅ Only selected values encrypted; keys and structure readable');
+    
+    // Re-encrypting unchanged content keeps every value's ciphertext
+    execSync(`node bin/enc.js "${fieldFile}" --alg aes-256-gcm --secret myTestSecret123 --fields "$.accounts[*].password"`, 
+      { encoding: 'utf8', cwd: __dirname });
+    const secondRun = fs.readFileSync(encFieldFile, 'utf8').split('\n');
+    const changedLines = firstRun.split('\n').filter((line, i) => line !== secondRun[i]);
+    console.log('   Lines changed on re-encryption:', changedLines.length);
+    
+    execSync(`node bin/dec.js "${encFieldFile}" --secret myTestSecret123 --overwrite`, 
+      { encoding: 'utf8', cwd: __dirname });
+    const restored = JSON.parse(fs.readFileSync(fieldFile, 'utf8'));
+    if (JSON.stringify(restored) !== JSON.stringify(original)) {
+      throw new Error('Restored document differs from the original');
+    }
+    console.log('✅ json-decrypt restored the original document');
+    
+    encrypted.accounts[0].username = 'mallory';
+    fs.writeFileSync(encFieldFile, JSON.stringify(encrypted, null, 2));
+    const api = require('./index');
+    try {
+      await api.readEncryptedFile(encFieldFile, { secret: 'myTestSecret123' });
+      throw new Error('Tampered document was accepted');
+    } catch (error) {
+      if (!(error instanceof api.DecryptionError)) {
+        throw error;
+      }
+      console.log('✅ MAC detected a modified plaintext value');
+    }
+    fs.rmSync(fieldDir, { recursive: true, force: true });
+  } catch (error) {
+    console.error('❌ Field-level encryption test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+async function testKeyRotation() {
+  console.log('\n🔁 Test 9: Key rotation');
+  try {
+    const api = require('./index');
+    const rotateDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'json-encrypt-'));
+    fs.copyFileSync(path.join(__dirname, 'test', 'accounts.int.json'), path.join(rotateDir, 'accounts.json'));
+    fs.copyFileSync(path.join(__dirname, 'test-batch', 'config.json'), path.join(rotateDir, 'config.json'));
+    execSync(`node bin/batch-enc.js "${rotateDir}" --alg aes-256-cbc --secret oldSecret123`, 
+      { encoding: 'utf8', cwd: __dirname });
+    
+    execSync(`node bin/enc.js rotate "${rotateDir}" --old-secret oldSecret123 --new-secret newSecret456 --new-alg aes-256-gcm`, 
+      { encoding: 'utf8', cwd: __dirname });
+    const rotated = JSON.parse(fs.readFileSync(path.join(rotateDir, 'accounts.enc'), 'utf8'));
+    const accounts = await api.readEncryptedFile(path.join(rotateDir, 'accounts.enc'), { secret: 'newSecret456' });
+    const original = JSON.parse(fs.readFileSync(path.join(rotateDir, 'accounts.json'), 'utf8'));
+    if (rotated.algorithm !== 'aes-256-gcm' || JSON.stringify(accounts) !== JSON.stringify(original)) {
+      throw new Error('Rotated file does not decrypt to the original content');
+    }
+    console.log('✅ Files re-encrypted under the new secret and algorithm');
+    
+    // One bad file aborts the rotation and leaves every file untouched
+    const before = fs.readFileSync(path.join(rotateDir, 'config.enc'), 'utf8');
+    fs.writeFileSync(path.join(rotateDir, 'broken.enc'), '{ not an envelope');
+    try {
+      execSync(`node bin/enc.js rotate "${rotateDir}" --old-secret newSecret456 --new-secret thirdSecret789`, 
+        { encoding: 'utf8', cwd: __dirname, stdio: 'pipe' });
+      throw new Error('Rotation with a broken file did not fail');
+    } catch (error) {
+      if (error.status !== 1) {
+        throw error;
+      }
+    }
+    const leftovers = fs.readdirSync(rotateDir).filter(name => name.endsWith('.tmp'));
+    if (fs.readFileSync(path.join(rotateDir, 'config.enc'), 'utf8') !== before || leftovers.length > 0) {
+      throw new Error('Failed rotation changed files on disk');
+    }
+    console.log('✅ Failed rotation left every file unchanged');
+    fs.rmSync(rotateDir, { recursive: true, force: true });
+  } catch (error) {
+    console.error('❌ Key rotation test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+async function testRecipients() {
+  console.log('\n👥 Test 10: Public-key recipients');
+  try {
+    const crypto = require('crypto');
+    const api = require('./index');
+    const keyDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'json-encrypt-'));
+    const writeKeyPair = (name, type, options) => {
+      const { publicKey, privateKey } = crypto.generateKeyPairSync(type, options);
+      fs.writeFileSync(path.join(keyDir, `${name}.pub`), publicKey.export({ type: 'spki', format: 'pem' }));
+      fs.writeFileSync(path.join(keyDir, `${name}.pem`), privateKey.export({ type: 'pkcs8', format: 'pem' }));
+    };
+    writeKeyPair('alice', 'x25519');
+    writeKeyPair('ci', 'rsa', { modulusLength: 2048 });
+    writeKeyPair('bob', 'x25519');
+    
+    const jsonFile = path.join(keyDir, 'config.json');
+    const encFile = path.join(keyDir, 'config.enc');
+    fs.copyFileSync(path.join(__dirname, 'test-batch', 'config.json'), jsonFile);
+    const original = fs.readFileSync(jsonFile, 'utf8');
+    
+    execSync(`node bin/enc.js "${jsonFile}" --alg aes-256-gcm --recipient "${keyDir}/alice.pub" "${keyDir}/ci.pub"`, 
+      { encoding: 'utf8', cwd: __dirname });
+    for (const name of ['alice', 'ci']) {
+      execSync(`node bin/dec.js "${encFile}" --private-key "${keyDir}/${name}.pem" --overwrite`, 
+        { encoding: 'utf8', cwd: __dirname });
+      if (fs.readFileSync(jsonFile, 'utf8') !== original) {
+        throw new Error(`Decryption with ${name}'s key did not restore the original`);
+      }
+    }
+    console.log('✅ X25519 and RSA-OAEP recipients each decrypted the file');
+    
+    // Adding and removing recipients leaves the payload untouched
+    const before = JSON.parse(fs.readFileSync(encFile, 'utf8'));
+    execSync(`node bin/enc.js recipients add "${encFile}" --recipient "${keyDir}/bob.pub" --private-key "${keyDir}/ci.pem"`, 
+      { encoding: 'utf8', cwd: __dirname });
+    execSync(`node bin/enc.js recipients remove "${encFile}" --recipient "${keyDir}/alice.pub"`, 
+      { encoding: 'utf8', cwd: __dirname });
+    const after = JSON.parse(fs.readFileSync(encFile, 'utf8'));
+    if (after.encrypted !== before.encrypted || after.iv !== before.iv || after.recipients.length !== 2) {
+      throw new Error('Recipient update rewrote the payload');
+    }
+    
+    const config = await api.readEncryptedFile(encFile, { privateKey: fs.readFileSync(path.join(keyDir, 'bob.pem')) });
+    if (JSON.stringify(config) !== JSON.stringify(JSON.parse(original))) {
+      throw new Error('Added recipient could not decrypt');
+    }
+    try {
+      await api.readEncryptedFile(encFile, { privateKey: fs.readFileSync(path.join(keyDir, 'alice.pem')) });
+      throw new Error('Removed recipient could still decrypt');
+    } catch (error) {
+      if (!(error instanceof api.DecryptionError)) {
+        throw error;
+      }
+    }
+    console.log('✅ Recipients added and removed without touching the payload');
+    fs.rmSync(keyDir, { recursive: true, force: true });
+  } catch (error) {
+    console.error('❌ Public-key recipients test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+async function testKeyFiles() {
+  console.log('\n🗝️ Test 11: Key generation and key files');
+  try {
+    const api = require('./index');
+    const keyDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'json-encrypt-'));
+    const keyFile = path.join(keyDir, 'config.key');
+    const jsonFile = path.join(keyDir, 'config.json');
+    const encFile = path.join(keyDir, 'config.enc');
+    fs.copyFileSync(path.join(__dirname, 'test-batch', 'config.json'), jsonFile);
+    const original = fs.readFileSync(jsonFile, 'utf8');
+    
+    const keygenOutput = execSync(`node bin/enc.js keygen --out "${keyFile}"`, { encoding: 'utf8', cwd: __dirname });
+    const fingerprint = execSync(`node bin/enc.js fingerprint "${keyFile}"`, { encoding: 'utf8', cwd: __dirname }).split(' ')[0];
+    if (!keygenOutput.includes(fingerprint) || (fs.statSync(keyFile).mode & 0o777) !== 0o600) {
+      throw new Error('Unexpected keygen output or key file permissions');
+    }
+    
+    // 32-byte key files bypass the KDF
+    execSync(`node bin/enc.js "${jsonFile}" --alg aes-256-gcm --key-file "${keyFile}" --no-example`, 
+      { encoding: 'utf8', cwd: __dirname });
+    if (JSON.parse(fs.readFileSync(encFile, 'utf8')).kdf.name !== 'raw') {
+      throw new Error('Key file was not used as a raw key');
+    }
+    execSync(`node bin/dec.js "${encFile}" --overwrite`, 
+      { encoding: 'utf8', cwd: __dirname, env: { ...process.env, ENC_KEY_FILE: keyFile } });
+    if (fs.readFileSync(jsonFile, 'utf8') !== original) {
+      throw new Error('ENC_KEY_FILE decryption did not restore the original');
+    }
+    console.log('✅ Generated key encrypts without key derivation and decrypts via ENC_KEY_FILE');
+    
+    // Passphrase-protected key pair
+    const privateKeyFile = path.join(keyDir, 'me.pem');
+    execSync(`node bin/enc.js keygen --type x25519 --out "${privateKeyFile}" --passphrase hunter22`, 
+      { encoding: 'utf8', cwd: __dirname });
+    execSync(`node bin/enc.js "${jsonFile}" --recipient "${path.join(keyDir, 'me.pub')}"`, 
+      { encoding: 'utf8', cwd: __dirname });
+    const privateKey = fs.readFileSync(privateKeyFile);
+    try {
+      await api.readEncryptedFile(encFile, { privateKey });
+      throw new Error('Protected private key was used without its passphrase');
+    } catch (error) {
+      if (error.code !== 'ERR_INVALID_OPTION') {
+        throw error;
+      }
+    }
+    const config = await api.readEncryptedFile(encFile, { privateKey: { key: privateKey, passphrase: 'hunter22' } });
+    if (JSON.stringify(config) !== JSON.stringify(JSON.parse(original))) {
+      throw new Error('Decryption with the protected private key failed');
+    }
+    console.log('✅ Passphrase-protected private key decrypted a recipient file');
+    fs.rmSync(keyDir, { recursive: true, force: true });
+  } catch (error) {
+    console.error('❌ Key file test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+async function testStreaming() {
+  console.log('\n🌊 Test 12: Streaming large files');
+  try {
+    const api = require('./index');
+    const streamDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'json-encrypt-'));
+    const jsonFile = path.join(streamDir, 'large.json');
+    const encFile = path.join(streamDir, 'large.enc');
+    const records = Array.from({ length: 5000 }, (_, id) => ({ id, name: `user-${id}`, note: 'naïve café ✓' }));
+    fs.writeFileSync(jsonFile, JSON.stringify({ records }, null, 2));
+    const original = fs.readFileSync(jsonFile, 'utf8');
+    
+    execSync(`node bin/enc.js "${jsonFile}" --alg aes-256-gcm --secret streamSecret --stream-threshold 1KB --no-example`, 
+      { encoding: 'utf8', cwd: __dirname });
+    const envelope = JSON.parse(fs.readFileSync(encFile, 'utf8'));
+    if (envelope.version !== api.STREAM_ENVELOPE_VERSION || !envelope.stream || envelope.authTag) {
+      throw new Error('GCM file was not written as a chunked stream');
+    }
+    
+    execSync(`node bin/dec.js "${encFile}" --secret streamSecret --stream-threshold 1KB --overwrite`, 
+      { encoding: 'utf8', cwd: __dirname });
+    const inMemory = await api.readEncryptedFile(encFile, { secret: 'streamSecret' });
+    if (fs.readFileSync(jsonFile, 'utf8') !== original || inMemory.records.length !== records.length) {
+      throw new Error('Streamed round trip did not restore the original');
+    }
+    console.log('✅ Chunked GCM stream decrypts both streamed and in memory');
+    
+    // Drop the last chunk: every remaining chunk is intact, but the stream is incomplete
+    const sealedChunk = (envelope.stream.chunkSize + 16) * 2;
+    const chunks = Math.ceil(envelope.encrypted.length / sealedChunk);
+    fs.writeFileSync(encFile, JSON.stringify({ ...envelope, encrypted: envelope.encrypted.slice(0, (chunks - 1) * sealedChunk) }, null, 2));
+    fs.unlinkSync(jsonFile);
+    try {
+      await api.decryptFile(encFile, { secret: 'streamSecret', streamThreshold: 0 });
+      throw new Error('Truncated stream was accepted');
+    } catch (error) {
+      if (error.code !== 'ERR_DECRYPTION_FAILED' || fs.existsSync(jsonFile)) {
+        throw error;
+      }
+    }
+    console.log('✅ Truncated stream rejected without writing output');
+    
+    // CBC streams produce a regular envelope
+    fs.writeFileSync(jsonFile, original);
+    await api.encryptFile(jsonFile, { secret: 'streamSecret', algorithm: 'aes-256-cbc', streamThreshold: 0 });
+    const cbcEnvelope = JSON.parse(fs.readFileSync(encFile, 'utf8'));
+    if (cbcEnvelope.version !== api.ENVELOPE_VERSION || await api.decryptData(cbcEnvelope, { secret: 'streamSecret' }) !== original) {
+      throw new Error('Streamed CBC envelope does not decrypt in memory');
+    }
+    
+    // Invalid JSON is caught while streaming and leaves no output
+    fs.unlinkSync(encFile);
+    fs.writeFileSync(jsonFile, `${original.slice(0, -2)},]}`);
+    try {
+      await api.encryptFile(jsonFile, { secret: 'streamSecret', streamThreshold: 0 });
+      throw new Error('Invalid JSON was encrypted');
+    } catch (error) {
+      if (error.code !== 'ERR_INVALID_JSON' || fs.readdirSync(streamDir).length !== 1) {
+        throw error;
+      }
+    }
+    console.log('✅ Streamed CBC envelope matches the in-memory format; invalid JSON is rejected');
+    fs.rmSync(streamDir, { recursive: true, force: true });
+  } catch (error) {
+    console.error('❌ Streaming test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+async function testOutputFormats() {
+  console.log('\n🗜️ Test 13: Output formats');
+  try {
+    const api = require('./index');
+    const formatDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'json-encrypt-'));
+    fs.copyFileSync(path.join(__dirname, 'test-batch', 'config.json'), path.join(formatDir, 'config.json'));
+    fs.copyFileSync(path.join(__dirname, 'test-batch', 'users.json'), path.join(formatDir, 'users.json'));
+    const original = fs.readFileSync(path.join(formatDir, 'config.json'), 'utf8');
+    
+    const sizes = {};
+    for (const format of ['hex', 'base64', 'binary']) {
+      const { outputFile } = await api.encryptFile(path.join(formatDir, 'config.json'), { secret: 'formatSecret', format });
+      sizes[format] = fs.statSync(outputFile).size;
+    }
+    const content = fs.readFileSync(path.join(formatDir, 'config.enc'));
+    if (!content.subarray(0, 4).equals(Buffer.from('JENC')) || !(sizes.binary < sizes.base64 && sizes.base64 < sizes.hex)) {
+      throw new Error(`Unexpected output sizes: ${JSON.stringify(sizes)}`);
+    }
+    
+    // The binary file decrypts without being told its format
+    execSync(`node bin/dec.js "${path.join(formatDir, 'config.enc')}" --secret formatSecret --overwrite`, 
+      { encoding: 'utf8', cwd: __dirname });
+    if (fs.readFileSync(path.join(formatDir, 'config.json'), 'utf8') !== original) {
+      throw new Error('Binary round trip did not restore the original');
+    }
+    console.log(`✅ hex ${sizes.hex} B, base64 ${sizes.base64} B, binary ${sizes.binary} B; binary detected on decryption`);
+    
+    execSync(`node bin/batch-enc.js "${formatDir}" --alg aes-256-gcm --secret formatSecret --format base64`, 
+      { encoding: 'utf8', cwd: __dirname });
+    const envelope = JSON.parse(fs.readFileSync(path.join(formatDir, 'users.enc'), 'utf8'));
+    if (envelope.encoding !== 'base64') {
+      throw new Error('Batch encryption ignored --format');
+    }
+    execSync(`node bin/enc.js rotate "${formatDir}" --old-secret formatSecret --new-format binary`, 
+      { encoding: 'utf8', cwd: __dirname });
+    const results = await api.batchDecrypt(formatDir, { secret: 'formatSecret', overwrite: true });
+    if (results.failed.length > 0 || !api.parseEnvelope(fs.readFileSync(path.join(formatDir, 'users.enc'))).encrypted.length) {
+      throw new Error('Rotated binary files did not batch-decrypt');
+    }
+    console.log('✅ Batch encryption honours --format; rotate converted files to binary');
+    fs.rmSync(formatDir, { recursive: true, force: true });
+  } catch (error) {
+    console.error('❌ Output format test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+async function testSourceFormats() {
+  console.log('\n📄 Test 14: YAML, TOML, .env and JSON5 sources');
+  try {
+    const api = require('./index');
+    const sourceDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'json-encrypt-'));
+    const sources = {
+      'config.yaml': '# Database settings\ndb:\n  host: localhost\n  port: 5432\n',
+      'app.toml': 'title = "app"\n\n[server]\nport = 8080\n',
+      '.env': 'API_KEY=abc123\nGREETING="hello world"\n',
+      'settings.json5': "{ name: 'app', retries: 3, }\n",
+      'tsconfig.jsonc': '// compiler options\n{ "strict": true, }\n'
+    };
+    for (const [name, content] of Object.entries(sources)) {
+      fs.writeFileSync(path.join(sourceDir, name), content);
+    }
+    
+    for (const name of Object.keys(sources)) {
+      execSync(`node bin/enc.js "${path.join(sourceDir, name)}" --alg aes-256-gcm --secret sourceSecret --no-example`, 
+        { encoding: 'utf8', cwd: __dirname });
+      fs.unlinkSync(path.join(sourceDir, name));
+    }
+    const envelope = JSON.parse(fs.readFileSync(path.join(sourceDir, 'config.yaml.enc'), 'utf8'));
+    if (envelope.source.format !== 'yaml' || envelope.source.extension !== '.yaml') {
+      throw new Error(`Source not recorded: ${JSON.stringify(envelope.source)}`);
+    }
+    
+    // Decryption restores each file byte for byte, comments included
+    const results = await api.batchDecrypt(sourceDir, { secret: 'sourceSecret' });
+    if (results.failed.length > 0) {
+      throw new Error(results.failed.map(result => result.error).join('; '));
+    }
+    for (const [name, content] of Object.entries(sources)) {
+      if (fs.readFileSync(path.join(sourceDir, name), 'utf8') !== content) {
+        throw new Error(`${name} was not restored`);
+      }
+    }
+    console.log('✅ Formats recorded in the envelope and restored with their extensions');
+    
+    execSync(`node bin/dec.js "${path.join(sourceDir, 'config.yaml.enc')}" --secret sourceSecret --output-format json`, 
+      { encoding: 'utf8', cwd: __dirname });
+    const converted = JSON.parse(fs.readFileSync(path.join(sourceDir, 'config.json'), 'utf8'));
+    if (converted.db.port !== 5432) {
+      throw new Error('YAML was not converted to JSON');
+    }
+    const env = await api.decryptFile(path.join(sourceDir, '.env.enc'), { secret: 'sourceSecret', outputFormat: 'yaml' });
+    if (path.basename(env.outputFile) !== '.env.yaml' || !fs.readFileSync(env.outputFile, 'utf8').includes('GREETING: hello world')) {
+      throw new Error('.env was not converted to YAML');
+    }
+    
+    // Nested documents cannot become .env files
+    try {
+      await api.decryptFile(path.join(sourceDir, 'app.toml.enc'), { secret: 'sourceSecret', outputFormat: 'env' });
+      throw new Error('Nested TOML was written as .env');
+    } catch (error) {
+      if (error.code !== 'ERR_INVALID_OPTION') {
+        throw error;
+      }
+    }
+    
+    // Converted on encryption: restores as the new format
+    const { outputFile } = await api.encryptFile(path.join(sourceDir, 'config.yaml'), { secret: 'sourceSecret', outputFormat: 'toml' });
+    const { outputFile: restored } = await api.decryptFile(outputFile, { secret: 'sourceSecret' });
+    if (path.basename(restored) !== 'config.toml' || !/port = 5_?432/.test(fs.readFileSync(restored, 'utf8'))) {
+      throw new Error('--output-format on encryption did not convert to TOML');
+    }
+    
+    fs.writeFileSync(path.join(sourceDir, 'broken.yaml'), 'db: [\n');
+    try {
+      await api.encryptFile(path.join(sourceDir, 'broken.yaml'), { secret: 'sourceSecret' });
+      throw new Error('Invalid YAML was encrypted');
+    } catch (error) {
+      if (error.code !== 'ERR_INVALID_JSON' || !error.message.startsWith('Invalid YAML file')) {
+        throw error;
+      }
+    }
+    console.log('✅ Conversion with --output-format on decryption and encryption; invalid sources rejected');
+    fs.rmSync(sourceDir, { recursive: true, force: true });
+  } catch (error) {
+    console.error('❌ Source format test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+async function testPipes() {
+  console.log('\n🚰 Test 15: stdin/stdout piping');
+  try {
+    const pipeDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'json-encrypt-'));
+    const original = fs.readFileSync(path.join(__dirname, 'test-batch', 'config.json'));
+    const run = (script, args, input) => spawnSync('node', [script, ...args], { cwd: __dirname, input, env: { ...process.env, ENC_SECRET: '' } });
+    
+    // stdout carries only the envelope; messages go to stderr
+    const encrypted = run('bin/enc.js', ['-', '--secret', 'pipeSecret', '--alg', 'aes-256-gcm'], original);
+    const envelope = JSON.parse(encrypted.stdout.toString('utf8'));
+    if (encrypted.status !== 0 || envelope.algorithm !== 'aes-256-gcm' || !encrypted.stderr.toString('utf8').includes('✅')) {
+      throw new Error('Encryption from stdin did not write a clean envelope to stdout');
+    }
+    
+    const decrypted = run('bin/dec.js', ['-', '--secret', 'pipeSecret'], encrypted.stdout);
+    if (decrypted.status !== 0 || !decrypted.stdout.equals(original)) {
+      throw new Error('Decryption from stdin did not restore the original');
+    }
+    console.log('✅ cat cfg.json | json-encrypt - | json-decrypt - round trip, messages on stderr');
+    
+    // -o: any input name, any output path, no overwrite without --overwrite
+    fs.writeFileSync(path.join(pipeDir, 'cfg.secret'), encrypted.stdout);
+    const outputFile = path.join(pipeDir, 'plain.txt');
+    if (run('bin/dec.js', [path.join(pipeDir, 'cfg.secret'), '--secret', 'pipeSecret', '-o', outputFile]).status !== 0 ||
+        !fs.readFileSync(outputFile).equals(original)) {
+      throw new Error('--output did not write the decrypted file');
+    }
+    if (run('bin/dec.js', [path.join(pipeDir, 'cfg.secret'), '--secret', 'pipeSecret', '-o', outputFile]).status === 0) {
+      throw new Error('--output replaced an existing file without --overwrite');
+    }
+    
+    const failed = run('bin/dec.js', ['-', '--secret', 'wrongSecret'], encrypted.stdout);
+    if (failed.status === 0 || failed.stdout.length > 0) {
+      throw new Error('Wrong secret in pipe mode did not fail cleanly');
+    }
+    console.log('✅ -o writes any path; failures exit non-zero with nothing on stdout');
+    fs.rmSync(pipeDir, { recursive: true, force: true });
+  } catch (error) {
+    console.error('❌ Pipe test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+async function testExec() {
+  console.log('\n🚀 Test 16: exec with decrypted values in the environment');
+  try {
+    const api = require('./index');
+    const execDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'json-encrypt-'));
+    const run = (args, env = {}) => spawnSync('node', ['bin/enc.js', ...args], { cwd: __dirname, env: { ...process.env, ENC_SECRET: '', ...env } });
+    const printEnv = 'const pick = ["APP_DATABASE__HOST", "APP_DATABASE__PORT", "APP_PORTS__1", "APP_API_KEY", "APP_EXTRA", "ENC_SECRET"];' +
+      'console.log(JSON.stringify(Object.fromEntries(pick.map(name => [name, process.env[name]])))); process.exit(3)';
+    
+    fs.writeFileSync(path.join(execDir, 'app.json'), JSON.stringify({ database: { host: 'db', port: 5432 }, ports: [80, 443], 'api-key': 'k1' }));
+    fs.writeFileSync(path.join(execDir, 'extra.yaml'), 'extra: from-yaml\napi-key: k2\n');
+    for (const file of ['app.json', 'extra.yaml']) {
+      if (run([path.join(execDir, file), '--secret', 'execSecret', '--no-example']).status !== 0) {
+        throw new Error(`Could not encrypt ${file}`);
+      }
+    }
+    
+    const result = run(['exec', '-f', path.join(execDir, 'app.enc'), '-f', path.join(execDir, 'extra.yaml.enc'), '--prefix', 'APP_', '--',
+      'node', '-e', printEnv], { ENC_SECRET: 'execSecret' });
+    const env = JSON.parse(result.stdout.toString('utf8'));
+    if (result.status !== 3) {
+      throw new Error(`Exit code ${result.status} instead of the child's 3`);
+    }
+    if (env.APP_DATABASE__HOST !== 'db' || env.APP_DATABASE__PORT !== '5432' || env.APP_PORTS__1 !== '443' ||
+        env.APP_API_KEY !== 'k2' || env.APP_EXTRA !== 'from-yaml') {
+      throw new Error(`Unexpected variables: ${JSON.stringify(env)}`);
+    }
+    if (env.ENC_SECRET !== undefined) {
+      throw new Error('ENC_SECRET was passed to the child');
+    }
+    console.log('✅ Nested keys, prefix and later files applied; exit code passed through; ENC_SECRET withheld');
+    
+    const flattened = api.flattenToEnv({ db: { host: 'h', tags: ['a'] }, off: null }, { separator: '_', case: 'preserve', arrays: 'json', depth: 2 });
+    if (JSON.stringify(flattened) !== JSON.stringify({ db_host: 'h', db_tags: '["a"]', off: '' })) {
+      throw new Error(`flattenToEnv options not applied: ${JSON.stringify(flattened)}`);
+    }
+    try {
+      api.flattenToEnv({ 'api-key': 1, api_key: 2 });
+      throw new Error('Colliding names were not rejected');
+    } catch (error) {
+      if (!(error instanceof api.InvalidOptionError)) {
+        throw error;
+      }
+    }
+    
+    const wrongSecret = run(['exec', '-f', path.join(execDir, 'app.enc'), '--secret', 'wrong', '--', 'node', '-e', 'console.log("ran")']);
+    const missing = run(['exec', '-f', path.join(execDir, 'app.enc'), '--secret', 'execSecret', '--', 'json-encrypt-no-such-command']);
+    if (wrongSecret.status !== 1 || wrongSecret.stdout.length > 0 || missing.status !== 127) {
+      throw new Error('Decryption failures or missing commands did not exit with 1 and 127');
+    }
+    const piped = run(['exec', '-f', path.join(execDir, 'app.enc'), '--secret', 'execSecret', '--', 'sh', '-c', 'kill -PIPE $$']);
+    if (piped.status !== 141) {
+      throw new Error(`A child killed by SIGPIPE exited with ${piped.status} instead of 141`);
+    }
+    console.log('✅ Separator, case, array and depth rules; failures exit before the command runs; SIGPIPE exits 141');
+    fs.rmSync(execDir, { recursive: true, force: true });
+  } catch (error) {
+    console.error('❌ Exec test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+async function testRegister() {
+  console.log('\n🪝 Test 17: require and import hooks for .enc files');
+  try {
+    const api = require('./index');
+    const hookDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'json-encrypt-'));
+    const register = path.join(__dirname, 'register.js');
+    const run = (flag, script, env = {}) => spawnSync('node', [flag, register, script], {
+      cwd: hookDir,
+      env: { ...process.env, ENC_SECRET: '', ENC_KEY_FILE: '', ENC_PRIVATE_KEY: '', ENC_KEY_PROVIDER: '', ...env }
+    });
+    
+    await api.encryptFile(path.join(__dirname, 'test-batch', 'config.json'), { secret: 'hookSecret', output: path.join(hookDir, 'config.enc') });
+    const expected = JSON.parse(fs.readFileSync(path.join(__dirname, 'test-batch', 'config.json'), 'utf8'));
+    fs.writeFileSync(path.join(hookDir, 'app.cjs'), "const config = require('./config.enc'); console.log(JSON.stringify(config), require('./config.enc') === config);");
+    fs.writeFileSync(path.join(hookDir, 'app.mjs'), "import config from './config.enc'; console.log(JSON.stringify(config));");
+    fs.writeFileSync(path.join(hookDir, 'keys.cjs'), "module.exports = async (file) => file.endsWith('config.enc') ? { secret: 'hookSecret' } : null;");
+    
+    const required = run('--require', 'app.cjs', { ENC_SECRET: 'hookSecret' });
+    if (required.status !== 0 || required.stdout.toString('utf8').trim() !== `${JSON.stringify(expected)} true`) {
+      throw new Error(`require() did not return the cached document: ${required.stderr.toString('utf8')}`);
+    }
+    // import needs module.register (Node 20.6, or 18.19 in the 18 line); older Node only has require
+    if (require('module').register) {
+      const imported = run('--import', 'app.mjs', { ENC_KEY_PROVIDER: './keys.cjs' });
+      if (imported.status !== 0 || imported.stdout.toString('utf8').trim() !== JSON.stringify(expected)) {
+        throw new Error(`import with a key provider failed: ${imported.stderr.toString('utf8')}`);
+      }
+      console.log('✅ require() with ENC_SECRET and import with ENC_KEY_PROVIDER return the decrypted document');
+    } else {
+      console.log(`✅ require() with ENC_SECRET returns the decrypted document (import skipped: Node ${process.versions.node} has no module.register)`);
+    }
+    
+    const missing = run('--require', 'app.cjs');
+    const wrong = run('--require', 'app.cjs', { ENC_SECRET: 'wrongSecret' });
+    if (missing.status === 0 || !/InvalidOptionError: Cannot load config\.enc: No key/.test(missing.stderr.toString('utf8')) ||
+        wrong.status === 0 || !/WrongKeyError: Cannot load config\.enc: Decryption failed: wrong secret key/.test(wrong.stderr.toString('utf8'))) {
+      throw new Error('Missing or wrong keys did not fail with a clear error');
+    }
+    
+    const loaded = await api.loadEncryptedFile(path.join(hookDir, 'config.enc'), { secret: 'hookSecret' });
+    if (JSON.stringify(loaded) !== JSON.stringify(expected) || await api.loadEncryptedFile(path.join(hookDir, 'config.enc'), {}) !== loaded) {
+      throw new Error('loadEncryptedFile did not decrypt once and cache the document');
+    }
+    console.log('✅ Missing and wrong keys name the file; loadEncryptedFile caches per process');
+    fs.rmSync(hookDir, { recursive: true, force: true });
+  } catch (error) {
+    console.error('❌ Register hook test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+async function testVerify() {
+  console.log('\n🔎 Test 18: verify .enc files without writing plaintext');
+  try {
+    const api = require('./index');
+    const verifyDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'json-encrypt-'));
+    const run = (args) => spawnSync('node', ['bin/enc.js', 'verify', ...args], { cwd: __dirname, env: { ...process.env, ENC_SECRET: '' } });
+    const encrypt = async (name, data, secret = 'verifySecret') => {
+      const envelope = await api.encryptData(data, { secret, algorithm: 'aes-256-gcm' });
+      fs.writeFileSync(path.join(verifyDir, name), api.serializeEnvelope(envelope));
+      return envelope;
+    };
+    
+    await encrypt('good.enc', '{"ok":true}');
+    const onlyGood = run([path.join(verifyDir, 'good.enc'), '--secret', 'verifySecret']);
+    if (onlyGood.status !== 0 || fs.readdirSync(verifyDir).length !== 1) {
+      throw new Error('A valid file did not verify with exit code 0, or something was written');
+    }
+    
+    await encrypt('wrong-key.enc', '{"ok":true}', 'otherSecret');
+    if (run([verifyDir, '--secret', 'verifySecret']).status !== 2) {
+      throw new Error('A wrong key did not exit with 2');
+    }
+    await encrypt('invalid.enc', 'not json');
+    if (run([verifyDir, '--secret', 'verifySecret']).status !== 5) {
+      throw new Error('Invalid plaintext did not exit with 5');
+    }
+    fs.writeFileSync(path.join(verifyDir, 'broken.enc'), '{"version":1}');
+    if (run([verifyDir, '--secret', 'verifySecret']).status !== 4) {
+      throw new Error('A bad envelope did not exit with 4');
+    }
+    const tampered = await encrypt('tampered.enc', '{"ok":true}');
+    tampered.encrypted = (tampered.encrypted[0] === '0' ? '1' : '0') + tampered.encrypted.slice(1);
+    fs.writeFileSync(path.join(verifyDir, 'tampered.enc'), api.serializeEnvelope(tampered));
+    
+    const reportFile = path.join(verifyDir, 'report.xml');
+    const all = run([verifyDir, '--secret', 'verifySecret', '--report', reportFile]);
+    const report = fs.readFileSync(reportFile, 'utf8');
+    if (all.status !== 3 || !report.includes('tests="5" failures="4"') || !report.includes('<testcase classname="json-encrypt.verify" name="good.enc"') ||
+        !['wrong-key', 'auth-failed', 'bad-envelope', 'invalid-plaintext'].every(status => report.includes(`<failure type="${status}"`))) {
+      throw new Error('Tampering did not take precedence, or the JUnit report is incomplete');
+    }
+    console.log('✅ Exit codes 0, 2, 3, 4 and 5 and a JUnit report, with nothing written');
+    
+    const json = run([verifyDir, '--secret', 'verifySecret', '--report', '-']);
+    const summary = JSON.parse(json.stdout.toString('utf8')).summary;
+    if (summary.total !== 5 || summary.failed !== 4 || summary.exitCode !== 3 || !json.stderr.toString('utf8').includes('Verification Results')) {
+      throw new Error('--report - did not write the JSON report alone to stdout');
+    }
+    
+    try {
+      await api.readEncryptedFile(path.join(verifyDir, 'good.enc'), { secret: 'otherSecret' });
+      throw new Error('A wrong secret decrypted');
+    } catch (error) {
+      if (!(error instanceof api.WrongKeyError) || !(error instanceof api.DecryptionError)) {
+        throw error;
+      }
+    }
+    console.log('✅ JSON report on stdout; a wrong secret is a WrongKeyError');
+    
+    const rawKeyDir = path.join(verifyDir, 'raw');
+    fs.mkdirSync(rawKeyDir);
+    const rawEnvelope = await api.encryptData('{"ok":true}', { secret: require('crypto').randomBytes(32), algorithm: 'aes-256-gcm' });
+    fs.writeFileSync(path.join(rawKeyDir, 'raw.enc'), api.serializeEnvelope(rawEnvelope));
+    if (run([rawKeyDir, '--secret', 'verifySecret']).status !== 1) {
+      throw new Error('A passphrase for a raw-key file did not exit with 1');
+    }
+    console.log('✅ No usable key for a file is an error (1), not wrong-key');
+    fs.rmSync(verifyDir, { recursive: true, force: true });
+  } catch (error) {
+    console.error('❌ Verify test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+async function testDiff() {
+  console.log('\n🔀 Test 19: semantic diff of encrypted files');
+  try {
+    const api = require('./index');
+    const diffDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'json-encrypt-'));
+    const run = (args) => spawnSync('node', [path.join(__dirname, 'bin', 'enc.js'), 'diff', ...args], { cwd: diffDir, env: { ...process.env, ENC_SECRET: '' } });
+    const before = { db: { host: 'a', password: 'hunter2' }, hosts: ['x'], 'api-key': 'k' };
+    const after = { db: { host: 'b' }, hosts: ['x', 'y'], 'api-key': 'k', extra: { on: true } };
+    
+    fs.writeFileSync(path.join(diffDir, 'before.json'), JSON.stringify(before));
+    fs.writeFileSync(path.join(diffDir, 'after.json'), JSON.stringify(after));
+    await api.encryptFile(path.join(diffDir, 'before.json'), { secret: 'diffSecret' });
+    await api.encryptFile(path.join(diffDir, 'after.json'), { secret: 'diffSecret' });
+    await api.encryptFile(path.join(diffDir, 'before.json'), { secret: 'diffSecret', output: path.join(diffDir, 'again.enc') });
+    
+    const masked = run(['before.enc', 'after.enc', '--secret', 'diffSecret']);
+    const lines = masked.stdout.toString('utf8').split('\n');
+    const expected = ['~ $.db.host: *** → ***', '- $.db.password: ***', '+ $.hosts[1]: ***', '+ $.extra.on: ***'];
+    if (masked.status !== 1 || !expected.every(line => lines.includes(line)) || masked.stdout.toString('utf8').includes('hunter2')) {
+      throw new Error(`Unexpected masked diff: ${masked.stdout.toString('utf8')}`);
+    }
+    console.log('✅ Added, removed and changed keys listed with values masked; exit code 1');
+    
+    const revealed = run(['before.enc', 'after.json', '--secret', 'diffSecret', '--reveal']);
+    if (revealed.status !== 1 || !revealed.stdout.toString('utf8').includes('~ $.db.host: "a" → "b"')) {
+      throw new Error('--reveal against a plaintext file did not show values');
+    }
+    if (run(['before.enc', 'again.enc', '--secret', 'diffSecret']).status !== 0 || run(['before.enc', 'after.enc']).status !== 2) {
+      throw new Error('Same contents did not exit with 0, or a missing key did not exit with 2');
+    }
+    if (api.formatChanges(api.diffDocuments({ 'a b': [1] }, { 'a b': [] }))[0] !== '- $["a b"][0]: ***') {
+      throw new Error('diffDocuments paths are not JSONPath');
+    }
+    console.log('✅ --reveal, .enc against plaintext, and exit codes 0 and 2');
+    fs.rmSync(diffDir, { recursive: true, force: true });
+  } catch (error) {
+    console.error('❌ Diff test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+async function testGitFilters() {
+  console.log('\n🌿 Test 20: git clean/smudge filters and textconv');
+  try {
+    const repoDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'json-encrypt-'));
+    const git = (args, env = {}) => spawnSync('git', args, { cwd: repoDir, env: { ...process.env, ENC_SECRET: 'gitSecret', ...env } });
+    const config = { db: { host: 'localhost', password: 'hunter2' } };
+    
+    git(['init', '-q']);
+    git(['config', 'user.name', 'Test']);
+    git(['config', 'user.email', 'test@example.com']);
+    const setup = spawnSync('node', [path.join(__dirname, 'bin', 'enc.js'), 'git-setup', '*.json'], { cwd: repoDir });
+    spawnSync('node', [path.join(__dirname, 'bin', 'enc.js'), 'git-setup', '*.json'], { cwd: repoDir });
+    const attributes = fs.readFileSync(path.join(repoDir, '.gitattributes'), 'utf8');
+    if (setup.status !== 0 || attributes.split('\n').filter(line => line.startsWith('*.json ')).length !== 1) {
+      throw new Error(`git-setup failed or duplicated the pattern: ${setup.stderr.toString('utf8')}`);
+    }
+    
+    fs.writeFileSync(path.join(repoDir, 'config.json'), JSON.stringify(config, null, 2) + '\n');
+    git(['add', '.gitattributes', 'config.json']);
+    git(['commit', '-q', '-m', 'Add config']);
+    const blob = git(['cat-file', 'blob', 'HEAD:config.json']).stdout.toString('utf8');
+    if (blob.includes('hunter2') || !JSON.parse(blob).version || git(['status', '--porcelain']).stdout.toString('utf8') !== '') {
+      throw new Error('Committed blob is not encrypted, or the working copy shows as modified');
+    }
+    console.log('✅ Committed blob encrypted, working copy plaintext, git status clean');
+    
+    config.db.host = 'db.internal';
+    fs.writeFileSync(path.join(repoDir, 'config.json'), JSON.stringify(config, null, 2) + '\n');
+    const diff = git(['diff']).stdout.toString('utf8');
+    if (!diff.includes('+    "host": "db.internal",') || !diff.includes('-    "host": "localhost",')) {
+      throw new Error(`git diff did not show decrypted lines: ${diff}`);
+    }
+    git(['checkout', '--', 'config.json']);
+    fs.unlinkSync(path.join(repoDir, 'config.json'));
+    git(['checkout', '--', 'config.json']);
+    if (JSON.parse(fs.readFileSync(path.join(repoDir, 'config.json'), 'utf8')).db.host !== 'localhost') {
+      throw new Error('Smudge did not restore the plaintext');
+    }
+    
+    fs.unlinkSync(path.join(repoDir, 'config.json'));
+    const locked = git(['checkout', '--', 'config.json'], { ENC_SECRET: 'wrongSecret' });
+    if (locked.status !== 0 || fs.readFileSync(path.join(repoDir, 'config.json'), 'utf8') !== blob) {
+      throw new Error('Checkout with the wrong key did not leave the file encrypted');
+    }
+    console.log('✅ git diff decrypted, checkout decrypts, wrong key checks out ciphertext');
+    fs.rmSync(repoDir, { recursive: true, force: true });
+  } catch (error) {
+    console.error('❌ Git filter test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+async function testGuard() {
+  console.log('\n🛡️  Test 21: plaintext leak guard for staged files');
+  try {
+    const api = require('./index');
+    const repoDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'json-encrypt-'));
+    const git = (args) => spawnSync('git', args, { cwd: repoDir });
+    const guard = (args = [], env = {}) => spawnSync('node', [path.join(__dirname, 'bin', 'enc.js'), 'guard', ...args], {
+      cwd: repoDir,
+      env: { ...process.env, ENC_GUARD_PATTERNS: '', ...env }
+    });
+    
+    git(['init', '-q']);
+    fs.mkdirSync(path.join(repoDir, 'config', 'prod'), { recursive: true });
+    fs.writeFileSync(path.join(repoDir, 'config', 'accounts.json'), '{"password":"hunter2"}');
+    fs.writeFileSync(path.join(repoDir, 'config', 'prod', 'db.yaml'), 'password: hunter2\n');
+    fs.writeFileSync(path.join(repoDir, 'README.md'), '# notes\n');
+    await api.encryptFile(path.join(repoDir, 'config', 'accounts.json'), { secret: 'guardSecret' });
+    
+    git(['add', 'config/accounts.enc', 'README.md']);
+    if (guard().status !== 0) {
+      throw new Error('Guard failed with only .enc files and unrelated files staged');
+    }
+    
+    git(['add', 'config/accounts.json']);
+    const sibling = guard();
+    if (sibling.status !== 1 || !sibling.stderr.toString('utf8').includes('config/accounts.json (plaintext of config/accounts.enc)')) {
+      throw new Error(`Plaintext next to its .enc was not flagged: ${sibling.stderr.toString('utf8')}`);
+    }
+    console.log('✅ Plaintext with a .enc sibling fails the guard; .enc and unrelated files pass');
+    
+    git(['rm', '-q', '--cached', 'config/accounts.json']);
+    git(['add', 'config/prod/db.yaml']);
+    if (guard().status !== 0 || guard(['--pattern', 'config/**/*.yaml']).status !== 1 ||
+        guard([], { ENC_GUARD_PATTERNS: 'README.md, db.yaml' }).stderr.toString('utf8').match(/matches sensitive pattern/g).length !== 2 ||
+        guard(['--pattern', 'prod/*.yaml']).status !== 0) {
+      throw new Error('Sensitive patterns from --pattern or ENC_GUARD_PATTERNS were not applied');
+    }
+    console.log('✅ Sensitive patterns from --pattern and ENC_GUARD_PATTERNS, with gitignore-style matching');
+    fs.rmSync(repoDir, { recursive: true, force: true });
+  } catch (error) {
+    console.error('❌ Guard test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+async function testProjectConfig() {
+  console.log('\n🗂️  Test 22: .jsonencryptrc project config with per-path rules');
+  try {
+    const api = require('./index');
+    const projectDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'json-encrypt-'));
+    const run = (script, args, cwd = projectDir) => spawnSync('node', [path.join(__dirname, 'bin', script), ...args], {
+      cwd,
+      env: { ...process.env, ENC_SECRET: '', ENC_ALGORITHM: '', ENC_FORMAT: '', APP_SECRET: 'configSecret' }
+    });
+    const write = (file, content) => {
+      fs.mkdirSync(path.dirname(path.join(projectDir, file)), { recursive: true });
+      fs.writeFileSync(path.join(projectDir, file), content);
+    };
+    
+    write('keys/prod.key', api.generateSymmetricKey().content);
+    write('config/app.json', '{"host":"localhost"}');
+    write('config/prod/db.json', '{"host":"db","password":"hunter2"}');
+    write('config/fixtures/sample.json', '{"a":1}');
+    write('.jsonencryptrc', JSON.stringify({
+      algorithm: 'aes-256-gcm',
+      secretEnv: 'APP_SECRET',
+      recursive: true,
+      exclude: ['**/fixtures/**'],
+      rules: [{ path: 'config/prod/**', keyFile: 'keys/prod.key', fieldLevel: { fields: ['$.password'] } }]
+    }));
+    
+    const batch = run('batch-enc.js', ['config']);
+    const app = JSON.parse(fs.readFileSync(path.join(projectDir, 'config', 'app.enc'), 'utf8'));
+    const db = JSON.parse(fs.readFileSync(path.join(projectDir, 'config', 'prod', 'db.enc'), 'utf8'));
+    if (batch.status !== 0 || app.algorithm !== 'aes-256-gcm' || db.host !== 'db' || !api.isFieldEnvelope(db) ||
+        fs.existsSync(path.join(projectDir, 'config', 'fixtures', 'sample.enc'))) {
+      throw new Error(`Batch encryption did not follow the config: ${batch.stderr.toString('utf8')}`);
+    }
+    
+    const prodKey = fs.readFileSync(path.join(projectDir, 'keys', 'prod.key'));
+    const decrypted = await api.readEncryptedFile(path.join(projectDir, 'config', 'prod', 'db.enc'), { secret: api.parseSymmetricKey(prodKey) });
+    const appDecrypted = await api.readEncryptedFile(path.join(projectDir, 'config', 'app.enc'), { secret: 'configSecret' });
+    if (decrypted.password !== 'hunter2' || appDecrypted.host !== 'localhost') {
+      throw new Error('Files were not encrypted with the keys the config names');
+    }
+    console.log('✅ Batch encryption used the config algorithm, secretEnv, exclude and recursion, and the rule key and fields');
+    
+    fs.unlinkSync(path.join(projectDir, 'config', 'prod', 'db.json'));
+    const single = run('dec.js', ['prod/db.enc'], path.join(projectDir, 'config'));
+    if (single.status !== 0 || JSON.parse(fs.readFileSync(path.join(projectDir, 'config', 'prod', 'db.json'), 'utf8')).password !== 'hunter2') {
+      throw new Error(`Decryption from a subdirectory did not find the config rule key: ${single.stderr.toString('utf8')}`);
+    }
+    
+    const printed = run('enc.js', ['config', '--print', 'config/prod/db.json']).stdout.toString('utf8');
+    if (!/key\s+key file keys\/prod\.key\s+\(\.jsonencryptrc rule config\/prod\/\*\*\)/.test(printed) ||
+        !/algorithm\s+aes-256-gcm\s+\(\.jsonencryptrc\)/.test(printed) || !/format\s+hex\s+\(default\)/.test(printed) || printed.includes('configSecret')) {
+      throw new Error(`config --print did not show the resolved settings and sources: ${printed}`);
+    }
+    const withFormats = run('enc.js', ['config', '--print', '--input-format', 'json', 'yaml']).stdout.toString('utf8');
+    if (!/include\s+\*\.json \(pass --input-format/.test(printed) || !/include\s+\*\.json, \*\.yaml, \*\.yml\s+\(--input-format\)/.test(withFormats)) {
+      throw new Error(`config --print did not show which files batch encryption picks up: ${withFormats}`);
+    }
+    
+    write('module/.jsonencryptrc.js', "'use strict';\n// Shared settings\nmodule.exports = {\n  algorithm: 'aes-128-gcm', // comment\n  format: 'base64',\n};\n");
+    const fromModule = run('enc.js', ['config', '--print'], path.join(projectDir, 'module')).stdout.toString('utf8');
+    if (!/algorithm\s+aes-128-gcm\s+\(\.jsonencryptrc\.js\)/.test(fromModule) || !/format\s+base64/.test(fromModule)) {
+      throw new Error(`.jsonencryptrc.js was not read: ${fromModule}`);
+    }
+    write('module/.jsonencryptrc.js', `require('fs').writeFileSync(${JSON.stringify(path.join(projectDir, 'ran'))}, '');\nmodule.exports = {};`);
+    const code = run('enc.js', ['config', '--print'], path.join(projectDir, 'module'));
+    if (code.status !== 1 || !code.stderr.toString('utf8').includes('read as data, not run') || fs.existsSync(path.join(projectDir, 'ran'))) {
+      throw new Error('A .jsonencryptrc.js with code was run or accepted');
+    }
+    
+    write('.jsonencryptrc', JSON.stringify({ secret: 'leaked' }));
+    const rejected = run('enc.js', ['config', '--print']);
+    if (rejected.status !== 1 || !rejected.stderr.toString('utf8').includes('secrets do not belong in a config file')) {
+      throw new Error('A config file holding a secret was accepted');
+    }
+    console.log('✅ Config found from a subdirectory, config --print shows sources, .jsonencryptrc.js is read as data, and secrets in the file are rejected');
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  } catch (error) {
+    console.error('❌ Project config test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+async function testIgnoreFiles() {
+  console.log('\n🙈 Test 23: Include/exclude globs and .encignore for batch scanning');
+  try {
+    const api = require('./index');
+    const scanDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'json-encrypt-'));
+    const write = (file, content = '{"a":1}') => {
+      fs.mkdirSync(path.dirname(path.join(scanDir, file)), { recursive: true });
+      fs.writeFileSync(path.join(scanDir, file), content);
+    };
+    
+    ['app.json', 'package.json', 'tsconfig.json', 'node_modules/dep/data.json', 'config/db.json',
+      'config/fixtures/sample.json', 'config/local/dev.json', 'config/schema.json'].forEach(file => write(file));
+    write('.encignore', '# keep the TypeScript config\n!tsconfig.json\nfixtures/\n');
+    write('config/.encignore', '*.schema.json\nschema.json\n');
+    fs.symlinkSync('..', path.join(scanDir, 'config', 'loop'));
+    fs.symlinkSync('missing.json', path.join(scanDir, 'config', 'broken.json'));
+    
+    const found = api.findSourceFiles(scanDir, true).map(file => path.relative(scanDir, file).split(path.sep).join('/')).sort();
+    const expected = ['app.json', 'config/db.json', 'config/local/dev.json', 'tsconfig.json'];
+    if (JSON.stringify(found) !== JSON.stringify(expected)) {
+      throw new Error(`Unexpected files: ${found.join(', ')}`);
+    }
+    
+    const filtered = api.findSourceFiles(scanDir, true, undefined, { include: ['config/**'], exclude: ['local/'], baseDir: scanDir });
+    if (filtered.length !== 1 || !filtered[0].endsWith('db.json')) {
+      throw new Error(`Include and exclude globs were not applied: ${filtered.join(', ')}`);
+    }
+    console.log('✅ Default excludes, nested .encignore with negation, globs, symlink loops and broken links handled');
+    
+    const run = (script, args) => spawnSync('node', [path.join(__dirname, 'bin', script), scanDir, '--recursive', '--secret', 'ignoreSecret', ...args], {
+      env: { ...process.env, ENC_SECRET: '' }
+    });
+    const encrypted = run('batch-enc.js', ['--alg', 'aes-256-gcm', '--exclude', 'tsconfig.json', 'config/local/**']);
+    const encFiles = api.findEncFiles(scanDir, true).map(file => path.relative(scanDir, file).split(path.sep).join('/')).sort();
+    if (encrypted.status !== 0 || JSON.stringify(encFiles) !== JSON.stringify(['app.enc', 'config/db.enc'])) {
+      throw new Error(`batch-enc --exclude encrypted: ${encFiles.join(', ')}`);
+    }
+    
+    fs.unlinkSync(path.join(scanDir, 'app.json'));
+    fs.unlinkSync(path.join(scanDir, 'config', 'db.json'));
+    const decrypted = run('batch-dec.js', ['--include', 'config/**']);
+    if (decrypted.status !== 0 || fs.existsSync(path.join(scanDir, 'app.json')) || !fs.existsSync(path.join(scanDir, 'config', 'db.json'))) {
+      throw new Error('batch-dec --include did not select the .enc files');
+    }
+    console.log('✅ batch-enc --exclude and batch-dec --include select files relative to the directory');
+    
+    ['keys/db1.json', 'keys/db2.json', 'keys/dbx.json', 'keys/dby.json', 'keys/db[.json'].forEach(file => write(file));
+    write('keys/.encignore', 'db[0-9].json\ndb[!x].json\ndb[.json\n');
+    const bracketed = api.findSourceFiles(path.join(scanDir, 'keys')).map(file => path.basename(file));
+    if (bracketed.join(',') !== 'dbx.json') {
+      throw new Error(`Bracket classes in .encignore were not applied: ${bracketed.join(', ')}`);
+    }
+    console.log('✅ .encignore supports [0-9] and [!x] classes; an unclosed [ is literal');
+    fs.rmSync(scanDir, { recursive: true, force: true });
+  } catch (error) {
+    console.error('❌ Ignore file test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+async function testConcurrency() {
+  console.log('\n🧵 Test 24: Parallel batch processing with worker threads');
+  try {
+    const api = require('./index');
+    const { dir: batchDir, file, read, run, remove } = createTestDir();
+    const names = ['b', 'a', 'd', 'c', 'f', 'e'];
+    names.forEach(name => fs.writeFileSync(file(`${name}.json`), JSON.stringify({ name })));
+    fs.writeFileSync(file('broken.yaml'), 'key: [unclosed');
+    
+    if (api.findSourceFiles(batchDir).some(name => name.endsWith('.yaml'))) {
+      throw new Error('Batch runs picked up YAML files without inputFormat');
+    }
+    
+    const progress = [];
+    const encrypted = await api.batchEncrypt(batchDir, {
+      secret: 'parallelSecret',
+      algorithm: 'aes-256-gcm',
+      inputFormat: ['json', 'yaml'],
+      concurrency: 3,
+      fileOptions: file => (file.endsWith('a.json') ? { algorithm: 'aes-128-gcm' } : {}),
+      onProgress: (file, index, total) => progress.push(`${index + 1}/${total}`)
+    });
+    const order = encrypted.success.map(result => path.basename(result.inputFile)).join(',');
+    if (order !== 'a.json,b.json,c.json,d.json,e.json,f.json' || encrypted.failed.length !== 1 ||
+        progress.join(',') !== '1/7,2/7,3/7,4/7,5/7,6/7,7/7') {
+      throw new Error(`Unexpected results: ${order}, ${encrypted.failed.length} failed, progress ${progress.join(',')}`);
+    }
+    if (JSON.parse(read('a.enc')).algorithm !== 'aes-128-gcm') {
+      throw new Error('Per-file options did not reach the worker');
+    }
+    
+    names.forEach(name => fs.unlinkSync(file(`${name}.json`)));
+    const decrypt = (...args) => run('batch-dec.js', batchDir, '--secret', 'parallelSecret', ...args);
+    const decrypted = decrypt('--concurrency', '4');
+    const restored = names.every(name => JSON.parse(read(`${name}.json`)).name === name);
+    if (decrypted.status !== 0 || !restored) {
+      throw new Error(`batch-dec --concurrency failed: ${decrypted.stderr}`);
+    }
+    
+    const invalid = decrypt('--concurrency', '0', '--overwrite');
+    if (invalid.status !== 1 || !invalid.stderr.includes('Invalid concurrency')) {
+      throw new Error('An invalid concurrency was accepted');
+    }
+    console.log('✅ Worker pool keeps scan order, reports progress, applies per-file options and collects failures');
+    
+    // A preloaded hook makes the worker that gets crash.json exit mid-job
+    fs.mkdirSync(file('crash'));
+    ['a', 'crash', 'c', 'd'].forEach(name => fs.writeFileSync(file(`crash/${name}.json`), JSON.stringify({ name })));
+    fs.writeFileSync(file('exit-hook.cjs'), "const { isMainThread, parentPort } = require('worker_threads');\n" +
+      "if (!isMainThread) { const on = parentPort.on.bind(parentPort); parentPort.on = (event, listener) => " +
+      "on(event, message => (message.file.endsWith('crash.json') ? process.exit(7) : listener(message))); }\n");
+    const crashed = spawnSync('node', ['-r', file('exit-hook.cjs'), '-e',
+      `require(${JSON.stringify(path.join(__dirname, 'index.js'))}).batchEncrypt(${JSON.stringify(file('crash'))}, ` +
+      "{ secret: 's', algorithm: 'aes-256-gcm', concurrency: 2 }).then(r => console.log(JSON.stringify({ " +
+      "success: r.success.map(x => require('path').basename(x.inputFile)), failed: r.failed.map(x => x.error) })))"
+    ], { encoding: 'utf8', timeout: 60000 });
+    const outcome = crashed.stdout && JSON.parse(crashed.stdout);
+    if (!outcome || outcome.success.join(',') !== 'a.json,c.json,d.json' || outcome.failed.length !== 1 ||
+        !outcome.failed[0].includes('Worker exited with code 7')) {
+      throw new Error(`A worker exiting mid-job was not reported as a failure: ${crashed.stdout}${crashed.stderr}`);
+    }
+    console.log('✅ A worker that exits mid-job fails its file and a new worker finishes the rest');
+    remove();
+  } catch (error) {
+    console.error('❌ Concurrency test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+async function testManifest() {
+  console.log('\n📒 Test 25: Incremental batch encryption with .enc-manifest.json');
+  try {
+    const api = require('./index');
+    const { dir: batchDir, file, read, remove } = createTestDir();
+    const source = name => file(`${name}.json`);
+    const encrypted = name => read(`${name}.enc`);
+    ['a', 'b', 'c'].forEach(name => fs.writeFileSync(source(name), JSON.stringify({ name, password: 'manifestPlaintext' })));
+    const options = { secret: 'manifestSecret', algorithm: 'aes-256-gcm' };
+    
+    const first = await api.batchEncrypt(batchDir, options);
+    const before = { a: encrypted('a'), b: encrypted('b') };
+    const manifestText = read('.enc-manifest.json');
+    if (first.success.length !== 3 || manifestText.includes('manifestPlaintext') || !JSON.parse(manifestText).files['a.json']) {
+      throw new Error('The first run did not encrypt every file and write a keyed manifest');
+    }
+    
+    fs.writeFileSync(source('b'), JSON.stringify({ name: 'b', password: 'changed' }));
+    fs.unlinkSync(source('c'));
+    const second = await api.batchEncrypt(batchDir, options);
+    const files = JSON.parse(read('.enc-manifest.json')).files;
+    if (second.success.length !== 1 || path.basename(second.success[0].inputFile) !== 'b.json' || second.skipped.length !== 1 ||
+        encrypted('a') !== before.a || encrypted('b') === before.b || files['c.json']) {
+      throw new Error(`Expected only b.json to be re-encrypted and c.json dropped: ${second.success.length} encrypted, ${second.skipped.length} skipped`);
+    }
+    
+    const algorithmChanged = await api.batchEncrypt(batchDir, { ...options, algorithm: 'aes-128-gcm' });
+    const forced = await api.batchEncrypt(batchDir, { ...options, algorithm: 'aes-128-gcm', force: true });
+    const otherSecret = await api.batchEncrypt(batchDir, { ...options, algorithm: 'aes-128-gcm', secret: 'otherSecret' });
+    if (algorithmChanged.success.length !== 2 || forced.success.length !== 2 || otherSecret.success.length !== 2) {
+      throw new Error('Changed settings, force or a new secret did not re-encrypt every file');
+    }
+    
+    fs.writeFileSync(file('a.enc'), 'tampered');
+    const repaired = await api.batchEncrypt(batchDir, { ...options, algorithm: 'aes-128-gcm', secret: 'otherSecret' });
+    if (repaired.success.length !== 1 || repaired.skipped.length !== 1 || (await api.readEncryptedFile(file('a.enc'), { secret: 'otherSecret' })).name !== 'a') {
+      throw new Error('A modified .enc file was not re-encrypted');
+    }
+    console.log('✅ Unchanged files skipped, changed and modified .enc files re-encrypted, stale entries dropped, --force honoured');
+    remove();
+  } catch (error) {
+    console.error('❌ Manifest test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+async function testAtomicBatch() {
+  console.log('\n🧾 Test 26: Atomic batch writes with .bak files and undo');
+  try {
+    const api = require('./index');
+    const { dir: batchDir, file, read, run, remove } = createTestDir();
+    const options = { secret: 'atomicSecret', algorithm: 'aes-256-gcm', overwrite: true, atomic: true };
+    
+    fs.writeFileSync(file('a.json'), '{"version":"new"}');
+    fs.writeFileSync(file('b.json'), '{"b":true}');
+    await api.batchEncrypt(batchDir, { secret: 'atomicSecret', algorithm: 'aes-256-gcm' });
+    fs.writeFileSync(file('a.json'), '{"version":"old"}');
+    fs.unlinkSync(file('b.json'));
+    fs.writeFileSync(file('c.enc'), '{"corrupt":true}');
+    fs.writeFileSync(file('.a.json.999999.deadbeef.tmp'), 'left by a crash');
+    // A live PID (reused after a reboot, say) does not keep a day-old temp file
+    fs.writeFileSync(file(`.a.json.${process.pid}.cafebabe.tmp`), 'left before a reboot');
+    const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+    fs.utimesSync(file(`.a.json.${process.pid}.cafebabe.tmp`), twoDaysAgo, twoDaysAgo);
+    
+    const failed = await api.batchDecrypt(batchDir, { ...options, concurrency: 2 });
+    const leftovers = fs.readdirSync(batchDir).filter(name => name.endsWith('.tmp'));
+    if (failed.committed !== false || failed.failed.length !== 1 || read('a.json') !== '{"version":"old"}' ||
+        fs.existsSync(file('b.json')) || leftovers.length > 0) {
+      throw new Error(`A failed atomic run changed files or left temp files: ${leftovers.join(', ')}`);
+    }
+    
+    fs.unlinkSync(file('c.enc'));
+    const committed = await api.batchDecrypt(batchDir, options);
+    if (!committed.committed || read('a.json') !== '{"version":"new"}' || read('a.json.bak') !== '{"version":"old"}' ||
+        !fs.existsSync(file('b.json')) || fs.existsSync(file('b.json.bak'))) {
+      throw new Error('The atomic run did not write every file and back up the replaced one');
+    }
+    console.log('✅ Failed run wrote nothing and cleaned up stale temp files; successful run kept .bak copies');
+    
+    const undo = run('batch-dec.js', batchDir, '--undo');
+    if (undo.status !== 0 || read('a.json') !== '{"version":"old"}' || fs.existsSync(file('a.json.bak')) || fs.existsSync(file('b.json'))) {
+      throw new Error(`--undo did not restore the previous files: ${undo.stderr}`);
+    }
+    
+    try {
+      await api.undoBatch(batchDir);
+      throw new Error('A second undo did not fail');
+    } catch (error) {
+      if (!(error instanceof api.InvalidOptionError)) {
+        throw error;
+      }
+    }
+    console.log('✅ --undo restored .bak copies and removed created files, once');
+    
+    fs.writeFileSync(file('a.json.bak'), 'older backup');
+    await api.batchDecrypt(batchDir, options);
+    if (read('a.json.bak') !== 'older backup' || read('a.json.1.bak') !== '{"version":"old"}') {
+      throw new Error('An existing .bak file was overwritten');
+    }
+    console.log('✅ Existing .bak files are kept and the new copy is numbered');
+    
+    // Two more runs: each removes the backups of the run before it
+    await api.batchDecrypt(batchDir, options);
+    const cli = run('batch-dec.js', batchDir, '--secret', 'atomicSecret', '--atomic', '--overwrite');
+    const backups = fs.readdirSync(batchDir).filter(name => name.endsWith('.bak')).sort();
+    if (cli.status !== 0 || backups.length !== 3 || !backups.includes('a.json.bak') || read('a.json.bak') !== 'older backup' ||
+        !cli.stdout.includes('2 replaced files were kept as plaintext .bak copies')) {
+      throw new Error(`Backups of earlier runs were not pruned: ${backups.join(', ')} ${cli.stderr}`);
+    }
+    console.log('✅ Each --atomic run keeps only its own backups and batch-dec lists the plaintext copies');
+    remove();
+  } catch (error) {
+    console.error('❌ Atomic batch test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+async function testBatchReports() {
+  console.log('\n📊 Test 27: Batch dry runs, JSON reports and exit codes');
+  try {
+    const { dir: batchDir, file, run: runScript, remove } = createTestDir();
+    const run = (script, ...args) => {
+      const result = runScript(script, batchDir, ...args);
+      return { status: result.status, stderr: result.stderr, report: result.stdout && JSON.parse(result.stdout) };
+    };
+    const encrypt = ['--alg', 'aes-256-gcm', '--secret', 'reportSecret', '--json'];
+    
+    fs.writeFileSync(file('a.json'), '{"a":1}');
+    fs.writeFileSync(file('b.json'), '{broken');
+    
+    const dryRun = run('batch-enc.js', ...encrypt, '--dry-run');
+    const statuses = dryRun.report.files.map(entry => `${entry.file}:${entry.status}`).join(',');
+    if (dryRun.status !== 1 || statuses !== 'a.json:would-encrypt,b.json:failed' ||
+        fs.readdirSync(batchDir).some(name => name.endsWith('.enc') || name === '.enc-manifest.json')) {
+      throw new Error(`Unexpected dry run: exit ${dryRun.status}, ${statuses}`);
+    }
+    
+    const partial = run('batch-enc.js', ...encrypt, '--allow-partial');
+    const encrypted = partial.report.files.find(entry => entry.file === 'a.json');
+    if (partial.status !== 0 || partial.report.summary.failed !== 1 || encrypted.status !== 'encrypted' ||
+        encrypted.output !== 'a.enc' || encrypted.outputSize !== fs.statSync(file('a.enc')).size || typeof encrypted.duration !== 'number') {
+      throw new Error(`Unexpected --allow-partial run: exit ${partial.status} ${partial.stderr}`);
+    }
+    console.log('✅ --dry-run wrote nothing, failures exit 1 and --allow-partial reports sizes and timings');
+    
+    fs.unlinkSync(file('b.json'));
+    fs.unlinkSync(file('a.json'));
+    const decryptPlan = run('batch-dec.js', '--json', '--dry-run');
+    const decrypted = run('batch-dec.js', '--json', '--secret', 'reportSecret');
+    if (decryptPlan.status !== 0 || decryptPlan.report.files[0].status !== 'would-decrypt' ||
+        decrypted.status !== 0 || decrypted.report.files[0].status !== 'decrypted' || !fs.existsSync(file('a.json'))) {
+      throw new Error(`Unexpected batch-dec reports: ${decryptPlan.stderr}${decrypted.stderr}`);
+    }
+    
+    const noKey = run('batch-dec.js', '--json', '--overwrite');
+    if (noKey.status !== 1 || noKey.report) {
+      throw new Error('--json without a key did not fail');
+    }
+    console.log('✅ batch-dec dry runs need no key and --json never prompts');
+    remove();
+  } catch (error) {
+    console.error('❌ Batch report test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+async function testOutDir() {
+  console.log('\n📂 Test 28: Output directories mirroring the batch directory');
+  try {
+    const api = require('./index');
+    const { file, read, run, remove } = createTestDir();
+    const options = { secret: 'outDirSecret', algorithm: 'aes-256-gcm', recursive: true, inputFormat: ['json', 'yaml'] };
+    
+    fs.mkdirSync(file('config/db'), { recursive: true });
+    fs.writeFileSync(file('config/app.json'), '{"app":true}');
+    fs.writeFileSync(file('config/db/main.yaml'), 'host: db\n');
+    
+    const encrypted = await api.batchEncrypt(file('config'), { ...options, outDir: file('config/encrypted') });
+    if (encrypted.failed.length > 0 || !fs.existsSync(file('config/encrypted/app.enc')) ||
+        !fs.existsSync(file('config/encrypted/db/main.yaml.enc')) || fs.existsSync(file('config/app.enc'))) {
+      throw new Error('batchEncrypt did not mirror the tree under outDir');
+    }
+    
+    const again = await api.batchEncrypt(file('config'), { ...options, outDir: file('config/encrypted') });
+    if (again.success.length + again.failed.length !== 0 || again.skipped.length !== 2) {
+      throw new Error('A second run scanned its own outputs or re-encrypted unchanged files');
+    }
+    
+    const decrypted = await api.batchDecrypt(file('config/encrypted'), {
+      ...options,
+      outDir: file('app/config'),
+      extensionMap: { '.yaml.enc': '.yml' }
+    });
+    if (decrypted.failed.length > 0 || read('app/config/db/main.yml') !== 'host: db\n' || read('app/config/app.json') !== '{"app":true}') {
+      throw new Error(`batchDecrypt did not write the mirrored, renamed tree: ${decrypted.failed.map(result => result.error).join(', ')}`);
+    }
+    console.log('✅ Batch outputs mirror relative paths under outDir, with extension mapping');
+    
+    const single = run('dec.js', file('config/encrypted/app.enc'), '--out-dir', file('single'), '--secret', 'outDirSecret');
+    const conflict = run('dec.js', file('config/encrypted/app.enc'), '--out-dir', file('single'), '--output', file('x.json'), '--secret', 'outDirSecret');
+    if (single.status !== 0 || !fs.existsSync(file('single/app.json')) || conflict.status === 0) {
+      throw new Error(`json-decrypt --out-dir failed: ${single.stderr}`);
+    }
+    console.log('✅ json-decrypt --out-dir writes into the directory and refuses --output with it');
+    remove();
+  } catch (error) {
+    console.error('❌ Output directory test failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+async function testRemovePlaintext() {
+  console.log('\n🧹 Test 29: Removing plaintext after encryption and --ttl');
+  try {
+    const api = require('./index');
+    const { dir: root, file, read, run, remove } = createTestDir();
+    const options = { secret: 'removeSecret', algorithm: 'aes-256-gcm' };
+    
+    fs.writeFileSync(file('a.json'), '{"a":1}');
+    fs.writeFileSync(file('b.yaml'), 'b: 2\n');
+    fs.writeFileSync(file('c.json'), '{"c":3}');
+    const results = await api.batchEncrypt(root, { ...options, inputFormat: ['json', 'yaml'], removePlaintext: true, gitignore: true });
+    if (results.success.some(result => !result.removed) || fs.existsSync(file('a.json')) || fs.existsSync(file('b.yaml')) ||
+        read('.gitignore') !== '/a.json\n/b.yaml\n/c.json\n') {
+      throw new Error('batchEncrypt did not remove every verified source');
+    }
+    
+    const decrypted = run('dec.js', file('a.enc'), '--secret', 'removeSecret', '--ttl', '1s');
+    if (decrypted.status !== 0 || read('a.json') !== '{"a":1}') {
+      throw new Error(`json-decrypt --ttl did not write the file: ${decrypted.stderr}`);
+    }
+    // b.yaml is edited before its TTL runs out, so it is no longer the decrypted file and stays
+    run('dec.js', file('b.yaml.enc'), '--secret', 'removeSecret', '--ttl', '1s');
+    fs.writeFileSync(file('b.yaml'), 'b: 3\n');
+    await new Promise(resolve => setTimeout(resolve, 3000));
+    if (fs.existsSync(file('a.json')) || !fs.existsSync(file('b.yaml'))) {
+      throw new Error('--ttl did not remove the decrypted file, or removed one edited since');
+    }
+    console.log('✅ Verified sources were removed and added to .gitignore; --ttl removed the decrypted file but not an edited one');
+    
+    // c.enc now holds another document: the round trip fails and c.json stays
+    fs.writeFileSync(file('c.json'), '{"c":4}');
+    try {
+      await api.removePlaintext(file('c.json'), file('c.enc'), options);
+      throw new Error('A mismatched .enc file did not fail');
+    } catch (error) {
+      if (!(error instanceof api.RoundTripError) || !fs.existsSync(file('c.json'))) {
+        throw error;
+      }
+    }
+    
+    const single = run('enc.js', file('c.json'), '--alg', 'aes-256-gcm', '--secret', 'removeSecret', '--remove-plaintext', '--no-example');
+    if (single.status !== 0 || fs.existsSync(file('c.json'))) {
+      throw new Error(`json-encrypt --remove-plaintext failed: ${single.stderr}`);
+    }
+    console.log('✅ Mismatched round trips keep the source; json-encrypt --remove-plaintext removes it');
+    remove();
+  } catch (error) {
+    console.error('❌ Plaintext removal test failed:', error.message);
+    process.exitCode = 1;
+  }
 }
 
-console.log('\n🎉 Testing completed!');
-console.log('\n📋 Summary:');
-console.log('   ✅ Encryption CLI tool');
-console.log('   ✅ Decryption CLI tool');
-console.log('   ✅ Round-trip encryption/decryption');
-console.log('   ✅ Interactive and command-line modes');
-console.log('   ✅ Multiple encryption algorithms');
-console.log('   ✅ Auto-generated decryption examples');
\ No newline at end of file
+testProgrammaticApi()
+  .then(testFieldLevelEncryption)
+  .then(testKeyRotation)
+  .then(testRecipients)
+  .then(testKeyFiles)
+  .then(testStreaming)
+  .then(testOutputFormats)
+  .then(testSourceFormats)
+  .then(testPipes)
+  .then(testExec)
+  .then(testRegister)
+  .then(testVerify)
+  .then(testDiff)
+  .then(testGitFilters)
+  .then(testGuard)
+  .then(testProjectConfig)
+  .then(testIgnoreFiles)
+  .then(testConcurrency)
+  .then(testManifest)
+  .then(testAtomicBatch)
+  .then(testBatchReports)
+  .then(testOutDir)
+  .then(testRemovePlaintext)
+  .then(() => {
+    console.log('\n🎉 Testing completed!');
+    console.log('\n📋 Summary:');
+    console.log('   ✅ Encryption CLI tool');
+    console.log('   ✅ Decryption CLI tool');
+    console.log('   ✅ Round-trip encryption/decryption');
+    console.log('   ✅ Interactive and command-line modes');
+    console.log('   ✅ Multiple encryption algorithms');
+    console.log('   ✅ Self-describing envelope header');
+    console.log('   ✅ Per-file salt with scrypt or PBKDF2 key derivation');
+    console.log('   ✅ Auto-generated decryption examples');
+    console.log('   ✅ Programmatic Node API');
+    console.log('   ✅ Field-level encryption with document MAC');
+    console.log('   ✅ All-or-nothing key rotation');
+    console.log('   ✅ Multi-recipient public-key encryption');
+    console.log('   ✅ Key generation and raw key files');
+    console.log('   ✅ Streaming with chunked GCM authentication');
+    console.log('   ✅ Hex, base64 and binary output formats');
+    console.log('   ✅ YAML, TOML, .env and JSON5 sources with format conversion');
+    console.log('   ✅ stdin/stdout piping and --output');
+    console.log('   ✅ exec with decrypted values as environment variables');
+    console.log('   ✅ require and import hooks for .enc files');
+    console.log('   ✅ verify with distinct exit codes and JUnit/JSON reports');
+    console.log('   ✅ semantic diff of encrypted files with masked values');
+    console.log('   ✅ git clean/smudge filters and textconv diff driver');
+    console.log('   ✅ guard against committing plaintext');
+    console.log('   ✅ .jsonencryptrc project config with per-path rules');
+    console.log('   ✅ include/exclude globs and .encignore for batch scanning');
+    console.log('   ✅ parallel batch processing with worker threads');
+    console.log('   ✅ incremental batch encryption with a content-hash manifest');
+    console.log('   ✅ atomic batch writes with .bak files and undo');
+    console.log('   ✅ batch dry runs, JSON reports and failure exit codes');
+    console.log('   ✅ output directories mirroring input paths');
+    console.log('   ✅ verified plaintext removal and --ttl expiry');
+  });
@@ -1,25 +1,53 @@
 // Decryption example for accounts.int.enc
 // Generated by json-encrypt-cli
-// Note: Algorithm is hidden in encrypted file for security
+// Algorithm: aes-256-gcm
+// Note: The algorithm and key derivation settings are read from the envelope header
 
 import * as crypto from 'crypto';
 import * as fs from 'fs';
 
 interface EncryptedData {
+  version?: number;
+  algorithm?: string;
+  kdf?: { name: string; salt?: string; N?: number; r?: number; p?: number; iterations?: number };
+  encoding?: BufferEncoding;
   iv: string;
   authTag?: string;
   encrypted: string;
 }
 
-function decryptFile(filePath: string, algorithm: string, secretKey: string): any {
+// Key derivation used by files written before the envelope header existed
+const LEGACY_KDF = { name: 'scrypt', salt: '73616c74', N: 16384, r: 8, p: 1 };
+
+// secretKey is the passphrase, or the 32 key bytes for files encrypted with a raw key (--key-file)
+function decryptFile(filePath: string, secretKey: string | Buffer, fallbackAlgorithm?: string): any {
   try {
     // Read the encrypted file
     const encryptedData: EncryptedData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
     
+    // Files without a header need the algorithm passed in
+    const algorithm = encryptedData.algorithm || fallbackAlgorithm;
+    if (!algorithm) {
+      throw new Error('No envelope header: pass the algorithm used for encryption');
+    }
+    
+    const kdf: NonNullable<EncryptedData['kdf']> = encryptedData.kdf || LEGACY_KDF;
+    const encoding = encryptedData.encoding || 'hex';
+    
     // Generate key using the same method as encryption
     const keyLength = algorithm.includes('256') ? 32 : 
                      algorithm.includes('192') ? 24 : 16;
-    const key = crypto.scryptSync(secretKey, 'salt', keyLength);
+    const salt = Buffer.from(kdf.salt || '', 'hex');
+    const key = kdf.name === 'raw'
+      ? (secretKey as Buffer).subarray(0, keyLength)
+      : kdf.name === 'pbkdf2'
+        ? crypto.pbkdf2Sync(secretKey, salt, kdf.iterations!, keyLength, 'sha256')
+        : crypto.scryptSync(secretKey, salt, keyLength, {
+            N: kdf.N,
+            r: kdf.r,
+            p: kdf.p,
+            maxmem: 256 * kdf.N! * kdf.r!
+          });
     
     const iv = Buffer.from(encryptedData.iv, 'hex');
     
@@ -27,18 +55,18 @@ function decryptFile(filePath: string, algorithm: string, secretKey: string): an
     
     if (algorithm.includes('gcm')) {
       // GCM mode decryption
-      const decipher = crypto.createDecipheriv(algorithm, key, iv);
+      const decipher = crypto.createDecipheriv(algorithm, key, iv) as crypto.DecipherGCM;
       if (encryptedData.authTag) {
         decipher.setAuthTag(Buffer.from(encryptedData.authTag, 'hex'));
       }
       decipher.setAAD(Buffer.from('json-encrypt', 'utf8'));
       
-      decrypted = decipher.update(encryptedData.encrypted, 'hex', 'utf8');
+      decrypted = decipher.update(encryptedData.encrypted, encoding, 'utf8');
       decrypted += decipher.final('utf8');
     } else {
       // CBC mode decryption
       const decipher = crypto.createDecipheriv(algorithm, key, iv);
-      decrypted = decipher.update(encryptedData.encrypted, 'hex', 'utf8');
+      decrypted = decipher.update(encryptedData.encrypted, encoding, 'utf8');
       decrypted += decipher.final('utf8');
     }
     
@@ -48,8 +76,16 @@ function decryptFile(filePath: string, algorithm: string, secretKey: string): an
   }
 }
 
-// Example usage (you must provide the algorithm used for encryption):
-// const decryptedData = decryptFile('accounts.int.enc', 'aes-256-gcm', 'your-secret-key');
+// Example usage:
+// const decryptedData = decryptFile('accounts.int.enc', 'your-secret-key');
 // console.log(decryptedData);
+//
+// With a key file from `json-encrypt keygen`, pass the key bytes instead of a passphrase:
+// const keyFile = fs.readFileSync('json-encrypt.key', 'utf8').replace(/-----[A-Z ]+-----|\s/g, '');
+// const decryptedWithKey = decryptFile('accounts.int.enc', Buffer.from(keyFile, 'base64'));
+
+// If your app can depend on json-encrypt-cli, use the library instead:
+// import { readEncryptedFile } from 'json-encrypt-cli';
+// const config = await readEncryptedFile('accounts.int.enc', { secret: 'your-secret-key' });
 
 export { decryptFile };